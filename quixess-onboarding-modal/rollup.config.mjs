@@ -0,0 +1,43 @@
+import { createRequire } from 'node:module';
+import { babel } from '@rollup/plugin-babel';
+import { nodeResolve } from '@rollup/plugin-node-resolve';
+
+const require = createRequire(import.meta.url);
+const pkg = require('./package.json');
+
+// babel-preset-react-app reads the environment to pick its transforms
+process.env.BABEL_ENV = process.env.BABEL_ENV || 'production';
+
+// React, Testing Library and anything else the host installs stay out of the bundle
+const peers = Object.keys(pkg.peerDependencies || {});
+const isExternal = (id) => peers.some(name => id === name || id.startsWith(`${name}/`));
+
+/**
+ * LIBRARY BUILD
+ * Bundles the library entry (src/lib) and the test harness (src/testing)
+ * into ESM and CommonJS with the same Babel preset as the app. Code both
+ * entries use lands in a shared chunk, so they see the same React contexts.
+ * Helpers are inlined so consumers don't need @babel/runtime.
+ */
+export default {
+  input: {
+    index: 'src/lib/index.js',
+    testing: 'src/testing/index.js'
+  },
+  external: isExternal,
+  output: [
+    { dir: 'dist', format: 'es', entryFileNames: '[name].mjs', chunkFileNames: 'chunks/[name]-[hash].mjs', sourcemap: true },
+    { dir: 'dist', format: 'cjs', entryFileNames: '[name].cjs', chunkFileNames: 'chunks/[name]-[hash].cjs', exports: 'named', sourcemap: true }
+  ],
+  plugins: [
+    nodeResolve({ extensions: ['.js', '.jsx'] }),
+    babel({
+      babelHelpers: 'bundled',
+      babelrc: false,
+      configFile: false,
+      extensions: ['.js', '.jsx'],
+      exclude: 'node_modules/**',
+      presets: [['babel-preset-react-app', { runtime: 'automatic', helpers: false }]]
+    })
+  ]
+};
@@ -1,12 +1,101 @@
+import { useEffect, useMemo, useState } from 'react';
 import OnboardingModal from './components/OnboardingModal';
+import OnboardingTrigger from './components/OnboardingTrigger';
+import { createFetchSubmitAdapter, isAbortError } from './api/submitAdapters';
+import { createFetchAvailabilityLookup } from './api/availability';
+import { createFetchEmailVerifier } from './api/emailVerification';
+import { createFetchValidationRulesLoader } from './api/validationRules';
+import { createMockOnboardingServer } from './api/mockServer';
+import { createMockOidcProvider } from './auth';
+import { createOnboardingSchema } from './schema/onboardingSchema';
+import { defaultValidationRules } from './utils/rules';
+import { createLocalStorageAdapter } from './persistence/draftStorage';
+import { createBatchingSink } from './analytics';
+import { trackOnboardingStepForVitals } from './vitals';
+import { I18nProvider } from './i18n';
+import { ThemeProvider } from './theme';
 import './index.css';
 
+// Talk to the real API when one is configured, otherwise to the local mock server,
+// which "emails" verification codes to the console
+const apiUrl = process.env.REACT_APP_ONBOARDING_API_URL;
+const fetchImpl = apiUrl ? undefined : createMockOnboardingServer({
+  onCodeSent: (email, code) => console.info(`Verification code for ${email}: ${code}`)
+});
+
+const submitOnboarding = createFetchSubmitAdapter({
+  url: apiUrl ? `${apiUrl}/onboarding` : undefined,
+  fetchImpl
+});
+
+const loadValidationRules = createFetchValidationRulesLoader({
+  url: apiUrl ? `${apiUrl}/validation-rules` : undefined,
+  fetchImpl
+});
+
+// Offline, "Continue with Mock SSO" signs in against an identity server running in the page
+const createSchema = validationRules => createOnboardingSchema({
+  validationRules,
+  checkAvailability: createFetchAvailabilityLookup({
+    url: apiUrl ? `${apiUrl}/availability` : undefined,
+    fetchImpl
+  }),
+  emailVerifier: createFetchEmailVerifier({
+    url: apiUrl ? `${apiUrl}/email-verification` : undefined,
+    fetchImpl
+  }),
+  identityProviders: apiUrl ? [] : [createMockOidcProvider()]
+});
+
+const draftPersistence = { adapter: createLocalStorageAdapter() };
+
+// Funnel events go to the collector in batches; beacons only make sense for a real endpoint
+const analyticsSink = createBatchingSink({
+  url: apiUrl ? `${apiUrl}/analytics` : undefined,
+  fetchImpl,
+  sendBeacon: apiUrl ? undefined : null
+});
+
+// Also tag Web Vitals with the onboarding step the user is on
+const handleOnboardingEvent = (event) => {
+  analyticsSink(event);
+  trackOnboardingStepForVitals(event);
+};
+
 function App() {
+  const [isOnboardingOpen, setIsOnboardingOpen] = useState(false);
+  const [validationRules, setValidationRules] = useState(defaultValidationRules);
+  const onboardingSchema = useMemo(() => createSchema(validationRules), [validationRules]);
+
+  // Check what the server checks; until its rules arrive (or if they can't) the built-in ones apply
+  useEffect(() => {
+    const controller = new AbortController();
+    loadValidationRules({ signal: controller.signal })
+      .then(setValidationRules)
+      .catch((error) => {
+        if (!isAbortError(error)) console.warn('Could not load validation rules', error);
+      });
+    return () => controller.abort();
+  }, []);
+
   return (
-    <div className="App">
-      <OnboardingModal />
-    </div>
+    <ThemeProvider>
+      <I18nProvider>
+        <div className="App min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 dark:from-gray-900 dark:to-gray-800 flex items-center justify-center p-4">
+          <OnboardingTrigger onClick={() => setIsOnboardingOpen(true)} />
+
+          <OnboardingModal
+            isOpen={isOnboardingOpen}
+            onOpenChange={setIsOnboardingOpen}
+            schema={onboardingSchema}
+            onSubmit={submitOnboarding}
+            persistence={draftPersistence}
+            onEvent={handleOnboardingEvent}
+          />
+        </div>
+      </I18nProvider>
+    </ThemeProvider>
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
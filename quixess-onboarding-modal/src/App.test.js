@@ -1,8 +1,23 @@
 import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { axe } from 'jest-axe';
 import App from './App';
 
-test('renders learn react link', () => {
+beforeEach(() => window.localStorage.clear());
+
+test('opens the onboarding dialog from the start button', async () => {
+  const user = userEvent.setup();
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+
+  await user.click(screen.getByRole('button', { name: 'Start the onboarding process' }));
+
+  expect(await screen.findByRole('dialog', { name: 'Welcome to Quixess' })).toBeInTheDocument();
+  expect(screen.getByRole('tab', { selected: true })).toHaveTextContent('Sign In');
+  expect(screen.getByRole('button', { name: 'Continue with Mock SSO' })).toBeInTheDocument();
+});
+
+test('has no axe violations on the landing page', async () => {
+  const { container } = render(<App />);
+
+  expect(await axe(container)).toHaveNoViolations();
 });
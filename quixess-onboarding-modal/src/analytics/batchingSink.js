@@ -0,0 +1,82 @@
+/**
+ * BATCHING ANALYTICS SINK
+ * An event sink is `(event) => void`, so it can be passed straight to
+ * OnboardingModal's `onEvent`. Events are queued and POSTed as
+ * `{ events: [...] }` once `batchSize` is reached or `flushInterval` ms pass.
+ * When the page is hidden or unloaded the queue goes out with
+ * `navigator.sendBeacon`, which survives the navigation.
+ */
+export const createBatchingSink = ({
+  url = '/api/analytics',
+  batchSize = 20,
+  flushInterval = 5000,
+  fetchImpl = (...args) => fetch(...args),
+  sendBeacon = typeof navigator !== 'undefined' && navigator.sendBeacon
+    ? navigator.sendBeacon.bind(navigator)
+    : null
+} = {}) => {
+  let queue = [];
+  let timer = null;
+
+  const send = async (events, { useBeacon = false } = {}) => {
+    const body = JSON.stringify({ events });
+
+    if (useBeacon && sendBeacon && sendBeacon(url, new Blob([body], { type: 'application/json' }))) {
+      return;
+    }
+
+    try {
+      await fetchImpl(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body,
+        keepalive: true
+      });
+    } catch (error) {
+      // Analytics must never break onboarding
+      console.warn('Could not send analytics events:', error);
+    }
+  };
+
+  const flush = (options) => {
+    clearTimeout(timer);
+    timer = null;
+    if (queue.length === 0) return Promise.resolve();
+
+    const events = queue;
+    queue = [];
+    return send(events, options);
+  };
+
+  const sink = (event) => {
+    queue.push(event);
+    if (queue.length >= batchSize) {
+      flush();
+    } else if (!timer) {
+      timer = setTimeout(flush, flushInterval);
+    }
+  };
+
+  const handlePageHide = () => flush({ useBeacon: true });
+  const handleVisibilityChange = () => {
+    if (document.visibilityState === 'hidden') flush({ useBeacon: true });
+  };
+
+  if (typeof window !== 'undefined') {
+    window.addEventListener('pagehide', handlePageHide);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+  }
+
+  sink.flush = () => flush();
+
+  // Stop listening for unloads and send whatever is left
+  sink.dispose = () => {
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('pagehide', handlePageHide);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    }
+    return flush();
+  };
+
+  return sink;
+};
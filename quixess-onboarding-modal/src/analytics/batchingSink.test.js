@@ -0,0 +1,87 @@
+import { createBatchingSink } from './batchingSink';
+
+const sentEvents = fetchImpl => fetchImpl.mock.calls.map(([, init]) => JSON.parse(init.body).events);
+
+describe('createBatchingSink', () => {
+  let sink;
+
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(async () => {
+    await sink?.dispose();
+    jest.useRealTimers();
+  });
+
+  it('sends a batch once it reaches batchSize', () => {
+    const fetchImpl = jest.fn(async () => ({ ok: true }));
+    sink = createBatchingSink({ url: '/collect', batchSize: 2, fetchImpl, sendBeacon: null });
+
+    sink({ type: 'opened' });
+    expect(fetchImpl).not.toHaveBeenCalled();
+    sink({ type: 'step_viewed' });
+
+    expect(fetchImpl).toHaveBeenCalledWith('/collect', expect.objectContaining({ method: 'POST', keepalive: true }));
+    expect(sentEvents(fetchImpl)).toEqual([[{ type: 'opened' }, { type: 'step_viewed' }]]);
+  });
+
+  it('sends what is queued once flushInterval passes', () => {
+    const fetchImpl = jest.fn(async () => ({ ok: true }));
+    sink = createBatchingSink({ flushInterval: 1000, fetchImpl, sendBeacon: null });
+
+    sink({ type: 'opened' });
+    jest.advanceTimersByTime(999);
+    expect(fetchImpl).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(1);
+
+    expect(sentEvents(fetchImpl)).toEqual([[{ type: 'opened' }]]);
+  });
+
+  it('sends the queue with sendBeacon when the page is hidden', () => {
+    const fetchImpl = jest.fn();
+    const sendBeacon = jest.fn(() => true);
+    sink = createBatchingSink({ url: '/collect', fetchImpl, sendBeacon });
+
+    sink({ type: 'abandoned' });
+    window.dispatchEvent(new Event('pagehide'));
+
+    expect(sendBeacon).toHaveBeenCalledWith('/collect', expect.any(Blob));
+    expect(fetchImpl).not.toHaveBeenCalled();
+
+    // Nothing is left for the timer
+    jest.runOnlyPendingTimers();
+    expect(sendBeacon).toHaveBeenCalledTimes(1);
+  });
+
+  it('falls back to fetch when the beacon is refused', () => {
+    const fetchImpl = jest.fn(async () => ({ ok: true }));
+    sink = createBatchingSink({ fetchImpl, sendBeacon: () => false });
+
+    sink({ type: 'abandoned' });
+    window.dispatchEvent(new Event('pagehide'));
+
+    expect(sentEvents(fetchImpl)).toEqual([[{ type: 'abandoned' }]]);
+  });
+
+  it('never throws when sending fails', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    try {
+      sink = createBatchingSink({ fetchImpl: jest.fn(async () => { throw new Error('offline'); }), sendBeacon: null });
+
+      sink({ type: 'opened' });
+      await expect(sink.flush()).resolves.toBeUndefined();
+      expect(warn).toHaveBeenCalled();
+    } finally {
+      warn.mockRestore();
+    }
+  });
+
+  it('stops listening for unloads once disposed', async () => {
+    const sendBeacon = jest.fn(() => true);
+    sink = createBatchingSink({ fetchImpl: jest.fn(), sendBeacon });
+
+    await sink.dispose();
+    sink({ type: 'opened' });
+    window.dispatchEvent(new Event('pagehide'));
+
+    expect(sendBeacon).not.toHaveBeenCalled();
+  });
+});
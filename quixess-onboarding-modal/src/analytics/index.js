@@ -0,0 +1,2 @@
+export { createBatchingSink } from './batchingSink';
+export { scrubPii, getErrorRule, DEFAULT_PII_KEYS, REDACTED } from './scrub';
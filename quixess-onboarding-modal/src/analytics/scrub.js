@@ -0,0 +1,36 @@
+/**
+ * PII SCRUBBING
+ * Analytics events describe what happened, never what the user typed.
+ * Known personal fields are dropped wherever they appear, and anything that
+ * looks like an email address is masked.
+ */
+export const DEFAULT_PII_KEYS = [
+  'email', 'password', 'confirmPassword', 'fullName', 'username', 'companyName',
+  'value', 'values', 'formData'
+];
+
+export const REDACTED = '[redacted]';
+
+const EMAIL_PATTERN = /[^\s@]+@[^\s@]+\.[^\s@]+/g;
+
+export const scrubPii = (input, piiKeys = DEFAULT_PII_KEYS) => {
+  if (typeof input === 'string') return input.replace(EMAIL_PATTERN, REDACTED);
+  if (Array.isArray(input)) return input.map(item => scrubPii(item, piiKeys));
+
+  if (input && typeof input === 'object') {
+    return Object.fromEntries(
+      Object.entries(input)
+        .filter(([key]) => !piiKeys.includes(key))
+        .map(([key, value]) => [key, scrubPii(value, piiKeys)])
+    );
+  }
+
+  return input;
+};
+
+// Which rule failed, from a validation message: its catalog key, never the text
+export const getErrorRule = (error) => {
+  if (error && typeof error === 'object' && error.key) return error.key;
+  if (typeof error === 'string' && /^[\w-]+(\.[\w-]+)+$/.test(error)) return error;
+  return 'custom';
+};
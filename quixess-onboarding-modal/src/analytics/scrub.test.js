@@ -0,0 +1,42 @@
+import { scrubPii, getErrorRule, REDACTED } from './scrub';
+import { msg } from '../i18n/translator';
+
+describe('scrubPii', () => {
+  it('drops personal fields at any depth', () => {
+    const scrubbed = scrubPii({
+      stepId: 'account',
+      email: 'ada@example.com',
+      password: 'Engine1843',
+      nested: { fullName: 'Ada Lovelace', username: 'countess_ada', kept: 1 },
+      list: [{ confirmPassword: 'Engine1843', companyName: 'Analytical Engines' }],
+      formData: { anything: 'at all' }
+    });
+
+    expect(scrubbed).toEqual({ stepId: 'account', nested: { kept: 1 }, list: [{}] });
+  });
+
+  it('masks email addresses inside free text', () => {
+    expect(scrubPii({ message: 'ada@example.com is taken, try ada+1@example.org' }))
+      .toEqual({ message: `${REDACTED} is taken, try ${REDACTED}` });
+  });
+
+  it('leaves numbers, booleans and null alone', () => {
+    expect(scrubPii({ status: 422, retryable: false, stepId: null })).toEqual({ status: 422, retryable: false, stepId: null });
+  });
+
+  it('takes a custom list of keys', () => {
+    expect(scrubPii({ email: 'x', phone: '555' }, ['phone'])).toEqual({ email: 'x' });
+  });
+});
+
+describe('getErrorRule', () => {
+  it('reports the message key, never the text', () => {
+    expect(getErrorRule(msg('validation.email.invalid'))).toBe('validation.email.invalid');
+    expect(getErrorRule('validation.username.sameAsEmail')).toBe('validation.username.sameAsEmail');
+  });
+
+  it('reports free-text messages as custom', () => {
+    expect(getErrorRule('ada@example.com is already registered')).toBe('custom');
+    expect(getErrorRule('Too short')).toBe('custom');
+  });
+});
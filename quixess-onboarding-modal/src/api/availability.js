@@ -0,0 +1,20 @@
+/**
+ * AVAILABILITY LOOKUP
+ * A lookup is `(field, value, { signal }) => Promise<boolean>` resolving to
+ * true when the value is still free. Any function with that shape can be
+ * injected, e.g. a local stub in tests.
+ */
+export const createFetchAvailabilityLookup = ({
+  url = '/api/availability',
+  fetchImpl = (...args) => fetch(...args)
+} = {}) => async (field, value, { signal } = {}) => {
+  const query = new URLSearchParams({ field, value });
+  const response = await fetchImpl(`${url}?${query}`, { method: 'GET', signal });
+
+  if (!response.ok) {
+    throw new Error(`Availability check failed with status ${response.status}`);
+  }
+
+  const body = await response.json();
+  return Boolean(body.available);
+};
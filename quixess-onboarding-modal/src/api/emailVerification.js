@@ -0,0 +1,62 @@
+/**
+ * EMAIL VERIFICATION
+ * A verifier is an object with two functions:
+ *
+ *   sendCode(email, { signal })         => Promise<{ resendIn?, expiresIn? }>  (seconds)
+ *   verifyCode(email, code, { signal }) => Promise<{ token }>
+ *
+ * Both reject with an EmailVerificationError whose `code` is one of
+ * invalid_code, expired_code, too_many_attempts, rate_limited (with
+ * `retryAfter` seconds) or failed. The `token` proves the address to the
+ * backend and is submitted as `emailVerificationToken`.
+ */
+
+export class EmailVerificationError extends Error {
+  constructor(message, { code = 'failed', retryAfter = null } = {}) {
+    super(message);
+    this.name = 'EmailVerificationError';
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+}
+
+const readJson = async (response) => {
+  try {
+    return await response.json();
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Default verifier: POSTs `{ email }` to `${url}/send` and
+ * `{ email, code }` to `${url}/verify`. Error responses may carry
+ * `{ message, code, retryAfter }`.
+ */
+export const createFetchEmailVerifier = ({
+  url = '/api/email-verification',
+  fetchImpl = (...args) => fetch(...args)
+} = {}) => {
+  const post = async (path, body, signal) => {
+    const response = await fetchImpl(`${url}/${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal
+    });
+    const payload = await readJson(response);
+
+    if (!response.ok) {
+      throw new EmailVerificationError(payload.message || `Email verification failed with status ${response.status}`, {
+        code: payload.code || (response.status === 429 ? 'rate_limited' : 'failed'),
+        retryAfter: payload.retryAfter ?? null
+      });
+    }
+    return payload;
+  };
+
+  return {
+    sendCode: (email, { signal } = {}) => post('send', { email }, signal),
+    verifyCode: (email, code, { signal } = {}) => post('verify', { email, code }, signal)
+  };
+};
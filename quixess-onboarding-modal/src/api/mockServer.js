@@ -0,0 +1,171 @@
+import { defaultValidationRules, validateWithRules } from '../utils/rules';
+
+/**
+ * LOCAL MOCK SERVER
+ * A `fetch`-compatible handler that fakes the onboarding API so the flow
+ * can be exercised offline and in tests:
+ *
+ *   const server = createMockOnboardingServer();
+ *   createFetchSubmitAdapter({ fetchImpl: server });
+ *   createFetchAvailabilityLookup({ fetchImpl: server });
+ *   createFetchEmailVerifier({ fetchImpl: server });
+ *
+ * Routes: POST /api/onboarding, GET /api/availability?field=&value=,
+ * GET /api/validation-rules (`validationRules`, which submissions are also
+ * checked against; see utils/rules), POST /api/analytics (a local collector;
+ * received events are kept in `server.analyticsEvents`),
+ * POST /api/email-verification/send and /verify.
+ * Verification codes are random unless `verificationCode` is given, and
+ * `onCodeSent(email, code)` stands in for the email itself.
+ */
+
+const jsonResponse = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => body
+});
+
+const abortError = () => Object.assign(new Error('The request was aborted'), { name: 'AbortError' });
+
+export const createMockOnboardingServer = ({
+  latency = 800,
+  registeredEmails = ['taken@quixess.com'],
+  registeredUsernames = ['admin', 'quixess'],
+  failNextRequests = 0,
+  verificationCode = null,
+  onCodeSent = null,
+  codeTtl = 10 * 60 * 1000,
+  resendCooldown = 30 * 1000,
+  maxCodeAttempts = 5,
+  validationRules = defaultValidationRules
+} = {}) => {
+  const registry = {
+    email: new Set(registeredEmails.map(email => email.toLowerCase())),
+    username: new Set(registeredUsernames.map(name => name.toLowerCase()))
+  };
+  let failuresLeft = failNextRequests;
+  const analyticsEvents = [];
+  // email -> { code, sentAt, attempts }
+  const verificationCodes = new Map();
+
+  const isTaken = (field, value) => Boolean(registry[field]?.has(String(value).toLowerCase()));
+
+  const handleOnboarding = (payload) => {
+    if (failuresLeft > 0) {
+      failuresLeft -= 1;
+      return jsonResponse(503, { message: 'Service temporarily unavailable' });
+    }
+
+    // Same rules the client was given, so only tampered or outdated clients hit these
+    const errors = validateWithRules(validationRules, payload);
+    if (isTaken('email', payload.email)) {
+      errors.email = 'This email is already registered';
+    }
+    if (isTaken('username', payload.username)) {
+      errors.username = 'This username is already taken';
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return jsonResponse(422, { message: 'Some details need your attention', errors });
+    }
+
+    registry.email.add(String(payload.email).toLowerCase());
+    registry.username.add(String(payload.username).toLowerCase());
+    return jsonResponse(201, { id: `user_${registry.email.size}`, username: payload.username });
+  };
+
+  const handleAvailability = (params) => {
+    const field = params.get('field');
+    if (!registry[field]) return jsonResponse(400, { message: `Unknown field "${field}"` });
+
+    return jsonResponse(200, { available: !isTaken(field, params.get('value')) });
+  };
+
+  const handleSendCode = ({ email = '' }) => {
+    const key = email.toLowerCase();
+    const previous = verificationCodes.get(key);
+    const waited = previous ? Date.now() - previous.sentAt : Infinity;
+
+    if (waited < resendCooldown) {
+      const retryAfter = Math.ceil((resendCooldown - waited) / 1000);
+      return jsonResponse(429, { message: 'Please wait before requesting another code', code: 'rate_limited', retryAfter });
+    }
+
+    const code = verificationCode || String(Math.floor(Math.random() * 1e6)).padStart(6, '0');
+    verificationCodes.set(key, { code, sentAt: Date.now(), attempts: 0 });
+    onCodeSent?.(email, code);
+    return jsonResponse(202, { resendIn: resendCooldown / 1000, expiresIn: codeTtl / 1000 });
+  };
+
+  const handleVerifyCode = ({ email = '', code }) => {
+    const entry = verificationCodes.get(email.toLowerCase());
+
+    if (!entry) {
+      return jsonResponse(400, { message: 'No code was sent to this address', code: 'expired_code' });
+    }
+    if (Date.now() - entry.sentAt > codeTtl) {
+      return jsonResponse(400, { message: 'This code has expired', code: 'expired_code' });
+    }
+    if (entry.attempts >= maxCodeAttempts) {
+      return jsonResponse(429, { message: 'Too many attempts', code: 'too_many_attempts' });
+    }
+    if (code !== entry.code) {
+      entry.attempts += 1;
+      return jsonResponse(400, { message: 'This code is incorrect', code: 'invalid_code' });
+    }
+
+    verificationCodes.delete(email.toLowerCase());
+    return jsonResponse(200, { token: `verified:${email.toLowerCase()}` });
+  };
+
+  // Submissions are JSON, or multipart when they carry a file
+  const readBody = (body) => (
+    typeof FormData !== 'undefined' && body instanceof FormData
+      ? Object.fromEntries(body.entries())
+      : JSON.parse(body || '{}')
+  );
+
+  const route = (url, method, body) => {
+    const [path, query = ''] = url.split('?');
+
+    if (method === 'POST' && path.endsWith('/onboarding')) {
+      return handleOnboarding(readBody(body));
+    }
+    if (method === 'GET' && path.endsWith('/validation-rules')) {
+      return jsonResponse(200, validationRules);
+    }
+    if (method === 'GET' && path.endsWith('/availability')) {
+      return handleAvailability(new URLSearchParams(query));
+    }
+    if (method === 'POST' && path.endsWith('/email-verification/send')) {
+      return handleSendCode(JSON.parse(body || '{}'));
+    }
+    if (method === 'POST' && path.endsWith('/email-verification/verify')) {
+      return handleVerifyCode(JSON.parse(body || '{}'));
+    }
+    if (method === 'POST' && path.endsWith('/analytics')) {
+      analyticsEvents.push(...(JSON.parse(body || '{}').events || []));
+      return jsonResponse(202, {});
+    }
+    return jsonResponse(404, { message: 'Not found' });
+  };
+
+  const server = (url, { method = 'GET', body, signal } = {}) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      resolve(route(url, method, body));
+    }, latency);
+
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(abortError());
+    }, { once: true });
+  });
+
+  server.analyticsEvents = analyticsEvents;
+  return server;
+};
@@ -0,0 +1,102 @@
+/**
+ * SUBMISSION ADAPTERS
+ * An adapter is `(formData, { signal }) => Promise<result>`.
+ * It resolves with the server response or rejects with a SubmissionError.
+ */
+
+// Error thrown by adapters; `fieldErrors` maps field names to server messages
+export class SubmissionError extends Error {
+  constructor(message, { status = null, fieldErrors = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'SubmissionError';
+    this.status = status;
+    this.fieldErrors = fieldErrors;
+    this.retryable = retryable;
+  }
+}
+
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+// Wait for `ms`, rejecting early if the signal aborts
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(signal.reason || Object.assign(new Error('Aborted'), { name: 'AbortError' }));
+  }, { once: true });
+});
+
+const readJson = async (response) => {
+  try {
+    return await response.json();
+  } catch {
+    return {};
+  }
+};
+
+const isBlob = (value) => typeof Blob !== 'undefined' && value instanceof Blob;
+
+// JSON, or multipart when a value is a file (e.g. an avatar with `output: 'blob'`);
+// in multipart, non-string values are JSON-encoded
+const toRequestBody = (formData) => {
+  if (!Object.values(formData).some(isBlob)) {
+    return { body: JSON.stringify(formData), contentType: 'application/json' };
+  }
+
+  const body = new FormData();
+  Object.entries(formData).forEach(([name, value]) => {
+    if (isBlob(value)) body.append(name, value, value.name || name);
+    else body.append(name, typeof value === 'string' ? value : JSON.stringify(value));
+  });
+  // The browser sets the multipart boundary itself
+  return { body, contentType: null };
+};
+
+/**
+ * Default adapter: POSTs the form data as JSON, or as multipart/form-data
+ * when it contains a Blob.
+ * Network failures and 5xx responses are retried with exponential backoff;
+ * 4xx responses are final and may carry `{ message, errors: { field: msg } }`.
+ */
+export const createFetchSubmitAdapter = ({
+  url = '/api/onboarding',
+  headers = {},
+  retries = 2,
+  retryDelay = 500,
+  fetchImpl = (...args) => fetch(...args)
+} = {}) => async (formData, { signal } = {}) => {
+  let attempt = 0;
+  const { body: requestBody, contentType } = toRequestBody(formData);
+
+  while (true) {
+    try {
+      const response = await fetchImpl(url, {
+        method: 'POST',
+        headers: { ...(contentType && { 'Content-Type': contentType }), ...headers },
+        body: requestBody,
+        signal
+      });
+
+      const body = await readJson(response);
+
+      if (response.ok) return body;
+
+      throw new SubmissionError(body.message || `Request failed with status ${response.status}`, {
+        status: response.status,
+        fieldErrors: body.errors || null,
+        retryable: response.status >= 500
+      });
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+
+      const submissionError = error instanceof SubmissionError
+        ? error
+        : new SubmissionError('Network error. Please check your connection.', { retryable: true });
+
+      if (!submissionError.retryable || attempt >= retries) throw submissionError;
+
+      await wait(retryDelay * 2 ** attempt, signal);
+      attempt += 1;
+    }
+  }
+};
@@ -0,0 +1,24 @@
+/**
+ * VALIDATION RULES ENDPOINT
+ * A loader is `({ signal }) => Promise<{ version, rules }>` resolving to the
+ * rule set the server validates submissions with (see utils/rules), so the
+ * client can check the same things while the user types.
+ */
+
+/**
+ * Default loader: GETs the rule set as JSON from `url`. Rejects when the
+ * request fails, so callers can keep their built-in rules.
+ */
+export const createFetchValidationRulesLoader = ({
+  url = '/api/validation-rules',
+  fetchImpl = (...args) => fetch(...args)
+} = {}) => async ({ signal } = {}) => {
+  const response = await fetchImpl(url, { method: 'GET', signal });
+
+  if (!response.ok) {
+    throw new Error(`Loading validation rules failed with status ${response.status}`);
+  }
+
+  const body = await response.json();
+  return { version: body.version ?? 1, rules: Array.isArray(body.rules) ? body.rules : [] };
+};
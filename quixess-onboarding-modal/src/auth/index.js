@@ -0,0 +1,6 @@
+export { signInWithPopup, resolveEndpoints, decodeJwtClaims, OidcError } from './oidcClient';
+export {
+  createOidcProvider, createGoogleProvider, createGitHubProvider, createSsoProvider, mapOidcProfile
+} from './providers';
+export { createMockOidcProvider } from './mockOidcProvider';
+export { createCodeVerifier, createCodeChallenge } from './pkce';
@@ -0,0 +1,120 @@
+import { createOidcProvider } from './providers';
+import { base64UrlEncode, createCodeChallenge, createRandomString } from './pkce';
+
+/**
+ * LOCAL MOCK OIDC PROVIDER
+ * A provider whose identity server runs in the page, so the sign-in step
+ * can be exercised offline and in tests:
+ *
+ *   const provider = createMockOidcProvider({ user: { name: 'Ada', email: 'ada@example.com' } });
+ *   createOnboardingSchema({ identityProviders: [provider] });
+ *
+ * Its `openWindow` returns a fake popup in which the user "approves" after
+ * `latency` ms; its `fetchImpl` serves discovery and the token endpoint,
+ * checking the PKCE verifier and issuing an unsigned (alg "none") ID token.
+ * `outcome` simulates the user: 'approve', 'deny' (access_denied) or 'close'.
+ */
+
+const jsonResponse = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => body
+});
+
+const encodeJson = (value) => base64UrlEncode(new TextEncoder().encode(JSON.stringify(value)));
+
+export const createMockOidcProvider = ({
+  id = 'mock',
+  label = 'Mock SSO',
+  issuer = 'https://idp.quixess.test',
+  clientId = 'quixess-onboarding',
+  user = { sub: 'mock-user-1', name: 'Ada Lovelace', email: 'ada@example.com' },
+  latency = 300,
+  outcome = 'approve',
+  ...options
+} = {}) => {
+  // Authorization codes waiting to be exchanged
+  const pendingCodes = new Map();
+
+  const issueIdToken = (nonce) => {
+    const now = Math.floor(Date.now() / 1000);
+    const claims = { iss: issuer, aud: clientId, iat: now, exp: now + 300, nonce, ...user };
+    return `${encodeJson({ alg: 'none', typ: 'JWT' })}.${encodeJson(claims)}.`;
+  };
+
+  const authorize = (url) => {
+    const params = new URL(url).searchParams;
+    const redirect = new URL(params.get('redirect_uri'));
+    redirect.searchParams.set('state', params.get('state'));
+
+    if (params.get('client_id') !== clientId) {
+      redirect.searchParams.set('error', 'unauthorized_client');
+    } else if (outcome === 'deny') {
+      redirect.searchParams.set('error', 'access_denied');
+    } else {
+      const code = createRandomString();
+      pendingCodes.set(code, {
+        challenge: params.get('code_challenge'),
+        nonce: params.get('nonce'),
+        redirectUri: params.get('redirect_uri')
+      });
+      redirect.searchParams.set('code', code);
+    }
+    return redirect.toString();
+  };
+
+  const exchange = async (params) => {
+    const pending = pendingCodes.get(params.get('code'));
+    pendingCodes.delete(params.get('code'));
+
+    if (!pending || pending.redirectUri !== params.get('redirect_uri')) {
+      return jsonResponse(400, { error: 'invalid_grant', error_description: 'Unknown or reused code' });
+    }
+    if (await createCodeChallenge(params.get('code_verifier') || '') !== pending.challenge) {
+      return jsonResponse(400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+    return jsonResponse(200, {
+      token_type: 'Bearer',
+      access_token: createRandomString(),
+      id_token: issueIdToken(pending.nonce),
+      expires_in: 300
+    });
+  };
+
+  const fetchImpl = async (url, { method = 'GET', body } = {}) => {
+    if (method === 'GET' && url === `${issuer}/.well-known/openid-configuration`) {
+      return jsonResponse(200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`
+      });
+    }
+    if (method === 'POST' && url === `${issuer}/token`) {
+      return exchange(new URLSearchParams(body));
+    }
+    return jsonResponse(404, { error: 'not_found' });
+  };
+
+  // A stand-in for the popup; navigating it to /authorize plays the user's part
+  const openWindow = () => {
+    const popup = {
+      closed: false,
+      location: {
+        href: 'about:blank',
+        replace: (url) => {
+          popup.location.href = url;
+          setTimeout(() => {
+            if (popup.closed) return;
+            if (outcome === 'close') popup.closed = true;
+            else popup.location.href = authorize(url);
+          }, latency);
+        }
+      },
+      close: () => { popup.closed = true; },
+      focus: () => {}
+    };
+    return popup;
+  };
+
+  return createOidcProvider({ id, label, issuer, clientId, fetchImpl, openWindow, ...options });
+};
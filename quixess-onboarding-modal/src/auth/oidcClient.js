@@ -0,0 +1,250 @@
+import {
+  base64UrlDecode, createCodeChallenge, createCodeVerifier, createRandomString
+} from './pkce';
+
+/**
+ * OIDC POPUP SIGN-IN
+ * Authorization code flow with PKCE, run in a popup so the onboarding state
+ * survives. The popup returns to `provider.redirectUri` (same origin, e.g.
+ * public/oidc-callback.html), where it is read and closed; the code is then
+ * exchanged at the token endpoint and the ID token's claims are checked
+ * (issuer, audience, expiry, nonce).
+ * The signature is NOT verified here: the backend must verify the returned
+ * `identityToken` before trusting it.
+ */
+
+// Error thrown by signInWithPopup; `code` is an OAuth error code or one of
+// popup_blocked, popup_closed, state_mismatch, invalid_token, timeout
+export class OidcError extends Error {
+  constructor(message, { code = 'failed' } = {}) {
+    super(message);
+    this.name = 'OidcError';
+    this.code = code;
+  }
+}
+
+const abortError = () => Object.assign(new Error('Sign-in was aborted'), { name: 'AbortError' });
+
+const POPUP_FEATURES = 'popup,width=500,height=650';
+
+// Clock skew tolerated when checking the ID token's expiry
+const EXPIRY_LEEWAY_MS = 60 * 1000;
+
+const readJson = async (response) => {
+  try {
+    return await response.json();
+  } catch {
+    return {};
+  }
+};
+
+// Endpoints from the provider, or from the issuer's discovery document
+const discoveryCache = new Map();
+
+export const resolveEndpoints = async (provider, { signal } = {}) => {
+  const { authorizationEndpoint, tokenEndpoint, userinfoEndpoint, issuer, fetchImpl } = provider;
+  if (authorizationEndpoint && tokenEndpoint) {
+    return { authorizationEndpoint, tokenEndpoint, userinfoEndpoint };
+  }
+  if (!issuer) {
+    throw new OidcError(`Provider "${provider.id}" needs an issuer or explicit endpoints`);
+  }
+
+  if (!discoveryCache.has(issuer)) {
+    const url = `${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+    const response = await fetchImpl(url, { method: 'GET', signal });
+    if (!response.ok) {
+      throw new OidcError(`Discovery failed with status ${response.status}`);
+    }
+    discoveryCache.set(issuer, await response.json());
+  }
+
+  const discovered = discoveryCache.get(issuer);
+  return {
+    authorizationEndpoint: authorizationEndpoint || discovered.authorization_endpoint,
+    tokenEndpoint: tokenEndpoint || discovered.token_endpoint,
+    userinfoEndpoint: userinfoEndpoint || discovered.userinfo_endpoint
+  };
+};
+
+// Claims of a JWT, without verifying its signature
+export const decodeJwtClaims = (token) => {
+  try {
+    return JSON.parse(base64UrlDecode(token.split('.')[1]));
+  } catch {
+    throw new OidcError('The ID token could not be read', { code: 'invalid_token' });
+  }
+};
+
+const checkIdTokenClaims = (claims, { provider, nonce }) => {
+  const audiences = [].concat(claims.aud);
+
+  if (provider.issuer && claims.iss !== provider.issuer) {
+    throw new OidcError('The ID token comes from an unexpected issuer', { code: 'invalid_token' });
+  }
+  if (!audiences.includes(provider.clientId)) {
+    throw new OidcError('The ID token was issued to another client', { code: 'invalid_token' });
+  }
+  if (typeof claims.exp !== 'number' || claims.exp * 1000 + EXPIRY_LEEWAY_MS < Date.now()) {
+    throw new OidcError('The ID token has expired', { code: 'invalid_token' });
+  }
+  if (claims.nonce !== nonce) {
+    throw new OidcError('The ID token does not match this sign-in', { code: 'invalid_token' });
+  }
+};
+
+// Resolve with the popup's URL once it is back on the redirect URI
+const waitForRedirect = (popup, redirectUri, { signal, pollInterval, timeout }) =>
+  new Promise((resolve, reject) => {
+    const startedAt = Date.now();
+    let timer = null;
+
+    const finish = (settle, value) => {
+      clearInterval(timer);
+      signal?.removeEventListener('abort', handleAbort);
+      popup.close();
+      settle(value);
+    };
+
+    function handleAbort() {
+      finish(reject, abortError());
+    }
+
+    timer = setInterval(() => {
+      if (popup.closed) {
+        finish(reject, new OidcError('The sign-in window was closed', { code: 'popup_closed' }));
+        return;
+      }
+      if (Date.now() - startedAt > timeout) {
+        finish(reject, new OidcError('Sign-in timed out', { code: 'timeout' }));
+        return;
+      }
+
+      let href;
+      try {
+        href = popup.location.href;
+      } catch {
+        return; // Still on the provider's origin
+      }
+      if (href && href.startsWith(redirectUri)) finish(resolve, new URL(href));
+    }, pollInterval);
+
+    signal?.addEventListener('abort', handleAbort, { once: true });
+  });
+
+const exchangeCode = async (provider, tokenEndpoint, { code, codeVerifier, signal }) => {
+  const response = await provider.fetchImpl(tokenEndpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json'
+    },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: provider.redirectUri,
+      client_id: provider.clientId,
+      code_verifier: codeVerifier
+    }).toString(),
+    signal
+  });
+
+  const body = await readJson(response);
+  if (!response.ok || body.error) {
+    throw new OidcError(body.error_description || 'The sign-in code could not be exchanged', {
+      code: body.error || 'failed'
+    });
+  }
+  return body;
+};
+
+const fetchUserinfo = async (provider, userinfoEndpoint, { accessToken, signal }) => {
+  const response = await provider.fetchImpl(userinfoEndpoint, {
+    method: 'GET',
+    headers: { Authorization: `Bearer ${accessToken}`, Accept: 'application/json' },
+    signal
+  });
+  if (!response.ok) {
+    throw new OidcError(`Profile lookup failed with status ${response.status}`);
+  }
+  return response.json();
+};
+
+/**
+ * Sign in with `provider` (see createOidcProvider) in a popup.
+ * Call it straight from the click handler: the popup opens before anything
+ * is awaited, so browsers don't block it.
+ * Resolves with `{ providerId, profile: { fullName, email }, claims,
+ * identityToken }`, where `identityToken` is the ID token (or, for plain
+ * OAuth providers without one, the access token) for the backend to verify.
+ */
+export const signInWithPopup = async (provider, {
+  signal,
+  pollInterval = 250,
+  timeout = 5 * 60 * 1000
+} = {}) => {
+  const popup = provider.openWindow('', `oidc-${provider.id}`, POPUP_FEATURES);
+  if (!popup) {
+    throw new OidcError('The sign-in window was blocked', { code: 'popup_blocked' });
+  }
+
+  try {
+    const state = createRandomString();
+    const nonce = createRandomString();
+    const codeVerifier = createCodeVerifier();
+    const [endpoints, codeChallenge] = await Promise.all([
+      resolveEndpoints(provider, { signal }),
+      createCodeChallenge(codeVerifier)
+    ]);
+    if (signal?.aborted) throw abortError();
+
+    const authorizationUrl = new URL(endpoints.authorizationEndpoint);
+    Object.entries({
+      ...provider.extraParams,
+      response_type: 'code',
+      client_id: provider.clientId,
+      redirect_uri: provider.redirectUri,
+      scope: provider.scope,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    }).forEach(([name, value]) => authorizationUrl.searchParams.set(name, value));
+
+    popup.location.replace(authorizationUrl.toString());
+    const redirect = await waitForRedirect(popup, provider.redirectUri, { signal, pollInterval, timeout });
+    const params = redirect.searchParams;
+
+    if (params.get('state') !== state) {
+      throw new OidcError('The sign-in response does not match this request', { code: 'state_mismatch' });
+    }
+    if (params.get('error')) {
+      throw new OidcError(params.get('error_description') || 'Sign-in failed', { code: params.get('error') });
+    }
+
+    const tokens = await exchangeCode(provider, endpoints.tokenEndpoint, {
+      code: params.get('code'), codeVerifier, signal
+    });
+
+    // Plain OAuth providers (e.g. GitHub) have no ID token; their profile comes from userinfo
+    let claims;
+    if (tokens.id_token) {
+      claims = decodeJwtClaims(tokens.id_token);
+      checkIdTokenClaims(claims, { provider, nonce });
+    } else if (endpoints.userinfoEndpoint && tokens.access_token) {
+      claims = await fetchUserinfo(provider, endpoints.userinfoEndpoint, { accessToken: tokens.access_token, signal });
+    } else {
+      throw new OidcError('The provider returned neither an ID token nor a profile', { code: 'invalid_token' });
+    }
+
+    return {
+      providerId: provider.id,
+      profile: provider.mapProfile(claims),
+      claims,
+      identityToken: tokens.id_token || tokens.access_token
+    };
+  } catch (error) {
+    if (!popup.closed) popup.close();
+    throw error;
+  }
+};
@@ -0,0 +1,73 @@
+import { signInWithPopup } from './oidcClient';
+import { createMockOidcProvider } from './mockOidcProvider';
+import { createGitHubProvider } from './providers';
+
+const options = { pollInterval: 5 };
+
+describe('signInWithPopup', () => {
+  it('runs the PKCE code flow and returns the profile from the ID token', async () => {
+    const provider = createMockOidcProvider({ latency: 0 });
+    const fetchImpl = jest.fn(provider.fetchImpl);
+
+    const result = await signInWithPopup({ ...provider, fetchImpl }, options);
+
+    expect(result).toMatchObject({
+      providerId: 'mock',
+      profile: { fullName: 'Ada Lovelace', email: 'ada@example.com' },
+      claims: { iss: 'https://idp.quixess.test', aud: 'quixess-onboarding', sub: 'mock-user-1' }
+    });
+    expect(result.identityToken).toEqual(expect.any(String));
+
+    const [tokenUrl, { body }] = fetchImpl.mock.calls.find(([, init]) => init.method === 'POST');
+    expect(tokenUrl).toBe('https://idp.quixess.test/token');
+    expect(new URLSearchParams(body).get('code_verifier')).toMatch(/^[\w-]{43}$/);
+  });
+
+  it('fails when the popup is blocked', async () => {
+    const provider = { ...createMockOidcProvider(), openWindow: () => null };
+
+    await expect(signInWithPopup(provider, options)).rejects.toMatchObject({ code: 'popup_blocked' });
+  });
+
+  it.each([
+    ['deny', 'access_denied'],
+    ['close', 'popup_closed']
+  ])('reports a user who chooses to %s', async (outcome, code) => {
+    const provider = createMockOidcProvider({ latency: 0, outcome });
+
+    await expect(signInWithPopup(provider, options)).rejects.toMatchObject({ name: 'OidcError', code });
+  });
+
+  it('rejects an ID token from another issuer', async () => {
+    const provider = {
+      ...createMockOidcProvider({ latency: 0 }),
+      issuer: 'https://other-idp.test',
+      authorizationEndpoint: 'https://idp.quixess.test/authorize',
+      tokenEndpoint: 'https://idp.quixess.test/token'
+    };
+
+    await expect(signInWithPopup(provider, options)).rejects.toMatchObject({ code: 'invalid_token' });
+  });
+
+  it('closes the popup when aborted', async () => {
+    const provider = createMockOidcProvider({ latency: 1000 });
+    let popup;
+    const openWindow = (...args) => { popup = provider.openWindow(...args); return popup; };
+    const controller = new AbortController();
+
+    const signIn = signInWithPopup({ ...provider, openWindow }, { ...options, signal: controller.signal });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    controller.abort();
+
+    await expect(signIn).rejects.toMatchObject({ name: 'AbortError' });
+    expect(popup.closed).toBe(true);
+  });
+});
+
+describe('providers', () => {
+  it('requires a backend token endpoint for GitHub', () => {
+    expect(() => createGitHubProvider({ clientId: 'abc' })).toThrow(/tokenEndpoint/);
+    expect(createGitHubProvider({ clientId: 'abc', tokenEndpoint: '/api/oauth/github' }))
+      .toMatchObject({ id: 'github', userinfoEndpoint: 'https://api.github.com/user' });
+  });
+});
@@ -0,0 +1,30 @@
+/**
+ * PKCE HELPERS
+ * Proof Key for Code Exchange (RFC 7636) with the S256 method, plus the
+ * random `state` and `nonce` values an OIDC authorization request needs.
+ * Uses Web Crypto, so it runs in browsers and modern Node alike.
+ */
+
+// base64url without padding, as PKCE and JWTs use it
+export const base64UrlEncode = (bytes) =>
+  btoa(String.fromCharCode(...new Uint8Array(bytes)))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+
+export const base64UrlDecode = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '='));
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+};
+
+// 32 random bytes give a 43-character value, the shortest verifier RFC 7636 allows
+export const createRandomString = (byteLength = 32) =>
+  base64UrlEncode(crypto.getRandomValues(new Uint8Array(byteLength)));
+
+export const createCodeVerifier = () => createRandomString(32);
+
+export const createCodeChallenge = async (verifier) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+  return base64UrlEncode(digest);
+};
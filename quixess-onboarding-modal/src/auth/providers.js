@@ -0,0 +1,87 @@
+/**
+ * IDENTITY PROVIDERS
+ * A provider is a plain config object consumed by signInWithPopup:
+ *
+ *   { id, label, icon?, issuer?, clientId, scope, redirectUri,
+ *     authorizationEndpoint?, tokenEndpoint?, userinfoEndpoint?,   // else discovered from `issuer`
+ *     extraParams, mapProfile(claims) => { fullName, email },
+ *     fetchImpl, openWindow }                                      // injectable, e.g. for tests
+ *
+ * Any OIDC provider works through createOidcProvider; the helpers below
+ * fill in the well-known endpoints. Providers that require a client secret
+ * at the token endpoint (Google web clients, GitHub) need `tokenEndpoint`
+ * pointed at your backend, which adds the secret and forwards the exchange.
+ */
+
+const defaultRedirectUri = () =>
+  (typeof window !== 'undefined' ? `${window.location.origin}/oidc-callback.html` : undefined);
+
+// Standard OIDC claims to the onboarding fields
+export const mapOidcProfile = ({ name, given_name: givenName, family_name: familyName, email }) => ({
+  fullName: name || [givenName, familyName].filter(Boolean).join(' '),
+  email: email || ''
+});
+
+export const createOidcProvider = ({
+  id,
+  label = id,
+  icon = null,
+  issuer = null,
+  clientId,
+  scope = 'openid profile email',
+  redirectUri = defaultRedirectUri(),
+  authorizationEndpoint,
+  tokenEndpoint,
+  userinfoEndpoint,
+  extraParams = {},
+  mapProfile = mapOidcProfile,
+  fetchImpl = (...args) => fetch(...args),
+  openWindow = (...args) => window.open(...args)
+}) => {
+  if (!id || !clientId) {
+    throw new Error('createOidcProvider: `id` and `clientId` are required');
+  }
+
+  return {
+    id, label, icon, issuer, clientId, scope, redirectUri,
+    authorizationEndpoint, tokenEndpoint, userinfoEndpoint,
+    extraParams, mapProfile, fetchImpl, openWindow
+  };
+};
+
+export const createGoogleProvider = (options) => createOidcProvider({
+  id: 'google',
+  label: 'Google',
+  issuer: 'https://accounts.google.com',
+  authorizationEndpoint: 'https://accounts.google.com/o/oauth2/v2/auth',
+  tokenEndpoint: 'https://oauth2.googleapis.com/token',
+  extraParams: { prompt: 'select_account' },
+  ...options
+});
+
+// GitHub is plain OAuth: no ID token, so the profile comes from its user API.
+// Its token endpoint doesn't allow browser requests, so `tokenEndpoint` is required.
+export const createGitHubProvider = ({ tokenEndpoint, ...options }) => {
+  if (!tokenEndpoint) {
+    throw new Error('createGitHubProvider: `tokenEndpoint` must point at your backend');
+  }
+
+  return createOidcProvider({
+    id: 'github',
+    label: 'GitHub',
+    scope: 'read:user user:email',
+    authorizationEndpoint: 'https://github.com/login/oauth/authorize',
+    tokenEndpoint,
+    userinfoEndpoint: 'https://api.github.com/user',
+    mapProfile: ({ name, login, email }) => ({ fullName: name || login || '', email: email || '' }),
+    ...options
+  });
+};
+
+// Company single sign-on: any OIDC issuer, endpoints found through discovery
+export const createSsoProvider = ({ issuer, ...options }) => createOidcProvider({
+  id: 'sso',
+  label: 'SSO',
+  issuer,
+  ...options
+});
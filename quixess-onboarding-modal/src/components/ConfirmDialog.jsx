@@ -0,0 +1,60 @@
+import { useRef } from 'react';
+import Button from './Button';
+import { useFocusTrap } from '../hooks/useFocusTrap';
+
+// Themed confirmation stacked above the onboarding dialog. Focus starts on
+// the cancel button so a stray Enter never throws work away.
+const ConfirmDialog = ({
+  title, message, confirmLabel, cancelLabel, onConfirm, onCancel
+}) => {
+  const dialogRef = useRef(null);
+  useFocusTrap(dialogRef, true, { initialFocus: '[data-autofocus]' });
+
+  const handleKeyDown = (e) => {
+    if (e.key !== 'Escape') return;
+
+    // Handled here, so the onboarding dialog doesn't close underneath
+    e.preventDefault();
+    onCancel();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center p-4 z-[60]">
+      <div
+        ref={dialogRef}
+        className="w-full max-w-sm rounded-xl shadow-2xl p-6 animate-fadeIn focus:outline-none bg-surface text-content"
+        role="alertdialog"
+        aria-modal="true"
+        aria-labelledby="confirm-dialog-title"
+        aria-describedby={message ? 'confirm-dialog-message' : undefined}
+        tabIndex={-1}
+        onKeyDown={handleKeyDown}
+      >
+        <h2 id="confirm-dialog-title" className="text-lg font-semibold">{title}</h2>
+        {message && (
+          <p
+            id="confirm-dialog-message"
+            className="mt-2 text-sm text-content-muted"
+          >
+            {message}
+          </p>
+        )}
+        <div className="mt-6 flex justify-end gap-3">
+          <Button
+            onClick={onCancel}
+            variant="secondary"
+            className="!px-4 !py-2"
+            data-autofocus
+          >
+            {cancelLabel}
+          </Button>
+          <Button onClick={onConfirm} className="!px-4 !py-2">
+            {confirmLabel}
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConfirmDialog;
@@ -0,0 +1,189 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import Button from './Button';
+import OtpInput from './OtpInput';
+import { useI18n } from '../i18n';
+import { isAbortError } from '../api/submitAdapters';
+
+const CODE_LENGTH = 6;
+
+// Resend cooldown when the backend doesn't say
+const DEFAULT_RESEND_SECONDS = 30;
+
+const errorMessageKeys = {
+  invalid_code: 'verifyEmail.errors.invalid',
+  expired_code: 'verifyEmail.errors.expired',
+  too_many_attempts: 'verifyEmail.errors.tooManyAttempts'
+};
+
+/**
+ * EMAIL VERIFICATION STEP
+ * Custom step renderer: sends a one-time code to `data.email` through
+ * `step.verifier` (see api/emailVerification) on arrival, then checks the
+ * code as soon as all six digits are in and moves on. A verified address is
+ * stored in `verifiedEmail`; the schema only accepts it while it still
+ * equals `email`, so editing the email later asks for a new code.
+ */
+const EmailVerificationStep = ({ step, data, onChange, errors, onNext }) => {
+  const { t } = useI18n();
+  const { verifier } = step;
+  const email = data.email;
+  const isVerified = Boolean(data.verifiedEmail) && data.verifiedEmail === email;
+
+  const [status, setStatus] = useState('idle'); // idle | sending | sent | verifying
+  const [error, setError] = useState(null);
+  const [resendAt, setResendAt] = useState(0);
+  const [now, setNow] = useState(() => Date.now());
+  const [attempt, setAttempt] = useState(0); // remounts (clears) the code input
+  const [hasJustVerified, setHasJustVerified] = useState(false);
+  const controllerRef = useRef(null);
+  const sentToRef = useRef(null);
+
+  const startRequest = () => {
+    controllerRef.current?.abort();
+    controllerRef.current = new AbortController();
+    return controllerRef.current.signal;
+  };
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const sendCode = useCallback(async () => {
+    const signal = startRequest();
+    setStatus('sending');
+    setError(null);
+
+    try {
+      const { resendIn = DEFAULT_RESEND_SECONDS } = await verifier.sendCode(email, { signal });
+      setResendAt(Date.now() + resendIn * 1000);
+      setStatus('sent');
+    } catch (sendError) {
+      if (isAbortError(sendError)) return;
+
+      // A recent code is still valid; only the resend has to wait
+      if (sendError.code === 'rate_limited') {
+        setResendAt(Date.now() + (sendError.retryAfter ?? DEFAULT_RESEND_SECONDS) * 1000);
+        setStatus('sent');
+        return;
+      }
+      console.error('Sending the verification code failed:', sendError);
+      setError('verifyEmail.errors.sendFailed');
+      setStatus('idle');
+    }
+    setNow(Date.now());
+  }, [verifier, email]);
+
+  // Send a code on arrival, once per address
+  useEffect(() => {
+    if (isVerified || !email || sentToRef.current === email) return;
+    sentToRef.current = email;
+    sendCode();
+  }, [isVerified, email, sendCode]);
+
+  // Tick the resend countdown
+  useEffect(() => {
+    if (resendAt <= now) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [resendAt, now]);
+
+  const verifyCode = async (code) => {
+    const signal = startRequest();
+    setStatus('verifying');
+    setError(null);
+
+    try {
+      const { token } = await verifier.verifyCode(email, code, { signal });
+      onChange('verifiedEmail', email);
+      onChange('emailVerificationToken', token || '');
+      setHasJustVerified(true);
+    } catch (verifyError) {
+      if (isAbortError(verifyError)) return;
+
+      const messageKey = errorMessageKeys[verifyError.code];
+      if (!messageKey) console.error('Verifying the code failed:', verifyError);
+      setError(messageKey || 'verifyEmail.errors.failed');
+      setAttempt(n => n + 1);
+      setStatus('sent');
+    }
+  };
+
+  // Advance once the verified address has reached the form state
+  useEffect(() => {
+    if (!hasJustVerified || !isVerified) return;
+    setHasJustVerified(false);
+    onNext?.();
+  }, [hasJustVerified, isVerified, onNext]);
+
+  const secondsUntilResend = Math.max(0, Math.ceil((resendAt - now) / 1000));
+  const message = error ? t(error) : errors.verifiedEmail ? t(errors.verifiedEmail) : null;
+
+  return (
+    <div className="space-y-6">
+      <div className="text-center mb-8">
+        <h2
+          className="text-2xl font-bold mb-2 transition-colors focus:outline-none text-content"
+          tabIndex={-1}
+          data-step-heading
+        >
+          {t(step.heading || step.title)}
+        </h2>
+        {step.description && (
+          <p className="transition-colors text-content-muted">
+            {t(step.description)}
+          </p>
+        )}
+      </div>
+
+      {isVerified ? (
+        <p className="rounded-lg border p-4 text-center font-medium border-green-300 bg-green-50 text-gray-800 dark:border-green-500 dark:bg-gray-700 dark:text-gray-100">
+          {t('verifyEmail.verified', { email })}
+        </p>
+      ) : (
+        <div className="space-y-4">
+          <p id="verify-email-status" className="text-center text-sm text-content-secondary" role="status">
+            {status === 'sending'
+              ? t('verifyEmail.sending', { email })
+              : status === 'verifying'
+              ? t('verifyEmail.verifying')
+              : status === 'sent'
+              ? t('verifyEmail.sentTo', { email })
+              : null}
+          </p>
+
+          <p id="verify-email-label" className="sr-only">{t('verifyEmail.codeLabel')}</p>
+          <OtpInput
+            key={attempt}
+            length={CODE_LENGTH}
+            onComplete={verifyCode}
+            disabled={status === 'verifying'}
+            invalid={!!message}
+            autoFocus={attempt > 0}
+            labelledBy="verify-email-label"
+            describedBy={message ? 'verify-email-error' : 'verify-email-status'}
+          />
+
+          {/* Code check failures are announced; the schema's own error comes with the dialog's summary */}
+          {message && (
+            <p id="verify-email-error" className="text-sm text-center text-red-600" role={error ? 'alert' : undefined}>
+              {message}
+            </p>
+          )}
+
+          <div className="text-center">
+            <Button
+              onClick={sendCode}
+              disabled={secondsUntilResend > 0 || status === 'sending' || status === 'verifying'}
+              variant="secondary"
+              className="!px-4 !py-2"
+            >
+              {secondsUntilResend > 0
+                ? t('verifyEmail.resendIn', { count: secondsUntilResend })
+                : t('verifyEmail.resend')}
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EmailVerificationStep;
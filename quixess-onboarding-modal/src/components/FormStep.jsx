@@ -0,0 +1,67 @@
+import { fieldComponents } from './fields';
+import { useI18n } from '../i18n';
+
+/**
+ * SCHEMA-DRIVEN STEP
+ * Renders a step heading plus one input per field declared in the schema.
+ * The heading carries `data-step-heading` so the dialog can focus it on step
+ * change; custom step components should mark their heading the same way.
+ * `onBlur(name)` fires when focus leaves a field (all of its inputs), which
+ * is when the form starts showing that field's 'blur' errors.
+ */
+const FormStep = ({ step, data, onChange, onBlur, errors, validating = {} }) => {
+  const { t } = useI18n();
+
+  return (
+    <div className="space-y-6">
+      <div className="text-center mb-8">
+        <h2
+          className="text-2xl font-bold mb-2 transition-colors focus:outline-none text-content"
+          tabIndex={-1}
+          data-step-heading
+        >
+          {t(step.heading || step.title)}
+        </h2>
+        {step.description && (
+          <p className="transition-colors text-content-muted">
+            {t(step.description)}
+          </p>
+        )}
+      </div>
+
+      <div className="space-y-4">
+        {step.fields.map((field) => {
+          if (field.type === 'hidden') return null;
+
+          const FieldComponent = field.component || fieldComponents[field.type];
+
+          if (!FieldComponent) {
+            console.warn(`OnboardingModal: no renderer for field type "${field.type}"`);
+            return null;
+          }
+
+          return (
+            <div
+              key={field.name}
+              onBlur={(e) => {
+                // Moving between a field's own inputs (e.g. a code's boxes) doesn't count
+                if (!e.currentTarget.contains(e.relatedTarget)) onBlur?.(field.name);
+              }}
+            >
+              <FieldComponent
+                field={field}
+                value={data[field.name]}
+                values={data}
+                onChange={(value) => onChange(field.name, value)}
+                error={errors[field.name]}
+                isValidating={!!validating[field.name]}
+              />
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default FormStep;
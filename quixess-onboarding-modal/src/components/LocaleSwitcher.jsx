@@ -0,0 +1,28 @@
+import { useI18n, localeNames } from '../i18n';
+
+// Compact language picker; renders nothing without an I18nProvider to switch
+const LocaleSwitcher = ({ className = '' }) => {
+  const { t, locale, locales, setLocale } = useI18n();
+
+  if (!setLocale || locales.length < 2) return null;
+
+  return (
+    <label className={`flex items-center gap-2 text-sm ${className}`}>
+      <span className="sr-only">{t('modal.language')}</span>
+      <span aria-hidden="true">🌐</span>
+      <select
+        value={locale}
+        onChange={(e) => setLocale(e.target.value)}
+        className="bg-white bg-opacity-10 text-white rounded-md px-2 py-1 border border-white border-opacity-30 focus:outline-none focus:ring-2 focus:ring-white"
+      >
+        {locales.map(code => (
+          <option key={code} value={code} className="text-gray-900">
+            {localeNames[code] || code}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default LocaleSwitcher;
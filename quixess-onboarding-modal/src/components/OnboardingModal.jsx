@@ -1,755 +1,532 @@
-import { useState, useCallback, useMemo, useEffect } from 'react';
+import {
+  forwardRef, useState, useCallback, useEffect, useImperativeHandle, useMemo, useRef
+} from 'react';
+import { createPortal } from 'react-dom';
+import Button from './Button';
+import StepIndicator, { STEP_PANEL_ID, getStepTabId } from './StepIndicator';
+import StepSummary from './StepSummary';
+import StepTransition from './StepTransition';
+import FormStep from './FormStep';
+import ResumeDraftBanner from './ResumeDraftBanner';
+import LocaleSwitcher from './LocaleSwitcher';
+import ConfirmDialog from './ConfirmDialog';
+import ToastViewport from './ToastViewport';
+import { getLayout } from './onboardingLayouts';
+import { useOnboardingForm } from '../hooks/useOnboardingForm';
+import { useFocusTrap, focusElement } from '../hooks/useFocusTrap';
+import { useLiveAnnouncer } from '../hooks/useLiveAnnouncer';
+import { useConfirm } from '../hooks/useConfirm';
+import { useToasts } from '../hooks/useToasts';
+import { useOnboardingAnalytics } from '../hooks/useOnboardingAnalytics';
+import { useBodyScrollLock } from '../hooks/useBodyScrollLock';
+import { defaultOnboardingSchema } from '../schema/onboardingSchema';
+import { getPersistableValues } from '../persistence/draftStorage';
+import { useI18n } from '../i18n';
+import { useTheme, resolveTheme, isThemePreference } from '../theme';
+
+const nonTextInputTypes = ['checkbox', 'radio', 'button', 'submit', 'reset', 'file', 'range', 'color'];
+
+// Elements with the browser's own undo: text inputs, textareas and contenteditable
+const isTextEntry = (element) =>
+  element.tagName === 'TEXTAREA'
+  || element.isContentEditable
+  || (element.tagName === 'INPUT' && !nonTextInputTypes.includes(element.type));
+
+// Controls whose own Left/Right behaviour must win over step navigation
+const handlesArrowKeys = (element) =>
+  ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName)
+  || element.isContentEditable
+  || Boolean(element.closest?.('[role="combobox"], [role="listbox"]'));
 
 /**
- * VALIDATION UTILITIES
- * Centralized validation logic for all form fields
+ * MAIN ONBOARDING MODAL COMPONENT
+ * Orchestrates the entire multi-step onboarding process. Headless: it brings
+ * no trigger (see OnboardingTrigger).
+ * `layout` frames the flow (see onboardingLayouts): 'modal' (default) and
+ * 'drawer' render through a portal into document.body as a modal dialog that
+ * locks page scroll; 'page' and 'inline' render in place.
+ * Steps slide in the direction of travel (see StepTransition); motion and the
+ * theme fade are scoped to `.onboarding-root` and honour reduced motion.
+ * Open state is controlled with `isOpen` + `onOpenChange(open)`, or left to
+ * the component (`defaultOpen`, which is true for in-place layouts). The ref exposes `open()`, `close()`,
+ * `goTo(stepNumberOrId)` (guarded like the step tabs) and `reset()`.
+ * `initialValues` prefills fields; `onComplete(response)` runs after a
+ * successful submit and `onStepChange({ step, stepId, totalSteps })` on
+ * every step change.
+ * `onSubmit(formData, { signal })` returns a promise; defaults to a fetch POST
+ * to /api/onboarding (see api/submitAdapters).
+ * `persistence: { adapter, key? }` enables draft saving and "resume where you left off".
+ * Ctrl+Z / Ctrl+Shift+Z (⌘ on macOS) undo and redo answers while focus is
+ * outside a text field, where the browser's own undo applies.
+ * Text comes from the nearest I18nProvider (English without one).
+ * The theme chosen on the Preferences step previews live inside the modal;
+ * under a ThemeProvider it becomes the app-wide (and persisted) preference
+ * once onboarding is submitted, so cancelling leaves the page as it was.
+ * Confirmations and result messages use the built-in dialog and toasts; hosts
+ * can supply their own `confirm({ title, message, confirmLabel, cancelLabel })`
+ * returning a boolean (or a promise of one) and `notify({ type, message })`.
+ * `onEvent(event)` receives funnel analytics (opened, step_viewed,
+ * step_completed, validation_failed, abandoned, submitted, submit_failed),
+ * already scrubbed of PII; see analytics/ for a batching sink.
  */
-const validation = {
-  validateEmail: (email) => {
-    if (!email.trim()) return 'Email is required';
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email) ? null : 'Please enter a valid email address';
-  },
-
-  validateFullName: (name) => {
-    if (!name.trim()) return 'Full name is required';
-    if (name.trim().length < 2) return 'Name must be at least 2 characters';
-    return null;
-  },
-
-  validateUsername: (username) => {
-    if (!username.trim()) return 'Username is required';
-    if (username.length < 3) return 'Username must be at least 3 characters';
-    if (!/^[a-zA-Z0-9_]+$/.test(username)) {
-      return 'Username can only contain letters, numbers, and underscores';
-    }
-    return null;
-  },
+const OnboardingModal = forwardRef(function OnboardingModal({
+  schema = defaultOnboardingSchema,
+  onSubmit,
+  persistence,
+  confirm,
+  notify,
+  onEvent,
+  layout,
+  isOpen: isOpenProp,
+  defaultOpen,
+  onOpenChange,
+  initialValues: prefill,
+  onComplete,
+  onStepChange
+}, ref) {
+  const layoutConfig = useMemo(() => getLayout(layout), [layout]);
+  const { isOverlay } = layoutConfig;
+
+  // Controlled when `isOpen` is passed, otherwise the component owns it
+  const isControlled = isOpenProp !== undefined;
+  const [uncontrolledOpen, setUncontrolledOpen] = useState(defaultOpen ?? !isOverlay);
+  const isOpen = isControlled ? isOpenProp : uncontrolledOpen;
+
+  const setIsOpen = useCallback((next) => {
+    if (!isControlled) setUncontrolledOpen(next);
+    onOpenChange?.(next);
+  }, [isControlled, onOpenChange]);
+
+  const { t, locale, dir } = useI18n();
+  const isRTL = dir === 'rtl';
+
+  // Focus management: overlays trap focus inside and restore it to the trigger on close
+  const dialogRef = useRef(null);
+  const previousStepRef = useRef(1);
+  const [invalidFocusRequest, setInvalidFocusRequest] = useState(0);
+  const [announcement, announce] = useLiveAnnouncer();
+
+  useFocusTrap(dialogRef, isOpen && isOverlay, { initialFocus: '[data-step-heading]' });
+  useBodyScrollLock(isOpen && isOverlay);
+
+  // Built-in confirmation dialog and toasts, unless the host provides its own
+  const { request: confirmRequest, confirm: confirmInApp, settle: settleConfirm } = useConfirm();
+  const { toasts, notify: notifyInApp, dismiss: dismissToast } = useToasts();
+  const confirmAction = confirm || confirmInApp;
+  const showNotification = notify || notifyInApp;
+  const isConfirmingRef = useRef(false);
+  
+  // Custom hook handles all form logic
+  const {
+    steps, formData, errors, currentStep, stepStatuses, isSubmitting, submitError,
+    validating, isValidatingStep, isPersistenceEnabled, draft, isDirty, dirtyFields,
+    updateField, touchField, undo, redo, goToNextStep, goToPreviousStep, goToStep,
+    submitForm, cancelSubmit, resetForm,
+    loadDraft, resumeDraft, discardDraft
+  } = useOnboardingForm(schema, { onSubmit, persistence, initialValues: prefill });
 
-  validatePassword: (password) => {
-    if (!password.trim()) return 'Password is required';
-    if (password.length < 6) return 'Password must be at least 6 characters';
-    return null;
-  },
+  const {
+    trackStepCompleted, trackValidationFailed, trackSubmitted, trackSubmitFailed
+  } = useOnboardingAnalytics({ onEvent, isOpen, steps, currentStep });
 
-  validateTheme: (theme) => {
-    if (!theme) return 'Please select a theme';
-    return null;
-  }
-};
+  // Theme system. The preferences step previews its choice on the modal's own
+  // subtree; the page keeps its theme, and a ThemeProvider its saved
+  // preference, until onboarding is submitted (see handleSubmit)
+  const { isDark, setPreference } = useTheme();
+  const themeClassName = isThemePreference(formData.theme)
+    ? resolveTheme(formData.theme)
+    : isDark ? 'dark' : '';
 
-/**
- * CUSTOM HOOK: useOnboardingForm
- * Encapsulates all form state management and business logic
- */
-const useOnboardingForm = () => {
-  const [formData, setFormData] = useState({
-    fullName: '',
-    email: '',
-    username: '',
-    password: '',
-    theme: '',
-    newsletter: false
-  });
-  
-  const [errors, setErrors] = useState({});
-  const [currentStep, setCurrentStep] = useState(1);
-  const [isSubmitting, setIsSubmitting] = useState(false);
+  // Every opening starts fresh (plus any saved draft); closing cancels work in flight.
+  // Runs on the open state itself, so it covers props, the ref API and the UI alike.
+  const wasOpenRef = useRef(false);
 
-  // Update form field and clear related errors
-  const updateField = useCallback((field, value) => {
-    setFormData(prev => ({ ...prev, [field]: value }));
+  useEffect(() => {
+    if (isOpen === wasOpenRef.current) return;
+    wasOpenRef.current = isOpen;
+
+    resetForm();
+    if (isOpen) loadDraft();
+  }, [isOpen, resetForm, loadDraft]);
+
+  // Answers that closing would lose. A draft keeps the rest, but never
+  // passwords or `persist: false` fields such as the consents.
+  const hasUnsavedAnswers = useMemo(() => {
+    if (!isPersistenceEnabled) return isDirty;
+
+    const saved = getPersistableValues(schema.steps, dirtyFields);
+    return Object.keys(dirtyFields).some(name => !(name in saved));
+  }, [schema, isDirty, dirtyFields, isPersistenceEnabled]);
+
+  // Modal handlers
+  const handleCloseModal = useCallback(async () => {
+    if (isConfirmingRef.current) return;
+
+    if (hasUnsavedAnswers) {
+      isConfirmingRef.current = true;
+      try {
+        const confirmed = await confirmAction({
+          title: t('modal.confirmClose'),
+          message: t('modal.confirmCloseBody'),
+          confirmLabel: t('modal.confirmCloseAction'),
+          cancelLabel: t('modal.keepEditing')
+        });
+        if (!confirmed) return;
+      } finally {
+        isConfirmingRef.current = false;
+      }
+    }
     
-    if (errors[field]) {
-      setErrors(prev => ({ ...prev, [field]: null }));
+    setIsOpen(false);
+  }, [hasUnsavedAnswers, setIsOpen, confirmAction, t]);
+
+  // Move focus to the first invalid field once the errors have rendered
+  const requestInvalidFocus = useCallback(() => setInvalidFocusRequest(n => n + 1), []);
+
+  const handleNext = useCallback(async () => {
+    const leaving = steps[currentStep - 1];
+    const advanced = await goToNextStep();
+
+    if (advanced) trackStepCompleted(leaving, currentStep);
+    else requestInvalidFocus();
+  }, [steps, currentStep, goToNextStep, trackStepCompleted, requestInvalidFocus]);
+
+  const handleSelectStep = useCallback(async (target) => {
+    const path = steps;
+    const from = currentStep;
+    const moved = await goToStep(target);
+
+    if (!moved) {
+      requestInvalidFocus();
+    } else if (target > from) {
+      // A forward jump validated every step it skipped over
+      for (let number = from; number < target; number += 1) trackStepCompleted(path[number - 1], number);
     }
-  }, [errors]);
+    return moved;
+  }, [steps, currentStep, goToStep, trackStepCompleted, requestInvalidFocus]);
 
-  // Validate current step
-  const validateStep = useCallback((step) => {
-    const newErrors = {};
+  const handleSubmit = useCallback(async () => {
+    announce(t('a11y.submitting'));
+    const result = await submitForm();
     
-    switch (step) {
-      case 1:
-        newErrors.fullName = validation.validateFullName(formData.fullName);
-        newErrors.email = validation.validateEmail(formData.email);
-        break;
-      case 2:
-        newErrors.username = validation.validateUsername(formData.username);
-        newErrors.password = validation.validatePassword(formData.password);
-        break;
-      case 3:
-        newErrors.theme = validation.validateTheme(formData.theme);
-        break;
+    if (result.status === 'invalid' || (result.status === 'failed' && result.step)) {
+      requestInvalidFocus();
     }
-    
-    const filteredErrors = Object.fromEntries(
-      Object.entries(newErrors).filter(([, error]) => error !== null)
-    );
-    
-    setErrors(filteredErrors);
-    return Object.keys(filteredErrors).length === 0;
-  }, [formData]);
-
-  // Navigation methods
-  const goToNextStep = useCallback(() => {
-    if (validateStep(currentStep)) {
-      setCurrentStep(prev => Math.min(prev + 1, 3));
+
+    if (result.status === 'success') {
+      if (setPreference && isThemePreference(formData.theme)) setPreference(formData.theme);
+      trackStepCompleted(steps[steps.length - 1], steps.length);
+      trackSubmitted();
+      showNotification({ type: 'success', message: t('submit.success') });
+      onComplete?.(result.data);
+      setIsOpen(false);
+    } else if (result.status === 'failed') {
+      trackSubmitFailed(result.error);
+
+      // Field errors are shown inline on their step; anything else gets a notification
+      if (!result.step) {
+        showNotification({
+          type: 'error',
+          message: t('submit.failure', { message: t(result.error.message || 'submit.genericError') })
+        });
+      }
     }
-  }, [currentStep, validateStep]);
+  }, [
+    steps, formData.theme, setPreference, submitForm, setIsOpen, requestInvalidFocus, announce,
+    showNotification, onComplete, trackStepCompleted, trackSubmitted, trackSubmitFailed, t
+  ]);
+
+  // Imperative API for hosts that drive the dialog from their own UI
+  useImperativeHandle(ref, () => ({
+    open: () => setIsOpen(true),
+    close: handleCloseModal,
+    goTo: (step) => {
+      const number = typeof step === 'number' ? step : steps.findIndex(({ id }) => id === step) + 1;
+      return number > 0 ? handleSelectStep(number) : Promise.resolve(false);
+    },
+    reset: resetForm
+  }), [steps, setIsOpen, handleCloseModal, handleSelectStep, resetForm]);
 
-  const goToPreviousStep = useCallback(() => {
-    setCurrentStep(prev => Math.max(prev - 1, 1));
-    setErrors({});
-  }, []);
+  const fieldLabels = useMemo(() => Object.fromEntries(
+    schema.steps.flatMap(step => step.fields.map(field => [field.name, field.label]))
+  ), [schema]);
 
-  // Form submission
-  const submitForm = useCallback(async () => {
-    if (!validateStep(3)) return false;
-    
-    setIsSubmitting(true);
+  // Keyboard navigation for accessibility. In-place layouts share the page,
+  // so they only handle keys pressed inside them and leave Escape alone.
+  const handleKeyDown = useCallback((e) => {
+    if (!isOpen || e.defaultPrevented || isConfirmingRef.current) return;
+    if (!isOverlay && !dialogRef.current?.contains(e.target)) return;
+
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z' && !isTextEntry(e.target)) {
+      const change = e.shiftKey ? redo() : undo();
+      if (!change) return;
+
+      e.preventDefault();
+      announce(t(e.shiftKey ? 'history.redone' : 'history.undone', {
+        field: fieldLabels[change.name] || change.name
+      }));
+      return;
+    }
+
+    if (e.key === 'Escape' && isOverlay) handleCloseModal();
     
-    try {
-      // Simulate API call - replace with actual submission
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      return true;
-    } catch (error) {
-      console.error('Form submission failed:', error);
-      return false;
-    } finally {
-      setIsSubmitting(false);
+    // Arrow keys follow reading direction, so they swap in right-to-left locales
+    if (!handlesArrowKeys(e.target)) {
+      const forwardKey = isRTL ? 'ArrowLeft' : 'ArrowRight';
+      const backwardKey = isRTL ? 'ArrowRight' : 'ArrowLeft';
+
+      if (e.key === forwardKey && currentStep < steps.length) handleNext();
+      if (e.key === backwardKey && currentStep > 1) goToPreviousStep();
     }
-  }, [formData, validateStep]);
-
-  // Reset form to initial state
-  const resetForm = useCallback(() => {
-    setFormData({
-      fullName: '', email: '', username: '', 
-      password: '', theme: '', newsletter: false
-    });
-    setErrors({});
-    setCurrentStep(1);
-    setIsSubmitting(false);
-  }, []);
-
-  return {
-    formData, errors, currentStep, isSubmitting,
-    updateField, validateStep, goToNextStep, 
-    goToPreviousStep, submitForm, resetForm
-  };
-};
+  }, [
+    isOpen, isOverlay, isRTL, currentStep, steps.length, fieldLabels,
+    handleCloseModal, handleNext, goToPreviousStep, undo, redo, announce, t
+  ]);
 
-/**
- * REUSABLE UI COMPONENTS
- */
+  useEffect(() => {
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [handleKeyDown]);
 
-// Reusable Button Component
-const Button = ({ 
-  children, onClick, disabled = false, variant = 'primary', 
-  className = '', ariaLabel, ...props 
-}) => {
-  const baseClasses = 'px-6 py-3 rounded-lg font-medium transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-offset-2';
-  
-  const variants = {
-    primary: 'bg-blue-600 text-white hover:bg-blue-700 focus:ring-blue-500 disabled:bg-blue-400',
-    secondary: 'bg-gray-200 text-gray-700 hover:bg-gray-300 focus:ring-gray-500 disabled:bg-gray-100 disabled:text-gray-400',
-    success: 'bg-green-600 text-white hover:bg-green-700 focus:ring-green-500 disabled:bg-green-400',
-    secondaryDark: 'bg-gray-700 text-gray-200 hover:bg-gray-600 focus:ring-gray-500 disabled:bg-gray-700 disabled:text-gray-500'
-  };
-
-  return (
-    <button
-      onClick={onClick}
-      disabled={disabled}
-      className={`${baseClasses} ${variants[variant]} ${disabled ? 'cursor-not-allowed' : ''} ${className}`}
-      aria-label={ariaLabel}
-      {...props}
+  const onStepChangeRef = useRef(onStepChange);
+  onStepChangeRef.current = onStepChange;
+  const currentStepId = steps[currentStep - 1]?.id;
+
+  useEffect(() => {
+    if (isOpen) onStepChangeRef.current?.({ step: currentStep, stepId: currentStepId, totalSteps: steps.length });
+  }, [isOpen, currentStep, currentStepId, steps.length]);
+
+  // After a step change, focus the new heading and announce where the user is.
+  // Focus stays on the step tabs when the change came from them.
+  useEffect(() => {
+    if (!isOpen) {
+      previousStepRef.current = currentStep;
+      return;
+    }
+    if (previousStepRef.current === currentStep) return;
+    previousStepRef.current = currentStep;
+
+    const tablist = dialogRef.current?.querySelector('[role="tablist"]');
+    if (!tablist?.contains(document.activeElement)) {
+      dialogRef.current?.querySelector('[data-step-heading]')?.focus();
+    }
+    announce(t('a11y.step', {
+      current: currentStep,
+      total: steps.length,
+      title: t(steps[currentStep - 1].title)
+    }));
+  }, [isOpen, currentStep, steps, announce, t]);
+
+  // Only react to new requests, not to later edits of the errors
+  const errorsRef = useRef(errors);
+  const handledFocusRequestRef = useRef(0);
+  errorsRef.current = errors;
+
+  useEffect(() => {
+    if (invalidFocusRequest === handledFocusRequestRef.current) return;
+    handledFocusRequestRef.current = invalidFocusRequest;
+
+    const errorCount = Object.values(errorsRef.current).filter(Boolean).length;
+    if (errorCount === 0) return;
+
+    focusElement(dialogRef.current?.querySelector('[aria-invalid="true"], [data-invalid="true"]'));
+    announce(t('a11y.errors', { count: errorCount }));
+    trackValidationFailed(steps[currentStep - 1], currentStep, errorsRef.current);
+  }, [invalidFocusRequest, steps, currentStep, announce, trackValidationFailed, t]);
+
+  const currentStepConfig = steps[currentStep - 1];
+  const CurrentStepComponent = currentStepConfig.component || FormStep;
+  const backArrow = isRTL ? '→' : '←';
+  const nextArrow = isRTL ? '←' : '→';
+
+  const isVerticalLayout = layoutConfig.indicator === 'vertical';
+
+  const panel = (
+    <div
+      ref={dialogRef}
+      className={`flex flex-col ${isVerticalLayout ? 'md:flex-row' : ''} ${
+        isOverlay ? 'overflow-hidden' : ''
+      } focus:outline-none transition-all duration-500 bg-surface ${layoutConfig.panel}`}
+      role={isOverlay ? 'dialog' : 'region'}
+      aria-modal={isOverlay || undefined}
+      aria-labelledby="modal-title"
+      aria-describedby="modal-description"
+      tabIndex={-1}
     >
-      {children}
-    </button>
-  );
-};
+      {/* Screen-reader announcements */}
+      <div className="sr-only" role="status" aria-live="polite" aria-atomic="true">
+        {announcement}
+      </div>
 
-// Step Progress Indicator
-const StepIndicator = ({ steps, currentStep }) => (
-  <div className="flex space-x-4" role="progressbar" aria-valuemax={steps.length} aria-valuenow={currentStep}>
-    {steps.map((step) => (
+      {/* Header: also the step sidebar in vertical layouts */}
       <div
-        key={step.number}
-        className={`flex items-center space-x-2 px-4 py-2 rounded-full transition-all duration-300 ${
-          currentStep === step.number
-            ? 'bg-white bg-opacity-20 border-2 border-white scale-105'
-            : currentStep > step.number
-            ? 'bg-green-500 bg-opacity-80'
-            : 'bg-white bg-opacity-10'
+        className={`bg-gradient-to-r from-blue-600 to-indigo-600 text-white p-6 ${
+          isVerticalLayout ? 'md:bg-gradient-to-b md:w-72 md:shrink-0' : ''
         }`}
       >
-        <div
-          className={`w-6 h-6 rounded-full flex items-center justify-center text-sm font-bold transition-all ${
-            currentStep > step.number
-              ? 'bg-green-600 text-white'
-              : 'bg-white text-blue-600'
-          }`}
-        >
-          {currentStep > step.number ? '✓' : step.number}
+        <div className="flex items-center justify-between gap-4 mb-4">
+          <h1 id="modal-title" className="text-2xl font-bold">{t('modal.title')}</h1>
+          <div className="flex items-center gap-2">
+            <LocaleSwitcher />
+            <Button
+              onClick={handleCloseModal}
+              className="!p-2 !bg-transparent hover:!bg-white hover:!bg-opacity-10 text-white text-2xl"
+              ariaLabel={t('modal.close')}
+            >
+              ×
+            </Button>
+          </div>
         </div>
-        <span className="text-sm font-medium">{step.title}</span>
-      </div>
-    ))}
-  </div>
-);
 
-/**
- * STEP COMPONENTS
- */
+        <p id="modal-description" className="text-blue-100 mb-4">
+          {t('modal.description', { count: steps.length })}
+        </p>
 
-// Step 1: Personal Information
-const PersonalInfoStep = ({ data, onChange, errors, isDarkMode }) => (
-  <div className="space-y-6">
-    <div className="text-center mb-8">
-      <h2 className={`text-2xl font-bold mb-2 transition-colors ${
-        isDarkMode ? 'text-white' : 'text-gray-900'
-      }`}>
-        Personal Information
-      </h2>
-      <p className={`transition-colors ${
-        isDarkMode ? 'text-gray-300' : 'text-gray-600'
-      }`}>
-        Let's start with your basic details
-      </p>
-    </div>
-    
-    <div className="space-y-4">
-      {/* Full Name Input */}
-      <div>
-        <label htmlFor="fullName" className={`block text-sm font-medium mb-2 transition-colors ${
-          isDarkMode ? 'text-gray-200' : 'text-gray-700'
-        }`}>
-          Full Name *
-        </label>
-        <input
-          type="text"
-          id="fullName"
-          value={data.fullName}
-          onChange={(e) => onChange('fullName', e.target.value)}
-          className={`w-full px-4 py-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 ${
-            errors.fullName 
-              ? 'border-red-500 bg-red-50' 
-              : isDarkMode 
-                ? 'border-gray-600 bg-gray-700 text-white placeholder-gray-400' 
-                : 'border-gray-300 bg-white'
-          }`}
-          placeholder="Enter your full name"
-          aria-describedby={errors.fullName ? 'fullName-error' : undefined}
-          aria-invalid={!!errors.fullName}
+        {/* Step navigation: tabs (or a sidebar) on wide screens, a compact summary on narrow ones */}
+        <StepIndicator
+          steps={steps}
+          currentStep={currentStep}
+          statuses={stepStatuses}
+          onSelect={handleSelectStep}
+          orientation={layoutConfig.indicator}
+          className={isVerticalLayout ? 'hidden md:flex' : 'hidden sm:flex'}
         />
-        {errors.fullName && (
-          <p id="fullName-error" className="mt-1 text-sm text-red-600" role="alert">
-            {errors.fullName}
-          </p>
-        )}
-      </div>
-      
-      {/* Email Input */}
-      <div>
-        <label htmlFor="email" className={`block text-sm font-medium mb-2 transition-colors ${
-          isDarkMode ? 'text-gray-200' : 'text-gray-700'
-        }`}>
-          Email Address *
-        </label>
-        <input
-          type="email"
-          id="email"
-          value={data.email}
-          onChange={(e) => onChange('email', e.target.value)}
-          className={`w-full px-4 py-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 ${
-            errors.email 
-              ? 'border-red-500 bg-red-50' 
-              : isDarkMode 
-                ? 'border-gray-600 bg-gray-700 text-white placeholder-gray-400' 
-                : 'border-gray-300 bg-white'
-          }`}
-          placeholder="Enter your email address"
-          aria-describedby={errors.email ? 'email-error' : undefined}
-          aria-invalid={!!errors.email}
+        <StepSummary
+          steps={steps}
+          currentStep={currentStep}
+          className={isVerticalLayout ? 'md:hidden' : 'sm:hidden'}
         />
-        {errors.email && (
-          <p id="email-error" className="mt-1 text-sm text-red-600" role="alert">
-            {errors.email}
-          </p>
-        )}
       </div>
-    </div>
-  </div>
-);
 
-// Step 2: Account Setup
-const AccountSetupStep = ({ data, onChange, errors, isDarkMode }) => {
-  const [showPassword, setShowPassword] = useState(false);
-  
-  return (
-    <div className="space-y-6">
-      <div className="text-center mb-8">
-        <h2 className={`text-2xl font-bold mb-2 transition-colors ${
-          isDarkMode ? 'text-white' : 'text-gray-900'
-        }`}>
-          Account Setup
-        </h2>
-        <p className={`transition-colors ${
-          isDarkMode ? 'text-gray-300' : 'text-gray-600'
-        }`}>
-          Create your account credentials
-        </p>
-      </div>
-      
-      <div className="space-y-4">
-        {/* Username Input */}
-        <div>
-          <label htmlFor="username" className={`block text-sm font-medium mb-2 transition-colors ${
-            isDarkMode ? 'text-gray-200' : 'text-gray-700'
-          }`}>
-            Username *
-          </label>
-          <input
-            type="text"
-            id="username"
-            value={data.username}
-            onChange={(e) => onChange('username', e.target.value)}
-            className={`w-full px-4 py-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 ${
-              errors.username 
-                ? 'border-red-500 bg-red-50' 
-                : isDarkMode 
-                  ? 'border-gray-600 bg-gray-700 text-white placeholder-gray-400' 
-                  : 'border-gray-300 bg-white'
-            }`}
-            placeholder="Choose a username"
-            aria-describedby={errors.username ? 'username-error' : undefined}
-            aria-invalid={!!errors.username}
-          />
-          {errors.username && (
-            <p id="username-error" className="mt-1 text-sm text-red-600" role="alert">
-              {errors.username}
-            </p>
-          )}
-        </div>
-        
-        {/* Password Input with Show/Hide */}
-        <div>
-          <label htmlFor="password" className={`block text-sm font-medium mb-2 transition-colors ${
-            isDarkMode ? 'text-gray-200' : 'text-gray-700'
-          }`}>
-            Password *
-          </label>
-          <div className="relative">
-            <input
-              type={showPassword ? 'text' : 'password'}
-              id="password"
-              value={data.password}
-              onChange={(e) => onChange('password', e.target.value)}
-              className={`w-full px-4 py-3 pr-12 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 ${
-                errors.password 
-                  ? 'border-red-500 bg-red-50' 
-                  : isDarkMode 
-                    ? 'border-gray-600 bg-gray-700 text-white placeholder-gray-400' 
-                    : 'border-gray-300 bg-white'
-              }`}
-              placeholder="Create a secure password"
-              aria-describedby={errors.password ? 'password-error' : 'password-help'}
-              aria-invalid={!!errors.password}
+      {/* Content */}
+      <div className={`flex-1 min-h-0 ${isOverlay ? 'overflow-y-auto' : ''}`}>
+        <div className={layoutConfig.content}>
+          {/* Saved Draft Offer */}
+          {draft && (
+            <ResumeDraftBanner
+              draft={draft}
+              onResume={resumeDraft}
+              onDiscard={discardDraft}
             />
-            <button
-              type="button"
-              onClick={() => setShowPassword(!showPassword)}
-              className={`absolute right-3 top-1/2 transform -translate-y-1/2 hover:opacity-70 transition-opacity ${
-                isDarkMode ? 'text-gray-400' : 'text-gray-500'
-              }`}
-              aria-label={showPassword ? 'Hide password' : 'Show password'}
-            >
-              {showPassword ? '🙈' : '👁️'}
-            </button>
-          </div>
-          {errors.password ? (
-            <p id="password-error" className="mt-1 text-sm text-red-600" role="alert">
-              {errors.password}
-            </p>
-          ) : (
-            <p id="password-help" className={`mt-1 text-xs ${
-              isDarkMode ? 'text-gray-400' : 'text-gray-500'
-            }`}>
-              Minimum 6 characters required
-            </p>
-          )}
-        </div>
-      </div>
-    </div>
-  );
-};
-
-// Step 3: Preferences with INNOVATIVE Theme Preview
-const PreferencesStep = ({ data, onChange, errors, isDarkMode }) => {
-  // Theme configuration with preview data
-  const themeOptions = [
-    {
-      value: 'Light',
-      label: 'Light',
-      description: 'Clean and bright interface',
-      preview: {
-        bg: 'bg-white',
-        bars: 'bg-gray-300',
-        dots: ['bg-red-400', 'bg-yellow-400', 'bg-green-400']
-      }
-    },
-    {
-      value: 'Dark',
-      label: 'Dark',
-      description: 'Easy on the eyes',
-      preview: {
-        bg: 'bg-gray-800',
-        bars: 'bg-gray-600',
-        dots: ['bg-red-400', 'bg-yellow-400', 'bg-green-400']
-      }
-    }
-  ];
-
-  return (
-    <div className="space-y-6">
-      <div className="text-center mb-8">
-        <h2 className={`text-2xl font-bold mb-2 transition-colors ${
-          isDarkMode ? 'text-white' : 'text-gray-900'
-        }`}>
-          Preferences
-        </h2>
-        <p className={`transition-colors ${
-          isDarkMode ? 'text-gray-300' : 'text-gray-600'
-        }`}>
-          Customize your experience with live preview
-        </p>
-      </div>
-      
-      <div className="space-y-6">
-        {/* INNOVATIVE Interactive Theme Selection */}
-        <div>
-          <label className={`block text-sm font-medium mb-3 transition-colors ${
-            isDarkMode ? 'text-gray-200' : 'text-gray-700'
-          }`}>
-            Theme Selection * <span className="text-blue-500 text-xs">(Live Preview!)</span>
-          </label>
-          
-          <div className="grid grid-cols-2 gap-4" role="radiogroup">
-            {themeOptions.map((theme) => (
-              <div
-                key={theme.value}
-                onClick={() => onChange('theme', theme.value)}
-                className={`cursor-pointer rounded-lg border-2 p-4 transition-all duration-300 hover:scale-105 ${
-                  data.theme === theme.value
-                    ? 'border-blue-500 ring-2 ring-blue-200 shadow-lg transform scale-105'
-                    : isDarkMode
-                      ? 'border-gray-600 hover:border-gray-500'
-                      : 'border-gray-300 hover:border-gray-400'
-                }`}
-                role="radio"
-                aria-checked={data.theme === theme.value}
-                tabIndex={0}
-                onKeyDown={(e) => {
-                  if (e.key === 'Enter' || e.key === ' ') {
-                    e.preventDefault();
-                    onChange('theme', theme.value);
-                  }
-                }}
-              >
-                {/* Theme Preview Mockup */}
-                <div className={`${theme.preview.bg} rounded-md p-3 shadow-sm mb-3 border ${
-                  theme.value === 'Dark' ? 'border-gray-600' : 'border-gray-200'
-                }`}>
-                  {/* Window Controls */}
-                  <div className="flex items-center justify-between mb-2">
-                    {theme.preview.dots.map((dotColor, index) => (
-                      <div key={index} className={`w-3 h-3 ${dotColor} rounded-full`}></div>
-                    ))}
-                  </div>
-                  {/* Content Lines */}
-                  <div className="space-y-1">
-                    <div className={`h-2 ${theme.preview.bars} rounded w-3/4`}></div>
-                    <div className={`h-2 ${theme.preview.bars} rounded w-1/2`}></div>
-                    <div className={`h-2 ${theme.preview.bars} rounded w-2/3`}></div>
-                  </div>
-                </div>
-                
-                {/* Theme Label */}
-                <div className="text-center">
-                  <span className={`font-medium text-sm transition-colors ${
-                    isDarkMode ? 'text-gray-200' : 'text-gray-700'
-                  }`}>
-                    {theme.label}
-                  </span>
-                  <p className={`text-xs mt-1 transition-colors ${
-                    isDarkMode ? 'text-gray-400' : 'text-gray-500'
-                  }`}>
-                    {theme.description}
-                  </p>
-                  {data.theme === theme.value && (
-                    <div className="text-blue-500 text-xs mt-2 font-medium animate-pulse">
-                      ✨ Selected & Applied!
-                    </div>
-                  )}
-                </div>
-              </div>
-            ))}
-          </div>
-          
-          {errors.theme && (
-            <p className="mt-2 text-sm text-red-600" role="alert">
-              {errors.theme}
-            </p>
           )}
-        </div>
-        
-        {/* Newsletter Subscription */}
-        <div>
-          <label className="flex items-center space-x-3 cursor-pointer group">
-            <input
-              type="checkbox"
-              checked={data.newsletter}
-              onChange={(e) => onChange('newsletter', e.target.checked)}
-              className="w-5 h-5 text-blue-600 border-gray-300 rounded focus:ring-blue-500 focus:ring-2"
-            />
-            <div>
-              <span className={`text-sm font-medium transition-colors ${
-                isDarkMode ? 'text-gray-200' : 'text-gray-700'
-              }`}>
-                Subscribe to newsletter
-              </span>
-              <p className={`text-xs transition-colors ${
-                isDarkMode ? 'text-gray-400' : 'text-gray-500'
-              }`}>
-                Get updates, tips, and exclusive content
-              </p>
-            </div>
-          </label>
-        </div>
-      </div>
-    </div>
-  );
-};
-
-/**
- * MAIN ONBOARDING MODAL COMPONENT
- * Orchestrates the entire multi-step onboarding process
- */
-export default function OnboardingModal() {
-  const [isOpen, setIsOpen] = useState(false);
-  
-  // Custom hook handles all form logic
-  const {
-    formData, errors, currentStep, isSubmitting,
-    updateField, goToNextStep, goToPreviousStep, 
-    submitForm, resetForm
-  } = useOnboardingForm();
-
-  // Step configuration - easily extensible
-  const steps = useMemo(() => [
-    { number: 1, title: 'Personal Info', component: PersonalInfoStep },
-    { number: 2, title: 'Account Setup', component: AccountSetupStep },
-    { number: 3, title: 'Preferences', component: PreferencesStep }
-  ], []);
-
-  // Theme system
-  const isDarkMode = formData.theme === 'Dark';
-
-  // Modal handlers
-  const handleOpenModal = useCallback(() => {
-    setIsOpen(true);
-    resetForm();
-  }, [resetForm]);
-
-  const handleCloseModal = useCallback(() => {
-    const hasData = Object.values(formData).some(value => 
-      typeof value === 'string' ? value.trim() : value
-    );
-    
-    if (hasData && !window.confirm('Close and lose progress?')) return;
-    
-    setIsOpen(false);
-    resetForm();
-  }, [formData, resetForm]);
-
-  const handleSubmit = useCallback(async () => {
-    const success = await submitForm();
-    
-    if (success) {
-      alert('🎉 Welcome to Quixess! Your account has been created successfully.');
-      setIsOpen(false);
-      resetForm();
-    } else {
-      alert('❌ Something went wrong. Please try again.');
-    }
-  }, [submitForm, resetForm]);
 
-  // Keyboard navigation for accessibility
-  const handleKeyDown = useCallback((e) => {
-    if (!isOpen) return;
-    
-    if (e.key === 'Escape') handleCloseModal();
-    
-    if (e.target.tagName !== 'INPUT' && e.target.tagName !== 'TEXTAREA') {
-      if (e.key === 'ArrowRight' && currentStep < 3) goToNextStep();
-      if (e.key === 'ArrowLeft' && currentStep > 1) goToPreviousStep();
-    }
-  }, [isOpen, currentStep, handleCloseModal, goToNextStep, goToPreviousStep]);
+          {/* Progress Bar */}
+          <div className="w-full h-2 rounded-full mb-8 bg-surface-muted">
+            <div 
+              className="h-full bg-gradient-to-r from-blue-500 to-indigo-500 rounded-full transition-all duration-500 ease-out"
+              style={{ width: `${(currentStep / steps.length) * 100}%` }}
+              role="progressbar"
+              aria-label={t('nav.progressLabel')}
+              aria-valuemin={1}
+              aria-valuenow={currentStep}
+              aria-valuemax={steps.length}
+              aria-valuetext={t('nav.progress', { current: currentStep, total: steps.length })}
+            />
+          </div>
 
-  useEffect(() => {
-    document.addEventListener('keydown', handleKeyDown);
-    return () => document.removeEventListener('keydown', handleKeyDown);
-  }, [handleKeyDown]);
+          {/* Dynamic Step Content */}
+          <StepTransition
+            index={currentStep}
+            className={layoutConfig.stepPanel}
+            id={STEP_PANEL_ID}
+            role="tabpanel"
+            aria-labelledby={getStepTabId(currentStepConfig)}
+          >
+            <CurrentStepComponent
+              step={currentStepConfig}
+              data={formData}
+              onChange={updateField}
+              onBlur={touchField}
+              errors={errors}
+              validating={validating}
+              onNext={handleNext}
+            />
+          </StepTransition>
+
+          {/* Navigation */}
+          <div className="flex justify-between items-center gap-4 pt-8 border-t transition-colors border-line-subtle">
+            <Button
+              onClick={goToPreviousStep}
+              disabled={currentStep === 1}
+              variant="secondary"
+              ariaLabel={t('nav.backLabel')}
+            >
+              {backArrow} {t('nav.back')}
+            </Button>
 
-  const CurrentStepComponent = steps[currentStep - 1].component;
+            <div className="flex items-center gap-4">
+              <span className="hidden sm:inline text-sm text-content-subtle">
+                {t('nav.progress', { current: currentStep, total: steps.length })}
+              </span>
 
-  return (
-    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
-      
-      {/* Trigger Button */}
-      <Button
-        onClick={handleOpenModal}
-        className="shadow-lg transform hover:scale-105 text-lg"
-        ariaLabel="Start the onboarding process"
-      >
-        🚀 Start Quixess Onboarding
-      </Button>
-
-      {/* Modal */}
-      {isOpen && (
-        <div 
-          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
-          role="dialog"
-          aria-modal="true"
-          aria-labelledby="modal-title"
-          aria-describedby="modal-description"
-        >
-          <div className={`rounded-2xl shadow-2xl w-full max-w-2xl max-h-[90vh] overflow-hidden animate-fadeIn transition-all duration-500 ${
-            isDarkMode ? 'bg-gray-800' : 'bg-white'
-          }`}>
-            
-            {/* Header */}
-            <div className="bg-gradient-to-r from-blue-600 to-indigo-600 text-white p-6">
-              <div className="flex items-center justify-between mb-4">
-                <h1 id="modal-title" className="text-2xl font-bold">Welcome to Quixess</h1>
+              {isSubmitting && (
                 <Button
-                  onClick={handleCloseModal}
-                  className="!p-2 !bg-transparent hover:!bg-white hover:!bg-opacity-10 text-white text-2xl"
-                  ariaLabel="Close modal"
+                  onClick={cancelSubmit}
+                  variant="secondary"
+                  ariaLabel={t('nav.cancelLabel')}
                 >
-                  ×
+                  {t('nav.cancel')}
                 </Button>
-              </div>
-              
-              <p id="modal-description" className="text-blue-100 mb-4">
-                Complete your profile in {steps.length} easy steps
-              </p>
-              
-              {/* Step Indicators */}
-              <StepIndicator steps={steps} currentStep={currentStep} />
-            </div>
+              )}
 
-            {/* Content */}
-            <div className="p-8 max-h-[calc(90vh-200px)] overflow-y-auto">
-              {/* Progress Bar */}
-              <div className={`w-full h-2 rounded-full mb-8 ${
-                isDarkMode ? 'bg-gray-700' : 'bg-gray-200'
-              }`}>
-                <div 
-                  className="h-full bg-gradient-to-r from-blue-500 to-indigo-500 rounded-full transition-all duration-500 ease-out"
-                  style={{ width: `${(currentStep / steps.length) * 100}%` }}
-                  role="progressbar"
-                  aria-valuenow={currentStep}
-                  aria-valuemax={steps.length}
-                />
-              </div>
-
-              {/* Dynamic Step Content */}
-              <div className="min-h-[400px] transition-all duration-300" key={currentStep}>
-                <CurrentStepComponent
-                  data={formData}
-                  onChange={updateField}
-                  errors={errors}
-                  isDarkMode={isDarkMode}
-                />
-              </div>
-
-              {/* Navigation */}
-              <div className={`flex justify-between items-center pt-8 border-t transition-colors ${
-                isDarkMode ? 'border-gray-600' : 'border-gray-200'
-              }`}>
+              {currentStep < steps.length ? (
                 <Button
-                  onClick={goToPreviousStep}
-                  disabled={currentStep === 1}
-                  variant={isDarkMode ? 'secondaryDark' : 'secondary'}
-                  ariaLabel="Go to previous step"
+                  onClick={handleNext}
+                  disabled={isValidatingStep}
+                  ariaLabel={t('nav.nextLabel')}
                 >
-                  ← Back
+                  {isValidatingStep ? t('nav.checking') : `${t('nav.next')} ${nextArrow}`}
                 </Button>
-
-                <div className="flex items-center space-x-4">
-                  <span className={`text-sm ${
-                    isDarkMode ? 'text-gray-400' : 'text-gray-500'
-                  }`}>
-                    {currentStep} of {steps.length}
-                  </span>
-
-                  {currentStep < steps.length ? (
-                    <Button onClick={goToNextStep} ariaLabel="Go to next step">
-                      Next →
-                    </Button>
+              ) : (
+                <Button
+                  onClick={handleSubmit}
+                  disabled={isSubmitting}
+                  variant="success"
+                  ariaLabel={submitError ? t('submit.retryLabel') : t('submit.completeLabel')}
+                >
+                  {isSubmitting ? (
+                    <>
+                      <span className="inline-block animate-spin me-2">⚪</span>
+                      {t('submit.submitting')}
+                    </>
+                  ) : submitError ? (
+                    t('submit.retry')
                   ) : (
-                    <Button
-                      onClick={handleSubmit}
-                      disabled={isSubmitting}
-                      variant="success"
-                      ariaLabel="Complete onboarding"
-                    >
-                      {isSubmitting ? (
-                        <>
-                          <span className="inline-block animate-spin mr-2">⚪</span>
-                          Submitting...
-                        </>
-                      ) : (
-                        '✨ Complete Setup'
-                      )}
-                    </Button>
+                    t('submit.complete')
                   )}
-                </div>
-              </div>
+                </Button>
+              )}
             </div>
           </div>
         </div>
+      </div>
+    </div>
+  );
+
+  const content = (
+    <div className={`onboarding-root ${themeClassName}`} lang={locale} dir={dir}>
+      {isOpen && (isOverlay ? <div className={layoutConfig.backdrop}>{panel}</div> : panel)}
+
+      {/* Close Confirmation */}
+      {confirmRequest && (
+        <ConfirmDialog
+          title={confirmRequest.title}
+          message={confirmRequest.message}
+          confirmLabel={confirmRequest.confirmLabel}
+          cancelLabel={confirmRequest.cancelLabel}
+          onConfirm={() => settleConfirm(true)}
+          onCancel={() => settleConfirm(false)}
+        />
       )}
 
-      {/* Animations & Styles */}
-      <style jsx>{`
-        @keyframes fadeIn {
-          from { opacity: 0; transform: scale(0.95) translateY(-10px); }
-          to { opacity: 1; transform: scale(1) translateY(0); }
-        }
-        
-        .animate-fadeIn {
-          animation: fadeIn 0.3s ease-out forwards;
-        }
-        
-        @keyframes pulse {
-          0%, 100% { opacity: 1; }
-          50% { opacity: 0.7; }
-        }
-        
-        .animate-pulse {
-          animation: pulse 2s ease-in-out infinite;
-        }
-        
-        /* Smooth theme transitions */
-        * {
-          transition-property: background-color, border-color, color;
-          transition-timing-function: cubic-bezier(0.4, 0, 0.2, 1);
-          transition-duration: 200ms;
-        }
-      `}</style>
+      {/* Notifications */}
+      <ToastViewport toasts={toasts} onDismiss={dismissToast} />
     </div>
   );
-}
\ No newline at end of file
+
+  // Overlays go to document.body; there is nothing to portal into without a DOM
+  if (!isOverlay) return content;
+  return typeof document === 'undefined' ? null : createPortal(content, document.body);
+});
+
+export default OnboardingModal;
\ No newline at end of file
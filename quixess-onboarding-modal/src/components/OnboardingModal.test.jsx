@@ -0,0 +1,1162 @@
+import { createRef } from 'react';
+import { act, fireEvent, render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { axe } from 'jest-axe';
+import OnboardingModal from './OnboardingModal';
+import { I18nProvider } from '../i18n';
+import { renderOnboarding, validDefaultAnswers } from '../testing';
+import { SubmissionError, createFetchSubmitAdapter } from '../api/submitAdapters';
+import { createOnboardingSchema } from '../schema/onboardingSchema';
+import { createMockOidcProvider } from '../auth';
+import { createFetchEmailVerifier } from '../api/emailVerification';
+import { createMockOnboardingServer } from '../api/mockServer';
+import { createMemoryStorageAdapter, DEFAULT_DRAFT_KEY } from '../persistence/draftStorage';
+import { ThemeProvider } from '../theme';
+import { getInitialsColor, getInitialsColorKey } from '../utils/avatar';
+import { getVitalsContext, setVitalsContext, trackOnboardingStepForVitals } from '../vitals';
+
+const getToast = (name) => screen.findByText(name, { exact: false });
+
+// axe is async; keep the live region's delayed announcements inside act
+const expectNoAxeViolations = async () => {
+  let results;
+  await act(async () => { results = await axe(document.body); });
+  expect(results).toHaveNoViolations();
+};
+
+describe('OnboardingModal', () => {
+  describe('walking the steps', () => {
+    it('walks every step and submits', async () => {
+      const onComplete = jest.fn();
+      const onOpenChange = jest.fn();
+      const onboarding = renderOnboarding({ onComplete, onOpenChange });
+
+      expect(onboarding.getCurrentStepId()).toBe('personal');
+      await onboarding.fillStep(validDefaultAnswers.personal);
+      await onboarding.next();
+
+      expect(onboarding.getCurrentStepId()).toBe('account');
+      await onboarding.fillStep(validDefaultAnswers.account);
+      await onboarding.next();
+
+      expect(onboarding.getCurrentStepId()).toBe('preferences');
+      await onboarding.fillStep(validDefaultAnswers.preferences);
+      await onboarding.next();
+
+      expect(onboarding.getCurrentStepId()).toBe('consent');
+      await onboarding.fillStep(validDefaultAnswers.consent);
+      await onboarding.submit();
+
+      expect(onboarding.submissions).toHaveLength(1);
+      expect(onboarding.submissions[0]).toMatchObject({
+        fullName: 'Ada Lovelace',
+        email: 'ada@example.com',
+        username: 'countess_ada',
+        theme: 'dark'
+      });
+      expect(onComplete).toHaveBeenCalledWith({ ok: true });
+      expect(onOpenChange).toHaveBeenLastCalledWith(false);
+      expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+      expect(await getToast(onboarding.t('submit.success'))).toBeInTheDocument();
+    });
+
+    it('blocks Next on an invalid step and focuses the first invalid field', async () => {
+      const onboarding = renderOnboarding();
+
+      await onboarding.next();
+
+      expect(onboarding.getCurrentStepId()).toBe('personal');
+      expect(onboarding.getField('fullName')).toHaveAttribute('aria-invalid', 'true');
+      await waitFor(() => expect(onboarding.getField('fullName')).toHaveFocus());
+      expect(onboarding.getField('fullName')).toHaveAccessibleDescription(/required/i);
+    });
+
+    it('goes back to the previous step with its values kept', async () => {
+      const onboarding = renderOnboarding();
+
+      await onboarding.fillStep(validDefaultAnswers.personal);
+      await onboarding.next();
+      await onboarding.back();
+
+      expect(onboarding.getCurrentStepId()).toBe('personal');
+      expect(onboarding.getField('fullName')).toHaveValue('Ada Lovelace');
+    });
+
+    it('inserts the company step for business accounts', async () => {
+      const onboarding = renderOnboarding();
+
+      await onboarding.fillStep({ ...validDefaultAnswers.personal, accountType: 'business' });
+      await onboarding.next();
+
+      expect(onboarding.getCurrentStepId()).toBe('company');
+    });
+
+    it('reports step changes', async () => {
+      const onStepChange = jest.fn();
+      const onboarding = renderOnboarding({ onStepChange });
+
+      await onboarding.fillStep(validDefaultAnswers.personal);
+      await onboarding.next();
+
+      expect(onStepChange).toHaveBeenLastCalledWith({ step: 2, stepId: 'account', totalSteps: 4 });
+    });
+  });
+
+  describe('validating as you go', () => {
+    it('shows a field\'s error once the user leaves it', async () => {
+      const onboarding = renderOnboarding();
+
+      await onboarding.fillStep({ email: 'ada@' });
+      expect(onboarding.getField('email')).toHaveAttribute('aria-invalid', 'false');
+
+      await onboarding.user.tab();
+
+      expect(onboarding.getField('email')).toHaveAttribute('aria-invalid', 'true');
+      expect(onboarding.getField('email')).toHaveAccessibleDescription(onboarding.t('validation.email.invalid'));
+    });
+
+    it('rejects a username that repeats the email address', async () => {
+      const onboarding = renderOnboarding();
+
+      await onboarding.fillStep(validDefaultAnswers.personal);
+      await onboarding.next();
+      await onboarding.fillStep({ username: 'Ada' });
+      await onboarding.user.tab();
+
+      expect(onboarding.getField('username'))
+        .toHaveAccessibleDescription(onboarding.t('validation.username.sameAsEmail'));
+    });
+  });
+
+  describe('keyboard', () => {
+    it('closes on Escape when nothing has been entered', async () => {
+      const onboarding = renderOnboarding();
+
+      await onboarding.user.keyboard('{Escape}');
+
+      expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+    });
+
+    it('moves between steps with the arrow keys outside text inputs', async () => {
+      const onboarding = renderOnboarding();
+
+      await onboarding.fillStep(validDefaultAnswers.personal);
+      act(() => onboarding.getDialog().focus());
+      await onboarding.user.keyboard('{ArrowRight}');
+      await waitFor(() => expect(onboarding.getCurrentStepId()).toBe('account'));
+
+      act(() => onboarding.getDialog().focus());
+      await onboarding.user.keyboard('{ArrowLeft}');
+      expect(onboarding.getCurrentStepId()).toBe('personal');
+    });
+
+    it('leaves arrow keys to text inputs', async () => {
+      const onboarding = renderOnboarding();
+
+      await onboarding.fillStep(validDefaultAnswers.personal);
+      await onboarding.user.keyboard('{ArrowRight}');
+
+      expect(onboarding.getCurrentStepId()).toBe('personal');
+    });
+
+    it('leaves arrow keys to selects and comboboxes', async () => {
+      const onboarding = renderOnboarding();
+      await onboarding.fillStep(validDefaultAnswers.personal);
+
+      act(() => onboarding.getField('accountType').focus());
+      await onboarding.user.keyboard('{ArrowRight}');
+      expect(onboarding.getCurrentStepId()).toBe('personal');
+
+      await onboarding.next();
+      await onboarding.fillStep(validDefaultAnswers.account);
+      await onboarding.next();
+      act(() => onboarding.getField('timeZone').focus());
+      await onboarding.user.keyboard('{ArrowLeft}');
+      expect(onboarding.getCurrentStepId()).toBe('preferences');
+    });
+
+    it('swaps arrow directions in right-to-left locales', async () => {
+      const onboarding = renderOnboarding({ locale: 'ar' });
+
+      await onboarding.fillStep(validDefaultAnswers.personal);
+      act(() => onboarding.getDialog().focus());
+      await onboarding.user.keyboard('{ArrowLeft}');
+
+      await waitFor(() => expect(onboarding.getCurrentStepId()).toBe('account'));
+    });
+
+    it('undoes and redoes answers with Ctrl+Z outside text inputs', async () => {
+      const onboarding = renderOnboarding();
+      const accountType = onboarding.getField('accountType');
+
+      await onboarding.fillStep({ fullName: 'Ada', accountType: 'business' });
+      await onboarding.user.keyboard('{Control>}z{/Control}');
+
+      expect(accountType).toHaveValue('personal');
+      expect(await screen.findByText(onboarding.t('history.undone', { field: 'fields.accountType.label' })))
+        .toBeInTheDocument();
+
+      await onboarding.user.keyboard('{Control>}{Shift>}z{/Shift}{/Control}');
+      expect(accountType).toHaveValue('business');
+
+      // Text fields keep the browser's own undo
+      await onboarding.user.click(onboarding.getField('fullName'));
+      await onboarding.user.keyboard('{Control>}z{/Control}');
+      expect(onboarding.getField('fullName')).toHaveValue('Ada');
+      expect(accountType).toHaveValue('business');
+    });
+
+    it('switches steps from the step tabs', async () => {
+      const onboarding = renderOnboarding();
+
+      await onboarding.fillStep(validDefaultAnswers.personal);
+      await onboarding.next();
+      await onboarding.selectStep('personal');
+
+      expect(onboarding.getCurrentStepId()).toBe('personal');
+      expect(screen.getByRole('tab', { selected: true })).toHaveFocus();
+    });
+  });
+
+  describe('focus', () => {
+    it('keeps Tab and Shift+Tab inside the dialog', async () => {
+      const onboarding = renderOnboarding();
+      const nextButton = onboarding.getButton('nav.nextLabel');
+
+      act(() => nextButton.focus());
+      await onboarding.user.tab();
+      expect(onboarding.getDialog()).toContainElement(document.activeElement);
+      expect(nextButton).not.toHaveFocus();
+
+      await onboarding.user.tab({ shift: true });
+      expect(nextButton).toHaveFocus();
+    });
+
+    it('gives focus back to what had it once the dialog closes', async () => {
+      const ref = createRef();
+      const trigger = document.body.appendChild(document.createElement('button'));
+      try {
+        const onboarding = renderOnboarding({ ref, defaultOpen: false });
+        act(() => trigger.focus());
+
+        act(() => ref.current.open());
+        await waitFor(() => expect(onboarding.getDialog()).toContainElement(document.activeElement));
+        await onboarding.user.keyboard('{Escape}');
+
+        expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+        expect(trigger).toHaveFocus();
+      } finally {
+        trigger.remove();
+      }
+    });
+  });
+
+  describe('availability checks', () => {
+    // Lookups stay pending until the test answers them
+    const renderWithLookup = () => {
+      const lookups = [];
+      const checkAvailability = jest.fn((field, value, { signal }) => new Promise((resolve) => {
+        lookups.push({ field, value, signal, resolve });
+      }));
+      const onboarding = renderOnboarding({ schema: createOnboardingSchema({ checkAvailability }) });
+      return { onboarding, lookups, checkAvailability };
+    };
+
+    it('waits for a pause in typing, then checks once and shows the result', async () => {
+      const { onboarding, lookups, checkAvailability } = renderWithLookup();
+
+      await onboarding.fillStep({ email: 'ada@example.com' });
+
+      expect(onboarding.getField('email')).toHaveAttribute('aria-busy', 'true');
+      expect(within(onboarding.getDialog()).getByText(onboarding.t('field.checking'))).toBeInTheDocument();
+      expect(checkAvailability).not.toHaveBeenCalled();
+
+      await waitFor(() => expect(checkAvailability).toHaveBeenCalledTimes(1));
+      expect(lookups[0]).toMatchObject({ field: 'email', value: 'ada@example.com' });
+
+      await act(async () => lookups[0].resolve(false));
+      expect(onboarding.getField('email')).not.toHaveAttribute('aria-busy');
+      expect(onboarding.getField('email')).toHaveAccessibleDescription(onboarding.t('validation.email.taken'));
+    });
+
+    it('cancels a check that an edit made stale', async () => {
+      const { onboarding, lookups } = renderWithLookup();
+
+      await onboarding.fillStep({ email: 'ada@example.com' });
+      await waitFor(() => expect(lookups).toHaveLength(1));
+      await onboarding.user.type(onboarding.getField('email'), 'm');
+
+      expect(lookups[0].signal.aborted).toBe(true);
+      await act(async () => lookups[0].resolve(false));
+      expect(onboarding.getField('email')).toHaveAttribute('aria-invalid', 'false');
+
+      await waitFor(() => expect(lookups).toHaveLength(2));
+      expect(lookups[1].value).toBe('ada@example.comm');
+    });
+
+    it('holds Next until the pending check answers', async () => {
+      const { onboarding, lookups } = renderWithLookup();
+
+      await onboarding.fillStep(validDefaultAnswers.personal);
+      await onboarding.user.click(onboarding.getButton('nav.nextLabel'));
+
+      await waitFor(() => expect(lookups).toHaveLength(1));
+      expect(within(onboarding.getDialog()).getByRole('button', { name: onboarding.t('nav.nextLabel') }))
+        .toHaveTextContent(onboarding.t('nav.checking'));
+
+      await act(async () => lookups[0].resolve(true));
+      await waitFor(() => expect(onboarding.getCurrentStepId()).toBe('account'));
+    });
+  });
+
+  describe('submitting', () => {
+    const reachLastStep = async (onboarding) => {
+      for (const stepId of ['personal', 'account', 'preferences']) {
+        await onboarding.fillStep(validDefaultAnswers[stepId]);
+        await onboarding.next();
+      }
+      await onboarding.fillStep(validDefaultAnswers.consent);
+    };
+
+    it('sends one submission however often Complete is pressed', async () => {
+      const onSubmit = jest.fn(() => new Promise(() => {}));
+      const onboarding = renderOnboarding({ onSubmit });
+
+      await reachLastStep(onboarding);
+      const submitButton = onboarding.getButton('submit.completeLabel');
+      fireEvent.click(submitButton);
+      fireEvent.click(submitButton);
+
+      await waitFor(() => expect(submitButton).toBeDisabled());
+      await onboarding.user.click(submitButton);
+      expect(onSubmit).toHaveBeenCalledTimes(1);
+    });
+
+    it('cancels the submission in flight and lets the user try again', async () => {
+      const signals = [];
+      const onSubmit = jest.fn((payload, { signal }) => {
+        signals.push(signal);
+        return new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+        });
+      });
+      const onComplete = jest.fn();
+      const onboarding = renderOnboarding({ onSubmit, onComplete });
+
+      await reachLastStep(onboarding);
+      await onboarding.user.click(onboarding.getButton('submit.completeLabel'));
+      await onboarding.user.click(await screen.findByRole('button', { name: onboarding.t('nav.cancelLabel') }));
+
+      expect(signals[0].aborted).toBe(true);
+      expect(screen.queryByRole('button', { name: onboarding.t('nav.cancelLabel') })).not.toBeInTheDocument();
+      expect(onboarding.getButton('submit.completeLabel')).toBeEnabled();
+      expect(onboarding.getDialog()).toBeInTheDocument();
+      expect(onComplete).not.toHaveBeenCalled();
+      expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+
+      await onboarding.user.click(onboarding.getButton('submit.completeLabel'));
+      expect(onSubmit).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('drafts', () => {
+    const saveDraft = version => createMemoryStorageAdapter({
+      [DEFAULT_DRAFT_KEY]: JSON.stringify({
+        version, savedAt: '2026-10-01T09:00:00.000Z', currentStep: 1, formData: { fullName: 'Ada Lovelace' }
+      })
+    });
+
+    it('offers to resume a draft saved by this version of the form', async () => {
+      const adapter = saveDraft(createOnboardingSchema().version);
+      const onboarding = renderOnboarding({ persistence: { adapter } });
+
+      await onboarding.user.click(await screen.findByRole('button', { name: onboarding.t('draft.resume') }));
+
+      expect(onboarding.getField('fullName')).toHaveValue('Ada Lovelace');
+    });
+
+    it('discards a draft saved under another schema version', async () => {
+      const adapter = saveDraft(createOnboardingSchema().version - 1);
+      const onboarding = renderOnboarding({ persistence: { adapter } });
+
+      await waitFor(() => expect(adapter.getItem(DEFAULT_DRAFT_KEY)).toBeNull());
+      expect(screen.queryByRole('region', { name: onboarding.t('draft.title') })).not.toBeInTheDocument();
+      expect(onboarding.getField('fullName')).toHaveValue('');
+    });
+  });
+
+  describe('theme', () => {
+    const renderThemed = ({ storage = createMemoryStorageAdapter(), ...options } = {}) => ({
+      storage,
+      onboarding: renderOnboarding({
+        ...options,
+        wrapper: ({ children }) => (
+          <ThemeProvider defaultPreference="light" storage={storage}>{children}</ThemeProvider>
+        )
+      })
+    });
+
+    afterEach(() => {
+      document.documentElement.classList.remove('dark');
+      document.documentElement.style.colorScheme = '';
+    });
+
+    const reachPreferences = async (onboarding) => {
+      await onboarding.fillStep(validDefaultAnswers.personal);
+      await onboarding.next();
+      await onboarding.fillStep(validDefaultAnswers.account);
+      await onboarding.next();
+    };
+
+    const getRoot = onboarding => onboarding.getDialog().closest('.onboarding-root');
+
+    it('previews a picked theme in the modal, and applies it to the page on submit', async () => {
+      const { onboarding, storage } = renderThemed();
+      await reachPreferences(onboarding);
+
+      await onboarding.fillField('theme', 'dark');
+      expect(getRoot(onboarding)).toHaveClass('dark');
+      expect(document.documentElement).not.toHaveClass('dark');
+      expect(storage.getItem('quixess:theme')).toBeNull();
+
+      await onboarding.completeOnboarding();
+      expect(document.documentElement).toHaveClass('dark');
+      expect(document.documentElement.style.colorScheme).toBe('dark');
+      expect(storage.getItem('quixess:theme')).toBe('dark');
+    });
+
+    it('leaves the page theme as it was when closed without submitting', async () => {
+      const { onboarding, storage } = renderThemed();
+      await reachPreferences(onboarding);
+      await onboarding.fillField('theme', 'dark');
+
+      await onboarding.close();
+      await onboarding.user.click(screen.getByRole('button', { name: onboarding.t('modal.confirmCloseAction') }));
+
+      expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+      expect(document.documentElement).not.toHaveClass('dark');
+      expect(storage.getItem('quixess:theme')).toBeNull();
+    });
+
+    it('previews light over a dark page', async () => {
+      const { onboarding } = renderThemed({ storage: createMemoryStorageAdapter({ 'quixess:theme': 'dark' }) });
+      await reachPreferences(onboarding);
+      expect(getRoot(onboarding)).toHaveClass('dark');
+
+      await onboarding.fillField('theme', 'light');
+      expect(getRoot(onboarding)).toHaveClass('light');
+      expect(getRoot(onboarding)).not.toHaveClass('dark');
+      expect(document.documentElement).toHaveClass('dark');
+    });
+
+    it('starts from the saved choice', async () => {
+      renderThemed({ storage: createMemoryStorageAdapter({ 'quixess:theme': 'dark' }) });
+
+      await waitFor(() => expect(document.documentElement).toHaveClass('dark'));
+    });
+  });
+
+  describe('signing in with an identity provider', () => {
+    const renderWithProvider = (providerOptions) => renderOnboarding({
+      schema: createOnboardingSchema({
+        identityProviders: [createMockOidcProvider({ latency: 0, ...providerOptions })]
+      })
+    });
+
+    it('prefills the profile, skips the passwords and submits the identity token', async () => {
+      const onboarding = renderWithProvider();
+
+      expect(onboarding.getCurrentStepId()).toBe('signIn');
+      await onboarding.signInWith('Mock SSO');
+
+      expect(onboarding.getCurrentStepId()).toBe('personal');
+      expect(onboarding.getField('fullName')).toHaveValue('Ada Lovelace');
+      expect(onboarding.getField('email')).toHaveValue('ada@example.com');
+
+      await onboarding.next();
+      expect(onboarding.getCurrentStepId()).toBe('account');
+      expect(() => onboarding.getField('password')).toThrow(/not on the current step/);
+
+      await onboarding.completeOnboarding({
+        ...validDefaultAnswers,
+        personal: {},
+        account: { username: 'countess_ada' }
+      });
+
+      expect(onboarding.submissions[0]).toMatchObject({
+        authProvider: 'mock',
+        identityToken: expect.any(String),
+        email: 'ada@example.com'
+      });
+      expect(onboarding.submissions[0]).not.toHaveProperty('password');
+      expect(onboarding.submissions[0]).not.toHaveProperty('providerEmail');
+    });
+
+    it('explains a cancelled sign-in and keeps the manual path open', async () => {
+      const onboarding = renderWithProvider({ outcome: 'deny' });
+
+      await onboarding.signInWith('Mock SSO');
+
+      expect(screen.getByRole('alert')).toHaveTextContent(onboarding.t('signIn.errors.accessDenied', { provider: 'Mock SSO' }));
+      await onboarding.next();
+      expect(onboarding.getCurrentStepId()).toBe('personal');
+      expect(onboarding.getField('fullName')).toHaveValue('');
+    });
+
+    describe('with email verification', () => {
+      const renderWithProviderAndVerifier = (user) => renderOnboarding({
+        schema: createOnboardingSchema({
+          identityProviders: [createMockOidcProvider({ latency: 0, ...(user && { user }) })],
+          emailVerifier: createFetchEmailVerifier({
+            fetchImpl: createMockOnboardingServer({ latency: 0, verificationCode: '123456', resendCooldown: 0 })
+          })
+        })
+      });
+
+      it('skips the code for the email the provider vouched for', async () => {
+        const onboarding = renderWithProviderAndVerifier();
+        await onboarding.signInWith('Mock SSO');
+
+        await onboarding.next();
+        expect(onboarding.getCurrentStepId()).toBe('account');
+      });
+
+      it('asks for a code once the email is changed to another address', async () => {
+        const onboarding = renderWithProviderAndVerifier();
+        await onboarding.signInWith('Mock SSO');
+
+        await onboarding.fillField('email', 'grace@example.com');
+        await onboarding.next();
+        expect(onboarding.getCurrentStepId()).toBe('verifyEmail');
+
+        await onboarding.enterVerificationCode('123456');
+        expect(onboarding.getCurrentStepId()).toBe('account');
+      });
+
+      it('asks for a code when the provider says the email is unverified', async () => {
+        const onboarding = renderWithProviderAndVerifier({
+          sub: 'mock-user-2', name: 'Ada Lovelace', email: 'ada@example.com', email_verified: false
+        });
+        await onboarding.signInWith('Mock SSO');
+
+        await onboarding.next();
+        expect(onboarding.getCurrentStepId()).toBe('verifyEmail');
+      });
+    });
+  });
+
+  describe('verifying the email', () => {
+    const renderWithVerification = (serverOptions) => {
+      const server = createMockOnboardingServer({
+        latency: 0, verificationCode: '123456', resendCooldown: 0, ...serverOptions
+      });
+      return renderOnboarding({
+        schema: createOnboardingSchema({ emailVerifier: createFetchEmailVerifier({ fetchImpl: server }) })
+      });
+    };
+
+    const reachVerification = async (onboarding) => {
+      await onboarding.fillStep(validDefaultAnswers.personal);
+      await onboarding.next();
+      expect(onboarding.getCurrentStepId()).toBe('verifyEmail');
+    };
+
+    const getDigits = () => within(screen.getByRole('tabpanel')).getAllByRole('textbox');
+
+    it('moves on once the emailed code is entered and submits the verification token', async () => {
+      const onboarding = renderWithVerification();
+      await reachVerification(onboarding);
+
+      await onboarding.enterVerificationCode('123456');
+
+      expect(onboarding.getCurrentStepId()).toBe('account');
+      await onboarding.completeOnboarding();
+      expect(onboarding.submissions[0]).toMatchObject({ emailVerificationToken: 'verified:ada@example.com' });
+      expect(onboarding.submissions[0]).not.toHaveProperty('verifiedEmail');
+    });
+
+    it('accepts a pasted code', async () => {
+      const onboarding = renderWithVerification();
+      await reachVerification(onboarding);
+      await screen.findByText(onboarding.t('verifyEmail.sentTo', { email: 'ada@example.com' }));
+
+      await onboarding.user.click(getDigits()[0]);
+      await onboarding.user.paste('12 34 56');
+
+      await waitFor(() => expect(onboarding.getCurrentStepId()).toBe('account'));
+    });
+
+    it('rejects a wrong code and clears the boxes for another try', async () => {
+      const onboarding = renderWithVerification();
+      await reachVerification(onboarding);
+
+      await onboarding.enterVerificationCode('654321');
+
+      expect(screen.getByRole('alert')).toHaveTextContent(onboarding.t('verifyEmail.errors.invalid'));
+      expect(onboarding.getCurrentStepId()).toBe('verifyEmail');
+      getDigits().forEach(input => expect(input).toHaveValue(''));
+      expect(getDigits()[0]).toHaveFocus();
+    });
+
+    it('reports an expired code', async () => {
+      const onboarding = renderWithVerification({ codeTtl: 0 });
+      await reachVerification(onboarding);
+
+      await onboarding.enterVerificationCode('123456');
+
+      expect(screen.getByRole('alert')).toHaveTextContent(onboarding.t('verifyEmail.errors.expired'));
+    });
+
+    it('waits out the resend cooldown', async () => {
+      const onboarding = renderWithVerification({ resendCooldown: 30 * 1000 });
+      await reachVerification(onboarding);
+
+      expect(await screen.findByRole('button', { name: /Resend code in \d+ seconds/ })).toBeDisabled();
+    });
+
+    it('blocks progress until the email is verified', async () => {
+      const onboarding = renderWithVerification();
+      await reachVerification(onboarding);
+
+      await onboarding.next();
+
+      expect(onboarding.getCurrentStepId()).toBe('verifyEmail');
+      expect(screen.getByText(onboarding.t('validation.emailVerification.required'))).toBeInTheDocument();
+    });
+
+    it('asks for a new code after the email is edited', async () => {
+      const onboarding = renderWithVerification();
+      await reachVerification(onboarding);
+      await onboarding.enterVerificationCode('123456');
+
+      await onboarding.selectStep('personal');
+      await onboarding.fillField('email', 'ada@quixess.dev');
+      await onboarding.next();
+
+      expect(onboarding.getCurrentStepId()).toBe('verifyEmail');
+      expect(await screen.findByText(onboarding.t('verifyEmail.sentTo', { email: 'ada@quixess.dev' }))).toBeInTheDocument();
+      await onboarding.selectStep('account');
+      expect(onboarding.getCurrentStepId()).toBe('verifyEmail');
+    });
+  });
+
+  describe('profile photo', () => {
+    // jsdom has no canvas, so the crop is stubbed
+    const croppedPhoto = 'data:image/png;base64,Y3JvcHBlZA==';
+    const photo = new File(['photo'], 'ada.png', { type: 'image/png' });
+
+    const renderWithAvatar = ({ avatarOptions, ...options } = {}) => {
+      const processImage = jest.fn(async () => croppedPhoto);
+      const onboarding = renderOnboarding({
+        schema: createOnboardingSchema({ avatarOptions: { processImage, ...avatarOptions } }),
+        ...options
+      });
+      return { onboarding, processImage };
+    };
+
+    it('shows initials until a photo is chosen, then submits the cropped photo', async () => {
+      const { onboarding, processImage } = renderWithAvatar();
+
+      await onboarding.fillField('fullName', 'Ada Lovelace');
+      expect(screen.getByRole('img', { name: onboarding.t('fields.avatar.initials', { initials: 'AL' }) }))
+        .toHaveTextContent('AL');
+
+      await onboarding.fillField('avatar', photo);
+
+      expect(processImage).toHaveBeenCalledWith(photo, expect.objectContaining({ size: 256, output: 'dataUrl' }));
+      expect(screen.getByRole('img', { name: onboarding.t('fields.avatar.preview') })).toHaveAttribute('src', croppedPhoto);
+
+      await onboarding.completeOnboarding();
+      expect(onboarding.submissions[0]).toMatchObject({ avatar: croppedPhoto });
+      expect(onboarding.submissions[0]).not.toHaveProperty('avatarFallback');
+    });
+
+    it('turns away files that are not images and goes back to initials on remove', async () => {
+      const { onboarding, processImage } = renderWithAvatar({ user: userEvent.setup({ applyAccept: false }) });
+      await onboarding.fillField('fullName', 'Ada Lovelace');
+
+      await onboarding.fillField('avatar', new File(['%PDF'], 'cv.pdf', { type: 'application/pdf' }));
+
+      expect(screen.getByRole('alert')).toHaveTextContent(onboarding.t('validation.avatar.type'));
+      expect(processImage).not.toHaveBeenCalled();
+
+      await onboarding.fillField('avatar', photo);
+      expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+      await onboarding.user.click(screen.getByRole('button', { name: onboarding.t('fields.avatar.remove') }));
+      expect(screen.getByRole('img', { name: onboarding.t('fields.avatar.initials', { initials: 'AL' }) }))
+        .toHaveClass(getInitialsColor('Ada Lovelace'));
+
+      await onboarding.completeOnboarding();
+      expect(onboarding.submissions[0]).toMatchObject({
+        avatar: null,
+        avatarFallback: { initials: 'AL', color: getInitialsColorKey('Ada Lovelace') }
+      });
+    });
+
+    it('sends a Blob avatar as multipart form data', async () => {
+      const fetchImpl = jest.fn(async () => ({ ok: true, status: 200, json: async () => ({ id: 1 }) }));
+      const blob = new Blob(['cropped'], { type: 'image/png' });
+      const { onboarding } = renderWithAvatar({
+        avatarOptions: { output: 'blob', processImage: async () => blob },
+        onSubmit: createFetchSubmitAdapter({ fetchImpl })
+      });
+      const { createObjectURL, revokeObjectURL } = URL;
+      URL.createObjectURL = jest.fn(() => 'blob:avatar');
+      URL.revokeObjectURL = jest.fn();
+
+      try {
+        await onboarding.fillField('avatar', photo);
+        await onboarding.completeOnboarding();
+      } finally {
+        URL.createObjectURL = createObjectURL;
+        URL.revokeObjectURL = revokeObjectURL;
+      }
+
+      const [, { body, headers }] = fetchImpl.mock.calls[0];
+      expect(body).toBeInstanceOf(FormData);
+      expect(body.get('avatar')).toBeInstanceOf(Blob);
+      expect(body.get('email')).toBe('ada@example.com');
+      expect(headers).not.toHaveProperty('Content-Type');
+    });
+  });
+
+  describe('preferences', () => {
+    const reachPreferences = async (options) => {
+      const onboarding = renderOnboarding(options);
+      await onboarding.fillStep(validDefaultAnswers.personal);
+      await onboarding.next();
+      await onboarding.fillStep(validDefaultAnswers.account);
+      await onboarding.next();
+      expect(onboarding.getCurrentStepId()).toBe('preferences');
+      return onboarding;
+    };
+
+    it('searches time zones from the keyboard and keeps Escape from closing the dialog', async () => {
+      const onboarding = await reachPreferences();
+      const timeZone = onboarding.getField('timeZone');
+
+      await onboarding.user.clear(timeZone);
+      await onboarding.user.type(timeZone, 'tokyo');
+      expect(screen.getByRole('option', { name: /Asia\/Tokyo/ })).toBeInTheDocument();
+      await onboarding.user.keyboard('{Escape}');
+
+      expect(onboarding.getDialog()).toBeInTheDocument();
+      expect(timeZone).toHaveAttribute('aria-expanded', 'false');
+
+      await onboarding.user.clear(timeZone);
+      await onboarding.user.type(timeZone, 'paris');
+      await onboarding.user.keyboard('{ArrowDown}{ArrowUp}{Enter}');
+      expect(timeZone).toHaveValue('Europe/Paris');
+    });
+
+    it('moves through the notification grid with the arrow keys', async () => {
+      const onboarding = await reachPreferences();
+      const cell = (channel, category) => screen.getByRole('checkbox', {
+        name: onboarding.t('fields.notifications.cell', {
+          channel: onboarding.t(`fields.notifications.${channel}`),
+          category: onboarding.t(`fields.notifications.${category}`)
+        })
+      });
+
+      cell('email', 'security').focus();
+      await onboarding.user.keyboard('{ArrowRight}{ArrowDown}');
+      expect(cell('inApp', 'activity')).toHaveFocus();
+      expect(onboarding.getCurrentStepId()).toBe('preferences');
+
+      await onboarding.fillField('notifications', { security: [], activity: ['inApp'], product: [] });
+      await onboarding.next();
+      expect(screen.getByText(onboarding.t('validation.notifications.security'))).toBeInTheDocument();
+    });
+
+    it('toggles interest tags with one tab stop and submits every preference', async () => {
+      const onboarding = await reachPreferences();
+      const chip = (interest) => screen.getByRole('button', { name: onboarding.t(`fields.interests.${interest}`) });
+
+      await onboarding.user.click(chip('design'));
+      await onboarding.user.keyboard('{ArrowRight}{ArrowRight} {End}');
+      expect(chip('security')).toHaveFocus();
+      expect(chip('design')).toHaveAttribute('tabindex', '-1');
+      expect(chip('product')).toHaveAttribute('aria-pressed', 'true');
+
+      await onboarding.completeOnboarding({
+        ...validDefaultAnswers,
+        preferences: { theme: 'dark', language: 'fr', timeZone: 'Europe/Paris' }
+      });
+      expect(onboarding.submissions[0]).toMatchObject({
+        language: 'fr',
+        timeZone: 'Europe/Paris',
+        notifications: { security: ['email', 'inApp'] },
+        interests: ['design', 'product']
+      });
+    });
+  });
+
+  describe('consent', () => {
+    const reachConsent = async (options) => {
+      const onboarding = renderOnboarding(options);
+      for (const stepId of ['personal', 'account', 'preferences']) {
+        await onboarding.fillStep(validDefaultAnswers[stepId]);
+        await onboarding.next();
+      }
+      expect(onboarding.getCurrentStepId()).toBe('consent');
+      return onboarding;
+    };
+
+    it('keeps the terms locked until they are scrolled to the end', async () => {
+      // jsdom has no layout, so give every element a scrollable 1000px of content in a 200px box
+      const scrollHeight = jest.spyOn(Element.prototype, 'scrollHeight', 'get').mockReturnValue(1000);
+      const clientHeight = jest.spyOn(Element.prototype, 'clientHeight', 'get').mockReturnValue(200);
+      try {
+        const onboarding = await reachConsent();
+        const terms = onboarding.getField('acceptTerms');
+
+        expect(terms).toBeDisabled();
+        expect(terms).toHaveAccessibleDescription(expect.stringContaining(onboarding.t('fields.consent.scrollHint')));
+        expect(onboarding.getField('acceptPrivacy')).toBeEnabled();
+
+        const policy = screen.getByRole('region', { name: /Terms of Service/ });
+        Object.defineProperty(policy, 'scrollTop', { value: 800, configurable: true });
+        fireEvent.scroll(policy);
+
+        expect(terms).toBeEnabled();
+        await onboarding.user.click(terms);
+        expect(terms).toBeChecked();
+        await expectNoAxeViolations();
+      } finally {
+        scrollHeight.mockRestore();
+        clientHeight.mockRestore();
+      }
+    });
+
+    it('requires both policies before submitting', async () => {
+      const onboarding = await reachConsent();
+
+      await onboarding.fillStep({ acceptTerms: true });
+      await onboarding.submit();
+
+      expect(onboarding.submissions).toHaveLength(0);
+      expect(screen.getByText(onboarding.t('validation.acceptPrivacy.required'))).toBeInTheDocument();
+      await waitFor(() => expect(onboarding.getField('acceptPrivacy')).toHaveFocus());
+    });
+
+    it('submits a consent record worded in the language the user saw', async () => {
+      const onboarding = renderOnboarding({ locale: 'fr' });
+
+      await onboarding.completeOnboarding({
+        ...validDefaultAnswers,
+        preferences: { ...validDefaultAnswers.preferences, newsletter: true },
+        topics: { newsletterTopics: ['tips'] }
+      });
+
+      const { consentRecord } = onboarding.submissions[0];
+      expect(consentRecord.locale).toBe('fr');
+      expect(consentRecord.consents).toEqual([
+        expect.objectContaining({
+          purpose: 'marketing',
+          granted: true,
+          text: `${onboarding.t('fields.newsletter.label')} ${onboarding.t('fields.newsletter.description')}`
+        }),
+        expect.objectContaining({
+          purpose: 'terms',
+          text: onboarding.t('fields.acceptTerms.label'),
+          document: expect.objectContaining({ title: onboarding.t('policies.terms.title') })
+        }),
+        expect.objectContaining({ purpose: 'privacy', granted: true })
+      ]);
+    });
+  });
+
+  describe('closing with unsaved answers', () => {
+    it('asks before discarding and keeps editing on cancel', async () => {
+      const onboarding = renderOnboarding();
+
+      await onboarding.fillStep({ fullName: 'Ada' });
+      await onboarding.close();
+
+      const confirm = screen.getByRole('alertdialog', { name: onboarding.t('modal.confirmClose') });
+      expect(within(confirm).getByRole('button', { name: onboarding.t('modal.keepEditing') })).toHaveFocus();
+
+      await onboarding.user.keyboard('{Escape}');
+
+      expect(screen.queryByRole('alertdialog')).not.toBeInTheDocument();
+      expect(onboarding.getDialog()).toBeInTheDocument();
+      expect(onboarding.getField('fullName')).toHaveValue('Ada');
+    });
+
+    it('closes once confirmed', async () => {
+      const onboarding = renderOnboarding();
+
+      await onboarding.fillStep({ fullName: 'Ada' });
+      act(() => onboarding.getDialog().focus());
+      await onboarding.user.keyboard('{Escape}');
+      await onboarding.user.click(screen.getByRole('button', { name: onboarding.t('modal.confirmCloseAction') }));
+
+      await waitFor(() => expect(screen.queryByRole('dialog')).not.toBeInTheDocument());
+    });
+
+    it('asks when a default has been cleared', async () => {
+      const onboarding = renderOnboarding();
+
+      await onboarding.fillStep({ accountType: '' });
+      await onboarding.close();
+
+      expect(screen.getByRole('alertdialog', { name: onboarding.t('modal.confirmClose') })).toBeInTheDocument();
+    });
+
+    it('closes without asking once the answers are back to how they started', async () => {
+      const onboarding = renderOnboarding();
+
+      await onboarding.fillStep({ fullName: 'Ada', accountType: 'business' });
+      await onboarding.fillStep({ fullName: '', accountType: 'personal' });
+      await onboarding.close();
+
+      expect(screen.queryByRole('alertdialog')).not.toBeInTheDocument();
+      await waitFor(() => expect(screen.queryByRole('dialog')).not.toBeInTheDocument());
+    });
+
+    it('closes without asking when a draft keeps every answer', async () => {
+      const onboarding = renderOnboarding({ persistence: { adapter: createMemoryStorageAdapter() } });
+
+      await onboarding.fillStep({ fullName: 'Ada' });
+      await onboarding.close();
+
+      expect(screen.queryByRole('alertdialog')).not.toBeInTheDocument();
+      await waitFor(() => expect(screen.queryByRole('dialog')).not.toBeInTheDocument());
+    });
+
+    it('asks when a draft would drop the password', async () => {
+      const onboarding = renderOnboarding({ persistence: { adapter: createMemoryStorageAdapter() } });
+
+      await onboarding.fillStep(validDefaultAnswers.personal);
+      await onboarding.next();
+      await onboarding.fillStep({ password: 'Engine1843' });
+      await onboarding.close();
+
+      expect(screen.getByRole('alertdialog', { name: onboarding.t('modal.confirmClose') })).toBeInTheDocument();
+    });
+
+    it('uses the host confirm when provided', async () => {
+      const confirm = jest.fn(async () => false);
+      const onboarding = renderOnboarding({ confirm });
+
+      await onboarding.fillStep({ fullName: 'Ada' });
+      await onboarding.close();
+
+      expect(confirm).toHaveBeenCalledWith(expect.objectContaining({ title: onboarding.t('modal.confirmClose') }));
+      expect(screen.queryByRole('alertdialog')).not.toBeInTheDocument();
+      expect(onboarding.getDialog()).toBeInTheDocument();
+    });
+  });
+
+  describe('analytics', () => {
+    it('reports the whole flow without anything the user typed', async () => {
+      const onEvent = jest.fn();
+      const onboarding = renderOnboarding({ onEvent });
+
+      await onboarding.fillStep({ fullName: 'Ada Lovelace', email: 'ada@' });
+      await onboarding.next();
+      await onboarding.completeOnboarding();
+
+      const events = onEvent.mock.calls.map(([event]) => event);
+      expect(events.map(event => event.type)).toEqual(expect.arrayContaining([
+        'opened', 'step_viewed', 'validation_failed', 'step_completed', 'submitted'
+      ]));
+      expect(events.find(event => event.type === 'validation_failed').fields)
+        .toEqual([{ field: 'email', rule: 'validation.email.invalid' }]);
+
+      const answers = Object.values(validDefaultAnswers)
+        .flatMap(Object.values)
+        .filter(value => typeof value === 'string');
+      const serialized = JSON.stringify(events);
+      answers.forEach(answer => expect(serialized).not.toContain(answer));
+      expect(serialized).not.toContain('ada@');
+    });
+
+    it('counts a close by the parent through `isOpen` as abandoning', () => {
+      const onEvent = jest.fn();
+      const ui = isOpen => (
+        <I18nProvider locale="en">
+          <OnboardingModal isOpen={isOpen} onOpenChange={() => {}} onEvent={onEvent} />
+        </I18nProvider>
+      );
+      const { rerender } = render(ui(true));
+
+      rerender(ui(false));
+
+      expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+      expect(onEvent).toHaveBeenLastCalledWith(expect.objectContaining({ type: 'abandoned', stepId: 'personal' }));
+    });
+
+    it('keeps the web vitals context on the step being shown', async () => {
+      try {
+        const onboarding = renderOnboarding({ onEvent: trackOnboardingStepForVitals });
+        expect(getVitalsContext().onboardingStep).toBe('personal');
+
+        await onboarding.fillStep(validDefaultAnswers.personal);
+        await onboarding.next();
+        expect(getVitalsContext().onboardingStep).toBe('account');
+
+        await onboarding.completeOnboarding();
+        expect(getVitalsContext().onboardingStep).toBeNull();
+      } finally {
+        setVitalsContext({ onboardingStep: null });
+      }
+    });
+  });
+
+  describe('submit failures', () => {
+    beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+    afterEach(() => console.error.mockRestore());
+
+    it('shows an error toast and offers a retry', async () => {
+      const onSubmit = jest.fn()
+        .mockRejectedValueOnce(new SubmissionError('Server unavailable.', { status: 503, retryable: true }))
+        .mockResolvedValueOnce({ ok: true });
+      const onboarding = renderOnboarding({ onSubmit });
+
+      await onboarding.completeOnboarding();
+
+      expect(await getToast('Server unavailable.')).toBeInTheDocument();
+      expect(screen.getByRole('alert')).toBeInTheDocument();
+      expect(screen.getByRole('button', { name: onboarding.t('submit.retryLabel') })).toBeInTheDocument();
+
+      await onboarding.submit();
+
+      expect(onSubmit).toHaveBeenCalledTimes(2);
+      await waitFor(() => expect(screen.queryByRole('dialog')).not.toBeInTheDocument());
+    });
+
+    it('returns to the step with server field errors', async () => {
+      const onSubmit = jest.fn(async () => {
+        throw new SubmissionError('Invalid', { status: 422, fieldErrors: { username: 'That username is taken' } });
+      });
+      const onboarding = renderOnboarding({ onSubmit });
+
+      await onboarding.completeOnboarding();
+
+      await waitFor(() => expect(onboarding.getCurrentStepId()).toBe('account'));
+      expect(screen.getByText('That username is taken')).toBeInTheDocument();
+      expect(onboarding.getField('username')).toHaveAttribute('aria-invalid', 'true');
+    });
+  });
+
+  describe('imperative API', () => {
+    it('opens, jumps and resets through the ref', async () => {
+      const ref = createRef();
+      const onboarding = renderOnboarding({ ref, defaultOpen: false });
+
+      expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+      act(() => ref.current.open());
+      expect(onboarding.getDialog()).toBeInTheDocument();
+
+      let moved;
+      await act(async () => { moved = await ref.current.goTo('account'); });
+      expect(moved).toBe(false);
+
+      await onboarding.fillStep(validDefaultAnswers.personal);
+      await act(async () => { moved = await ref.current.goTo('account'); });
+      expect(moved).toBe(true);
+      expect(onboarding.getCurrentStepId()).toBe('account');
+
+      act(() => ref.current.reset());
+      expect(onboarding.getCurrentStepId()).toBe('personal');
+      expect(onboarding.getField('fullName')).toHaveValue('');
+    });
+  });
+
+  describe('layouts', () => {
+    it('renders inline in place, open by default, without taking over the page', async () => {
+      const onOpenChange = jest.fn();
+      const onboarding = renderOnboarding({ layout: 'inline', defaultOpen: undefined, onOpenChange });
+
+      const region = onboarding.getDialog();
+      expect(region).toHaveAttribute('role', 'region');
+      expect(region).not.toHaveAttribute('aria-modal');
+      expect(onboarding.container).toContainElement(region);
+      expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+      expect(document.body.style.overflow).not.toBe('hidden');
+
+      onboarding.getField('fullName').focus();
+      await onboarding.user.keyboard('{Escape}');
+      expect(onOpenChange).not.toHaveBeenCalled();
+    });
+
+    it('ignores arrow keys pressed outside an inline flow', async () => {
+      const onboarding = renderOnboarding({ layout: 'inline' });
+
+      await onboarding.fillStep(validDefaultAnswers.personal);
+      document.body.focus();
+      await onboarding.user.keyboard('{ArrowRight}');
+
+      expect(onboarding.getCurrentStepId()).toBe('personal');
+    });
+
+    it('renders the drawer as a modal dialog in a portal', () => {
+      const onboarding = renderOnboarding({ layout: 'drawer' });
+
+      expect(onboarding.getDialog()).toHaveAttribute('aria-modal', 'true');
+      expect(onboarding.container).not.toContainElement(onboarding.getDialog());
+    });
+
+    it('lists the steps vertically on the page layout', async () => {
+      const onboarding = renderOnboarding({ layout: 'page' });
+
+      expect(screen.getByRole('tablist')).toHaveAttribute('aria-orientation', 'vertical');
+
+      await onboarding.fillStep(validDefaultAnswers.personal);
+      await onboarding.next();
+      await onboarding.selectStep('personal');
+      await onboarding.user.keyboard('{ArrowDown}');
+
+      expect(screen.getByRole('tab', { name: new RegExp(onboarding.t('steps.account.title')) })).toHaveFocus();
+    });
+
+    it('summarizes the current step for small screens', () => {
+      const onboarding = renderOnboarding();
+
+      expect(screen.getByText(onboarding.t('stepper.compact', { current: 1, total: 4 }))).toBeInTheDocument();
+    });
+
+    it('has no axe violations inline', async () => {
+      renderOnboarding({ layout: 'inline' });
+
+      await expectNoAxeViolations();
+    });
+  });
+
+  describe('accessibility', () => {
+    it('has no axe violations when opened', async () => {
+      renderOnboarding();
+
+      await expectNoAxeViolations();
+    });
+
+    it('has no axe violations with errors showing', async () => {
+      const onboarding = renderOnboarding();
+
+      await onboarding.next();
+
+      await expectNoAxeViolations();
+    });
+
+    it('has no axe violations on the preferences step', async () => {
+      const onboarding = renderOnboarding();
+
+      await onboarding.fillStep(validDefaultAnswers.personal);
+      await onboarding.next();
+      await onboarding.fillStep(validDefaultAnswers.account);
+      await onboarding.next();
+
+      await expectNoAxeViolations();
+    });
+
+    it('has no axe violations while confirming close', async () => {
+      const onboarding = renderOnboarding();
+
+      await onboarding.fillStep({ fullName: 'Ada' });
+      await onboarding.close();
+
+      await expectNoAxeViolations();
+    });
+  });
+});
@@ -0,0 +1,22 @@
+import Button from './Button';
+import { useI18n } from '../i18n';
+
+// Marketing call-to-action for opening the onboarding dialog. Optional: any
+// control that flips OnboardingModal's `isOpen` (or calls `ref.open()`) works.
+const OnboardingTrigger = ({ onClick, children, className = '', ...props }) => {
+  const { t } = useI18n();
+
+  return (
+    <Button
+      onClick={onClick}
+      className={`shadow-lg transform hover:scale-105 text-lg ${className}`}
+      ariaLabel={children ? undefined : t('modal.startLabel')}
+      aria-haspopup="dialog"
+      {...props}
+    >
+      {children || t('modal.start')}
+    </Button>
+  );
+};
+
+export default OnboardingTrigger;
@@ -0,0 +1,109 @@
+import { useRef, useState } from 'react';
+import { useI18n } from '../i18n';
+import { getInputClassName } from './fields/fieldStyles';
+
+const onlyDigits = (text) => text.replace(/\D/g, '');
+
+// Typing into a filled box yields its old digit plus the new one; keep the new one
+const getTypedDigits = (text, previous) => {
+  if (!previous || text.length !== 2) return text;
+  return text.startsWith(previous) ? text.slice(1) : text.slice(0, 1);
+};
+
+/**
+ * ONE-TIME CODE INPUT
+ * One box per digit. Typing moves to the next box, Backspace on an empty box
+ * goes back, and pasting (or autofilling) a whole code spreads it across the
+ * boxes. Calls `onComplete(code)` once every box is filled. Uncontrolled:
+ * remount it (change its `key`) to clear it.
+ */
+const OtpInput = ({
+  length = 6, onComplete, disabled = false, invalid = false, autoFocus = false,
+  labelledBy, describedBy
+}) => {
+  const { t } = useI18n();
+  const [digits, setDigits] = useState(() => Array(length).fill(''));
+  const inputRefs = useRef([]);
+
+  const focusBox = (index) => {
+    const input = inputRefs.current[Math.max(0, Math.min(index, length - 1))];
+    input?.focus();
+    input?.select();
+  };
+
+  // Write `text` from box `index` on, then move on or report the full code
+  const fillFrom = (index, text) => {
+    const next = [...digits];
+    const incoming = onlyDigits(text).slice(0, length - index).split('');
+    incoming.forEach((digit, offset) => { next[index + offset] = digit; });
+    setDigits(next);
+
+    if (next.every(Boolean)) {
+      onComplete?.(next.join(''));
+    } else {
+      focusBox(index + incoming.length);
+    }
+  };
+
+  const handleChange = (index, e) => {
+    const text = onlyDigits(e.target.value);
+    if (!text) {
+      setDigits(previous => previous.map((digit, i) => (i === index ? '' : digit)));
+      return;
+    }
+    fillFrom(index, getTypedDigits(text, digits[index]));
+  };
+
+  const handleKeyDown = (index, e) => {
+    if (e.key === 'Backspace' && !digits[index] && index > 0) {
+      e.preventDefault();
+      setDigits(previous => previous.map((digit, i) => (i === index - 1 ? '' : digit)));
+      focusBox(index - 1);
+    } else if (e.key === 'ArrowLeft' && index > 0) {
+      e.preventDefault();
+      focusBox(index - 1);
+    } else if (e.key === 'ArrowRight' && index < length - 1) {
+      e.preventDefault();
+      focusBox(index + 1);
+    }
+  };
+
+  const handlePaste = (index, e) => {
+    e.preventDefault();
+    fillFrom(index, e.clipboardData.getData('text'));
+  };
+
+  // Codes read left to right in every locale
+  return (
+    <div
+      className="flex justify-center gap-2 sm:gap-3"
+      role="group"
+      aria-labelledby={labelledBy}
+      aria-describedby={describedBy}
+      dir="ltr"
+    >
+      {digits.map((digit, index) => (
+        <input
+          key={index}
+          ref={(element) => { inputRefs.current[index] = element; }}
+          type="text"
+          inputMode="numeric"
+          pattern="[0-9]*"
+          autoComplete={index === 0 ? 'one-time-code' : 'off'}
+          autoFocus={autoFocus && index === 0}
+          value={digit}
+          onChange={(e) => handleChange(index, e)}
+          onKeyDown={(e) => handleKeyDown(index, e)}
+          onPaste={(e) => handlePaste(index, e)}
+          onFocus={(e) => e.target.select()}
+          disabled={disabled}
+          aria-label={t('verifyEmail.digitLabel', { current: index + 1, total: length })}
+          aria-invalid={invalid}
+          className={`${getInputClassName(invalid)} !w-11 sm:!w-12 !px-0 text-center text-xl font-semibold`}
+        />
+      ))}
+    </div>
+  );
+};
+
+export default OtpInput;
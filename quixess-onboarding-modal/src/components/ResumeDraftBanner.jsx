@@ -0,0 +1,44 @@
+import Button from './Button';
+import { useI18n } from '../i18n';
+
+const formatSavedAt = (savedAt, locale) => {
+  const date = new Date(savedAt);
+  return Number.isNaN(date.getTime())
+    ? null
+    : date.toLocaleString(locale, { dateStyle: 'medium', timeStyle: 'short' });
+};
+
+// "Resume where you left off" offer shown when a saved draft exists
+const ResumeDraftBanner = ({ draft, onResume, onDiscard }) => {
+  const { t, locale } = useI18n();
+  const savedAt = formatSavedAt(draft.savedAt, locale);
+
+  return (
+    <div
+      className="mb-8 rounded-lg border p-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 border-blue-200 bg-blue-50 text-gray-800 dark:border-blue-400 dark:bg-gray-700 dark:text-gray-100"
+      role="region"
+      aria-labelledby="resume-draft-title"
+    >
+      <div>
+        <p id="resume-draft-title" className="font-medium">{t('draft.title')}</p>
+        <p className="text-sm text-content-muted">
+          {savedAt ? t('draft.bodyWithDate', { date: savedAt }) : t('draft.body')}
+        </p>
+      </div>
+      <div className="flex gap-2 shrink-0">
+        <Button
+          onClick={onDiscard}
+          variant="secondary"
+          className="!px-4 !py-2"
+        >
+          {t('draft.startOver')}
+        </Button>
+        <Button onClick={onResume} className="!px-4 !py-2">
+          {t('draft.resume')}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default ResumeDraftBanner;
@@ -0,0 +1,135 @@
+import { useEffect, useRef, useState } from 'react';
+import Button from './Button';
+import { useI18n } from '../i18n';
+import { signInWithPopup } from '../auth/oidcClient';
+import { isAbortError } from '../api/submitAdapters';
+
+const errorMessageKeys = {
+  popup_blocked: 'signIn.errors.popupBlocked',
+  popup_closed: 'signIn.errors.popupClosed',
+  access_denied: 'signIn.errors.accessDenied'
+};
+
+/**
+ * SIGN-IN STEP
+ * Custom step renderer offering "Continue with …" for each of
+ * `step.providers` (see auth/providers). A successful popup sign-in stores
+ * `authProvider` and `identityToken`, prefills fullName and email from the
+ * profile and moves on; the schema hides the password fields while
+ * `authProvider` is set. The profile email is kept as `providerEmail` unless
+ * the ID token says it is unverified, so the schema can skip email
+ * verification only while the address is unchanged. Choosing Next instead
+ * keeps the manual path.
+ */
+const SignInStep = ({ step, data, onChange, onNext }) => {
+  const { t } = useI18n();
+  const [pendingProviderId, setPendingProviderId] = useState(null);
+  const [error, setError] = useState(null);
+  const controllerRef = useRef(null);
+
+  // Closing the dialog mid sign-in closes the popup too
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const connectedProvider = step.providers.find(provider => provider.id === data.authProvider);
+
+  const handleSignIn = async (provider) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setPendingProviderId(provider.id);
+    setError(null);
+
+    try {
+      const { profile, claims, identityToken } = await signInWithPopup(provider, { signal: controller.signal });
+      onChange('authProvider', provider.id);
+      onChange('identityToken', identityToken);
+      onChange('providerEmail', claims?.email_verified === false ? '' : profile.email || '');
+      if (profile.fullName) onChange('fullName', profile.fullName);
+      if (profile.email) onChange('email', profile.email);
+      onNext?.();
+    } catch (signInError) {
+      if (isAbortError(signInError)) return;
+
+      // Blocked or cancelled popups are the user's call; anything else is worth logging
+      const messageKey = errorMessageKeys[signInError.code];
+      if (!messageKey) console.error(`Sign-in with ${provider.id} failed:`, signInError);
+      setError(t(messageKey || 'signIn.errors.failed', { provider: t(provider.label) }));
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setPendingProviderId(null);
+      }
+    }
+  };
+
+  const handleUseAnother = () => {
+    onChange('authProvider', '');
+    onChange('identityToken', '');
+    onChange('providerEmail', '');
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="text-center mb-8">
+        <h2
+          className="text-2xl font-bold mb-2 transition-colors focus:outline-none text-content"
+          tabIndex={-1}
+          data-step-heading
+        >
+          {t(step.heading || step.title)}
+        </h2>
+        {step.description && (
+          <p className="transition-colors text-content-muted">
+            {t(step.description)}
+          </p>
+        )}
+      </div>
+
+      {connectedProvider ? (
+        <div className="rounded-lg border p-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 border-green-300 bg-green-50 text-gray-800 dark:border-green-500 dark:bg-gray-700 dark:text-gray-100">
+          <p className="font-medium">
+            {data.email
+              ? t('signIn.connectedAs', { provider: t(connectedProvider.label), email: data.email })
+              : t('signIn.connected', { provider: t(connectedProvider.label) })}
+          </p>
+          <Button onClick={handleUseAnother} variant="secondary" className="!px-4 !py-2 shrink-0">
+            {t('signIn.useAnother')}
+          </Button>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {step.providers.map((provider) => {
+            const label = t(provider.label);
+            const isPending = pendingProviderId === provider.id;
+
+            return (
+              <Button
+                key={provider.id}
+                onClick={() => handleSignIn(provider)}
+                disabled={pendingProviderId !== null}
+                variant="secondary"
+                className="w-full flex items-center justify-center gap-3"
+                aria-busy={isPending}
+              >
+                {provider.icon && <span aria-hidden="true">{provider.icon}</span>}
+                {isPending ? t('signIn.waiting', { provider: label }) : t('signIn.continueWith', { provider: label })}
+              </Button>
+            );
+          })}
+        </div>
+      )}
+
+      {error && (
+        <p className="text-sm text-red-600" role="alert">
+          {error}
+        </p>
+      )}
+
+      {!connectedProvider && (
+        <p className="text-sm text-center text-content-subtle">{t('signIn.manual')}</p>
+      )}
+    </div>
+  );
+};
+
+export default SignInStep;
@@ -0,0 +1,107 @@
+import { useRef, useCallback } from 'react';
+import { useI18n } from '../i18n';
+
+export const STEP_PANEL_ID = 'onboarding-step-panel';
+
+export const getStepTabId = (step) => `onboarding-step-tab-${step.id}`;
+
+const badgeClassNames = {
+  completed: 'bg-green-600 text-white',
+  error: 'bg-red-600 text-white',
+  visited: 'bg-white text-blue-600',
+  upcoming: 'bg-white text-blue-600'
+};
+
+// Step Tabs: an ARIA tablist. Arrow keys, Home and End move between steps,
+// and `onSelect` decides whether a jump is allowed (see goToStep).
+// `orientation="vertical"` stacks the tabs (e.g. a sidebar) and uses Up/Down.
+const StepIndicator = ({
+  steps, currentStep, statuses = [], onSelect, orientation = 'horizontal', className = ''
+}) => {
+  const { t, dir } = useI18n();
+  const tabRefs = useRef([]);
+
+  const selectStep = useCallback((number) => {
+    tabRefs.current[number - 1]?.focus();
+    if (number !== currentStep) onSelect?.(number);
+  }, [currentStep, onSelect]);
+
+  const isVertical = orientation === 'vertical';
+
+  const handleKeyDown = useCallback((e) => {
+    const forwardKey = isVertical ? 'ArrowDown' : dir === 'rtl' ? 'ArrowLeft' : 'ArrowRight';
+    const backwardKey = isVertical ? 'ArrowUp' : dir === 'rtl' ? 'ArrowRight' : 'ArrowLeft';
+    // Move from the focused tab, not the selected one: focus stays on a tab
+    // whose jump `onSelect` refused, and the next arrow continues from there
+    const focusedIndex = tabRefs.current.indexOf(e.target);
+    const from = focusedIndex === -1 ? currentStep : focusedIndex + 1;
+    const targets = {
+      [forwardKey]: Math.min(from + 1, steps.length),
+      [backwardKey]: Math.max(from - 1, 1),
+      Home: 1,
+      End: steps.length
+    };
+
+    if (!(e.key in targets)) return;
+
+    // Handled here, so the dialog's own arrow-key navigation stays out of it
+    e.preventDefault();
+    selectStep(targets[e.key]);
+  }, [isVertical, dir, currentStep, steps.length, selectStep]);
+
+  return (
+    <div
+      className={`flex ${isVertical ? 'flex-col gap-2' : 'flex-wrap gap-4'} ${className}`}
+      role="tablist"
+      aria-label={t('stepper.label')}
+      aria-orientation={orientation}
+      onKeyDown={handleKeyDown}
+    >
+      {steps.map((step, index) => {
+        const number = index + 1;
+        const status = statuses[index] || 'upcoming';
+        const isCurrent = currentStep === number;
+
+        return (
+          <button
+            key={step.id}
+            ref={(element) => { tabRefs.current[index] = element; }}
+            type="button"
+            id={getStepTabId(step)}
+            role="tab"
+            aria-selected={isCurrent}
+            aria-controls={isCurrent ? STEP_PANEL_ID : undefined}
+            tabIndex={isCurrent ? 0 : -1}
+            onClick={() => selectStep(number)}
+            className={`flex items-center gap-2 px-4 py-2 rounded-full transition-all duration-300 focus:outline-none focus-visible:ring-2 focus-visible:ring-white ${
+              isVertical ? 'w-full text-start' : ''
+            } ${
+              isCurrent
+                ? `bg-white bg-opacity-20 border-2 border-white ${isVertical ? '' : 'scale-105'}`
+                : status === 'error'
+                ? 'bg-red-500 bg-opacity-80 hover:bg-opacity-100'
+                : status === 'completed'
+                ? 'bg-green-500 bg-opacity-80 hover:bg-opacity-100'
+                : 'bg-white bg-opacity-10 hover:bg-opacity-20'
+            }`}
+          >
+            <span
+              className={`w-6 h-6 rounded-full flex items-center justify-center text-sm font-bold transition-all ${
+                badgeClassNames[status]
+              }`}
+              aria-hidden="true"
+            >
+              {status === 'error' ? '!' : status === 'completed' ? '✓' : number}
+            </span>
+            <span className="text-sm font-medium">{t(step.title)}</span>
+            {(status === 'completed' || status === 'error') && (
+              <span className="sr-only">{t(`stepper.${status}`)}</span>
+            )}
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+export default StepIndicator;
@@ -0,0 +1,45 @@
+import { act, render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import StepIndicator from './StepIndicator';
+
+const steps = [
+  { id: 'personal', title: 'steps.personal.title' },
+  { id: 'account', title: 'steps.account.title' },
+  { id: 'preferences', title: 'steps.preferences.title' },
+  { id: 'consent', title: 'steps.consent.title' }
+];
+
+describe('StepIndicator', () => {
+  it('moves on from the focused tab when a jump is refused', async () => {
+    const user = userEvent.setup();
+    // A parent that refuses every jump, e.g. while the current step is invalid
+    const onSelect = jest.fn();
+    render(<StepIndicator steps={steps} currentStep={1} onSelect={onSelect} />);
+    const tabs = screen.getAllByRole('tab');
+
+    act(() => tabs[0].focus());
+    await user.keyboard('{ArrowRight}');
+    expect(tabs[1]).toHaveFocus();
+    await user.keyboard('{ArrowRight}');
+    expect(tabs[2]).toHaveFocus();
+    await user.keyboard('{ArrowLeft}');
+    expect(tabs[1]).toHaveFocus();
+
+    expect(onSelect.mock.calls).toEqual([[2], [3], [2]]);
+    expect(tabs[0]).toHaveAttribute('aria-selected', 'true');
+  });
+
+  it('goes to the first and last tab with Home and End', async () => {
+    const user = userEvent.setup();
+    const onSelect = jest.fn();
+    render(<StepIndicator steps={steps} currentStep={2} onSelect={onSelect} />);
+    const tabs = screen.getAllByRole('tab');
+
+    act(() => tabs[1].focus());
+    await user.keyboard('{End}');
+    expect(tabs[3]).toHaveFocus();
+    await user.keyboard('{Home}');
+    expect(tabs[0]).toHaveFocus();
+    expect(onSelect.mock.calls).toEqual([[4], [1]]);
+  });
+});
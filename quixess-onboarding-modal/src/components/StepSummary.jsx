@@ -0,0 +1,18 @@
+import { useI18n } from '../i18n';
+
+// Compact "Step 2 of 3" header that stands in for the step tabs on small screens
+const StepSummary = ({ steps, currentStep, className = '' }) => {
+  const { t } = useI18n();
+  const step = steps[currentStep - 1];
+
+  return (
+    <p className={`flex flex-col ${className}`}>
+      <span className="text-xs font-medium uppercase tracking-wide text-blue-100">
+        {t('stepper.compact', { current: currentStep, total: steps.length })}
+      </span>
+      <span className="text-lg font-semibold">{t(step.title)}</span>
+    </p>
+  );
+};
+
+export default StepSummary;
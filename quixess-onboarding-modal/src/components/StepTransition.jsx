@@ -0,0 +1,85 @@
+import { useEffect, useRef, useState } from 'react';
+import { useI18n } from '../i18n';
+import { usePrefersReducedMotion } from '../hooks/usePrefersReducedMotion';
+
+// Slide in from the side the user is heading to; mirrored in right-to-left locales
+const getEnterAnimation = (direction, dir) => {
+  if (!direction) return '';
+  return (direction === 'forward') === (dir !== 'rtl')
+    ? 'animate-stepInFromRight'
+    : 'animate-stepInFromLeft';
+};
+
+/**
+ * STEP TRANSITION
+ * Wraps the current step's panel. A new `index` slides the panel in forward
+ * or backward, and the wrapper animates its height to the new step's size
+ * (measured with ResizeObserver, so errors appearing animate too). Content
+ * is clipped only while something is moving, to keep focus rings visible.
+ * Under `prefers-reduced-motion` the step simply swaps in place.
+ * Other props go to the panel element (id, role, aria-*).
+ */
+const StepTransition = ({ index, className = '', children, ...panelProps }) => {
+  const { dir } = useI18n();
+  const prefersReducedMotion = usePrefersReducedMotion();
+  const panelRef = useRef(null);
+  const heightRef = useRef(null);
+  const [height, setHeight] = useState(null);
+  const [isAnimating, setIsAnimating] = useState(false);
+
+  // Direction of the last step change; null until the first one
+  const [transition, setTransition] = useState({ index, direction: null });
+  if (transition.index !== index) {
+    setTransition({ index, direction: index > transition.index ? 'forward' : 'backward' });
+    if (!prefersReducedMotion) setIsAnimating(true);
+  }
+
+  // Track the panel's height; the first measurement only pins it
+  useEffect(() => {
+    const panel = panelRef.current;
+    if (prefersReducedMotion || !panel || typeof ResizeObserver === 'undefined') {
+      heightRef.current = null;
+      setHeight(null);
+      return undefined;
+    }
+
+    const observer = new ResizeObserver(([entry]) => {
+      const nextHeight = entry.borderBoxSize?.[0]?.blockSize ?? entry.target.offsetHeight;
+      if (nextHeight === heightRef.current) return;
+
+      if (heightRef.current !== null) setIsAnimating(true);
+      heightRef.current = nextHeight;
+      setHeight(nextHeight);
+    });
+    observer.observe(panel);
+    return () => observer.disconnect();
+  }, [prefersReducedMotion, transition.index]);
+
+  const handleTransitionEnd = (e) => {
+    if (e.target === e.currentTarget && e.propertyName === 'height') setIsAnimating(false);
+  };
+
+  const handleAnimationEnd = (e) => {
+    if (e.target === panelRef.current) setIsAnimating(false);
+  };
+
+  return (
+    <div
+      className={`transition-[height] duration-300 ease-out ${isAnimating ? 'overflow-hidden' : ''}`}
+      style={height === null ? undefined : { height }}
+      onTransitionEnd={handleTransitionEnd}
+      onAnimationEnd={handleAnimationEnd}
+    >
+      <div
+        ref={panelRef}
+        key={transition.index}
+        className={`${prefersReducedMotion ? '' : getEnterAnimation(transition.direction, dir)} ${className}`}
+        {...panelProps}
+      >
+        {children}
+      </div>
+    </div>
+  );
+};
+
+export default StepTransition;
@@ -0,0 +1,60 @@
+import { render, screen } from '@testing-library/react';
+import StepTransition from './StepTransition';
+import { I18nProvider } from '../i18n';
+
+const renderTransition = ({ index = 1, locale = 'en' } = {}) => {
+  const ui = (step) => (
+    <I18nProvider locale={locale}>
+      <StepTransition index={step} role="tabpanel" aria-label="Step">Step {step}</StepTransition>
+    </I18nProvider>
+  );
+  const view = render(ui(index));
+  return { ...view, goTo: (step) => view.rerender(ui(step)) };
+};
+
+const mockReducedMotion = (matches) => {
+  window.matchMedia = jest.fn((query) => ({
+    matches: matches && query === '(prefers-reduced-motion: reduce)',
+    media: query,
+    addEventListener: jest.fn(),
+    removeEventListener: jest.fn()
+  }));
+};
+
+describe('StepTransition', () => {
+  afterEach(() => { delete window.matchMedia; });
+
+  it('does not animate the first step', () => {
+    renderTransition();
+
+    expect(screen.getByRole('tabpanel').className).not.toMatch(/animate-/);
+  });
+
+  it('slides in from the right going forward and from the left going back', () => {
+    const { goTo } = renderTransition();
+
+    goTo(2);
+    expect(screen.getByRole('tabpanel')).toHaveClass('animate-stepInFromRight');
+    expect(screen.getByRole('tabpanel').parentElement).toHaveClass('overflow-hidden');
+
+    goTo(1);
+    expect(screen.getByRole('tabpanel')).toHaveClass('animate-stepInFromLeft');
+  });
+
+  it('mirrors the direction in right-to-left locales', () => {
+    const { goTo } = renderTransition({ locale: 'ar' });
+
+    goTo(2);
+    expect(screen.getByRole('tabpanel')).toHaveClass('animate-stepInFromLeft');
+  });
+
+  it('swaps steps without motion when reduced motion is preferred', () => {
+    mockReducedMotion(true);
+    const { goTo } = renderTransition();
+
+    goTo(2);
+    expect(screen.getByRole('tabpanel')).toHaveTextContent('Step 2');
+    expect(screen.getByRole('tabpanel').className).not.toMatch(/animate-/);
+    expect(screen.getByRole('tabpanel').parentElement).not.toHaveClass('overflow-hidden');
+  });
+});
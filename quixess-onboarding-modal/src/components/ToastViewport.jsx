@@ -0,0 +1,46 @@
+import { useI18n } from '../i18n';
+
+const toastStyles = {
+  success: { icon: '✓', className: 'border-green-500', iconClassName: 'bg-green-600' },
+  error: { icon: '!', className: 'border-red-500', iconClassName: 'bg-red-600' },
+  info: { icon: 'i', className: 'border-blue-500', iconClassName: 'bg-blue-600' }
+};
+
+// Stack of notifications in the bottom corner; errors interrupt, the rest wait their turn
+const ToastViewport = ({ toasts, onDismiss }) => {
+  const { t } = useI18n();
+
+  return (
+    <div className="fixed bottom-4 end-4 z-[70] flex flex-col gap-3 w-full max-w-sm pointer-events-none">
+      {toasts.map((toast) => {
+        const style = toastStyles[toast.type] || toastStyles.info;
+
+        return (
+          <div
+            key={toast.id}
+            className={`pointer-events-auto flex items-start gap-3 rounded-lg border-s-4 shadow-lg p-4 animate-fadeIn bg-surface text-content ${style.className}`}
+            role={toast.type === 'error' ? 'alert' : 'status'}
+          >
+            <span
+              className={`w-6 h-6 shrink-0 rounded-full flex items-center justify-center text-sm font-bold text-white ${style.iconClassName}`}
+              aria-hidden="true"
+            >
+              {style.icon}
+            </span>
+            <p className="flex-1 text-sm">{toast.message}</p>
+            <button
+              type="button"
+              onClick={() => onDismiss(toast.id)}
+              className="text-lg leading-none rounded focus:outline-none focus:ring-2 focus:ring-blue-500 text-content-subtle hover:text-content-muted"
+              aria-label={t('toast.dismiss')}
+            >
+              ×
+            </button>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default ToastViewport;
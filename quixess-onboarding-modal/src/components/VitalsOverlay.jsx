@@ -0,0 +1,56 @@
+import { useState, useSyncExternalStore } from 'react';
+import { subscribeToVitals, getVitalsSnapshot } from '../vitals';
+
+const METRIC_ORDER = ['LCP', 'INP', 'CLS', 'FCP', 'TTFB'];
+
+const ratingClassNames = {
+  good: 'text-green-400',
+  'needs-improvement': 'text-yellow-400',
+  poor: 'text-red-400'
+};
+
+const formatValue = (metric) =>
+  (metric.name === 'CLS' ? metric.value.toFixed(3) : `${Math.round(metric.value)} ms`);
+
+// Development-only panel with live Web Vitals values; not translated on purpose
+const VitalsOverlay = () => {
+  const { metrics, context } = useSyncExternalStore(subscribeToVitals, getVitalsSnapshot);
+  const [isCollapsed, setIsCollapsed] = useState(false);
+
+  return (
+    <div
+      className="fixed bottom-4 start-4 z-[80] rounded-lg bg-gray-900 bg-opacity-90 text-gray-100 text-xs font-mono shadow-lg"
+      aria-label="Web Vitals"
+      role="region"
+    >
+      <button
+        type="button"
+        onClick={() => setIsCollapsed(!isCollapsed)}
+        className="w-full px-3 py-2 text-start font-bold focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-400 rounded-lg"
+        aria-expanded={!isCollapsed}
+      >
+        Web Vitals {isCollapsed ? '▸' : '▾'}
+      </button>
+      {!isCollapsed && (
+        <dl className="px-3 pb-3 grid grid-cols-2 gap-x-4 gap-y-1">
+          {METRIC_ORDER.map((name) => {
+            const metric = metrics[name];
+
+            return (
+              <div key={name} className="contents">
+                <dt className="text-gray-400">{name}</dt>
+                <dd className={metric ? ratingClassNames[metric.rating] : 'text-gray-500'}>
+                  {metric ? formatValue(metric) : '—'}
+                </dd>
+              </div>
+            );
+          })}
+          <dt className="text-gray-400">step</dt>
+          <dd>{context.onboardingStep || '—'}</dd>
+        </dl>
+      )}
+    </div>
+  );
+};
+
+export default VitalsOverlay;
@@ -0,0 +1,161 @@
+import { useEffect, useState } from 'react';
+import FieldError from './FieldError';
+import { useI18n } from '../../i18n';
+import { labelClassName, helpTextClassName } from './fieldStyles';
+import {
+  defaultAvatarOptions, checkAvatarFile, cropImageToSquare, getInitials, getInitialsColor
+} from '../../utils/avatar';
+
+// Object URL for a Blob value, revoked when it changes; data URLs are used as-is
+const usePreviewUrl = (value) => {
+  const [blobUrl, setBlobUrl] = useState(null);
+  const isBlob = typeof Blob !== 'undefined' && value instanceof Blob;
+
+  useEffect(() => {
+    if (!isBlob) return undefined;
+    const url = URL.createObjectURL(value);
+    setBlobUrl(url);
+    return () => {
+      URL.revokeObjectURL(url);
+      setBlobUrl(null);
+    };
+  }, [value, isBlob]);
+
+  if (isBlob) return blobUrl;
+  return typeof value === 'string' && value ? value : null;
+};
+
+// Profile picture: drop or pick an image, which is cropped to a square
+// client-side (field.processImage); shows initials from fullName until then.
+// Without a photo the submitted data says which initials and colour were shown
+// (see buildAvatarFallbacks in utils/avatar)
+const AvatarField = ({ field, value, values = {}, onChange, error }) => {
+  const { t } = useI18n();
+  const [fileError, setFileError] = useState(null);
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [isDragging, setIsDragging] = useState(false);
+  const previewUrl = usePreviewUrl(value);
+  const options = { ...defaultAvatarOptions, ...field };
+  const errorId = `${field.name}-error`;
+  const helpId = `${field.name}-help`;
+  const initials = getInitials(values.fullName);
+  const message = fileError || error;
+
+  const handleFile = async (file) => {
+    if (!file) return;
+
+    const problem = checkAvatarFile(file, options);
+    setFileError(problem);
+    if (problem) return;
+
+    const processImage = field.processImage || cropImageToSquare;
+    setIsProcessing(true);
+    try {
+      const { size, format, quality, output } = options;
+      onChange(await processImage(file, { size, format, quality, output }));
+    } catch (processError) {
+      console.error('Processing the avatar failed:', processError);
+      setFileError('validation.avatar.unreadable');
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    handleFile(e.target.files[0]);
+    // Let the same file be picked again after removing it
+    e.target.value = '';
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    handleFile(e.dataTransfer.files[0]);
+  };
+
+  const handleRemove = () => {
+    setFileError(null);
+    onChange('');
+  };
+
+  return (
+    <div>
+      <span className={labelClassName}>{t(field.label)}{field.required && ' *'}</span>
+
+      <div
+        className={`flex items-center gap-4 rounded-lg border-2 border-dashed p-4 transition-colors ${
+          isDragging ? 'border-blue-500 bg-blue-50 dark:bg-gray-700' : message ? 'border-red-500' : 'border-line'
+        }`}
+        onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+        aria-busy={isProcessing || undefined}
+      >
+        {previewUrl ? (
+          <img
+            src={previewUrl}
+            alt={t('fields.avatar.preview')}
+            className="h-20 w-20 shrink-0 rounded-full object-cover ring-4 ring-surface shadow"
+          />
+        ) : (
+          <span
+            className={`flex h-20 w-20 shrink-0 items-center justify-center rounded-full text-2xl font-semibold ring-4 ring-surface shadow ${
+              initials ? `${getInitialsColor(values.fullName)} text-white` : 'bg-surface-muted text-content-subtle'
+            }`}
+            role="img"
+            aria-label={initials ? t('fields.avatar.initials', { initials }) : t('fields.avatar.empty')}
+          >
+            {initials || <span aria-hidden="true">👤</span>}
+          </span>
+        )}
+
+        <div className="min-w-0 flex-1 space-y-2">
+          <p className="text-sm text-content-muted">
+            {isProcessing ? t('fields.avatar.processing') : t('fields.avatar.dropHint')}
+          </p>
+          <div className="flex flex-wrap gap-2">
+            <input
+              type="file"
+              id={field.name}
+              name={field.name}
+              accept={options.accept.join(',')}
+              onChange={handleInputChange}
+              disabled={isProcessing}
+              className="peer sr-only"
+              aria-describedby={message ? errorId : field.helpText ? helpId : undefined}
+              aria-invalid={!!message}
+            />
+            <label
+              htmlFor={field.name}
+              className="cursor-pointer rounded-lg border px-3 py-1.5 text-sm font-medium transition-colors border-line text-content-secondary hover:bg-surface-muted peer-focus-visible:ring-2 peer-focus-visible:ring-blue-500 peer-disabled:cursor-not-allowed peer-disabled:opacity-50"
+            >
+              {previewUrl ? t('fields.avatar.change') : t('fields.avatar.upload')}
+            </label>
+            {previewUrl && (
+              <button
+                type="button"
+                onClick={handleRemove}
+                className="rounded-lg px-3 py-1.5 text-sm font-medium transition-colors text-red-600 hover:bg-red-50 dark:hover:bg-gray-700"
+              >
+                {t('fields.avatar.remove')}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* File problems are announced as they happen; schema errors come with the dialog's summary */}
+      {message ? (
+        fileError ? (
+          <p id={errorId} className="mt-1 text-sm text-red-600" role="alert">{t(fileError)}</p>
+        ) : (
+          <FieldError id={errorId}>{t(error)}</FieldError>
+        )
+      ) : field.helpText && (
+        <p id={helpId} className={helpTextClassName}>{t(field.helpText)}</p>
+      )}
+    </div>
+  );
+};
+
+export default AvatarField;
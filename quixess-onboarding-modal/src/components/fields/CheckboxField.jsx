@@ -0,0 +1,38 @@
+import FieldError from './FieldError';
+import { useI18n } from '../../i18n';
+
+// Single checkbox with an optional description line
+const CheckboxField = ({ field, value, onChange, error }) => {
+  const { t } = useI18n();
+  const errorId = `${field.name}-error`;
+
+  return (
+    <div>
+      <label className="flex items-center gap-3 cursor-pointer group">
+        <input
+          type="checkbox"
+          id={field.name}
+          name={field.name}
+          checked={!!value}
+          onChange={(e) => onChange(e.target.checked)}
+          className="w-5 h-5 text-blue-600 border-gray-300 rounded focus:ring-blue-500 focus:ring-2"
+          aria-describedby={error ? errorId : undefined}
+          aria-invalid={!!error}
+        />
+        <div>
+          <span className="text-sm font-medium transition-colors text-content-secondary">
+            {t(field.label)}{field.required && ' *'}
+          </span>
+          {field.description && (
+            <p className="text-xs transition-colors text-content-subtle">
+              {t(field.description)}
+            </p>
+          )}
+        </div>
+      </label>
+      {error && <FieldError id={errorId}>{t(error)}</FieldError>}
+    </div>
+  );
+};
+
+export default CheckboxField;
@@ -0,0 +1,74 @@
+import FieldError from './FieldError';
+import { useI18n } from '../../i18n';
+import { helpTextClassName } from './fieldStyles';
+
+// Multiple choice from `field.options`; the value is an array of option values
+const CheckboxGroupField = ({ field, value = [], onChange, error }) => {
+  const { t } = useI18n();
+  const errorId = `${field.name}-error`;
+  const helpId = `${field.name}-help`;
+  const selected = Array.isArray(value) ? value : [];
+
+  const toggleOption = (optionValue, isChecked) => {
+    onChange(isChecked
+      ? [...selected, optionValue]
+      : selected.filter(item => item !== optionValue));
+  };
+
+  return (
+    <fieldset aria-describedby={error ? errorId : field.helpText ? helpId : undefined}>
+      <legend className="block text-sm font-medium mb-3 transition-colors text-content-secondary">
+        {t(field.label)}{field.required && ' *'}
+      </legend>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        {field.options.map((option) => {
+          const optionId = `${field.name}-${option.value}`;
+
+          return (
+            <label
+              key={option.value}
+              htmlFor={optionId}
+              className={`flex items-start gap-3 rounded-lg border p-3 cursor-pointer transition-colors ${
+                selected.includes(option.value)
+                  ? 'border-blue-500 ring-1 ring-blue-200'
+                  : 'border-line hover:border-content-subtle'
+              }`}
+            >
+              <input
+                type="checkbox"
+                id={optionId}
+                name={field.name}
+                value={option.value}
+                checked={selected.includes(option.value)}
+                onChange={(e) => toggleOption(option.value, e.target.checked)}
+                className="mt-0.5 w-5 h-5 text-blue-600 border-gray-300 rounded focus:ring-blue-500 focus:ring-2"
+                aria-invalid={!!error}
+              />
+              <div>
+                <span className="text-sm font-medium transition-colors text-content-secondary">
+                  {t(option.label)}
+                </span>
+                {option.description && (
+                  <p className="text-xs transition-colors text-content-subtle">
+                    {t(option.description)}
+                  </p>
+                )}
+              </div>
+            </label>
+          );
+        })}
+      </div>
+
+      {error ? (
+        <FieldError id={errorId} className="mt-2">{t(error)}</FieldError>
+      ) : field.helpText && (
+        <p id={helpId} className={helpTextClassName}>
+          {t(field.helpText)}
+        </p>
+      )}
+    </fieldset>
+  );
+};
+
+export default CheckboxGroupField;
@@ -0,0 +1,193 @@
+import { useMemo, useState } from 'react';
+import FieldError from './FieldError';
+import { useI18n } from '../../i18n';
+import { labelClassName, getInputClassName, helpTextClassName } from './fieldStyles';
+
+// Long option lists (e.g. time zones) only render the best matches
+const MAX_VISIBLE_OPTIONS = 50;
+
+const normalize = (text) => String(text).toLowerCase().replace(/[_\s]+/g, ' ').trim();
+
+// Options matching `query`, best first: exact label, then prefix, then anywhere
+const filterOptions = (options, query, t) => {
+  const needle = normalize(query);
+  if (!needle) return options;
+
+  return options
+    .map((option) => {
+      const label = normalize(t(option.label));
+      const haystack = `${label} ${normalize(option.value)} ${normalize(t(option.description))}`;
+      const rank = label === needle ? 0 : label.startsWith(needle) ? 1 : haystack.includes(needle) ? 2 : -1;
+      return { option, rank };
+    })
+    .filter(({ rank }) => rank >= 0)
+    .sort((a, b) => a.rank - b.rank)
+    .map(({ option }) => option);
+};
+
+// Searchable single choice from `field.options` (ARIA 1.2 combobox with a listbox popup).
+// Type to filter, Arrow keys to move, Enter to pick, Escape to close.
+// `field.options` may be a function for lists that are costly to build (time
+// zones); it is called when the field first renders instead of at schema setup.
+const ComboboxField = ({ field, value, onChange, error }) => {
+  const { t } = useI18n();
+  const [query, setQuery] = useState(null); // null while closed: the input shows the selection
+  const [activeIndex, setActiveIndex] = useState(0);
+  const errorId = `${field.name}-error`;
+  const helpId = `${field.name}-help`;
+  const listboxId = `${field.name}-listbox`;
+  const getOptionId = (index) => `${field.name}-option-${index}`;
+
+  const { options: fieldOptions } = field;
+  const options = useMemo(
+    () => (typeof fieldOptions === 'function' ? fieldOptions() : fieldOptions),
+    [fieldOptions]
+  );
+  const selectedOption = options.find(option => option.value === value);
+  const isOpen = query !== null;
+  const matches = useMemo(
+    () => (isOpen ? filterOptions(options, query, t) : []),
+    [isOpen, options, query, t]
+  );
+  const visibleMatches = matches.slice(0, MAX_VISIBLE_OPTIONS);
+
+  const open = (text = '') => {
+    setQuery(text);
+    const selectedIndex = text ? -1 : options.indexOf(selectedOption);
+    setActiveIndex(Math.max(selectedIndex, 0));
+  };
+
+  const close = () => setQuery(null);
+
+  const choose = (option) => {
+    onChange(option.value);
+    close();
+  };
+
+  const moveActive = (delta) => {
+    if (!isOpen) {
+      open();
+      return;
+    }
+    setActiveIndex(index => Math.min(Math.max(index + delta, 0), visibleMatches.length - 1));
+  };
+
+  // Scroll the active option into view as the keyboard moves through the list
+  const scrollIntoView = (element) => element?.scrollIntoView?.({ block: 'nearest' });
+
+  const handleKeyDown = (e) => {
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        moveActive(1);
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        moveActive(-1);
+        break;
+      case 'PageDown':
+      case 'PageUp':
+        if (!isOpen) break;
+        e.preventDefault();
+        moveActive(e.key === 'PageDown' ? 10 : -10);
+        break;
+      case 'Enter':
+        if (!isOpen) break;
+        e.preventDefault();
+        if (visibleMatches[activeIndex]) choose(visibleMatches[activeIndex]);
+        break;
+      case 'Escape':
+        // Only swallow Escape while the list is open, so it still closes the dialog otherwise
+        if (!isOpen) break;
+        e.preventDefault();
+        close();
+        break;
+      default:
+    }
+  };
+
+  const describedBy = error ? errorId : field.helpText ? helpId : undefined;
+  const activeOption = isOpen && visibleMatches[activeIndex];
+
+  return (
+    <div>
+      <label htmlFor={field.name} className={labelClassName}>
+        {t(field.label)}{field.required && ' *'}
+      </label>
+      <div className="relative">
+        <input
+          type="text"
+          id={field.name}
+          name={field.name}
+          role="combobox"
+          value={isOpen ? query : selectedOption ? t(selectedOption.label) : ''}
+          onChange={(e) => open(e.target.value)}
+          onClick={() => !isOpen && open()}
+          onKeyDown={handleKeyDown}
+          onBlur={close}
+          placeholder={t(field.placeholder)}
+          autoComplete="off"
+          className={`${getInputClassName(!!error)} pe-10`}
+          aria-expanded={isOpen}
+          aria-controls={listboxId}
+          aria-autocomplete="list"
+          aria-activedescendant={activeOption ? getOptionId(activeIndex) : undefined}
+          aria-describedby={describedBy}
+          aria-invalid={!!error}
+        />
+        <span
+          className="pointer-events-none absolute end-3 top-1/2 -translate-y-1/2 text-content-subtle"
+          aria-hidden="true"
+        >
+          {isOpen ? '▴' : '▾'}
+        </span>
+
+        {isOpen && (
+          <div className="absolute z-10 mt-1 w-full overflow-hidden rounded-lg border shadow-lg border-line bg-surface">
+            {visibleMatches.length > 0 && (
+              <ul id={listboxId} role="listbox" aria-label={t(field.label)} className="max-h-60 overflow-auto py-1">
+                {visibleMatches.map((option, index) => (
+                  <li
+                    key={option.value}
+                    id={getOptionId(index)}
+                    ref={index === activeIndex ? scrollIntoView : undefined}
+                    role="option"
+                    aria-selected={option.value === value}
+                    // Keep focus in the input so the list doesn't close before the click lands
+                    onMouseDown={(e) => e.preventDefault()}
+                    onClick={() => choose(option)}
+                    onMouseEnter={() => setActiveIndex(index)}
+                    className={`flex cursor-pointer items-center justify-between gap-3 px-4 py-2 text-sm ${
+                      index === activeIndex ? 'bg-blue-50 dark:bg-gray-700' : ''
+                    } ${option.value === value ? 'font-semibold text-blue-600 dark:text-blue-400' : 'text-content'}`}
+                  >
+                    <span>{t(option.label)}</span>
+                    {option.description && (
+                      <span className="text-xs text-content-subtle">{t(option.description)}</span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+            {(matches.length === 0 || matches.length > visibleMatches.length) && (
+              <p className="border-t px-4 py-2 text-xs border-line-subtle text-content-subtle" role="status">
+                {matches.length === 0
+                  ? t('field.noMatches')
+                  : t('field.moreMatches', { count: matches.length - visibleMatches.length })}
+              </p>
+            )}
+          </div>
+        )}
+      </div>
+      {error ? (
+        <FieldError id={errorId}>{t(error)}</FieldError>
+      ) : field.helpText && (
+        <p id={helpId} className={helpTextClassName}>
+          {t(field.helpText)}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ComboboxField;
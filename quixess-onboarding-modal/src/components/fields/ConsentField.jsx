@@ -0,0 +1,107 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import FieldError from './FieldError';
+import { useI18n } from '../../i18n';
+import { helpTextClassName } from './fieldStyles';
+
+// Pixels from the bottom that still count as having scrolled to the end
+const SCROLL_END_SLACK = 4;
+
+// Agreement checkbox, optionally below the policy it refers to (`field.document`,
+// see utils/consent). With `document.requireScroll` the box stays locked until
+// the text has been scrolled to the end; text short enough to fit counts as read.
+const ConsentField = ({ field, value, onChange, error }) => {
+  const { t } = useI18n();
+  const { document: policy } = field;
+  const [hasReadToEnd, setHasReadToEnd] = useState(false);
+  const scrollRef = useRef(null);
+  const errorId = `${field.name}-error`;
+  const hintId = `${field.name}-hint`;
+  const documentId = `${field.name}-document`;
+  const isLocked = Boolean(policy?.requireScroll) && !hasReadToEnd && !value;
+
+  const checkScrolledToEnd = useCallback(() => {
+    const element = scrollRef.current;
+    if (element && element.scrollTop + element.clientHeight >= element.scrollHeight - SCROLL_END_SLACK) {
+      setHasReadToEnd(true);
+    }
+  }, []);
+
+  useEffect(checkScrolledToEnd, [checkScrolledToEnd]);
+
+  const describedBy = [
+    policy && documentId,
+    error ? errorId : isLocked ? hintId : null
+  ].filter(Boolean).join(' ') || undefined;
+
+  return (
+    <div>
+      {policy && (
+        <div className="mb-3 overflow-hidden rounded-lg border border-line">
+          <div className="flex items-baseline justify-between gap-3 border-b px-4 py-2 border-line-subtle bg-surface-muted/50">
+            <span id={documentId} className="text-sm font-medium text-content-secondary">
+              {t(policy.title)}
+              <span className="ms-2 text-xs font-normal text-content-subtle">
+                {t('fields.consent.version', { version: policy.version })}
+              </span>
+            </span>
+            {policy.url && (
+              <a
+                href={policy.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-xs font-medium text-blue-600 hover:underline dark:text-blue-400"
+              >
+                {t('fields.consent.openDocument')}
+              </a>
+            )}
+          </div>
+          {/* Focusable so keyboard users can scroll it */}
+          <div
+            ref={scrollRef}
+            role="region"
+            aria-labelledby={documentId}
+            tabIndex={0}
+            onScroll={checkScrolledToEnd}
+            className="max-h-40 space-y-3 overflow-y-auto px-4 py-3 text-sm text-content-muted focus:outline-none focus-visible:ring-2 focus-visible:ring-inset focus-visible:ring-blue-500"
+          >
+            {t(policy.body).split(/\n\s*\n/).map((paragraph, index) => (
+              <p key={index}>{paragraph}</p>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <label className={`flex items-center gap-3 group ${isLocked ? 'cursor-not-allowed opacity-60' : 'cursor-pointer'}`}>
+        <input
+          type="checkbox"
+          id={field.name}
+          name={field.name}
+          checked={!!value}
+          disabled={isLocked}
+          onChange={(e) => onChange(e.target.checked)}
+          className="w-5 h-5 text-blue-600 border-gray-300 rounded focus:ring-blue-500 focus:ring-2"
+          aria-describedby={describedBy}
+          aria-invalid={!!error}
+        />
+        <div>
+          <span className="text-sm font-medium transition-colors text-content-secondary">
+            {t(field.label)}{field.required && ' *'}
+          </span>
+          {field.description && (
+            <p className="text-xs transition-colors text-content-subtle">
+              {t(field.description)}
+            </p>
+          )}
+        </div>
+      </label>
+
+      {error ? (
+        <FieldError id={errorId}>{t(error)}</FieldError>
+      ) : isLocked && (
+        <p id={hintId} className={helpTextClassName}>{t('fields.consent.scrollHint')}</p>
+      )}
+    </div>
+  );
+};
+
+export default ConsentField;
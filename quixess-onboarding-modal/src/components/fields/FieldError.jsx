@@ -0,0 +1,9 @@
+// Inline error message linked to its input through aria-describedby.
+// Not a live region itself: the dialog announces a summary and focuses the field.
+const FieldError = ({ id, children, className = 'mt-1' }) => (
+  <p id={id} className={`${className} text-sm text-red-600`}>
+    {children}
+  </p>
+);
+
+export default FieldError;
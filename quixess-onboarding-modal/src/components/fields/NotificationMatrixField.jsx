@@ -0,0 +1,112 @@
+import FieldError from './FieldError';
+import { useI18n } from '../../i18n';
+import { helpTextClassName } from './fieldStyles';
+
+const arrowMoves = {
+  ArrowUp: [-1, 0],
+  ArrowDown: [1, 0],
+  ArrowLeft: [0, -1],
+  ArrowRight: [0, 1]
+};
+
+// Notification settings as a grid: one row per `field.categories` entry, one
+// checkbox column per `field.channels` entry. The value maps each category to
+// its chosen channels, e.g. { security: ['email', 'inApp'], product: [] }.
+// Arrow keys move between checkboxes (mirrored in right-to-left locales).
+const NotificationMatrixField = ({ field, value, onChange, error }) => {
+  const { t, dir } = useI18n();
+  const errorId = `${field.name}-error`;
+  const helpId = `${field.name}-help`;
+  const matrix = value && typeof value === 'object' ? value : {};
+  const getCellId = (category, channel) => `${field.name}-${category}-${channel}`;
+
+  const toggle = (category, channel, isChecked) => {
+    const channels = matrix[category] || [];
+    onChange({
+      ...matrix,
+      [category]: isChecked
+        ? field.channels.map(option => option.value).filter(c => c === channel || channels.includes(c))
+        : channels.filter(c => c !== channel)
+    });
+  };
+
+  const handleKeyDown = (row, column, e) => {
+    const move = arrowMoves[e.key];
+    if (!move) return;
+
+    e.preventDefault();
+    const [rowDelta, columnDelta] = move;
+    const nextRow = Math.min(Math.max(row + rowDelta, 0), field.categories.length - 1);
+    const nextColumn = Math.min(
+      Math.max(column + (dir === 'rtl' ? -columnDelta : columnDelta), 0),
+      field.channels.length - 1
+    );
+    document.getElementById(getCellId(field.categories[nextRow].value, field.channels[nextColumn].value))?.focus();
+  };
+
+  return (
+    <fieldset aria-describedby={error ? errorId : field.helpText ? helpId : undefined}>
+      <legend className="block text-sm font-medium mb-3 transition-colors text-content-secondary">
+        {t(field.label)}{field.required && ' *'}
+      </legend>
+
+      <div className={`overflow-hidden rounded-lg border ${error ? 'border-red-500' : 'border-line'}`}>
+        <table className="w-full text-sm">
+          <thead className="bg-surface-muted/50">
+            <tr>
+              <th scope="col" className="px-3 py-2 text-start font-medium text-content-secondary">
+                {t('fields.notifications.category')}
+              </th>
+              {field.channels.map(channel => (
+                <th key={channel.value} scope="col" className="w-20 px-3 py-2 text-center font-medium text-content-secondary">
+                  {t(channel.label)}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {field.categories.map((category, row) => (
+              <tr key={category.value} className="border-t border-line-subtle">
+                <th scope="row" className="px-3 py-2 text-start font-normal">
+                  <span className="block font-medium text-content-secondary">{t(category.label)}</span>
+                  {category.description && (
+                    <span className="block text-xs text-content-subtle">{t(category.description)}</span>
+                  )}
+                </th>
+                {field.channels.map((channel, column) => (
+                  <td key={channel.value} className="px-3 py-2 text-center">
+                    <input
+                      type="checkbox"
+                      id={getCellId(category.value, channel.value)}
+                      name={field.name}
+                      value={`${category.value}.${channel.value}`}
+                      checked={(matrix[category.value] || []).includes(channel.value)}
+                      onChange={(e) => toggle(category.value, channel.value, e.target.checked)}
+                      onKeyDown={(e) => handleKeyDown(row, column, e)}
+                      className="w-5 h-5 text-blue-600 border-gray-300 rounded focus:ring-blue-500 focus:ring-2"
+                      aria-label={t('fields.notifications.cell', {
+                        channel: t(channel.label),
+                        category: t(category.label)
+                      })}
+                      aria-invalid={!!error}
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {error ? (
+        <FieldError id={errorId} className="mt-2">{t(error)}</FieldError>
+      ) : field.helpText && (
+        <p id={helpId} className={helpTextClassName}>
+          {t(field.helpText)}
+        </p>
+      )}
+    </fieldset>
+  );
+};
+
+export default NotificationMatrixField;
@@ -0,0 +1,63 @@
+import TextField from './TextField';
+import { useI18n } from '../../i18n';
+import { evaluatePassword, getPasswordStrength } from '../../utils/passwordPolicy';
+
+const meterColors = ['bg-red-500', 'bg-red-500', 'bg-orange-500', 'bg-yellow-500', 'bg-green-500'];
+
+// Password input with a live strength meter and policy checklist
+const PasswordField = (props) => {
+  const { field, value, values } = props;
+  const { t } = useI18n();
+
+  if (!field.passwordPolicy) return <TextField {...props} />;
+
+  const checklistId = `${field.name}-rules`;
+  const rules = evaluatePassword(value, values, field.passwordPolicy);
+  const strength = getPasswordStrength(value, values);
+
+  return (
+    <div>
+      <TextField {...props} describedBy={checklistId} />
+
+      {/* Strength Meter */}
+      <div className="mt-3 flex items-center gap-3">
+        <div className="flex flex-1 gap-1" aria-hidden="true">
+          {[1, 2, 3, 4].map(segment => (
+            <div
+              key={segment}
+              className={`h-1.5 flex-1 rounded-full transition-colors duration-300 ${
+                value && strength.score >= segment
+                  ? meterColors[strength.score]
+                  : 'bg-surface-muted'
+              }`}
+            />
+          ))}
+        </div>
+        <span
+          className="text-xs font-medium w-24 text-end text-content-muted"
+          aria-live="polite"
+        >
+          {value && t(strength.label)}
+        </span>
+      </div>
+
+      {/* Policy Checklist */}
+      <ul id={checklistId} className="mt-2 grid grid-cols-1 sm:grid-cols-2 gap-1" aria-label={t('password.requirements')}>
+        {rules.map(rule => (
+          <li
+            key={rule.id}
+            className={`text-xs flex items-center gap-1.5 ${
+              rule.passed ? 'text-green-600' : 'text-content-subtle'
+            }`}
+          >
+            <span aria-hidden="true">{rule.passed ? '✓' : '○'}</span>
+            {t(rule.label)}
+            <span className="sr-only"> {rule.passed ? t('password.ruleMet') : t('password.ruleNotMet')}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default PasswordField;
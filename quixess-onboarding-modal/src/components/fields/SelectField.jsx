@@ -0,0 +1,43 @@
+import FieldError from './FieldError';
+import { useI18n } from '../../i18n';
+import { labelClassName, getInputClassName, helpTextClassName } from './fieldStyles';
+
+// Native dropdown built from `field.options`
+const SelectField = ({ field, value, onChange, error }) => {
+  const { t } = useI18n();
+  const errorId = `${field.name}-error`;
+  const helpId = `${field.name}-help`;
+
+  return (
+    <div>
+      <label htmlFor={field.name} className={labelClassName}>
+        {t(field.label)}{field.required && ' *'}
+      </label>
+      <select
+        id={field.name}
+        name={field.name}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className={getInputClassName(!!error)}
+        aria-describedby={error ? errorId : field.helpText ? helpId : undefined}
+        aria-invalid={!!error}
+      >
+        <option value="">{t(field.placeholder || 'field.selectPlaceholder')}</option>
+        {field.options.map((option) => (
+          <option key={option.value} value={option.value}>
+            {t(option.label)}
+          </option>
+        ))}
+      </select>
+      {error ? (
+        <FieldError id={errorId}>{t(error)}</FieldError>
+      ) : field.helpText && (
+        <p id={helpId} className={helpTextClassName}>
+          {t(field.helpText)}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default SelectField;
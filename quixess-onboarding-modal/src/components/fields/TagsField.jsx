@@ -0,0 +1,102 @@
+import { useRef, useState } from 'react';
+import FieldError from './FieldError';
+import { useI18n } from '../../i18n';
+import { helpTextClassName } from './fieldStyles';
+
+// Multiple choice shown as toggle chips; the value is an array of option values.
+// One Tab stop for the whole group: Arrow keys move between chips (mirrored
+// in right-to-left locales), Home/End jump to the ends, Space/Enter toggle.
+const TagsField = ({ field, value = [], onChange, error }) => {
+  const { t, dir } = useI18n();
+  const [focusIndex, setFocusIndex] = useState(0);
+  const chipRefs = useRef([]);
+  const errorId = `${field.name}-error`;
+  const labelId = `${field.name}-label`;
+  const countId = `${field.name}-count`;
+  const selected = Array.isArray(value) ? value : [];
+  const lastIndex = field.options.length - 1;
+
+  const toggle = (optionValue) => {
+    onChange(selected.includes(optionValue)
+      ? selected.filter(item => item !== optionValue)
+      // Keep the schema's option order, whatever order they were picked in
+      : field.options.map(option => option.value).filter(v => v === optionValue || selected.includes(v)));
+  };
+
+  const focusChip = (index) => {
+    setFocusIndex(index);
+    chipRefs.current[index]?.focus();
+  };
+
+  const handleKeyDown = (index, e) => {
+    const forwardKey = dir === 'rtl' ? 'ArrowLeft' : 'ArrowRight';
+    const backwardKey = dir === 'rtl' ? 'ArrowRight' : 'ArrowLeft';
+    let next = null;
+
+    if (e.key === forwardKey || e.key === 'ArrowDown') next = index === lastIndex ? 0 : index + 1;
+    if (e.key === backwardKey || e.key === 'ArrowUp') next = index === 0 ? lastIndex : index - 1;
+    if (e.key === 'Home') next = 0;
+    if (e.key === 'End') next = lastIndex;
+    if (next === null) return;
+
+    e.preventDefault();
+    focusChip(next);
+  };
+
+  return (
+    <div>
+      <span id={labelId} className="block text-sm font-medium mb-3 transition-colors text-content-secondary">
+        {t(field.label)}{field.required && ' *'}
+      </span>
+
+      <div
+        role="group"
+        aria-labelledby={labelId}
+        aria-describedby={error ? errorId : countId}
+        // Groups can't carry aria-invalid; this lets the dialog still focus the field on errors
+        data-invalid={!!error}
+        tabIndex={-1}
+        className="flex flex-wrap gap-2 rounded-lg focus:outline-none"
+      >
+        {field.options.map((option, index) => {
+          const isSelected = selected.includes(option.value);
+
+          return (
+            <button
+              key={option.value}
+              ref={(element) => { chipRefs.current[index] = element; }}
+              type="button"
+              name={field.name}
+              value={option.value}
+              tabIndex={index === focusIndex ? 0 : -1}
+              onClick={() => toggle(option.value)}
+              onFocus={() => setFocusIndex(index)}
+              onKeyDown={(e) => handleKeyDown(index, e)}
+              aria-pressed={isSelected}
+              className={`rounded-full border px-3 py-1.5 text-sm font-medium transition-colors focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500 ${
+                isSelected
+                  ? 'border-blue-500 bg-blue-600 text-white'
+                  : 'border-line text-content-secondary hover:border-content-subtle'
+              }`}
+            >
+              {isSelected && <span aria-hidden="true">✓ </span>}
+              {t(option.label)}
+            </button>
+          );
+        })}
+      </div>
+
+      {error ? (
+        <FieldError id={errorId} className="mt-2">{t(error)}</FieldError>
+      ) : (
+        <p id={countId} className={helpTextClassName}>
+          {field.maxSelected
+            ? t('fields.tags.selectedOfMax', { count: selected.length, max: field.maxSelected })
+            : t('fields.tags.selected', { count: selected.length })}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default TagsField;
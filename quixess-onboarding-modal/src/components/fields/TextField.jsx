@@ -0,0 +1,75 @@
+import { useState } from 'react';
+import FieldError from './FieldError';
+import { useI18n } from '../../i18n';
+import { labelClassName, getInputClassName, helpTextClassName } from './fieldStyles';
+
+// Text-like input (text, email, password, ...); password gets a Show/Hide toggle
+const TextField = ({
+  field, value, onChange, error, isValidating = false, describedBy: extraDescribedBy
+}) => {
+  const { t } = useI18n();
+  const [showPassword, setShowPassword] = useState(false);
+  const isPassword = field.type === 'password';
+  const errorId = `${field.name}-error`;
+  const helpId = `${field.name}-help`;
+  const statusId = `${field.name}-status`;
+  const hasTrailingControl = isPassword || isValidating;
+
+  const describedBy = [
+    error ? errorId : field.helpText ? helpId : null,
+    isValidating ? statusId : null,
+    extraDescribedBy
+  ].filter(Boolean).join(' ') || undefined;
+
+  return (
+    <div>
+      <label htmlFor={field.name} className={labelClassName}>
+        {t(field.label)}{field.required && ' *'}
+      </label>
+      <div className={hasTrailingControl ? 'relative' : undefined}>
+        <input
+          type={isPassword && showPassword ? 'text' : field.type}
+          id={field.name}
+          name={field.name}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          className={`${getInputClassName(!!error)} ${hasTrailingControl ? 'pe-12' : ''}`}
+          placeholder={t(field.placeholder)}
+          autoComplete={field.autoComplete}
+          aria-describedby={describedBy}
+          aria-invalid={!!error}
+          aria-busy={isValidating || undefined}
+        />
+        {isValidating && !isPassword && (
+          <span
+            id={statusId}
+            className="absolute end-3 top-1/2 transform -translate-y-1/2 text-xs text-content-subtle"
+            role="status"
+          >
+            <span className="inline-block animate-spin" aria-hidden="true">⏳</span>
+            <span className="sr-only">{t('field.checking')}</span>
+          </span>
+        )}
+        {isPassword && (
+          <button
+            type="button"
+            onClick={() => setShowPassword(!showPassword)}
+            className="absolute end-3 top-1/2 transform -translate-y-1/2 hover:opacity-70 transition-opacity text-content-subtle"
+            aria-label={showPassword ? t('password.hide') : t('password.show')}
+          >
+            {showPassword ? '🙈' : '👁️'}
+          </button>
+        )}
+      </div>
+      {error ? (
+        <FieldError id={errorId}>{t(error)}</FieldError>
+      ) : field.helpText && (
+        <p id={helpId} className={helpTextClassName}>
+          {t(field.helpText)}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default TextField;
@@ -0,0 +1,111 @@
+import FieldError from './FieldError';
+import { useI18n } from '../../i18n';
+
+// Preview mockups for the built-in themes; options may supply their own `preview`
+const themePreviews = {
+  light: {
+    bg: 'bg-white',
+    border: 'border-gray-200',
+    bars: 'bg-gray-300',
+    dots: ['bg-red-400', 'bg-yellow-400', 'bg-green-400']
+  },
+  dark: {
+    bg: 'bg-gray-800',
+    border: 'border-gray-600',
+    bars: 'bg-gray-600',
+    dots: ['bg-red-400', 'bg-yellow-400', 'bg-green-400']
+  },
+  // Half light, half dark: follows the operating system
+  system: {
+    bg: 'bg-gradient-to-r from-white from-50% to-gray-800 to-50%',
+    border: 'border-gray-400',
+    bars: 'bg-gray-400',
+    dots: ['bg-red-400', 'bg-yellow-400', 'bg-green-400']
+  }
+};
+
+// INNOVATIVE Interactive Theme Selection with live preview cards
+const ThemeField = ({ field, value, onChange, error }) => {
+  const { t } = useI18n();
+  const errorId = `${field.name}-error`;
+  const labelId = `${field.name}-label`;
+
+  return (
+    <div>
+      <span id={labelId} className="block text-sm font-medium mb-3 transition-colors text-content-secondary">
+        {t(field.label)}{field.required && ' *'} <span className="text-blue-500 text-xs">{t('fields.theme.livePreview')}</span>
+      </span>
+
+      <div
+        className={`grid gap-4 ${field.options.length > 2 ? 'grid-cols-3' : 'grid-cols-2'}`}
+        role="radiogroup"
+        aria-labelledby={labelId}
+        aria-describedby={error ? errorId : undefined}
+        aria-invalid={!!error}
+      >
+        {field.options.map((option) => {
+          const preview = option.preview || themePreviews[option.value] || themePreviews.light;
+          const isSelected = value === option.value;
+
+          return (
+            <div
+              key={option.value}
+              onClick={() => onChange(option.value)}
+              className={`cursor-pointer rounded-lg border-2 p-4 transition-all duration-300 hover:scale-105 ${
+                isSelected
+                  ? 'border-blue-500 ring-2 ring-blue-200 shadow-lg transform scale-105'
+                  : 'border-line hover:border-content-subtle'
+              }`}
+              role="radio"
+              aria-checked={isSelected}
+              tabIndex={0}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                  e.preventDefault();
+                  onChange(option.value);
+                }
+              }}
+            >
+              {/* Theme Preview Mockup */}
+              <div className={`${preview.bg} rounded-md p-3 shadow-sm mb-3 border ${preview.border}`}>
+                {/* Window Controls */}
+                <div className="flex items-center justify-between mb-2">
+                  {preview.dots.map((dotColor, index) => (
+                    <div key={index} className={`w-3 h-3 ${dotColor} rounded-full`}></div>
+                  ))}
+                </div>
+                {/* Content Lines */}
+                <div className="space-y-1">
+                  <div className={`h-2 ${preview.bars} rounded w-3/4`}></div>
+                  <div className={`h-2 ${preview.bars} rounded w-1/2`}></div>
+                  <div className={`h-2 ${preview.bars} rounded w-2/3`}></div>
+                </div>
+              </div>
+
+              {/* Theme Label */}
+              <div className="text-center">
+                <span className="font-medium text-sm transition-colors text-content-secondary">
+                  {t(option.label)}
+                </span>
+                {option.description && (
+                  <p className="text-xs mt-1 transition-colors text-content-subtle">
+                    {t(option.description)}
+                  </p>
+                )}
+                {isSelected && (
+                  <div className="text-blue-500 text-xs mt-2 font-medium animate-pulse">
+                    {t('fields.theme.selected')}
+                  </div>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {error && <FieldError id={errorId} className="mt-2">{t(error)}</FieldError>}
+    </div>
+  );
+};
+
+export default ThemeField;
@@ -0,0 +1,15 @@
+/**
+ * SHARED FIELD STYLES
+ * Class helpers used by every schema field renderer. Colors come from the
+ * theme tokens, so they follow light/dark mode without any props.
+ */
+export const labelClassName = 'block text-sm font-medium mb-2 transition-colors text-content-secondary';
+
+export const getInputClassName = (hasError) =>
+  `w-full px-4 py-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 ${
+    hasError
+      ? 'border-red-500 bg-red-50 text-gray-900'
+      : 'border-line bg-surface-field text-content dark:placeholder-gray-400'
+  }`;
+
+export const helpTextClassName = 'mt-1 text-xs text-content-subtle';
@@ -0,0 +1,37 @@
+import TextField from './TextField';
+import PasswordField from './PasswordField';
+import SelectField from './SelectField';
+import CheckboxField from './CheckboxField';
+import CheckboxGroupField from './CheckboxGroupField';
+import ThemeField from './ThemeField';
+import AvatarField from './AvatarField';
+import ComboboxField from './ComboboxField';
+import NotificationMatrixField from './NotificationMatrixField';
+import TagsField from './TagsField';
+import ConsentField from './ConsentField';
+
+/**
+ * FIELD REGISTRY
+ * Maps a schema field `type` to the component that renders it
+ */
+export const fieldComponents = {
+  text: TextField,
+  email: TextField,
+  password: PasswordField,
+  tel: TextField,
+  url: TextField,
+  select: SelectField,
+  checkbox: CheckboxField,
+  checkboxGroup: CheckboxGroupField,
+  theme: ThemeField,
+  avatar: AvatarField,
+  combobox: ComboboxField,
+  notificationMatrix: NotificationMatrixField,
+  tags: TagsField,
+  consent: ConsentField
+};
+
+export {
+  TextField, PasswordField, SelectField, CheckboxField, CheckboxGroupField, ThemeField, AvatarField,
+  ComboboxField, NotificationMatrixField, TagsField, ConsentField
+};
@@ -0,0 +1,54 @@
+/**
+ * ONBOARDING LAYOUTS
+ * How OnboardingModal frames the flow. Overlay layouts render into a portal
+ * as a modal dialog (focus trap, scroll lock, Escape closes); the others
+ * render in place as a labelled region.
+ * `indicator` picks the step navigation on wide screens: horizontal tabs in
+ * the header, or a vertical sidebar. Narrow screens always get the compact
+ * StepSummary instead.
+ */
+export const ONBOARDING_LAYOUTS = {
+  // Centered dialog; full screen on phones
+  modal: {
+    isOverlay: true,
+    indicator: 'horizontal',
+    backdrop: 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center sm:p-4 z-50',
+    panel: 'w-full h-full sm:h-auto max-w-2xl sm:max-h-[90vh] sm:rounded-2xl shadow-2xl animate-fadeIn',
+    content: 'p-6 sm:p-8',
+    stepPanel: 'md:min-h-[400px]'
+  },
+  // Full-height panel sliding in from the end edge
+  drawer: {
+    isOverlay: true,
+    indicator: 'horizontal',
+    backdrop: 'fixed inset-0 bg-black bg-opacity-50 flex justify-end z-50',
+    panel: 'h-full w-full max-w-lg shadow-2xl animate-slideIn',
+    content: 'p-6',
+    stepPanel: ''
+  },
+  // A whole route: sidebar with the steps beside the form
+  page: {
+    isOverlay: false,
+    indicator: 'vertical',
+    panel: 'min-h-screen w-full',
+    content: 'w-full max-w-3xl mx-auto p-6 sm:p-10',
+    stepPanel: ''
+  },
+  // Card embedded in an existing page
+  inline: {
+    isOverlay: false,
+    indicator: 'horizontal',
+    panel: 'w-full rounded-2xl overflow-hidden shadow-lg border border-line-subtle',
+    content: 'p-6 sm:p-8',
+    stepPanel: ''
+  }
+};
+
+export const DEFAULT_LAYOUT = 'modal';
+
+export const getLayout = (name = DEFAULT_LAYOUT) => {
+  if (name in ONBOARDING_LAYOUTS) return ONBOARDING_LAYOUTS[name];
+
+  console.warn(`OnboardingModal: unknown layout "${name}", using "${DEFAULT_LAYOUT}"`);
+  return ONBOARDING_LAYOUTS[DEFAULT_LAYOUT];
+};
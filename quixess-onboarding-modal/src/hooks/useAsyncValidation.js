@@ -0,0 +1,107 @@
+import { useState, useCallback, useRef, useEffect } from 'react';
+import { validateFieldAsync } from '../utils/validation';
+import { isAbortError } from '../api/submitAdapters';
+
+const DEFAULT_DEBOUNCE_MS = 400;
+
+/**
+ * CUSTOM HOOK: useAsyncValidation
+ * Debounces a field's async validators while the user types, aborts stale
+ * checks and remembers the last result per value so navigation can reuse it.
+ * `onResult(fieldName, error)` is called whenever a check settles.
+ */
+export const useAsyncValidation = (onResult) => {
+  const [validating, setValidating] = useState({});
+
+  // fieldName -> { value, timer, controller, promise, settled, error }
+  const entriesRef = useRef({});
+  const onResultRef = useRef(onResult);
+  onResultRef.current = onResult;
+
+  const setFieldValidating = useCallback((name, isValidating) => {
+    setValidating(prev => (!!prev[name] === isValidating ? prev : { ...prev, [name]: isValidating }));
+  }, []);
+
+  // Drop any pending or in-flight check for a field
+  const cancel = useCallback((name) => {
+    const entry = entriesRef.current[name];
+    if (!entry) return;
+
+    clearTimeout(entry.timer);
+    entry.controller?.abort();
+    delete entriesRef.current[name];
+    setFieldValidating(name, false);
+  }, [setFieldValidating]);
+
+  const cancelAll = useCallback(() => {
+    Object.keys(entriesRef.current).forEach(cancel);
+  }, [cancel]);
+
+  // Start a check now; resolves with the error, or undefined if it went stale
+  const run = useCallback((field, value, values) => {
+    const controller = new AbortController();
+    const entry = { value, controller, settled: false, error: null };
+    entriesRef.current[field.name] = entry;
+    setFieldValidating(field.name, true);
+
+    entry.promise = validateFieldAsync(field, value, { signal: controller.signal, values })
+      .catch((error) => {
+        // A failed lookup must not block onboarding; the server re-checks on submit
+        if (!isAbortError(error)) console.warn(`Async validation failed for "${field.name}":`, error);
+        return null;
+      })
+      .then((error) => {
+        if (controller.signal.aborted) return undefined;
+
+        entry.settled = true;
+        entry.error = error;
+        setFieldValidating(field.name, false);
+        onResultRef.current(field.name, error);
+        return error;
+      });
+
+    return entry.promise;
+  }, [setFieldValidating]);
+
+  // Debounced check used while typing
+  const schedule = useCallback((field, value, values) => {
+    cancel(field.name);
+    if (!field.asyncValidators?.length) return;
+
+    const entry = { value, settled: false };
+    entry.timer = setTimeout(() => run(field, value, values), field.asyncDebounce ?? DEFAULT_DEBOUNCE_MS);
+    entriesRef.current[field.name] = entry;
+    setFieldValidating(field.name, true);
+  }, [cancel, run, setFieldValidating]);
+
+  /**
+   * Resolve every async check for `fields` against `values`, reusing settled
+   * or in-flight results. Resolves with an errors map, or null if a check was
+   * superseded while waiting.
+   */
+  const flush = useCallback(async (fields, values) => {
+    const checks = fields
+      .filter(field => field.asyncValidators?.length)
+      .map((field) => {
+        const value = values[field.name];
+        const entry = entriesRef.current[field.name];
+
+        if (entry && entry.value === value) {
+          if (entry.settled) return Promise.resolve([field.name, entry.error]);
+          if (entry.promise) return entry.promise.then(error => [field.name, error]);
+          clearTimeout(entry.timer);
+        }
+
+        return run(field, value, values).then(error => [field.name, error]);
+      });
+
+    const results = await Promise.all(checks);
+    if (results.some(([, error]) => error === undefined)) return null;
+
+    return Object.fromEntries(results.filter(([, error]) => error));
+  }, [run]);
+
+  useEffect(() => cancelAll, [cancelAll]);
+
+  return { validating, schedule, cancel, cancelAll, flush };
+};
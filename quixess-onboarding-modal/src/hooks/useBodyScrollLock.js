@@ -0,0 +1,24 @@
+import { useEffect } from 'react';
+
+/**
+ * CUSTOM HOOK: useBodyScrollLock
+ * Stops the page behind an open dialog from scrolling. The scrollbar's width
+ * is added as padding so the page doesn't shift when it disappears.
+ */
+export const useBodyScrollLock = (isLocked) => {
+  useEffect(() => {
+    if (!isLocked) return undefined;
+
+    const { body, documentElement } = document;
+    const previous = { overflow: body.style.overflow, paddingRight: body.style.paddingRight };
+    const scrollbarWidth = window.innerWidth - documentElement.clientWidth;
+
+    body.style.overflow = 'hidden';
+    if (scrollbarWidth > 0) body.style.paddingRight = `${scrollbarWidth}px`;
+
+    return () => {
+      body.style.overflow = previous.overflow;
+      body.style.paddingRight = previous.paddingRight;
+    };
+  }, [isLocked]);
+};
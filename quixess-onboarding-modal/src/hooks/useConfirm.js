@@ -0,0 +1,30 @@
+import { useState, useCallback, useRef, useEffect } from 'react';
+
+/**
+ * CUSTOM HOOK: useConfirm
+ * Promise-based replacement for `window.confirm`. `confirm(options)` resolves
+ * true or false once the user answers; render `request` (the pending options)
+ * with a dialog and call `settle(answer)` from its buttons.
+ */
+export const useConfirm = () => {
+  const [request, setRequest] = useState(null);
+  const requestRef = useRef(null);
+
+  const settle = useCallback((answer) => {
+    const pending = requestRef.current;
+    requestRef.current = null;
+    setRequest(null);
+    pending?.resolve(answer);
+  }, []);
+
+  const confirm = useCallback((options) => new Promise((resolve) => {
+    // Only one question at a time; a newer one dismisses the old
+    requestRef.current?.resolve(false);
+    requestRef.current = { ...options, resolve };
+    setRequest(requestRef.current);
+  }), []);
+
+  useEffect(() => () => requestRef.current?.resolve(false), []);
+
+  return { request, confirm, settle };
+};
@@ -0,0 +1,71 @@
+import { useState, useCallback, useMemo, useEffect, useRef } from 'react';
+import { createDraftStore, getPersistableValues } from '../persistence/draftStorage';
+
+const SAVE_DEBOUNCE_MS = 300;
+
+const shallowEqual = (a, b) => {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+};
+
+/**
+ * CUSTOM HOOK: useDraftPersistence
+ * Saves the in-progress form to `persistence.adapter` as the user goes and
+ * exposes a previously saved draft so the UI can offer to resume it.
+ * Editing while the offer is showing answers it as "start fresh": the offer
+ * goes away and the new answers are saved over the old draft.
+ */
+export const useDraftPersistence = ({
+  persistence, version, steps, formData, currentStep, initialValues
+}) => {
+  const adapter = persistence?.adapter;
+  const key = persistence?.key;
+
+  const store = useMemo(
+    () => (adapter ? createDraftStore({ adapter, key, version }) : null),
+    [adapter, key, version]
+  );
+
+  const [draft, setDraft] = useState(null);
+  const loadingRef = useRef(false);
+
+  // Read any saved draft; it stays in `draft` until resumed or discarded
+  const loadDraft = useCallback(async () => {
+    if (!store) return null;
+
+    loadingRef.current = true;
+    try {
+      const saved = await store.load();
+      setDraft(saved);
+      return saved;
+    } finally {
+      loadingRef.current = false;
+    }
+  }, [store]);
+
+  // Hide the resume offer without touching storage
+  const dismissDraft = useCallback(() => setDraft(null), []);
+
+  const clearDraft = useCallback(async () => {
+    setDraft(null);
+    await store?.clear();
+  }, [store]);
+
+  useEffect(() => {
+    if (!store || loadingRef.current) return undefined;
+
+    const persistable = getPersistableValues(steps, formData);
+    const isPristine = currentStep === 1
+      && shallowEqual(persistable, getPersistableValues(steps, initialValues));
+    if (isPristine) return undefined;
+
+    if (draft) setDraft(null);
+    const timer = setTimeout(() => {
+      store.save({ formData: persistable, currentStep });
+    }, SAVE_DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
+  }, [store, draft, steps, formData, currentStep, initialValues]);
+
+  return { isEnabled: !!store, draft, loadDraft, dismissDraft, clearDraft };
+};
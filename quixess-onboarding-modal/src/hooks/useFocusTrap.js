@@ -0,0 +1,102 @@
+import { useEffect } from 'react';
+
+const FOCUSABLE_SELECTOR = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])',
+  '[contenteditable="true"]'
+].join(', ');
+
+// Active traps, innermost last. Only the innermost one handles events, so a
+// confirmation opened on top of the dialog can hold focus without a tug of war.
+const trapStack = [];
+const isInnermost = (trap) => trapStack[trapStack.length - 1] === trap;
+
+// Tabbable elements inside a container, in DOM order
+export const getFocusableElements = (container) =>
+  Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR)).filter(element =>
+    !element.closest('[hidden], [inert], [aria-hidden="true"]')
+  );
+
+// Focus an element, or its first tabbable descendant if it can't take focus itself
+export const focusElement = (element) => {
+  if (!element) return false;
+
+  const target = element.matches(FOCUSABLE_SELECTOR) || element.hasAttribute('tabindex')
+    ? element
+    : getFocusableElements(element)[0];
+
+  target?.focus();
+  return !!target;
+};
+
+/**
+ * CUSTOM HOOK: useFocusTrap
+ * While active, keeps Tab / Shift+Tab cycling inside `containerRef` and pulls
+ * focus back if it escapes. On activation focus moves to `initialFocus`
+ * (a selector inside the container) or the first tabbable element; on
+ * deactivation it returns to whatever was focused before. Traps nest: the
+ * most recently activated one wins until it is released.
+ */
+export const useFocusTrap = (containerRef, isActive, { initialFocus } = {}) => {
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!isActive || !container) return undefined;
+
+    const previouslyFocused = document.activeElement;
+    const trap = {};
+    trapStack.push(trap);
+
+    const focusFirst = () => {
+      const initial = initialFocus && container.querySelector(initialFocus);
+      if (!focusElement(initial)) {
+        (getFocusableElements(container)[0] || container).focus();
+      }
+    };
+
+    if (!container.contains(document.activeElement)) focusFirst();
+
+    const handleKeyDown = (e) => {
+      if (e.key !== 'Tab' || !isInnermost(trap)) return;
+
+      const focusable = getFocusableElements(container);
+      if (focusable.length === 0) {
+        e.preventDefault();
+        container.focus();
+        return;
+      }
+
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      const isOutside = !container.contains(document.activeElement);
+
+      if (e.shiftKey && (isOutside || document.activeElement === first)) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && (isOutside || document.activeElement === last)) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+
+    const handleFocusIn = (e) => {
+      if (isInnermost(trap) && !container.contains(e.target)) focusFirst();
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    document.addEventListener('focusin', handleFocusIn);
+
+    return () => {
+      trapStack.splice(trapStack.indexOf(trap), 1);
+      document.removeEventListener('keydown', handleKeyDown);
+      document.removeEventListener('focusin', handleFocusIn);
+
+      if (previouslyFocused && document.contains(previouslyFocused)) {
+        previouslyFocused.focus();
+      }
+    };
+  }, [containerRef, isActive, initialFocus]);
+};
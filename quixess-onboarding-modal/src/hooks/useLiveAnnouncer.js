@@ -0,0 +1,21 @@
+import { useState, useCallback, useRef, useEffect } from 'react';
+
+/**
+ * CUSTOM HOOK: useLiveAnnouncer
+ * Returns [message, announce]. Render `message` in an aria-live region;
+ * `announce` clears it first so repeating the same text is read again.
+ */
+export const useLiveAnnouncer = () => {
+  const [message, setMessage] = useState('');
+  const timerRef = useRef(null);
+
+  const announce = useCallback((text) => {
+    clearTimeout(timerRef.current);
+    setMessage('');
+    timerRef.current = setTimeout(() => setMessage(text), 50);
+  }, []);
+
+  useEffect(() => () => clearTimeout(timerRef.current), []);
+
+  return [message, announce];
+};
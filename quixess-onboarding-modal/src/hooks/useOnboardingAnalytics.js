@@ -0,0 +1,130 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { scrubPii, getErrorRule } from '../analytics/scrub';
+
+const createSessionId = () =>
+  (typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`);
+
+const describeStep = (step, number, totalSteps) => ({
+  stepId: step?.id ?? null,
+  stepNumber: number,
+  totalSteps
+});
+
+const getTimeSpent = (session) => (session ? Date.now() - session.openedAt : 0);
+
+/**
+ * CUSTOM HOOK: useOnboardingAnalytics
+ * Emits funnel events to `onEvent({ type, timestamp, sessionId, ...properties })`.
+ * `opened`, `step_viewed` and `abandoned` (closing or leaving the page
+ * before submitting) are tracked automatically;
+ * the returned helpers cover the rest. Properties are scrubbed of PII before
+ * they leave, and a throwing handler never breaks the form.
+ */
+export const useOnboardingAnalytics = ({ onEvent, isOpen, steps, currentStep }) => {
+  const onEventRef = useRef(onEvent);
+  onEventRef.current = onEvent;
+
+  // { id, openedAt, stepViewedAt } for the open session, null when closed
+  const sessionRef = useRef(null);
+  const positionRef = useRef({ steps, currentStep });
+  positionRef.current = { steps, currentStep };
+
+  const track = useCallback((type, properties = {}) => {
+    const handler = onEventRef.current;
+    if (!handler) return;
+
+    try {
+      handler({
+        type,
+        timestamp: new Date().toISOString(),
+        sessionId: sessionRef.current?.id ?? null,
+        ...scrubPii(properties)
+      });
+    } catch (error) {
+      console.warn(`Analytics handler failed for "${type}":`, error);
+    }
+  }, []);
+
+  // Close the session as abandoned, reporting where the user stopped
+  const trackAbandoned = useCallback(() => {
+    if (!sessionRef.current) return;
+
+    const { steps: path, currentStep: number } = positionRef.current;
+    track('abandoned', {
+      ...describeStep(path[number - 1], number, path.length),
+      timeSpentMs: getTimeSpent(sessionRef.current)
+    });
+    sessionRef.current = null;
+  }, [track]);
+
+  const trackStepCompleted = useCallback((step, number) => {
+    track('step_completed', {
+      ...describeStep(step, number, positionRef.current.steps.length),
+      durationMs: sessionRef.current ? Date.now() - sessionRef.current.stepViewedAt : 0
+    });
+  }, [track]);
+
+  // Field names and the failing rule only; values never leave the form
+  const trackValidationFailed = useCallback((step, number, errors) => {
+    const fields = Object.entries(errors)
+      .filter(([, error]) => error)
+      .map(([field, error]) => ({ field, rule: getErrorRule(error) }));
+    if (fields.length === 0) return;
+
+    track('validation_failed', {
+      ...describeStep(step, number, positionRef.current.steps.length),
+      fields
+    });
+  }, [track]);
+
+  const trackSubmitted = useCallback(() => {
+    track('submitted', {
+      totalSteps: positionRef.current.steps.length,
+      timeSpentMs: getTimeSpent(sessionRef.current)
+    });
+    sessionRef.current = null;
+  }, [track]);
+
+  const trackSubmitFailed = useCallback((error) => {
+    track('submit_failed', {
+      status: error?.status ?? null,
+      retryable: !!error?.retryable,
+      fields: Object.keys(error?.fieldErrors || {})
+    });
+  }, [track]);
+
+  useEffect(() => {
+    // However it closed (close button, Escape, the ref API or a parent's
+    // `isOpen`), a session that was not submitted ends as abandoned
+    if (!isOpen) {
+      trackAbandoned();
+      return;
+    }
+
+    sessionRef.current = { id: createSessionId(), openedAt: Date.now(), stepViewedAt: Date.now() };
+    track('opened');
+  }, [isOpen, track, trackAbandoned]);
+
+  const currentStepId = steps[currentStep - 1]?.id;
+
+  useEffect(() => {
+    if (!isOpen || !sessionRef.current) return;
+
+    sessionRef.current.stepViewedAt = Date.now();
+    const { steps: path, currentStep: number } = positionRef.current;
+    track('step_viewed', describeStep(path[number - 1], number, path.length));
+  }, [isOpen, currentStepId, track]);
+
+  // Leaving the page with the dialog open counts as abandoning it. Capture
+  // phase runs before batching sinks flush on the same pagehide event.
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    window.addEventListener('pagehide', trackAbandoned, { capture: true });
+    return () => window.removeEventListener('pagehide', trackAbandoned, { capture: true });
+  }, [isOpen, trackAbandoned]);
+
+  return { track, trackAbandoned, trackStepCompleted, trackValidationFailed, trackSubmitted, trackSubmitFailed };
+};
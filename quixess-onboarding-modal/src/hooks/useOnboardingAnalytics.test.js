@@ -0,0 +1,108 @@
+import { renderHook, act } from '@testing-library/react';
+import { useOnboardingAnalytics } from './useOnboardingAnalytics';
+import { msg } from '../i18n/translator';
+
+const steps = [{ id: 'personal', fields: [] }, { id: 'account', fields: [] }];
+
+const renderAnalytics = (props = {}) => {
+  const onEvent = jest.fn();
+  const view = renderHook(hookProps => useOnboardingAnalytics(hookProps), {
+    initialProps: { onEvent, isOpen: true, steps, currentStep: 1, ...props }
+  });
+  return { ...view, onEvent, eventTypes: () => onEvent.mock.calls.map(([event]) => event.type) };
+};
+
+describe('useOnboardingAnalytics', () => {
+  it('tracks opening and each step viewed in one session', () => {
+    const { onEvent, rerender, eventTypes } = renderAnalytics();
+
+    rerender({ onEvent, isOpen: true, steps, currentStep: 2 });
+
+    expect(eventTypes()).toEqual(['opened', 'step_viewed', 'step_viewed']);
+    const [opened, , viewed] = onEvent.mock.calls.map(([event]) => event);
+    expect(viewed).toMatchObject({ stepId: 'account', stepNumber: 2, totalSteps: 2, sessionId: opened.sessionId });
+    expect(opened.sessionId).toEqual(expect.any(String));
+  });
+
+  it('scrubs personal details from tracked properties', () => {
+    const { result, onEvent } = renderAnalytics();
+
+    act(() => result.current.track('custom', {
+      email: 'ada@example.com', values: { password: 'Engine1843' }, note: 'sent to ada@example.com'
+    }));
+
+    const event = onEvent.mock.calls.at(-1)[0];
+    expect(event).toMatchObject({ type: 'custom', note: 'sent to [redacted]' });
+    expect(JSON.stringify(event)).not.toMatch(/ada@example\.com|Engine1843/);
+  });
+
+  it('reports failed fields by rule, never by value or message text', () => {
+    const { result, onEvent } = renderAnalytics();
+
+    act(() => result.current.trackValidationFailed(steps[0], 1, {
+      email: msg('validation.email.invalid'),
+      fullName: 'Ada Lovelace is not allowed here',
+      username: null
+    }));
+
+    expect(onEvent.mock.calls.at(-1)[0]).toMatchObject({
+      type: 'validation_failed',
+      fields: [{ field: 'email', rule: 'validation.email.invalid' }, { field: 'fullName', rule: 'custom' }]
+    });
+    expect(JSON.stringify(onEvent.mock.calls)).not.toMatch(/Ada Lovelace/);
+  });
+
+  it('reports submit failures without the server\'s messages', () => {
+    const { result, onEvent } = renderAnalytics();
+
+    act(() => result.current.trackSubmitFailed({
+      status: 422, fieldErrors: { email: 'ada@example.com is already registered' }
+    }));
+
+    expect(onEvent.mock.calls.at(-1)[0]).toMatchObject({
+      type: 'submit_failed', status: 422, retryable: false, fields: ['email']
+    });
+    expect(JSON.stringify(onEvent.mock.calls)).not.toMatch(/ada@example\.com/);
+  });
+
+  it('counts leaving the page while open as abandoning', () => {
+    const { onEvent, eventTypes } = renderAnalytics({ currentStep: 2 });
+
+    window.dispatchEvent(new Event('pagehide'));
+    window.dispatchEvent(new Event('pagehide'));
+
+    expect(eventTypes().filter(type => type === 'abandoned')).toHaveLength(1);
+    expect(onEvent.mock.calls.at(-1)[0]).toMatchObject({ stepId: 'account', stepNumber: 2 });
+  });
+
+  it('counts closing from the parent as abandoning, once', () => {
+    const { onEvent, rerender, eventTypes } = renderAnalytics({ currentStep: 2 });
+
+    rerender({ onEvent, isOpen: false, steps, currentStep: 2 });
+    rerender({ onEvent, isOpen: false, steps, currentStep: 1 });
+
+    expect(eventTypes()).toEqual(['opened', 'step_viewed', 'abandoned']);
+    expect(onEvent.mock.calls.at(-1)[0]).toMatchObject({ stepId: 'account', stepNumber: 2 });
+  });
+
+  it('does not count closing after a submit as abandoning', () => {
+    const { result, onEvent, rerender, eventTypes } = renderAnalytics();
+
+    act(() => result.current.trackSubmitted());
+    rerender({ onEvent, isOpen: false, steps, currentStep: 1 });
+
+    expect(eventTypes()).not.toContain('abandoned');
+  });
+
+  it('keeps going when the handler throws', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    try {
+      const { result } = renderAnalytics({ onEvent: () => { throw new Error('collector down'); } });
+
+      expect(() => act(() => result.current.trackSubmitted())).not.toThrow();
+      expect(warn).toHaveBeenCalled();
+    } finally {
+      warn.mockRestore();
+    }
+  });
+});
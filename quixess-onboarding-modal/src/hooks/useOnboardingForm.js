@@ -0,0 +1,488 @@
+import { useState, useCallback, useMemo, useRef, useEffect } from 'react';
+import {
+  defaultOnboardingSchema, buildInitialValues, buildSubmitPayload, getActiveSteps
+} from '../schema/onboardingSchema';
+import { validateField, validateFields } from '../utils/validation';
+import { createFetchSubmitAdapter, isAbortError } from '../api/submitAdapters';
+import { buildConsentRecord } from '../utils/consent';
+import { buildAvatarFallbacks } from '../utils/avatar';
+import { useI18n } from '../i18n';
+import { useAsyncValidation } from './useAsyncValidation';
+import { useDraftPersistence } from './useDraftPersistence';
+
+const defaultSubmitAdapter = createFetchSubmitAdapter();
+
+// Find the 1-based step that owns any of the given field names
+const findStepForFields = (steps, fieldNames) => {
+  const index = steps.findIndex(step =>
+    step.fields.some(field => fieldNames.includes(field.name))
+  );
+  return index === -1 ? null : index + 1;
+};
+
+// 1-based step numbers from `from` up to, but not including, `to`
+const stepRange = (from, to) => Array.from({ length: Math.max(to - from, 0) }, (_, i) => from + i);
+
+// Equality for form values: text, booleans, lists and plain objects compare by content
+const isSameValue = (a, b) => {
+  if (a === b) return true;
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length
+      && a.every((item, index) => isSameValue(item, b[index]));
+  }
+  const isPlainObject = value =>
+    typeof value === 'object' && value !== null && Object.getPrototypeOf(value) === Object.prototype;
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => isSameValue(a[key], b[key]));
+  }
+  return false;
+};
+
+// Add a change to the undo history, keeping the newest `limit` entries.
+// Consecutive edits to the same text field (i.e. typing) make a single entry.
+const recordChange = (past, change, limit) => {
+  const last = past[past.length - 1];
+  const isTyping = last?.field === change.field
+    && typeof last.to === 'string' && typeof change.to === 'string';
+
+  if (!isTyping) return [...past, change].slice(-limit);
+  if (isSameValue(last.from, change.to)) return past.slice(0, -1);
+  return [...past.slice(0, -1), { ...last, to: change.to }];
+};
+
+const emptyHistory = { past: [], future: [] };
+
+// Merge live check results into the errors map, keeping it as is when nothing changed
+const mergeErrors = (errors, updates) => {
+  const changed = Object.entries(updates).filter(([name, error]) => (errors[name] || null) !== (error || null));
+  return changed.length ? { ...errors, ...Object.fromEntries(changed) } : errors;
+};
+
+// Add step ids to a list, keeping the same array when nothing changes
+const addSteps = (list, added) => {
+  const missing = added.filter(id => !list.includes(id));
+  return missing.length ? [...list, ...missing] : list;
+};
+
+/**
+ * CUSTOM HOOK: useOnboardingForm
+ * Encapsulates all form state management and business logic.
+ * Initial state and validation are derived from the schema. `steps` is the
+ * active path (see getActiveSteps), so it can grow or shrink as values change;
+ * `currentStep` and the step count refer to that path.
+ * Submission goes through `onSubmit(formData, { signal })`, which must return a promise.
+ * Pass `persistence: { adapter, key? }` to save drafts (see persistence/draftStorage)
+ * and `initialValues` to prefill fields on top of the schema defaults.
+ * `stepStatuses[i]` is 'upcoming' | 'visited' | 'completed' | 'error' for step i + 1.
+ * When the schema has consent fields, the submitted data carries a `consentRecord`
+ * (see utils/consent) worded in the active locale. An avatar left empty is
+ * submitted as null with an `avatarFallback` describing the initials shown.
+ * Field changes are kept in an undo history of up to `historyLimit` entries;
+ * `undo()` and `redo()` return the `{ name, value }` they restored, or null,
+ * and move to the step that field is on. `submitForm` checks every step on
+ * the path, landing on the first one that fails.
+ * Fields set by custom steps (`hidden`) are not part of it. `dirtyFields` maps
+ * each field that differs from its initial value to true.
+ * Errors show as the user goes, following each check's trigger (see
+ * utils/validation): 'change' checks as they type, 'blur' checks once the
+ * field has been touched (`touchField`, called by FormStep when focus leaves
+ * it), and every check when they leave the step. Touched fields whose
+ * validators depend on the edited field are re-checked too.
+ */
+export const useOnboardingForm = (
+  schema = defaultOnboardingSchema,
+  { onSubmit = defaultSubmitAdapter, persistence, initialValues: prefill, historyLimit = 100 } = {}
+) => {
+  const { t, locale } = useI18n();
+  const allSteps = schema.steps;
+  const initialValues = useMemo(
+    () => ({ ...buildInitialValues(schema), ...prefill }),
+    [schema, prefill]
+  );
+  const fieldsByName = useMemo(() => Object.fromEntries(
+    allSteps.flatMap(step => step.fields.map(field => [field.name, field]))
+  ), [allSteps]);
+
+  const [formData, setFormData] = useState(initialValues);
+  const [errors, setErrors] = useState({});
+  const [history, setHistory] = useState(emptyHistory);
+  const [touchedFields, setTouchedFields] = useState({});
+  const [stepNumber, setCurrentStep] = useState(1);
+
+  const steps = useMemo(() => getActiveSteps(allSteps, formData), [allSteps, formData]);
+  const totalSteps = steps.length;
+  // Clamp in case an answer on the current step hid it
+  const currentStep = Math.min(stepNumber, totalSteps);
+  const currentStepId = steps[currentStep - 1]?.id;
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
+  const [isValidatingStep, setIsValidatingStep] = useState(false);
+  // Tracked by step id, so they survive steps being inserted into the path
+  const [visitedSteps, setVisitedSteps] = useState([]);
+  // Steps the user has validated and moved past
+  const [completedSteps, setCompletedSteps] = useState([]);
+
+  // In-flight submission; guards against double-submit and allows cancelling
+  const submitControllerRef = useRef(null);
+  // Set while goToNextStep waits on async checks, so repeated clicks are ignored
+  const advancingRef = useRef(false);
+
+  useEffect(() => () => submitControllerRef.current?.abort(), []);
+
+  useEffect(() => {
+    if (currentStepId) setVisitedSteps(prev => addSteps(prev, [currentStepId]));
+  }, [currentStepId]);
+
+  // Ids of the steps on the path between two 1-based positions (end exclusive)
+  const getStepIds = useCallback(
+    (from, to) => stepRange(from, to).map(number => steps[number - 1].id),
+    [steps]
+  );
+
+  // Async checks (e.g. availability) report their results straight into errors
+  const {
+    isEnabled: isPersistenceEnabled, draft, loadDraft, dismissDraft, clearDraft
+  } = useDraftPersistence({
+    persistence, version: schema.version ?? 1, steps: allSteps, formData, currentStep, initialValues
+  });
+
+  const {
+    validating,
+    schedule: scheduleAsync,
+    cancel: cancelAsyncField,
+    cancelAll: cancelAsync,
+    flush: flushAsync
+  } = useAsyncValidation(useCallback((field, error) => {
+    setErrors(prev => ({ ...prev, [field]: error }));
+  }, []));
+
+  // Set a value, update the errors that depend on it and queue any async checks
+  const applyValue = useCallback((field, value) => {
+    const nextValues = { ...formData, [field]: value };
+    setFormData(prev => ({ ...prev, [field]: value }));
+
+    const fieldConfig = fieldsByName[field];
+    const liveErrors = {
+      [field]: fieldConfig
+        ? validateField(fieldConfig, value, nextValues, { on: touchedFields[field] ? 'blur' : 'change' })
+        : null
+    };
+    steps.flatMap(step => step.fields)
+      .filter(other => other.name !== field && touchedFields[other.name]
+        && other.validators?.some(validator => validator.dependsOn?.includes(field)))
+      .forEach((other) => {
+        const error = validateField(other, nextValues[other.name], nextValues, { on: 'blur' });
+        // Passing sync checks say nothing about an async result on screen (e.g. "taken")
+        if (error || !other.asyncValidators?.length) liveErrors[other.name] = error;
+      });
+    setErrors(prev => mergeErrors(prev, liveErrors));
+
+    if (fieldConfig?.asyncValidators?.length) {
+      const syncError = validateField(fieldConfig, value, nextValues);
+      if (syncError) {
+        cancelAsyncField(field);
+      } else {
+        scheduleAsync(fieldConfig, value, nextValues);
+      }
+    }
+  }, [formData, fieldsByName, steps, touchedFields, scheduleAsync, cancelAsyncField]);
+
+  // The user left a field: from now on its 'blur' checks run, starting now.
+  // Only adds errors; edits clear them, so errors from Next or async checks stay.
+  const touchField = useCallback((field) => {
+    const fieldConfig = fieldsByName[field];
+    if (!fieldConfig) return;
+
+    setTouchedFields(prev => (prev[field] ? prev : { ...prev, [field]: true }));
+    const error = validateField(fieldConfig, formData[field], formData, { on: 'blur' });
+    if (error) setErrors(prev => mergeErrors(prev, { [field]: error }));
+  }, [fieldsByName, formData]);
+
+  // Update form field, recording the change for undo
+  const updateField = useCallback((field, value) => {
+    const previous = formData[field];
+    if (fieldsByName[field]?.type !== 'hidden' && !isSameValue(previous, value)) {
+      setHistory(prev => ({
+        past: recordChange(prev.past, { field, from: previous, to: value }, historyLimit),
+        future: []
+      }));
+    }
+    applyValue(field, value);
+  }, [formData, fieldsByName, historyLimit, applyValue]);
+
+  // Restore a value from the history and show the step it lives on, so the
+  // user sees what changed (the path is worked out with the restored value)
+  const restoreValue = useCallback((field, value) => {
+    applyValue(field, value);
+    const step = findStepForFields(getActiveSteps(allSteps, { ...formData, [field]: value }), [field]);
+    if (step) setCurrentStep(step);
+    return { name: field, value };
+  }, [allSteps, formData, applyValue]);
+
+  const undo = useCallback(() => {
+    const change = history.past[history.past.length - 1];
+    if (!change) return null;
+
+    setHistory(prev => ({ past: prev.past.slice(0, -1), future: [...prev.future, change] }));
+    return restoreValue(change.field, change.from);
+  }, [history, restoreValue]);
+
+  const redo = useCallback(() => {
+    const change = history.future[history.future.length - 1];
+    if (!change) return null;
+
+    setHistory(prev => ({ past: [...prev.past, change], future: prev.future.slice(0, -1) }));
+    return restoreValue(change.field, change.to);
+  }, [history, restoreValue]);
+
+  const dirtyFields = useMemo(() => Object.fromEntries(
+    Object.keys(formData)
+      .filter(name => !isSameValue(formData[name], initialValues[name]))
+      .map(name => [name, true])
+  ), [formData, initialValues]);
+
+  // Validate the fields declared on a step (1-based)
+  const validateStep = useCallback((step) => {
+    const stepConfig = steps[step - 1];
+    if (!stepConfig) return true;
+
+    const stepErrors = validateFields(stepConfig.fields, formData);
+
+    // Once a step has been checked, its errors follow every edit
+    setTouchedFields(prev => ({
+      ...prev,
+      ...Object.fromEntries(stepConfig.fields.map(field => [field.name, true]))
+    }));
+    setErrors(stepErrors);
+    return Object.keys(stepErrors).length === 0;
+  }, [steps, formData]);
+
+  // Sync validation, then wait for the step's async checks to resolve
+  const validateStepAsync = useCallback(async (step) => {
+    if (!validateStep(step)) return false;
+
+    setIsValidatingStep(true);
+    try {
+      const asyncErrors = await flushAsync(steps[step - 1]?.fields || [], formData);
+      if (asyncErrors === null) return false;
+
+      // Cached results don't re-report, so restore them after validateStep cleared errors
+      setErrors(prev => ({ ...prev, ...asyncErrors }));
+      return Object.keys(asyncErrors).length === 0;
+    } finally {
+      setIsValidatingStep(false);
+    }
+  }, [steps, formData, validateStep, flushAsync]);
+
+  // Check a step without showing its errors; resolves with an errors map, or null if superseded
+  const collectStepErrors = useCallback(async (step) => {
+    const fields = steps[step - 1]?.fields || [];
+    const syncErrors = validateFields(fields, formData);
+    if (Object.keys(syncErrors).length > 0) return syncErrors;
+
+    return flushAsync(fields, formData);
+  }, [steps, formData, flushAsync]);
+
+  // Navigation methods. goToNextStep and goToStep resolve true if the step changed
+  const goToNextStep = useCallback(async () => {
+    if (advancingRef.current) return false;
+
+    advancingRef.current = true;
+    try {
+      const isValid = await validateStepAsync(currentStep);
+      if (isValid) {
+        setCompletedSteps(prev => addSteps(prev, [currentStepId]));
+        setCurrentStep(Math.min(currentStep + 1, totalSteps));
+      }
+      return isValid;
+    } finally {
+      advancingRef.current = false;
+    }
+  }, [currentStep, currentStepId, totalSteps, validateStepAsync]);
+
+  // Going back keeps the errors of the step being left, so it stays flagged
+  const goToPreviousStep = useCallback(() => {
+    setCurrentStep(Math.max(currentStep - 1, 1));
+  }, [currentStep]);
+
+  // Jump to any step (1-based). Going back is always allowed and, like
+  // goToPreviousStep, keeps the errors; going forward only when the current
+  // step and every step in between validate. If an in-between step fails,
+  // the user lands on it with its errors showing.
+  const goToStep = useCallback(async (target) => {
+    if (target < 1 || target > totalSteps) return false;
+    if (target === currentStep) return true;
+
+    if (target < currentStep) {
+      setCurrentStep(target);
+      return true;
+    }
+
+    if (advancingRef.current) return false;
+
+    advancingRef.current = true;
+    try {
+      if (!(await validateStepAsync(currentStep))) return false;
+
+      for (const step of stepRange(currentStep + 1, target)) {
+        const stepErrors = await collectStepErrors(step);
+        if (stepErrors === null) return false;
+
+        if (Object.keys(stepErrors).length > 0) {
+          setCompletedSteps(prev => addSteps(prev, getStepIds(currentStep, step)));
+          setErrors(stepErrors);
+          setCurrentStep(step);
+          return false;
+        }
+      }
+
+      setCompletedSteps(prev => addSteps(prev, getStepIds(currentStep, target)));
+      setCurrentStep(target);
+      return true;
+    } finally {
+      advancingRef.current = false;
+    }
+  }, [currentStep, totalSteps, validateStepAsync, collectStepErrors, getStepIds]);
+
+  // A visited step shows an error if it has errors on screen or, when it is not
+  // the current step, if its values no longer validate (e.g. edited after completion)
+  const stepStatuses = useMemo(() => steps.map((step, index) => {
+    const number = index + 1;
+    // Steps validated by a forward jump count as seen even if never shown
+    if (!visitedSteps.includes(step.id) && !completedSteps.includes(step.id)) return 'upcoming';
+
+    const hasShownErrors = step.fields.some(field => errors[field.name]);
+    const isStale = number !== currentStep
+      && Object.keys(validateFields(step.fields, formData)).length > 0;
+
+    if (hasShownErrors || isStale) return 'error';
+    return completedSteps.includes(step.id) ? 'completed' : 'visited';
+  }), [steps, visitedSteps, completedSteps, errors, formData, currentStep]);
+
+  // Form submission. Resolves with { status: 'success' | 'invalid' | 'failed' | 'cancelled' }
+  const submitForm = useCallback(async () => {
+    if (submitControllerRef.current) return { status: 'pending' };
+
+    // Claim the slot before any await so a second click can't slip through
+    const controller = new AbortController();
+    submitControllerRef.current = controller;
+
+    try {
+      // Earlier steps too: undo or an edited answer may have left one incomplete
+      for (const step of stepRange(1, totalSteps)) {
+        const stepErrors = await collectStepErrors(step);
+        if (stepErrors === null) return { status: 'invalid' };
+
+        if (Object.keys(stepErrors).length > 0) {
+          setErrors(stepErrors);
+          setCurrentStep(step);
+          return { status: 'invalid', step };
+        }
+      }
+      if (!(await validateStepAsync(totalSteps))) return { status: 'invalid' };
+      if (controller.signal.aborted) return { status: 'cancelled' };
+
+      setIsSubmitting(true);
+      setSubmitError(null);
+
+      const payload = buildSubmitPayload(schema, formData);
+      const consentRecord = buildConsentRecord(steps, formData, { t, locale });
+      if (consentRecord) payload.consentRecord = consentRecord;
+      Object.assign(payload, buildAvatarFallbacks(steps, formData));
+
+      const data = await onSubmit(payload, { signal: controller.signal });
+      clearDraft().catch(error => console.warn('Could not clear onboarding draft:', error));
+      return { status: 'success', data };
+    } catch (error) {
+      if (isAbortError(error) || controller.signal.aborted) {
+        return { status: 'cancelled' };
+      }
+
+      console.error('Form submission failed:', error);
+
+      // Map server-side field errors back onto the form and jump to their step
+      const fieldErrors = error.fieldErrors || {};
+      const failingStep = findStepForFields(steps, Object.keys(fieldErrors));
+
+      if (failingStep) {
+        setErrors(fieldErrors);
+        setCurrentStep(failingStep);
+      }
+
+      setSubmitError(error);
+      return { status: 'failed', error, step: failingStep };
+    } finally {
+      if (submitControllerRef.current === controller) {
+        submitControllerRef.current = null;
+        setIsSubmitting(false);
+      }
+    }
+  }, [
+    schema, formData, steps, totalSteps, onSubmit, validateStepAsync, collectStepErrors, clearDraft, t, locale
+  ]);
+
+  // Abort the in-flight submission, if any
+  const cancelSubmit = useCallback(() => {
+    const controller = submitControllerRef.current;
+    if (!controller) return;
+
+    submitControllerRef.current = null;
+    controller.abort();
+    setIsSubmitting(false);
+  }, []);
+
+  // Restore a saved draft. Passwords are never stored, so if an earlier step is
+  // incomplete (e.g. the password) the user lands there instead of the saved step.
+  const resumeDraft = useCallback(() => {
+    if (!draft) return;
+
+    const values = { ...initialValues };
+    Object.keys(draft.formData).forEach((name) => {
+      if (name in values) values[name] = draft.formData[name];
+    });
+
+    // The path depends on the restored answers, not on the current ones
+    const resumedPath = getActiveSteps(allSteps, values);
+    const savedStep = Math.min(Math.max(Number(draft.currentStep) || 1, 1), resumedPath.length);
+    const firstIncompleteStep = resumedPath.findIndex(step =>
+      Object.keys(validateFields(step.fields, values)).length > 0
+    ) + 1;
+
+    const resumedStep = firstIncompleteStep ? Math.min(savedStep, firstIncompleteStep) : savedStep;
+    const resumedIds = resumedPath.slice(0, resumedStep).map(step => step.id);
+
+    setFormData(values);
+    setErrors({});
+    setTouchedFields({});
+    setHistory(emptyHistory);
+    setVisitedSteps(resumedIds);
+    setCompletedSteps(resumedIds.slice(0, -1));
+    setCurrentStep(resumedStep);
+    dismissDraft();
+  }, [draft, initialValues, allSteps, dismissDraft]);
+
+  // Reset form to initial state
+  const resetForm = useCallback(() => {
+    cancelSubmit();
+    cancelAsync();
+    setFormData(initialValues);
+    setErrors({});
+    setTouchedFields({});
+    setHistory(emptyHistory);
+    setCurrentStep(1);
+    setVisitedSteps([]);
+    setCompletedSteps([]);
+    setSubmitError(null);
+  }, [initialValues, cancelSubmit, cancelAsync]);
+
+  return {
+    steps, formData, initialValues, errors, currentStep, stepStatuses, isSubmitting, submitError,
+    validating, isValidatingStep, isPersistenceEnabled, draft,
+    dirtyFields, isDirty: Object.keys(dirtyFields).length > 0, touchedFields,
+    canUndo: history.past.length > 0, canRedo: history.future.length > 0,
+    updateField, touchField, undo, redo, validateStep, validateStepAsync, goToNextStep,
+    goToPreviousStep, goToStep, submitForm, cancelSubmit, resetForm,
+    loadDraft, resumeDraft, discardDraft: clearDraft
+  };
+};
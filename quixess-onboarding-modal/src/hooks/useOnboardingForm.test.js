@@ -0,0 +1,479 @@
+import { renderHook, act } from '@testing-library/react';
+import { useOnboardingForm } from './useOnboardingForm';
+import { createOnboardingSchema } from '../schema/onboardingSchema';
+import { SubmissionError } from '../api/submitAdapters';
+import { createMemoryStorageAdapter } from '../persistence/draftStorage';
+import { validDefaultAnswers } from '../testing';
+import { msg } from '../i18n/translator';
+
+const schema = createOnboardingSchema();
+
+const renderForm = (options = {}) =>
+  renderHook(({ formOptions }) => useOnboardingForm(schema, formOptions), {
+    initialProps: { formOptions: { onSubmit: jest.fn(async () => ({ id: 1 })), ...options } }
+  });
+
+const fill = (result, values) => {
+  Object.entries(values).forEach(([name, value]) => {
+    act(() => result.current.updateField(name, value));
+  });
+};
+
+const advance = async (result) => {
+  let advanced;
+  await act(async () => {
+    advanced = await result.current.goToNextStep();
+  });
+  return advanced;
+};
+
+const currentStepId = (result) => result.current.steps[result.current.currentStep - 1].id;
+
+describe('useOnboardingForm', () => {
+  it('starts on the first step with the schema defaults', () => {
+    const { result } = renderForm();
+
+    expect(result.current.currentStep).toBe(1);
+    expect(result.current.steps.map(step => step.id)).toEqual(['personal', 'account', 'preferences', 'consent']);
+    expect(result.current.formData).toMatchObject({ accountType: 'personal', newsletter: false, fullName: '' });
+    expect(result.current.formData).toMatchObject({
+      language: 'en',
+      timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      notifications: { security: ['email', 'inApp'], activity: ['inApp'], product: ['email'] },
+      interests: []
+    });
+    expect(result.current.stepStatuses).toEqual(['visited', 'upcoming', 'upcoming', 'upcoming']);
+  });
+
+  it('layers initialValues over the defaults', () => {
+    const { result } = renderForm({ initialValues: { fullName: 'Ada Lovelace' } });
+
+    expect(result.current.formData.fullName).toBe('Ada Lovelace');
+    expect(result.current.initialValues.fullName).toBe('Ada Lovelace');
+  });
+
+  describe('navigation', () => {
+    it('stays put and shows errors when the step is invalid', async () => {
+      const { result } = renderForm();
+
+      await expect(advance(result)).resolves.toBe(false);
+      expect(result.current.currentStep).toBe(1);
+      expect(result.current.errors).toHaveProperty('fullName');
+      expect(result.current.errors).toHaveProperty('email');
+      expect(result.current.stepStatuses[0]).toBe('error');
+    });
+
+    it('clears a field error as soon as the field is edited', async () => {
+      const { result } = renderForm();
+
+      await advance(result);
+      fill(result, { fullName: 'Ada' });
+
+      expect(result.current.errors.fullName).toBeNull();
+      expect(result.current.errors.email).toBeTruthy();
+    });
+
+    it('advances and marks the step completed when it validates', async () => {
+      const { result } = renderForm();
+
+      fill(result, validDefaultAnswers.personal);
+      await expect(advance(result)).resolves.toBe(true);
+
+      expect(currentStepId(result)).toBe('account');
+      expect(result.current.stepStatuses).toEqual(['completed', 'visited', 'upcoming', 'upcoming']);
+    });
+
+    it('goes back without validating and keeps the errors of the step it leaves', async () => {
+      const { result } = renderForm();
+
+      fill(result, validDefaultAnswers.personal);
+      await advance(result);
+      await advance(result);
+      act(() => result.current.goToPreviousStep());
+
+      expect(result.current.currentStep).toBe(1);
+      expect(result.current.errors).toHaveProperty('username');
+      expect(result.current.stepStatuses[1]).toBe('error');
+    });
+
+    it('lets goToStep move backward freely', async () => {
+      const { result } = renderForm();
+
+      fill(result, validDefaultAnswers.personal);
+      await advance(result);
+
+      let moved;
+      await act(async () => { moved = await result.current.goToStep(1); });
+      expect(moved).toBe(true);
+      expect(result.current.currentStep).toBe(1);
+    });
+
+    it('validates every step a forward jump skips and lands on the first failure', async () => {
+      const { result } = renderForm();
+
+      fill(result, validDefaultAnswers.personal);
+      let moved;
+      await act(async () => { moved = await result.current.goToStep(3); });
+
+      expect(moved).toBe(false);
+      expect(currentStepId(result)).toBe('account');
+      expect(result.current.errors).toHaveProperty('username');
+      expect(result.current.stepStatuses[0]).toBe('completed');
+    });
+
+    it('jumps straight to the target when everything in between is valid', async () => {
+      const { result } = renderForm();
+
+      fill(result, { ...validDefaultAnswers.personal, ...validDefaultAnswers.account });
+      let moved;
+      await act(async () => { moved = await result.current.goToStep(3); });
+
+      expect(moved).toBe(true);
+      expect(currentStepId(result)).toBe('preferences');
+      expect(result.current.stepStatuses).toEqual(['completed', 'completed', 'visited', 'upcoming']);
+    });
+
+    it('flags a completed step that no longer validates', async () => {
+      const { result } = renderForm();
+
+      fill(result, validDefaultAnswers.personal);
+      await advance(result);
+      fill(result, { email: 'not-an-email' });
+
+      expect(result.current.stepStatuses[0]).toBe('error');
+    });
+  });
+
+  describe('conditional steps', () => {
+    it('adds the company step for business accounts', () => {
+      const { result } = renderForm();
+
+      fill(result, { accountType: 'business' });
+      expect(result.current.steps.map(step => step.id)).toEqual(['personal', 'company', 'account', 'preferences', 'consent']);
+    });
+
+    it('adds the topics step while the newsletter is on', () => {
+      const { result } = renderForm();
+
+      fill(result, { newsletter: true });
+      expect(result.current.steps.map(step => step.id)).toContain('topics');
+    });
+  });
+
+  describe('submitForm', () => {
+    const reachPreferences = async (result) => {
+      fill(result, { ...validDefaultAnswers.personal, ...validDefaultAnswers.account, ...validDefaultAnswers.preferences });
+      await advance(result);
+      await advance(result);
+    };
+
+    const completeAllSteps = async (result) => {
+      await reachPreferences(result);
+      await advance(result);
+      fill(result, validDefaultAnswers.consent);
+    };
+
+    it('submits the payload without omitted or hidden fields', async () => {
+      const onSubmit = jest.fn(async () => ({ id: 7 }));
+      const { result } = renderForm({ onSubmit });
+
+      await completeAllSteps(result);
+      let outcome;
+      await act(async () => { outcome = await result.current.submitForm(); });
+
+      expect(outcome).toEqual({ status: 'success', data: { id: 7 } });
+      const [payload, { signal }] = onSubmit.mock.calls[0];
+      expect(payload).toMatchObject({ fullName: 'Ada Lovelace', username: 'countess_ada', theme: 'dark' });
+      expect(payload).not.toHaveProperty('confirmPassword');
+      expect(payload).not.toHaveProperty('companyName');
+      expect(payload).not.toHaveProperty('newsletterFrequency');
+      expect(signal).toBeInstanceOf(AbortSignal);
+    });
+
+    it('does not submit while the last step is invalid', async () => {
+      const onSubmit = jest.fn();
+      const { result } = renderForm({ onSubmit });
+
+      await reachPreferences(result);
+      await advance(result);
+      fill(result, { acceptTerms: true });
+      let outcome;
+      await act(async () => { outcome = await result.current.submitForm(); });
+
+      expect(outcome).toEqual({ status: 'invalid' });
+      expect(onSubmit).not.toHaveBeenCalled();
+      expect(result.current.errors).toEqual({ acceptPrivacy: msg('validation.acceptPrivacy.required') });
+    });
+
+    it('goes back to an earlier step that no longer validates instead of submitting', async () => {
+      const onSubmit = jest.fn();
+      const { result } = renderForm({ onSubmit });
+
+      await completeAllSteps(result);
+      fill(result, { username: '' });
+      let outcome;
+      await act(async () => { outcome = await result.current.submitForm(); });
+
+      expect(outcome).toEqual({ status: 'invalid', step: 2 });
+      expect(onSubmit).not.toHaveBeenCalled();
+      expect(currentStepId(result)).toBe('account');
+      expect(result.current.errors).toHaveProperty('username');
+    });
+
+    it('submits the preferences and checks them first', async () => {
+      const onSubmit = jest.fn(async () => ({ id: 8 }));
+      const { result } = renderForm({ onSubmit });
+
+      await reachPreferences(result);
+      fill(result, {
+        timeZone: 'Asia/Tokyo',
+        notifications: { security: [], activity: [], product: ['inApp'] },
+        interests: ['design', 'data', 'ai', 'sales', 'product', 'security']
+      });
+
+      await expect(advance(result)).resolves.toBe(false);
+      expect(result.current.errors).toEqual({
+        notifications: msg('validation.notifications.security'),
+        interests: msg('validation.interests.max', { count: 5 })
+      });
+
+      fill(result, {
+        notifications: { security: ['email'], activity: [], product: ['inApp'] },
+        interests: ['design', 'data']
+      });
+      await advance(result);
+      fill(result, validDefaultAnswers.consent);
+      let outcome;
+      await act(async () => { outcome = await result.current.submitForm(); });
+
+      expect(outcome.status).toBe('success');
+      expect(onSubmit.mock.calls[0][0]).toMatchObject({
+        language: 'en',
+        timeZone: 'Asia/Tokyo',
+        notifications: { security: ['email'], activity: [], product: ['inApp'] },
+        interests: ['design', 'data']
+      });
+    });
+
+    it('attaches a consent record with the wording and policy versions shown', async () => {
+      const onSubmit = jest.fn(async () => ({ id: 9 }));
+      const { result } = renderForm({ onSubmit });
+
+      await completeAllSteps(result);
+      await act(async () => { await result.current.submitForm(); });
+
+      const { consentRecord, acceptTerms } = onSubmit.mock.calls[0][0];
+      expect(acceptTerms).toBe(true);
+      expect(Date.parse(consentRecord.recordedAt)).not.toBeNaN();
+      expect(consentRecord.locale).toBe('en');
+      expect(consentRecord.consents).toEqual([
+        expect.objectContaining({ purpose: 'marketing', field: 'newsletter', granted: false }),
+        {
+          purpose: 'terms',
+          field: 'acceptTerms',
+          granted: true,
+          text: 'I have read and agree to the Terms of Service',
+          document: { id: 'terms', version: '2026-09-01', title: 'Terms of Service' }
+        },
+        expect.objectContaining({
+          purpose: 'privacy',
+          granted: true,
+          document: expect.objectContaining({ id: 'privacy', version: '2026-09-01' })
+        })
+      ]);
+    });
+
+    it('maps server field errors back to their step', async () => {
+      const error = new SubmissionError('Invalid', { status: 422, fieldErrors: { username: 'Taken' } });
+      const { result } = renderForm({ onSubmit: jest.fn(async () => { throw error; }) });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await completeAllSteps(result);
+      let outcome;
+      await act(async () => { outcome = await result.current.submitForm(); });
+
+      expect(outcome).toEqual({ status: 'failed', error, step: 2 });
+      expect(currentStepId(result)).toBe('account');
+      expect(result.current.errors).toEqual({ username: 'Taken' });
+      expect(result.current.submitError).toBe(error);
+      console.error.mockRestore();
+    });
+  });
+
+  describe('live errors', () => {
+    it('shows blur errors once the field is touched, then follows every edit', () => {
+      const { result } = renderForm();
+
+      fill(result, { email: 'ada@' });
+      expect(result.current.errors.email).toBeFalsy();
+
+      act(() => result.current.touchField('email'));
+      expect(result.current.touchedFields).toEqual({ email: true });
+      expect(result.current.errors.email).toEqual(msg('validation.email.invalid'));
+
+      fill(result, { email: 'ada@example.com' });
+      expect(result.current.errors.email).toBeNull();
+      fill(result, { email: 'ada' });
+      expect(result.current.errors.email).toEqual(msg('validation.email.invalid'));
+    });
+
+    it('shows change-triggered rules while typing', () => {
+      const { result } = renderForm({ initialValues: { username: 'ada_lovelace' } });
+
+      fill(result, { password: 'ADA_LOVELACE' });
+
+      expect(result.current.errors.password).toBe('validation.password.sameAsUsername');
+    });
+
+    it('re-checks touched fields that depend on the edited one', () => {
+      const { result } = renderForm({ initialValues: { email: 'ada@example.com' } });
+
+      fill(result, { username: 'ada' });
+      act(() => result.current.touchField('username'));
+      expect(result.current.errors.username).toBe('validation.username.sameAsEmail');
+
+      fill(result, { email: 'lovelace@example.com' });
+      expect(result.current.errors.username).toBeNull();
+    });
+  });
+
+  describe('history', () => {
+    it('undoes and redoes changes, with a run of typing as one change', () => {
+      const { result } = renderForm();
+
+      fill(result, { fullName: 'A' });
+      fill(result, { fullName: 'Ad' });
+      fill(result, { fullName: 'Ada' });
+      fill(result, { accountType: 'business' });
+
+      let change;
+      act(() => { change = result.current.undo(); });
+      expect(change).toEqual({ name: 'accountType', value: 'personal' });
+      act(() => { result.current.undo(); });
+      expect(result.current.formData).toMatchObject({ fullName: '', accountType: 'personal' });
+      expect(result.current.canUndo).toBe(false);
+
+      act(() => { result.current.redo(); });
+      expect(result.current.formData.fullName).toBe('Ada');
+      expect(result.current.canRedo).toBe(true);
+
+      fill(result, { newsletter: true });
+      expect(result.current.canRedo).toBe(false);
+    });
+
+    it('moves to the step of the field it restores', async () => {
+      const { result } = renderForm();
+
+      fill(result, validDefaultAnswers.personal);
+      await advance(result);
+      expect(currentStepId(result)).toBe('account');
+
+      let change;
+      act(() => { change = result.current.undo(); });
+      expect(change.name).toBe(Object.keys(validDefaultAnswers.personal).at(-1));
+      expect(currentStepId(result)).toBe('personal');
+
+      fill(result, { accountType: 'business' });
+      act(() => { result.current.undo(); });
+      act(() => { result.current.redo(); });
+      expect(currentStepId(result)).toBe('personal');
+    });
+
+    it('keeps at most historyLimit changes', () => {
+      const { result } = renderForm({ historyLimit: 2 });
+
+      fill(result, { accountType: 'business', newsletter: true, theme: 'dark' });
+      let change;
+      act(() => { result.current.undo(); });
+      act(() => { result.current.undo(); });
+      act(() => { change = result.current.undo(); });
+
+      expect(change).toBeNull();
+      expect(result.current.formData).toMatchObject({ accountType: 'business', newsletter: false, theme: '' });
+    });
+
+    it('leaves fields set by custom steps out of the history', () => {
+      const customSchema = {
+        steps: [{ id: 'token', title: 'Token', fields: [{ name: 'token', type: 'hidden' }] }]
+      };
+      const { result } = renderHook(() => useOnboardingForm(customSchema));
+
+      fill(result, { token: 'abc' });
+      expect(result.current.formData.token).toBe('abc');
+      expect(result.current.canUndo).toBe(false);
+    });
+
+    it('maps the fields that differ from their initial values', () => {
+      const { result } = renderForm();
+
+      fill(result, { fullName: 'Ada', interests: ['ai'] });
+      expect(result.current.dirtyFields).toEqual({ fullName: true, interests: true });
+      expect(result.current.isDirty).toBe(true);
+
+      fill(result, { fullName: '', interests: [] });
+      expect(result.current.dirtyFields).toEqual({});
+      expect(result.current.isDirty).toBe(false);
+    });
+  });
+
+  describe('resetForm', () => {
+    it('returns to the first step with the initial values', async () => {
+      const { result } = renderForm();
+
+      fill(result, validDefaultAnswers.personal);
+      await advance(result);
+      act(() => result.current.resetForm());
+
+      expect(result.current.currentStep).toBe(1);
+      expect(result.current.formData).toEqual(result.current.initialValues);
+      expect(result.current.stepStatuses).toEqual(['visited', 'upcoming', 'upcoming', 'upcoming']);
+    });
+  });
+
+  describe('drafts', () => {
+    it('saves progress without the password and resumes it', async () => {
+      jest.useFakeTimers();
+      const persistence = { adapter: createMemoryStorageAdapter() };
+      const first = renderForm({ persistence });
+
+      fill(first.result, { ...validDefaultAnswers.personal, ...validDefaultAnswers.account });
+      await act(async () => { jest.runOnlyPendingTimers(); });
+      first.unmount();
+      jest.useRealTimers();
+
+      const { result } = renderForm({ persistence });
+      await act(async () => { await result.current.loadDraft(); });
+      expect(result.current.draft.formData).not.toHaveProperty('password');
+
+      act(() => result.current.resumeDraft());
+      expect(result.current.formData).toMatchObject({ fullName: 'Ada Lovelace', username: 'countess_ada', password: '' });
+      expect(result.current.draft).toBeNull();
+    });
+
+    it('starts fresh when the user edits instead of answering the resume offer', async () => {
+      const adapter = createMemoryStorageAdapter();
+      const persistence = { adapter };
+      const first = renderForm({ persistence });
+      jest.useFakeTimers();
+      try {
+        fill(first.result, validDefaultAnswers.personal);
+        await act(async () => { jest.runOnlyPendingTimers(); });
+        first.unmount();
+
+        const { result } = renderForm({ persistence });
+        await act(async () => { await result.current.loadDraft(); });
+        expect(result.current.draft.formData).toMatchObject({ fullName: 'Ada Lovelace' });
+
+        fill(result, { fullName: 'Grace Hopper' });
+        expect(result.current.draft).toBeNull();
+        await act(async () => { jest.runOnlyPendingTimers(); });
+      } finally {
+        jest.useRealTimers();
+      }
+
+      const { result } = renderForm({ persistence });
+      await act(async () => { await result.current.loadDraft(); });
+      expect(result.current.draft.formData).toMatchObject({ fullName: 'Grace Hopper', email: '' });
+    });
+  });
+});
@@ -0,0 +1,29 @@
+import { useEffect, useState } from 'react';
+
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+const getReducedMotionQuery = () =>
+  (typeof window !== 'undefined' && window.matchMedia ? window.matchMedia(REDUCED_MOTION_QUERY) : null);
+
+/**
+ * CUSTOM HOOK: usePrefersReducedMotion
+ * True while the OS asks for reduced motion, following changes live. For
+ * motion driven from JavaScript; CSS animations use Tailwind's
+ * `motion-safe:` variant instead.
+ */
+export const usePrefersReducedMotion = () => {
+  const [prefersReducedMotion, setPrefersReducedMotion] = useState(
+    () => getReducedMotionQuery()?.matches ?? false
+  );
+
+  useEffect(() => {
+    const query = getReducedMotionQuery();
+    if (!query) return undefined;
+
+    const handleChange = () => setPrefersReducedMotion(query.matches);
+    query.addEventListener('change', handleChange);
+    return () => query.removeEventListener('change', handleChange);
+  }, []);
+
+  return prefersReducedMotion;
+};
@@ -0,0 +1,36 @@
+import { useState, useCallback, useRef, useEffect } from 'react';
+
+const DEFAULT_DURATION_MS = 5000;
+
+/**
+ * CUSTOM HOOK: useToasts
+ * Queue of transient notifications. `notify({ type, message, duration? })`
+ * adds one and returns its id; it is dismissed after `duration` ms
+ * (0 keeps it until `dismiss(id)`).
+ */
+export const useToasts = ({ duration = DEFAULT_DURATION_MS } = {}) => {
+  const [toasts, setToasts] = useState([]);
+  const nextIdRef = useRef(0);
+  const timersRef = useRef({});
+
+  const dismiss = useCallback((id) => {
+    clearTimeout(timersRef.current[id]);
+    delete timersRef.current[id];
+    setToasts(prev => prev.filter(toast => toast.id !== id));
+  }, []);
+
+  const notify = useCallback(({ type = 'info', message, duration: toastDuration = duration }) => {
+    nextIdRef.current += 1;
+    const id = nextIdRef.current;
+
+    setToasts(prev => [...prev, { id, type, message }]);
+    if (toastDuration > 0) {
+      timersRef.current[id] = setTimeout(() => dismiss(id), toastDuration);
+    }
+    return id;
+  }, [duration, dismiss]);
+
+  useEffect(() => () => Object.values(timersRef.current).forEach(clearTimeout), []);
+
+  return { toasts, notify, dismiss };
+};
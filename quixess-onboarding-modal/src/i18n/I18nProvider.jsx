@@ -0,0 +1,72 @@
+import { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { createTranslator, getTextDirection } from './translator';
+import en from './locales/en';
+import fr from './locales/fr';
+import de from './locales/de';
+import ar from './locales/ar';
+
+export const DEFAULT_LOCALE = 'en';
+
+export const builtInCatalogs = { en, fr, de, ar };
+
+// Names shown in the language picker, each in its own language
+export const localeNames = {
+  en: 'English',
+  fr: 'Français',
+  de: 'Deutsch',
+  ar: 'العربية'
+};
+
+// Pick the closest available locale: exact tag, then language, then the default
+export const resolveLocale = (requested, available = Object.keys(builtInCatalogs)) => {
+  if (!requested) return DEFAULT_LOCALE;
+  if (available.includes(requested)) return requested;
+
+  const language = String(requested).split('-')[0];
+  return available.includes(language) ? language : DEFAULT_LOCALE;
+};
+
+const buildContextValue = (locale, catalogs, setLocale = null) => ({
+  locale,
+  dir: getTextDirection(locale),
+  locales: Object.keys(catalogs),
+  t: createTranslator(locale, catalogs[locale] || {}, catalogs[DEFAULT_LOCALE]),
+  setLocale
+});
+
+// Without a provider, components render English
+const I18nContext = createContext(buildContextValue(DEFAULT_LOCALE, builtInCatalogs));
+
+/**
+ * I18N PROVIDER
+ * `locale` picks the starting language (defaults to the browser's);
+ * `messages` adds or overrides catalogs, e.g. { es: {...}, fr: { 'modal.title': '...' } }.
+ */
+export const I18nProvider = ({ locale: requestedLocale, messages, children }) => {
+  const catalogs = useMemo(() => {
+    const merged = { ...builtInCatalogs };
+    Object.entries(messages || {}).forEach(([code, catalog]) => {
+      merged[code] = { ...merged[code], ...catalog };
+    });
+    return merged;
+  }, [messages]);
+
+  const [locale, setLocale] = useState(() => resolveLocale(
+    requestedLocale || (typeof navigator !== 'undefined' ? navigator.language : undefined),
+    Object.keys(catalogs)
+  ));
+
+  useEffect(() => {
+    if (requestedLocale) setLocale(resolveLocale(requestedLocale, Object.keys(catalogs)));
+  }, [requestedLocale, catalogs]);
+
+  const value = useMemo(
+    () => buildContextValue(locale, catalogs, (next) => setLocale(resolveLocale(next, Object.keys(catalogs)))),
+    [locale, catalogs]
+  );
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+// { t, locale, dir, locales, setLocale } for the nearest provider
+export const useI18n = () => useContext(I18nContext);
@@ -0,0 +1,4 @@
+export {
+  I18nProvider, useI18n, resolveLocale, builtInCatalogs, localeNames, DEFAULT_LOCALE
+} from './I18nProvider';
+export { createTranslator, getTextDirection, msg } from './translator';
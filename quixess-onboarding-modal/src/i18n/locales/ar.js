@@ -0,0 +1,305 @@
+// Arabic catalog (right-to-left); plurals use all six CLDR categories
+const ar = {
+  'modal.start': '🚀 ابدأ التسجيل في Quixess',
+  'modal.startLabel': 'ابدأ عملية التسجيل',
+  'modal.title': 'مرحبًا بك في Quixess',
+  'modal.description': {
+    zero: 'أكمل ملفك الشخصي',
+    one: 'أكمل ملفك الشخصي في خطوة واحدة سهلة',
+    two: 'أكمل ملفك الشخصي في خطوتين سهلتين',
+    few: 'أكمل ملفك الشخصي في {count} خطوات سهلة',
+    many: 'أكمل ملفك الشخصي في {count} خطوة سهلة',
+    other: 'أكمل ملفك الشخصي في {count} خطوة سهلة'
+  },
+  'modal.close': 'إغلاق النافذة',
+  'modal.confirmClose': 'هل تريد الإغلاق وفقدان التقدم؟',
+  'modal.confirmCloseBody': 'لم يتم حفظ إجاباتك وستفقدها.',
+  'modal.confirmCloseAction': 'إغلاق',
+  'modal.keepEditing': 'متابعة التعديل',
+  'modal.language': 'اللغة',
+
+  'a11y.step': 'الخطوة {current} من {total}: {title}',
+  'a11y.errors': {
+    zero: 'لا توجد حقول تحتاج إلى مراجعة',
+    one: 'حقل واحد يحتاج إلى مراجعة',
+    two: 'حقلان يحتاجان إلى مراجعة',
+    few: '{count} حقول تحتاج إلى مراجعة',
+    many: '{count} حقلًا يحتاج إلى مراجعة',
+    other: '{count} حقل يحتاج إلى مراجعة'
+  },
+  'a11y.submitting': 'جارٍ إرسال بياناتك…',
+  'history.undone': 'تم التراجع عن تغيير {field}',
+  'history.redone': 'تمت إعادة تغيير {field}',
+
+  'nav.back': 'السابق',
+  'nav.backLabel': 'الانتقال إلى الخطوة السابقة',
+  'nav.next': 'التالي',
+  'nav.nextLabel': 'الانتقال إلى الخطوة التالية',
+  'nav.checking': 'جارٍ التحقق…',
+  'nav.progress': '{current} من {total}',
+  'nav.progressLabel': 'تقدم التسجيل',
+  'nav.cancel': 'إلغاء',
+  'nav.cancelLabel': 'إلغاء الإرسال',
+
+  'submit.complete': '✨ إكمال الإعداد',
+  'submit.completeLabel': 'إكمال التسجيل',
+  'submit.retry': '↻ حاول مرة أخرى',
+  'submit.retryLabel': 'إعادة إرسال التسجيل',
+  'submit.submitting': 'جارٍ الإرسال...',
+  'submit.success': '🎉 مرحبًا بك في Quixess! تم إنشاء حسابك بنجاح.',
+  'submit.failure': '❌ {message} يرجى المحاولة مرة أخرى.',
+  'submit.genericError': 'حدث خطأ ما.',
+  'toast.dismiss': 'إغلاق الإشعار',
+
+  'draft.title': 'هل تريد المتابعة من حيث توقفت؟',
+  'draft.body': 'لديك تسجيل غير مكتمل.',
+  'draft.bodyWithDate': 'لديك تسجيل غير مكتمل منذ {date}.',
+  'draft.startOver': 'البدء من جديد',
+  'draft.resume': 'متابعة',
+
+  'steps.personal.title': 'المعلومات الشخصية',
+  'steps.personal.heading': 'المعلومات الشخصية',
+  'steps.personal.description': 'لنبدأ ببياناتك الأساسية',
+  'steps.account.title': 'إعداد الحساب',
+  'steps.account.description': 'أنشئ بيانات الدخول إلى حسابك',
+  'steps.company.title': 'الشركة',
+  'steps.company.description': 'أخبرنا عن نشاطك التجاري',
+  'steps.preferences.title': 'التفضيلات',
+  'steps.preferences.description': 'خصّص تجربتك مع معاينة مباشرة',
+  'steps.topics.title': 'المواضيع',
+  'steps.topics.description': 'اختر مواضيع النشرة الإخبارية التي تهمك',
+  'steps.signIn.title': 'تسجيل الدخول',
+  'steps.signIn.heading': 'كيف تريد إنشاء حسابك؟',
+  'steps.signIn.description': 'استخدم حسابًا لديك بالفعل، أو أنشئ حسابًا بالبريد الإلكتروني وكلمة مرور',
+  'steps.verifyEmail.title': 'تأكيد البريد',
+  'steps.verifyEmail.heading': 'تحقق من بريدك الوارد',
+  'steps.verifyEmail.description': 'أدخل الرمز المكوّن من 6 أرقام الذي أرسلناه إليك',
+  'steps.consent.title': 'الشروط',
+  'steps.consent.heading': 'راجع شروطنا',
+  'steps.consent.description': 'يرجى قراءة سياساتنا والموافقة عليها لإكمال التسجيل',
+
+  'signIn.continueWith': 'المتابعة باستخدام {provider}',
+  'signIn.waiting': 'في انتظار {provider}…',
+  'signIn.manual': 'تفضّل البريد الإلكتروني وكلمة المرور؟ اختر التالي للمتابعة.',
+  'signIn.connected': 'تم تسجيل الدخول باستخدام {provider}',
+  'signIn.connectedAs': 'تم تسجيل الدخول باستخدام {provider} باسم {email}',
+  'signIn.useAnother': 'استخدام طريقة أخرى',
+  'signIn.errors.popupBlocked': 'تم حظر نافذة تسجيل الدخول. اسمح بالنوافذ المنبثقة لهذا الموقع وحاول مرة أخرى.',
+  'signIn.errors.popupClosed': 'تم إغلاق نافذة تسجيل الدخول قبل الانتهاء.',
+  'signIn.errors.accessDenied': 'تم إلغاء تسجيل الدخول باستخدام {provider}.',
+  'signIn.errors.failed': 'تعذّر تسجيل دخولك باستخدام {provider}. يرجى المحاولة مرة أخرى.',
+
+  'verifyEmail.sending': 'جارٍ إرسال رمز إلى {email}…',
+  'verifyEmail.sentTo': 'أرسلنا رمزًا إلى {email}',
+  'verifyEmail.codeLabel': 'رمز التحقق',
+  'verifyEmail.digitLabel': 'الرقم {current} من {total}',
+  'verifyEmail.verifying': 'جارٍ التحقق من الرمز…',
+  'verifyEmail.verified': '✓ تم تأكيد {email}',
+  'verifyEmail.resend': 'إعادة إرسال الرمز',
+  'verifyEmail.resendIn': {
+    one: 'إعادة الإرسال بعد ثانية واحدة',
+    two: 'إعادة الإرسال بعد ثانيتين',
+    few: 'إعادة الإرسال بعد {count} ثوانٍ',
+    many: 'إعادة الإرسال بعد {count} ثانية',
+    other: 'إعادة الإرسال بعد {count} ثانية'
+  },
+  'verifyEmail.errors.invalid': 'الرمز غير صحيح. تحقق من البريد وحاول مرة أخرى.',
+  'verifyEmail.errors.expired': 'انتهت صلاحية هذا الرمز. اطلب رمزًا جديدًا.',
+  'verifyEmail.errors.tooManyAttempts': 'عدد كبير جدًا من الرموز الخاطئة. اطلب رمزًا جديدًا.',
+  'verifyEmail.errors.sendFailed': 'تعذّر إرسال الرمز. يرجى المحاولة مرة أخرى.',
+  'verifyEmail.errors.failed': 'تعذّر التحقق من الرمز. يرجى المحاولة مرة أخرى.',
+
+  'stepper.label': 'خطوات التسجيل',
+  'stepper.completed': '(مكتملة)',
+  'stepper.error': '(تحتاج إلى مراجعة)',
+  'stepper.compact': 'الخطوة {current} من {total}',
+
+  'fields.fullName.label': 'الاسم الكامل',
+  'fields.fullName.placeholder': 'أدخل اسمك الكامل',
+  'fields.email.label': 'البريد الإلكتروني',
+  'fields.email.placeholder': 'أدخل بريدك الإلكتروني',
+  'fields.avatar.label': 'صورة الملف الشخصي',
+  'fields.avatar.help': 'اختياري. JPG أو PNG أو WebP أو GIF، تُقص بشكل مربع.',
+  'fields.avatar.preview': 'صورة ملفك الشخصي',
+  'fields.avatar.initials': 'صورة رمزية بالأحرف الأولى من اسمك، {initials}',
+  'fields.avatar.empty': 'لا توجد صورة ملف شخصي بعد',
+  'fields.avatar.dropHint': 'اسحب صورة إلى هنا، أو اختر واحدة',
+  'fields.avatar.processing': 'جارٍ تجهيز صورتك…',
+  'fields.avatar.upload': 'اختيار صورة',
+  'fields.avatar.change': 'تغيير الصورة',
+  'fields.avatar.remove': 'إزالة',
+  'fields.accountType.label': 'نوع الحساب',
+  'fields.accountType.personal': 'شخصي',
+  'fields.accountType.business': 'تجاري',
+  'fields.companyName.label': 'اسم الشركة',
+  'fields.companyName.placeholder': 'أدخل اسم شركتك',
+  'fields.companySize.label': 'حجم الشركة',
+  'fields.companySize.small': '1–10 موظفين',
+  'fields.companySize.medium': '11–50 موظفًا',
+  'fields.companySize.large': '51 موظفًا أو أكثر',
+  'fields.username.label': 'اسم المستخدم',
+  'fields.username.placeholder': 'اختر اسم مستخدم',
+  'fields.password.label': 'كلمة المرور',
+  'fields.password.placeholder': 'أنشئ كلمة مرور آمنة',
+  'fields.confirmPassword.label': 'تأكيد كلمة المرور',
+  'fields.confirmPassword.placeholder': 'أعد إدخال كلمة المرور',
+  'fields.theme.label': 'اختيار المظهر',
+  'fields.theme.livePreview': '(معاينة مباشرة!)',
+  'fields.theme.selected': '✨ تم الاختيار والتطبيق!',
+  'fields.theme.light': 'فاتح',
+  'fields.theme.lightDescription': 'واجهة نظيفة ومشرقة',
+  'fields.theme.dark': 'داكن',
+  'fields.theme.darkDescription': 'مريح للعينين',
+  'fields.theme.system': 'النظام',
+  'fields.theme.systemDescription': 'يتبع إعداد جهازك',
+  'fields.newsletter.label': 'الاشتراك في النشرة الإخبارية',
+  'fields.newsletter.description': 'أرسلوا إليّ التحديثات والنصائح والعروض الحصرية عبر البريد الإلكتروني. يمكنك إلغاء الاشتراك في أي وقت.',
+  'fields.newsletterFrequency.label': 'كم مرة؟',
+  'fields.newsletterFrequency.weekly': 'أسبوعيًا',
+  'fields.newsletterFrequency.monthly': 'شهريًا',
+  'fields.newsletterTopics.label': 'مواضيع النشرة الإخبارية',
+  'fields.newsletterTopics.product': 'تحديثات المنتج',
+  'fields.newsletterTopics.tips': 'نصائح ودروس',
+  'fields.newsletterTopics.events': 'فعاليات وندوات عبر الإنترنت',
+  'fields.newsletterTopics.offers': 'عروض خاصة',
+  'fields.language.label': 'اللغة المفضلة',
+  'fields.language.help': 'تُستخدم في الرسائل والإشعارات',
+  'fields.timeZone.label': 'المنطقة الزمنية',
+  'fields.timeZone.placeholder': 'ابحث باسم مدينة أو منطقة',
+  'fields.timeZone.help': 'تصلك التذكيرات والملخصات حسب توقيتك المحلي',
+  'fields.notifications.label': 'الإشعارات',
+  'fields.notifications.category': 'أعلمني بشأن',
+  'fields.notifications.cell': 'إشعارات {channel} لـ {category}',
+  'fields.notifications.email': 'البريد الإلكتروني',
+  'fields.notifications.inApp': 'داخل التطبيق',
+  'fields.notifications.security': 'تنبيهات الأمان',
+  'fields.notifications.securityDescription': 'عمليات تسجيل الدخول وتغيير كلمة المرور',
+  'fields.notifications.activity': 'نشاط الحساب',
+  'fields.notifications.activityDescription': 'الإشارات والتعليقات والدعوات',
+  'fields.notifications.product': 'تحديثات المنتج',
+  'fields.notifications.productDescription': 'ميزات وتحسينات جديدة',
+  'fields.interests.label': 'الاهتمامات',
+  'fields.interests.design': 'التصميم',
+  'fields.interests.engineering': 'الهندسة',
+  'fields.interests.product': 'المنتج',
+  'fields.interests.marketing': 'التسويق',
+  'fields.interests.sales': 'المبيعات',
+  'fields.interests.data': 'البيانات',
+  'fields.interests.ai': 'الذكاء الاصطناعي',
+  'fields.interests.security': 'الأمان',
+  'fields.tags.selected': 'المحدد: {count}',
+  'fields.tags.selectedOfMax': 'المحدد: {count} من {max}',
+  'fields.acceptTerms.label': 'قرأت شروط الخدمة وأوافق عليها',
+  'fields.acceptPrivacy.label': 'قرأت سياسة الخصوصية وأوافق عليها',
+  'fields.consent.version': 'الإصدار {version}',
+  'fields.consent.openDocument': 'فتح في علامة تبويب جديدة',
+  'fields.consent.scrollHint': 'مرّر حتى نهاية المستند لتتمكن من الموافقة عليه',
+
+  'policies.terms.title': 'شروط الخدمة',
+  'policies.terms.body': 'تنظّم هذه الشروط استخدامك لـ Quixess. بإنشاء حساب، فإنك توافق على استخدام الخدمة بشكل قانوني والحفاظ على أمان بيانات تسجيل الدخول الخاصة بك.\n\nيظل المحتوى الذي تضيفه ملكًا لك. وتمنحنا الإذن بتخزينه ومعالجته فقط بالقدر اللازم لتشغيل الخدمة لك.\n\nقد نقوم بتحديث هذه الشروط. وعندها سنبلغك مسبقًا ونطلب موافقتك مرة أخرى حيثما يقتضي القانون ذلك.\n\nيمكنك إغلاق حسابك في أي وقت من الإعدادات.',
+  'policies.privacy.title': 'سياسة الخصوصية',
+  'policies.privacy.body': 'نجمع البيانات التي تقدّمها أثناء التسجيل، مثل اسمك وبريدك الإلكتروني وتفضيلاتك، لإنشاء حسابك وتشغيله.\n\nلا نبيع بياناتك الشخصية. لا نرسل رسائل تسويقية إلا بموافقتك، ويمكنك سحب هذه الموافقة في أي وقت.\n\nيمكنك طلب نسخة من بياناتك أو تصحيحها أو حذفها بمراسلة privacy@quixess.example.',
+
+  'field.selectPlaceholder': 'اختر خيارًا',
+  'field.checking': 'جارٍ التحقق…',
+  'field.noMatches': 'لا توجد نتائج',
+  'field.moreMatches': 'نتائج إضافية: {count}. تابع الكتابة لتضييق القائمة.',
+
+  'password.show': 'إظهار كلمة المرور',
+  'password.hide': 'إخفاء كلمة المرور',
+  'password.requirements': 'متطلبات كلمة المرور',
+  'password.ruleMet': '(مستوفى)',
+  'password.ruleNotMet': '(غير مستوفى)',
+  'password.strength.0': 'ضعيفة جدًا',
+  'password.strength.1': 'ضعيفة',
+  'password.strength.2': 'متوسطة',
+  'password.strength.3': 'جيدة',
+  'password.strength.4': 'قوية',
+  'password.rules.minLength': {
+    one: 'حرف واحد على الأقل',
+    two: 'حرفان على الأقل',
+    few: '{count} أحرف على الأقل',
+    many: '{count} حرفًا على الأقل',
+    other: '{count} حرف على الأقل'
+  },
+  'password.rules.lowercase': 'حرف صغير واحد',
+  'password.rules.uppercase': 'حرف كبير واحد',
+  'password.rules.number': 'رقم واحد',
+  'password.rules.symbol': 'رمز واحد',
+  'password.rules.personalInfo': 'لا تحتوي على اسم المستخدم أو البريد الإلكتروني',
+
+  'validation.required': '{field} مطلوب',
+  'validation.fullName.required': 'الاسم الكامل مطلوب',
+  'validation.fullName.minLength': {
+    one: 'يجب أن يتكون الاسم من حرف واحد على الأقل',
+    two: 'يجب أن يتكون الاسم من حرفين على الأقل',
+    few: 'يجب أن يتكون الاسم من {count} أحرف على الأقل',
+    many: 'يجب أن يتكون الاسم من {count} حرفًا على الأقل',
+    other: 'يجب أن يتكون الاسم من {count} حرف على الأقل'
+  },
+  'validation.email.required': 'البريد الإلكتروني مطلوب',
+  'validation.email.invalid': 'يرجى إدخال بريد إلكتروني صالح',
+  'validation.email.taken': 'هذا البريد الإلكتروني مسجل بالفعل',
+  'validation.avatar.type': 'يرجى اختيار صورة بصيغة JPG أو PNG أو WebP أو GIF',
+  'validation.avatar.size': 'يرجى اختيار صورة لا يتجاوز حجمها {size} ميغابايت',
+  'validation.avatar.unreadable': 'تعذّرت قراءة هذه الصورة. يرجى تجربة صورة أخرى.',
+  'validation.language.required': 'يرجى اختيار لغة',
+  'validation.timeZone.required': 'يرجى اختيار منطقة زمنية',
+  'validation.timeZone.invalid': 'يرجى اختيار منطقة زمنية من القائمة',
+  'validation.notifications.security': 'أبقِ قناة واحدة على الأقل لتنبيهات الأمان',
+  'validation.interests.max': 'اختر {count} اهتمامات كحد أقصى',
+  'validation.username.required': 'اسم المستخدم مطلوب',
+  'validation.username.minLength': {
+    one: 'يجب أن يتكون اسم المستخدم من حرف واحد على الأقل',
+    two: 'يجب أن يتكون اسم المستخدم من حرفين على الأقل',
+    few: 'يجب أن يتكون اسم المستخدم من {count} أحرف على الأقل',
+    many: 'يجب أن يتكون اسم المستخدم من {count} حرفًا على الأقل',
+    other: 'يجب أن يتكون اسم المستخدم من {count} حرف على الأقل'
+  },
+  'validation.username.pattern': 'يمكن أن يحتوي اسم المستخدم على أحرف وأرقام وشرطات سفلية فقط',
+  'validation.username.taken': 'اسم المستخدم هذا مستخدم بالفعل',
+  'validation.password.required': 'كلمة المرور مطلوبة',
+  'validation.password.minLength': {
+    one: 'يجب أن تتكون كلمة المرور من حرف واحد على الأقل',
+    two: 'يجب أن تتكون كلمة المرور من حرفين على الأقل',
+    few: 'يجب أن تتكون كلمة المرور من {count} أحرف على الأقل',
+    many: 'يجب أن تتكون كلمة المرور من {count} حرفًا على الأقل',
+    other: 'يجب أن تتكون كلمة المرور من {count} حرف على الأقل'
+  },
+  'validation.password.lowercase': 'يجب أن تحتوي كلمة المرور على حرف صغير',
+  'validation.password.uppercase': 'يجب أن تحتوي كلمة المرور على حرف كبير',
+  'validation.password.number': 'يجب أن تحتوي كلمة المرور على رقم',
+  'validation.password.symbol': 'يجب أن تحتوي كلمة المرور على رمز',
+  'validation.password.personalInfo': 'يجب ألا تحتوي كلمة المرور على اسم المستخدم أو البريد الإلكتروني',
+  'validation.confirmPassword.required': 'يرجى تأكيد كلمة المرور',
+  'validation.confirmPassword.mismatch': 'كلمتا المرور غير متطابقتين',
+  'validation.theme.required': 'يرجى اختيار مظهر',
+  'validation.newsletterTopics.required': 'يرجى اختيار موضوع واحد على الأقل',
+  'validation.emailVerification.required': 'يرجى تأكيد بريدك الإلكتروني',
+  'validation.emailVerification.changed': 'تغيّر بريدك الإلكتروني. يرجى تأكيد العنوان الجديد',
+  'validation.acceptTerms.required': 'يرجى الموافقة على شروط الخدمة للمتابعة',
+  'validation.acceptPrivacy.required': 'يرجى الموافقة على سياسة الخصوصية للمتابعة',
+  'validation.password.sameAsUsername': 'يجب ألا تكون كلمة المرور مطابقة لاسم المستخدم',
+  'validation.username.sameAsEmail': 'يجب ألا يكون اسم المستخدم مطابقًا للجزء الأول من بريدك الإلكتروني',
+  'validation.rules.minLength': {
+    one: 'يجب أن يتكون حقل «{field}» من حرف واحد على الأقل',
+    two: 'يجب أن يتكون حقل «{field}» من حرفين على الأقل',
+    few: 'يجب أن يتكون حقل «{field}» من {count} أحرف على الأقل',
+    many: 'يجب أن يتكون حقل «{field}» من {count} حرفًا على الأقل',
+    other: 'يجب أن يتكون حقل «{field}» من {count} حرف على الأقل'
+  },
+  'validation.rules.maxLength': {
+    one: 'يجب ألا يتجاوز حقل «{field}» حرفًا واحدًا',
+    two: 'يجب ألا يتجاوز حقل «{field}» حرفين',
+    few: 'يجب ألا يتجاوز حقل «{field}» {count} أحرف',
+    many: 'يجب ألا يتجاوز حقل «{field}» {count} حرفًا',
+    other: 'يجب ألا يتجاوز حقل «{field}» {count} حرف'
+  },
+  'validation.rules.pattern': 'تنسيق حقل «{field}» غير صحيح',
+  'validation.rules.oneOf': 'يرجى اختيار قيمة صالحة لحقل «{field}»',
+  'validation.rules.equalsField': 'يجب أن يطابق حقل «{field}» حقل «{other}»',
+  'validation.rules.notEqualsField': 'يجب ألا يطابق حقل «{field}» حقل «{other}»',
+  'validation.rules.notEmailLocalPart': 'يجب ألا يطابق حقل «{field}» الجزء الأول من بريدك الإلكتروني'
+};
+
+export default ar;
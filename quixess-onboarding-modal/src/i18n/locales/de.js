@@ -0,0 +1,282 @@
+// German catalog
+const de = {
+  'modal.start': '🚀 Quixess-Onboarding starten',
+  'modal.startLabel': 'Onboarding-Prozess starten',
+  'modal.title': 'Willkommen bei Quixess',
+  'modal.description': {
+    one: 'Vervollständige dein Profil in {count} einfachen Schritt',
+    other: 'Vervollständige dein Profil in {count} einfachen Schritten'
+  },
+  'modal.close': 'Dialog schließen',
+  'modal.confirmClose': 'Schließen und Fortschritt verlieren?',
+  'modal.confirmCloseBody': 'Deine Angaben wurden nicht gespeichert und gehen verloren.',
+  'modal.confirmCloseAction': 'Schließen',
+  'modal.keepEditing': 'Weiter bearbeiten',
+  'modal.language': 'Sprache',
+
+  'a11y.step': 'Schritt {current} von {total}: {title}',
+  'a11y.errors': {
+    one: '{count} Feld muss überprüft werden',
+    other: '{count} Felder müssen überprüft werden'
+  },
+  'a11y.submitting': 'Deine Angaben werden gesendet…',
+  'history.undone': 'Änderung an {field} rückgängig gemacht',
+  'history.redone': 'Änderung an {field} wiederhergestellt',
+
+  'nav.back': 'Zurück',
+  'nav.backLabel': 'Zum vorherigen Schritt',
+  'nav.next': 'Weiter',
+  'nav.nextLabel': 'Zum nächsten Schritt',
+  'nav.checking': 'Wird geprüft…',
+  'nav.progress': '{current} von {total}',
+  'nav.progressLabel': 'Onboarding-Fortschritt',
+  'nav.cancel': 'Abbrechen',
+  'nav.cancelLabel': 'Senden abbrechen',
+
+  'submit.complete': '✨ Einrichtung abschließen',
+  'submit.completeLabel': 'Onboarding abschließen',
+  'submit.retry': '↻ Erneut versuchen',
+  'submit.retryLabel': 'Onboarding erneut senden',
+  'submit.submitting': 'Wird gesendet...',
+  'submit.success': '🎉 Willkommen bei Quixess! Dein Konto wurde erfolgreich erstellt.',
+  'submit.failure': '❌ {message} Bitte versuche es erneut.',
+  'submit.genericError': 'Etwas ist schiefgelaufen.',
+  'toast.dismiss': 'Benachrichtigung schließen',
+
+  'draft.title': 'Dort weitermachen, wo du aufgehört hast?',
+  'draft.body': 'Du hast eine nicht abgeschlossene Registrierung.',
+  'draft.bodyWithDate': 'Du hast eine nicht abgeschlossene Registrierung vom {date}.',
+  'draft.startOver': 'Neu beginnen',
+  'draft.resume': 'Fortsetzen',
+
+  'steps.personal.title': 'Persönliches',
+  'steps.personal.heading': 'Persönliche Angaben',
+  'steps.personal.description': 'Beginnen wir mit deinen grundlegenden Daten',
+  'steps.account.title': 'Konto',
+  'steps.account.description': 'Lege deine Zugangsdaten fest',
+  'steps.company.title': 'Unternehmen',
+  'steps.company.description': 'Erzähl uns von deinem Unternehmen',
+  'steps.preferences.title': 'Einstellungen',
+  'steps.preferences.description': 'Passe dein Erlebnis mit Live-Vorschau an',
+  'steps.topics.title': 'Themen',
+  'steps.topics.description': 'Wähle die Themen für deinen Newsletter',
+  'steps.signIn.title': 'Anmelden',
+  'steps.signIn.heading': 'Wie möchtest du dich registrieren?',
+  'steps.signIn.description': 'Nutze ein bestehendes Konto oder richte eines mit E-Mail und Passwort ein',
+  'steps.verifyEmail.title': 'E-Mail bestätigen',
+  'steps.verifyEmail.heading': 'Sieh in dein Postfach',
+  'steps.verifyEmail.description': 'Gib den 6-stelligen Code ein, den wir dir geschickt haben',
+  'steps.consent.title': 'Bedingungen',
+  'steps.consent.heading': 'Unsere Bedingungen',
+  'steps.consent.description': 'Bitte lies und akzeptiere unsere Richtlinien, um die Registrierung abzuschließen',
+
+  'signIn.continueWith': 'Weiter mit {provider}',
+  'signIn.waiting': 'Warte auf {provider}…',
+  'signIn.manual': 'Lieber mit E-Mail und Passwort? Wähle Weiter, um fortzufahren.',
+  'signIn.connected': 'Angemeldet mit {provider}',
+  'signIn.connectedAs': 'Angemeldet mit {provider} als {email}',
+  'signIn.useAnother': 'Andere Methode verwenden',
+  'signIn.errors.popupBlocked': 'Das Anmeldefenster wurde blockiert. Erlaube Pop-ups für diese Seite und versuche es erneut.',
+  'signIn.errors.popupClosed': 'Das Anmeldefenster wurde geschlossen, bevor du fertig warst.',
+  'signIn.errors.accessDenied': 'Die Anmeldung mit {provider} wurde abgebrochen.',
+  'signIn.errors.failed': 'Die Anmeldung mit {provider} ist fehlgeschlagen. Bitte versuche es erneut.',
+
+  'verifyEmail.sending': 'Code wird an {email} gesendet…',
+  'verifyEmail.sentTo': 'Wir haben einen Code an {email} gesendet',
+  'verifyEmail.codeLabel': 'Bestätigungscode',
+  'verifyEmail.digitLabel': 'Ziffer {current} von {total}',
+  'verifyEmail.verifying': 'Code wird geprüft…',
+  'verifyEmail.verified': '✓ {email} ist bestätigt',
+  'verifyEmail.resend': 'Code erneut senden',
+  'verifyEmail.resendIn': {
+    one: 'Erneut senden in {count} Sekunde',
+    other: 'Erneut senden in {count} Sekunden'
+  },
+  'verifyEmail.errors.invalid': 'Dieser Code stimmt nicht. Prüfe die E-Mail und versuche es erneut.',
+  'verifyEmail.errors.expired': 'Dieser Code ist abgelaufen. Fordere einen neuen an.',
+  'verifyEmail.errors.tooManyAttempts': 'Zu viele falsche Codes. Fordere einen neuen an.',
+  'verifyEmail.errors.sendFailed': 'Der Code konnte nicht gesendet werden. Bitte versuche es erneut.',
+  'verifyEmail.errors.failed': 'Der Code konnte nicht geprüft werden. Bitte versuche es erneut.',
+
+  'stepper.label': 'Onboarding-Schritte',
+  'stepper.completed': '(abgeschlossen)',
+  'stepper.error': '(bitte prüfen)',
+  'stepper.compact': 'Schritt {current} von {total}',
+
+  'fields.fullName.label': 'Vollständiger Name',
+  'fields.fullName.placeholder': 'Gib deinen vollständigen Namen ein',
+  'fields.email.label': 'E-Mail-Adresse',
+  'fields.email.placeholder': 'Gib deine E-Mail-Adresse ein',
+  'fields.avatar.label': 'Profilbild',
+  'fields.avatar.help': 'Optional. JPG, PNG, WebP oder GIF, wird quadratisch zugeschnitten.',
+  'fields.avatar.preview': 'Dein Profilbild',
+  'fields.avatar.initials': 'Avatar mit deinen Initialen, {initials}',
+  'fields.avatar.empty': 'Noch kein Profilbild',
+  'fields.avatar.dropHint': 'Ziehe ein Foto hierher oder wähle eines aus',
+  'fields.avatar.processing': 'Dein Foto wird vorbereitet…',
+  'fields.avatar.upload': 'Foto auswählen',
+  'fields.avatar.change': 'Foto ändern',
+  'fields.avatar.remove': 'Entfernen',
+  'fields.accountType.label': 'Kontotyp',
+  'fields.accountType.personal': 'Privat',
+  'fields.accountType.business': 'Geschäftlich',
+  'fields.companyName.label': 'Firmenname',
+  'fields.companyName.placeholder': 'Gib den Namen deines Unternehmens ein',
+  'fields.companySize.label': 'Unternehmensgröße',
+  'fields.companySize.small': '1–10 Mitarbeitende',
+  'fields.companySize.medium': '11–50 Mitarbeitende',
+  'fields.companySize.large': '51 oder mehr Mitarbeitende',
+  'fields.username.label': 'Benutzername',
+  'fields.username.placeholder': 'Wähle einen Benutzernamen',
+  'fields.password.label': 'Passwort',
+  'fields.password.placeholder': 'Erstelle ein sicheres Passwort',
+  'fields.confirmPassword.label': 'Passwort bestätigen',
+  'fields.confirmPassword.placeholder': 'Passwort erneut eingeben',
+  'fields.theme.label': 'Design-Auswahl',
+  'fields.theme.livePreview': '(Live-Vorschau!)',
+  'fields.theme.selected': '✨ Ausgewählt & angewendet!',
+  'fields.theme.light': 'Hell',
+  'fields.theme.lightDescription': 'Klare, helle Oberfläche',
+  'fields.theme.dark': 'Dunkel',
+  'fields.theme.darkDescription': 'Schont die Augen',
+  'fields.theme.system': 'System',
+  'fields.theme.systemDescription': 'Folgt der Einstellung deines Geräts',
+  'fields.newsletter.label': 'Newsletter abonnieren',
+  'fields.newsletter.description': 'Schickt mir Neuigkeiten, Tipps und exklusive Angebote per E-Mail. Abmeldung jederzeit möglich.',
+  'fields.newsletterFrequency.label': 'Wie oft?',
+  'fields.newsletterFrequency.weekly': 'Wöchentlich',
+  'fields.newsletterFrequency.monthly': 'Monatlich',
+  'fields.newsletterTopics.label': 'Newsletter-Themen',
+  'fields.newsletterTopics.product': 'Produktneuheiten',
+  'fields.newsletterTopics.tips': 'Tipps und Anleitungen',
+  'fields.newsletterTopics.events': 'Events und Webinare',
+  'fields.newsletterTopics.offers': 'Sonderangebote',
+  'fields.language.label': 'Bevorzugte Sprache',
+  'fields.language.help': 'Für E-Mails und Benachrichtigungen',
+  'fields.timeZone.label': 'Zeitzone',
+  'fields.timeZone.placeholder': 'Nach Stadt oder Region suchen',
+  'fields.timeZone.help': 'Erinnerungen und Zusammenfassungen kommen zu deiner Ortszeit',
+  'fields.notifications.label': 'Benachrichtigungen',
+  'fields.notifications.category': 'Benachrichtige mich über',
+  'fields.notifications.cell': '{channel}-Benachrichtigungen für {category}',
+  'fields.notifications.email': 'E-Mail',
+  'fields.notifications.inApp': 'In der App',
+  'fields.notifications.security': 'Sicherheitswarnungen',
+  'fields.notifications.securityDescription': 'Anmeldungen und Passwortänderungen',
+  'fields.notifications.activity': 'Kontoaktivität',
+  'fields.notifications.activityDescription': 'Erwähnungen, Kommentare und Einladungen',
+  'fields.notifications.product': 'Produktneuigkeiten',
+  'fields.notifications.productDescription': 'Neue Funktionen und Verbesserungen',
+  'fields.interests.label': 'Interessen',
+  'fields.interests.design': 'Design',
+  'fields.interests.engineering': 'Entwicklung',
+  'fields.interests.product': 'Produkt',
+  'fields.interests.marketing': 'Marketing',
+  'fields.interests.sales': 'Vertrieb',
+  'fields.interests.data': 'Daten',
+  'fields.interests.ai': 'KI',
+  'fields.interests.security': 'Sicherheit',
+  'fields.tags.selected': '{count} ausgewählt',
+  'fields.tags.selectedOfMax': '{count} von {max} ausgewählt',
+  'fields.acceptTerms.label': 'Ich habe die Nutzungsbedingungen gelesen und stimme ihnen zu',
+  'fields.acceptPrivacy.label': 'Ich habe die Datenschutzerklärung gelesen und stimme ihr zu',
+  'fields.consent.version': 'Version {version}',
+  'fields.consent.openDocument': 'In neuem Tab öffnen',
+  'fields.consent.scrollHint': 'Scrolle bis zum Ende des Dokuments, um es zu akzeptieren',
+
+  'policies.terms.title': 'Nutzungsbedingungen',
+  'policies.terms.body': 'Diese Bedingungen regeln deine Nutzung von Quixess. Mit dem Anlegen eines Kontos verpflichtest du dich, den Dienst rechtmäßig zu nutzen und deine Anmeldedaten sicher aufzubewahren.\n\nDie Inhalte, die du hinzufügst, gehören weiterhin dir. Du erlaubst uns, sie nur so weit zu speichern und zu verarbeiten, wie es für den Betrieb des Dienstes nötig ist.\n\nWir können diese Bedingungen ändern. In dem Fall informieren wir dich vorab und bitten erneut um deine Zustimmung, wo das Gesetz es verlangt.\n\nDu kannst dein Konto jederzeit in deinen Einstellungen schließen.',
+  'policies.privacy.title': 'Datenschutzerklärung',
+  'policies.privacy.body': 'Wir erheben die Angaben, die du bei der Registrierung machst, etwa deinen Namen, deine E-Mail-Adresse und deine Einstellungen, um dein Konto anzulegen und zu betreiben.\n\nWir verkaufen deine personenbezogenen Daten nicht. Marketing-E-Mails senden wir nur mit deiner Einwilligung, die du jederzeit widerrufen kannst.\n\nÜber privacy@quixess.example kannst du eine Kopie deiner Daten anfordern oder sie berichtigen oder löschen lassen.',
+
+  'field.selectPlaceholder': 'Option auswählen',
+  'field.checking': 'Wird geprüft…',
+  'field.noMatches': 'Keine Treffer',
+  'field.moreMatches': {
+    one: '{count} weiterer Treffer. Tippe weiter, um die Liste einzugrenzen.',
+    other: '{count} weitere Treffer. Tippe weiter, um die Liste einzugrenzen.'
+  },
+
+  'password.show': 'Passwort anzeigen',
+  'password.hide': 'Passwort verbergen',
+  'password.requirements': 'Passwortanforderungen',
+  'password.ruleMet': '(erfüllt)',
+  'password.ruleNotMet': '(nicht erfüllt)',
+  'password.strength.0': 'Sehr schwach',
+  'password.strength.1': 'Schwach',
+  'password.strength.2': 'Mittel',
+  'password.strength.3': 'Gut',
+  'password.strength.4': 'Stark',
+  'password.rules.minLength': {
+    one: 'Mindestens {count} Zeichen',
+    other: 'Mindestens {count} Zeichen'
+  },
+  'password.rules.lowercase': 'Ein Kleinbuchstabe',
+  'password.rules.uppercase': 'Ein Großbuchstabe',
+  'password.rules.number': 'Eine Ziffer',
+  'password.rules.symbol': 'Ein Sonderzeichen',
+  'password.rules.personalInfo': 'Enthält weder Benutzernamen noch E-Mail',
+
+  'validation.required': '{field} ist erforderlich',
+  'validation.fullName.required': 'Der vollständige Name ist erforderlich',
+  'validation.fullName.minLength': {
+    one: 'Der Name muss mindestens {count} Zeichen lang sein',
+    other: 'Der Name muss mindestens {count} Zeichen lang sein'
+  },
+  'validation.email.required': 'Die E-Mail-Adresse ist erforderlich',
+  'validation.email.invalid': 'Bitte gib eine gültige E-Mail-Adresse ein',
+  'validation.email.taken': 'Diese E-Mail-Adresse ist bereits registriert',
+  'validation.avatar.type': 'Bitte wähle ein JPG-, PNG-, WebP- oder GIF-Bild',
+  'validation.avatar.size': 'Bitte wähle ein Bild mit höchstens {size} MB',
+  'validation.avatar.unreadable': 'Dieses Bild konnte nicht gelesen werden. Bitte versuche ein anderes.',
+  'validation.language.required': 'Bitte wähle eine Sprache',
+  'validation.timeZone.required': 'Bitte wähle eine Zeitzone',
+  'validation.timeZone.invalid': 'Bitte wähle eine Zeitzone aus der Liste',
+  'validation.notifications.security': 'Behalte mindestens einen Kanal für Sicherheitswarnungen',
+  'validation.interests.max': {
+    one: 'Wähle höchstens {count} Interesse',
+    other: 'Wähle höchstens {count} Interessen'
+  },
+  'validation.username.required': 'Der Benutzername ist erforderlich',
+  'validation.username.minLength': {
+    one: 'Der Benutzername muss mindestens {count} Zeichen lang sein',
+    other: 'Der Benutzername muss mindestens {count} Zeichen lang sein'
+  },
+  'validation.username.pattern': 'Der Benutzername darf nur Buchstaben, Ziffern und Unterstriche enthalten',
+  'validation.username.taken': 'Dieser Benutzername ist bereits vergeben',
+  'validation.password.required': 'Das Passwort ist erforderlich',
+  'validation.password.minLength': {
+    one: 'Das Passwort muss mindestens {count} Zeichen lang sein',
+    other: 'Das Passwort muss mindestens {count} Zeichen lang sein'
+  },
+  'validation.password.lowercase': 'Das Passwort muss einen Kleinbuchstaben enthalten',
+  'validation.password.uppercase': 'Das Passwort muss einen Großbuchstaben enthalten',
+  'validation.password.number': 'Das Passwort muss eine Ziffer enthalten',
+  'validation.password.symbol': 'Das Passwort muss ein Sonderzeichen enthalten',
+  'validation.password.personalInfo': 'Das Passwort darf weder Benutzernamen noch E-Mail enthalten',
+  'validation.confirmPassword.required': 'Bitte bestätige dein Passwort',
+  'validation.confirmPassword.mismatch': 'Die Passwörter stimmen nicht überein',
+  'validation.theme.required': 'Bitte wähle ein Design aus',
+  'validation.newsletterTopics.required': 'Bitte wähle mindestens ein Thema aus',
+  'validation.emailVerification.required': 'Bitte bestätige deine E-Mail-Adresse',
+  'validation.emailVerification.changed': 'Deine E-Mail-Adresse hat sich geändert. Bitte bestätige die neue Adresse',
+  'validation.acceptTerms.required': 'Bitte akzeptiere die Nutzungsbedingungen, um fortzufahren',
+  'validation.acceptPrivacy.required': 'Bitte akzeptiere die Datenschutzerklärung, um fortzufahren',
+  'validation.password.sameAsUsername': 'Das Passwort darf nicht mit deinem Benutzernamen übereinstimmen',
+  'validation.username.sameAsEmail': 'Der Benutzername darf nicht mit dem Anfang deiner E-Mail-Adresse übereinstimmen',
+  'validation.rules.minLength': {
+    one: '„{field}“ muss mindestens {count} Zeichen lang sein',
+    other: '„{field}“ muss mindestens {count} Zeichen lang sein'
+  },
+  'validation.rules.maxLength': {
+    one: '„{field}“ darf höchstens {count} Zeichen lang sein',
+    other: '„{field}“ darf höchstens {count} Zeichen lang sein'
+  },
+  'validation.rules.pattern': '„{field}“ hat nicht das richtige Format',
+  'validation.rules.oneOf': 'Bitte wähle einen gültigen Wert für „{field}“',
+  'validation.rules.equalsField': '„{field}“ muss mit „{other}“ übereinstimmen',
+  'validation.rules.notEqualsField': '„{field}“ darf nicht mit „{other}“ übereinstimmen',
+  'validation.rules.notEmailLocalPart': '„{field}“ darf nicht mit dem Anfang deiner E-Mail-Adresse übereinstimmen'
+};
+
+export default de;
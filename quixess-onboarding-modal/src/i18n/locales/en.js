@@ -0,0 +1,282 @@
+// English (source) catalog; every other locale falls back to these messages
+const en = {
+  'modal.start': '🚀 Start Quixess Onboarding',
+  'modal.startLabel': 'Start the onboarding process',
+  'modal.title': 'Welcome to Quixess',
+  'modal.description': {
+    one: 'Complete your profile in {count} easy step',
+    other: 'Complete your profile in {count} easy steps'
+  },
+  'modal.close': 'Close modal',
+  'modal.confirmClose': 'Close and lose progress?',
+  'modal.confirmCloseBody': 'Your answers have not been saved and will be lost.',
+  'modal.confirmCloseAction': 'Close',
+  'modal.keepEditing': 'Keep editing',
+  'modal.language': 'Language',
+
+  'a11y.step': 'Step {current} of {total}: {title}',
+  'a11y.errors': {
+    one: '{count} field needs your attention',
+    other: '{count} fields need your attention'
+  },
+  'a11y.submitting': 'Submitting your details…',
+  'history.undone': 'Undid the change to {field}',
+  'history.redone': 'Redid the change to {field}',
+
+  'nav.back': 'Back',
+  'nav.backLabel': 'Go to previous step',
+  'nav.next': 'Next',
+  'nav.nextLabel': 'Go to next step',
+  'nav.checking': 'Checking…',
+  'nav.progress': '{current} of {total}',
+  'nav.progressLabel': 'Onboarding progress',
+  'nav.cancel': 'Cancel',
+  'nav.cancelLabel': 'Cancel submission',
+
+  'submit.complete': '✨ Complete Setup',
+  'submit.completeLabel': 'Complete onboarding',
+  'submit.retry': '↻ Try Again',
+  'submit.retryLabel': 'Retry submitting onboarding',
+  'submit.submitting': 'Submitting...',
+  'submit.success': '🎉 Welcome to Quixess! Your account has been created successfully.',
+  'submit.failure': '❌ {message} Please try again.',
+  'submit.genericError': 'Something went wrong.',
+  'toast.dismiss': 'Dismiss notification',
+
+  'draft.title': 'Resume where you left off?',
+  'draft.body': 'You have an unfinished signup.',
+  'draft.bodyWithDate': 'You have an unfinished signup from {date}.',
+  'draft.startOver': 'Start over',
+  'draft.resume': 'Resume',
+
+  'steps.personal.title': 'Personal Info',
+  'steps.personal.heading': 'Personal Information',
+  'steps.personal.description': "Let's start with your basic details",
+  'steps.account.title': 'Account Setup',
+  'steps.account.description': 'Create your account credentials',
+  'steps.company.title': 'Company',
+  'steps.company.description': 'Tell us about your business',
+  'steps.preferences.title': 'Preferences',
+  'steps.preferences.description': 'Customize your experience with live preview',
+  'steps.topics.title': 'Topics',
+  'steps.topics.description': 'Choose what our newsletter covers for you',
+  'steps.signIn.title': 'Sign In',
+  'steps.signIn.heading': 'How would you like to sign up?',
+  'steps.signIn.description': 'Use an account you already have, or set one up with email and a password',
+  'steps.verifyEmail.title': 'Verify Email',
+  'steps.verifyEmail.heading': 'Check your inbox',
+  'steps.verifyEmail.description': 'Enter the 6-digit code we emailed you',
+  'steps.consent.title': 'Terms',
+  'steps.consent.heading': 'Review our terms',
+  'steps.consent.description': 'Please read and accept our policies to finish signing up',
+
+  'signIn.continueWith': 'Continue with {provider}',
+  'signIn.waiting': 'Waiting for {provider}…',
+  'signIn.manual': 'Prefer email and a password? Choose Next to continue.',
+  'signIn.connected': 'Signed in with {provider}',
+  'signIn.connectedAs': 'Signed in with {provider} as {email}',
+  'signIn.useAnother': 'Use a different method',
+  'signIn.errors.popupBlocked': 'The sign-in window was blocked. Allow pop-ups for this site and try again.',
+  'signIn.errors.popupClosed': 'The sign-in window was closed before you finished.',
+  'signIn.errors.accessDenied': 'Sign-in with {provider} was cancelled.',
+  'signIn.errors.failed': "We couldn't sign you in with {provider}. Please try again.",
+
+  'verifyEmail.sending': 'Sending a code to {email}…',
+  'verifyEmail.sentTo': 'We sent a code to {email}',
+  'verifyEmail.codeLabel': 'Verification code',
+  'verifyEmail.digitLabel': 'Digit {current} of {total}',
+  'verifyEmail.verifying': 'Checking your code…',
+  'verifyEmail.verified': '✓ {email} is verified',
+  'verifyEmail.resend': 'Resend code',
+  'verifyEmail.resendIn': {
+    one: 'Resend code in {count} second',
+    other: 'Resend code in {count} seconds'
+  },
+  'verifyEmail.errors.invalid': "That code isn't right. Check the email and try again.",
+  'verifyEmail.errors.expired': 'That code has expired. Send a new one.',
+  'verifyEmail.errors.tooManyAttempts': 'Too many wrong codes. Send a new one.',
+  'verifyEmail.errors.sendFailed': "We couldn't send a code. Please try again.",
+  'verifyEmail.errors.failed': "We couldn't check your code. Please try again.",
+
+  'stepper.label': 'Onboarding steps',
+  'stepper.completed': '(completed)',
+  'stepper.error': '(needs attention)',
+  'stepper.compact': 'Step {current} of {total}',
+
+  'fields.fullName.label': 'Full Name',
+  'fields.fullName.placeholder': 'Enter your full name',
+  'fields.email.label': 'Email Address',
+  'fields.email.placeholder': 'Enter your email address',
+  'fields.avatar.label': 'Profile photo',
+  'fields.avatar.help': 'Optional. JPG, PNG, WebP or GIF, cropped to a square.',
+  'fields.avatar.preview': 'Your profile photo',
+  'fields.avatar.initials': 'Avatar with your initials, {initials}',
+  'fields.avatar.empty': 'No profile photo yet',
+  'fields.avatar.dropHint': 'Drag a photo here, or choose one',
+  'fields.avatar.processing': 'Preparing your photo…',
+  'fields.avatar.upload': 'Choose photo',
+  'fields.avatar.change': 'Change photo',
+  'fields.avatar.remove': 'Remove',
+  'fields.accountType.label': 'Account type',
+  'fields.accountType.personal': 'Personal',
+  'fields.accountType.business': 'Business',
+  'fields.companyName.label': 'Company name',
+  'fields.companyName.placeholder': 'Enter your company name',
+  'fields.companySize.label': 'Company size',
+  'fields.companySize.small': '1–10 employees',
+  'fields.companySize.medium': '11–50 employees',
+  'fields.companySize.large': '51 or more employees',
+  'fields.username.label': 'Username',
+  'fields.username.placeholder': 'Choose a username',
+  'fields.password.label': 'Password',
+  'fields.password.placeholder': 'Create a secure password',
+  'fields.confirmPassword.label': 'Confirm Password',
+  'fields.confirmPassword.placeholder': 'Re-enter your password',
+  'fields.theme.label': 'Theme Selection',
+  'fields.theme.livePreview': '(Live Preview!)',
+  'fields.theme.selected': '✨ Selected & Applied!',
+  'fields.theme.light': 'Light',
+  'fields.theme.lightDescription': 'Clean and bright interface',
+  'fields.theme.dark': 'Dark',
+  'fields.theme.darkDescription': 'Easy on the eyes',
+  'fields.theme.system': 'System',
+  'fields.theme.systemDescription': 'Matches your device setting',
+  'fields.newsletter.label': 'Subscribe to newsletter',
+  'fields.newsletter.description': 'Email me updates, tips and exclusive offers. You can unsubscribe at any time.',
+  'fields.newsletterFrequency.label': 'How often?',
+  'fields.newsletterFrequency.weekly': 'Weekly',
+  'fields.newsletterFrequency.monthly': 'Monthly',
+  'fields.newsletterTopics.label': 'Newsletter topics',
+  'fields.newsletterTopics.product': 'Product updates',
+  'fields.newsletterTopics.tips': 'Tips and tutorials',
+  'fields.newsletterTopics.events': 'Events and webinars',
+  'fields.newsletterTopics.offers': 'Special offers',
+  'fields.language.label': 'Preferred language',
+  'fields.language.help': 'Used for emails and notifications',
+  'fields.timeZone.label': 'Time zone',
+  'fields.timeZone.placeholder': 'Search by city or region',
+  'fields.timeZone.help': 'Reminders and digests arrive in your local time',
+  'fields.notifications.label': 'Notifications',
+  'fields.notifications.category': 'Notify me about',
+  'fields.notifications.cell': '{channel} notifications for {category}',
+  'fields.notifications.email': 'Email',
+  'fields.notifications.inApp': 'In-app',
+  'fields.notifications.security': 'Security alerts',
+  'fields.notifications.securityDescription': 'Sign-ins and password changes',
+  'fields.notifications.activity': 'Account activity',
+  'fields.notifications.activityDescription': 'Mentions, comments and invitations',
+  'fields.notifications.product': 'Product updates',
+  'fields.notifications.productDescription': 'New features and improvements',
+  'fields.interests.label': 'Interests',
+  'fields.interests.design': 'Design',
+  'fields.interests.engineering': 'Engineering',
+  'fields.interests.product': 'Product',
+  'fields.interests.marketing': 'Marketing',
+  'fields.interests.sales': 'Sales',
+  'fields.interests.data': 'Data',
+  'fields.interests.ai': 'AI',
+  'fields.interests.security': 'Security',
+  'fields.tags.selected': '{count} selected',
+  'fields.tags.selectedOfMax': '{count} of {max} selected',
+  'fields.acceptTerms.label': 'I have read and agree to the Terms of Service',
+  'fields.acceptPrivacy.label': 'I have read and agree to the Privacy Policy',
+  'fields.consent.version': 'Version {version}',
+  'fields.consent.openDocument': 'Open in a new tab',
+  'fields.consent.scrollHint': 'Scroll to the end of the document to accept it',
+
+  'policies.terms.title': 'Terms of Service',
+  'policies.terms.body': 'These terms govern your use of Quixess. By creating an account you agree to use the service lawfully and to keep your sign-in details secure.\n\nYou keep ownership of the content you add. You give us permission to store and process it only as needed to run the service for you.\n\nWe may update these terms. When we do, we will tell you in advance and ask for your agreement again where the law requires it.\n\nYou can close your account at any time from your settings.',
+  'policies.privacy.title': 'Privacy Policy',
+  'policies.privacy.body': 'We collect the details you give us during signup, such as your name, email address and preferences, to create and run your account.\n\nWe do not sell your personal data. Marketing emails are only sent if you opt in, and you can withdraw that consent at any time.\n\nYou can ask for a copy of your data, have it corrected or have it deleted by contacting privacy@quixess.example.',
+
+  'field.selectPlaceholder': 'Select an option',
+  'field.checking': 'Checking…',
+  'field.noMatches': 'No matches',
+  'field.moreMatches': {
+    one: '{count} more match. Keep typing to narrow the list.',
+    other: '{count} more matches. Keep typing to narrow the list.'
+  },
+
+  'password.show': 'Show password',
+  'password.hide': 'Hide password',
+  'password.requirements': 'Password requirements',
+  'password.ruleMet': '(met)',
+  'password.ruleNotMet': '(not met)',
+  'password.strength.0': 'Very weak',
+  'password.strength.1': 'Weak',
+  'password.strength.2': 'Fair',
+  'password.strength.3': 'Good',
+  'password.strength.4': 'Strong',
+  'password.rules.minLength': {
+    one: 'At least {count} character',
+    other: 'At least {count} characters'
+  },
+  'password.rules.lowercase': 'One lowercase letter',
+  'password.rules.uppercase': 'One uppercase letter',
+  'password.rules.number': 'One number',
+  'password.rules.symbol': 'One symbol',
+  'password.rules.personalInfo': 'Does not contain your username or email',
+
+  'validation.required': '{field} is required',
+  'validation.fullName.required': 'Full name is required',
+  'validation.fullName.minLength': {
+    one: 'Name must be at least {count} character',
+    other: 'Name must be at least {count} characters'
+  },
+  'validation.email.required': 'Email is required',
+  'validation.email.invalid': 'Please enter a valid email address',
+  'validation.email.taken': 'This email is already registered',
+  'validation.avatar.type': 'Please choose a JPG, PNG, WebP or GIF image',
+  'validation.avatar.size': 'Please choose an image of {size} MB or less',
+  'validation.avatar.unreadable': "We couldn't read that image. Please try another one.",
+  'validation.language.required': 'Please choose a language',
+  'validation.timeZone.required': 'Please choose a time zone',
+  'validation.timeZone.invalid': 'Please choose a time zone from the list',
+  'validation.notifications.security': 'Keep at least one channel for security alerts',
+  'validation.interests.max': {
+    one: 'Choose at most {count} interest',
+    other: 'Choose at most {count} interests'
+  },
+  'validation.username.required': 'Username is required',
+  'validation.username.minLength': {
+    one: 'Username must be at least {count} character',
+    other: 'Username must be at least {count} characters'
+  },
+  'validation.username.pattern': 'Username can only contain letters, numbers, and underscores',
+  'validation.username.taken': 'This username is already taken',
+  'validation.password.required': 'Password is required',
+  'validation.password.minLength': {
+    one: 'Password must be at least {count} character',
+    other: 'Password must be at least {count} characters'
+  },
+  'validation.password.lowercase': 'Password must contain a lowercase letter',
+  'validation.password.uppercase': 'Password must contain an uppercase letter',
+  'validation.password.number': 'Password must contain a number',
+  'validation.password.symbol': 'Password must contain a symbol',
+  'validation.password.personalInfo': 'Password must not contain your username or email',
+  'validation.confirmPassword.required': 'Please confirm your password',
+  'validation.confirmPassword.mismatch': 'Passwords do not match',
+  'validation.theme.required': 'Please select a theme',
+  'validation.newsletterTopics.required': 'Please choose at least one topic',
+  'validation.emailVerification.required': 'Please verify your email address',
+  'validation.emailVerification.changed': 'Your email changed. Please verify the new address',
+  'validation.acceptTerms.required': 'Please accept the Terms of Service to continue',
+  'validation.acceptPrivacy.required': 'Please accept the Privacy Policy to continue',
+  'validation.password.sameAsUsername': 'Password must not be the same as your username',
+  'validation.username.sameAsEmail': 'Username must not be the same as the first part of your email',
+  'validation.rules.minLength': {
+    one: '{field} must be at least {count} character',
+    other: '{field} must be at least {count} characters'
+  },
+  'validation.rules.maxLength': {
+    one: '{field} must be at most {count} character',
+    other: '{field} must be at most {count} characters'
+  },
+  'validation.rules.pattern': '{field} is not in the right format',
+  'validation.rules.oneOf': 'Please choose a valid {field}',
+  'validation.rules.equalsField': '{field} must match {other}',
+  'validation.rules.notEqualsField': '{field} must not be the same as {other}',
+  'validation.rules.notEmailLocalPart': '{field} must not be the same as the first part of your email'
+};
+
+export default en;
@@ -0,0 +1,282 @@
+// French catalog
+const fr = {
+  'modal.start': '🚀 Commencer l’inscription Quixess',
+  'modal.startLabel': 'Démarrer le processus d’inscription',
+  'modal.title': 'Bienvenue sur Quixess',
+  'modal.description': {
+    one: 'Complétez votre profil en {count} étape simple',
+    other: 'Complétez votre profil en {count} étapes simples'
+  },
+  'modal.close': 'Fermer la fenêtre',
+  'modal.confirmClose': 'Fermer et perdre votre progression ?',
+  'modal.confirmCloseBody': 'Vos réponses n’ont pas été enregistrées et seront perdues.',
+  'modal.confirmCloseAction': 'Fermer',
+  'modal.keepEditing': 'Continuer',
+  'modal.language': 'Langue',
+
+  'a11y.step': 'Étape {current} sur {total} : {title}',
+  'a11y.errors': {
+    one: '{count} champ nécessite votre attention',
+    other: '{count} champs nécessitent votre attention'
+  },
+  'a11y.submitting': 'Envoi de vos informations…',
+  'history.undone': 'Modification annulée : {field}',
+  'history.redone': 'Modification rétablie : {field}',
+
+  'nav.back': 'Retour',
+  'nav.backLabel': 'Revenir à l’étape précédente',
+  'nav.next': 'Suivant',
+  'nav.nextLabel': 'Passer à l’étape suivante',
+  'nav.checking': 'Vérification…',
+  'nav.progress': '{current} sur {total}',
+  'nav.progressLabel': 'Progression de l’inscription',
+  'nav.cancel': 'Annuler',
+  'nav.cancelLabel': 'Annuler l’envoi',
+
+  'submit.complete': '✨ Terminer',
+  'submit.completeLabel': 'Terminer l’inscription',
+  'submit.retry': '↻ Réessayer',
+  'submit.retryLabel': 'Renvoyer l’inscription',
+  'submit.submitting': 'Envoi en cours...',
+  'submit.success': '🎉 Bienvenue sur Quixess ! Votre compte a bien été créé.',
+  'submit.failure': '❌ {message} Veuillez réessayer.',
+  'submit.genericError': 'Une erreur est survenue.',
+  'toast.dismiss': 'Fermer la notification',
+
+  'draft.title': 'Reprendre là où vous vous étiez arrêté ?',
+  'draft.body': 'Vous avez une inscription inachevée.',
+  'draft.bodyWithDate': 'Vous avez une inscription inachevée du {date}.',
+  'draft.startOver': 'Recommencer',
+  'draft.resume': 'Reprendre',
+
+  'steps.personal.title': 'Infos personnelles',
+  'steps.personal.heading': 'Informations personnelles',
+  'steps.personal.description': 'Commençons par vos informations de base',
+  'steps.account.title': 'Compte',
+  'steps.account.description': 'Créez vos identifiants de connexion',
+  'steps.company.title': 'Entreprise',
+  'steps.company.description': 'Parlez-nous de votre entreprise',
+  'steps.preferences.title': 'Préférences',
+  'steps.preferences.description': 'Personnalisez votre expérience avec un aperçu en direct',
+  'steps.topics.title': 'Sujets',
+  'steps.topics.description': 'Choisissez les sujets de votre newsletter',
+  'steps.signIn.title': 'Connexion',
+  'steps.signIn.heading': 'Comment souhaitez-vous vous inscrire ?',
+  'steps.signIn.description': 'Utilisez un compte existant ou créez-en un avec une adresse e-mail et un mot de passe',
+  'steps.verifyEmail.title': 'Vérification',
+  'steps.verifyEmail.heading': 'Consultez votre boîte de réception',
+  'steps.verifyEmail.description': 'Saisissez le code à 6 chiffres que nous vous avons envoyé',
+  'steps.consent.title': 'Conditions',
+  'steps.consent.heading': 'Consultez nos conditions',
+  'steps.consent.description': 'Lisez et acceptez nos politiques pour terminer votre inscription',
+
+  'signIn.continueWith': 'Continuer avec {provider}',
+  'signIn.waiting': 'En attente de {provider}…',
+  'signIn.manual': 'Vous préférez un e-mail et un mot de passe ? Choisissez Suivant pour continuer.',
+  'signIn.connected': 'Connecté avec {provider}',
+  'signIn.connectedAs': 'Connecté avec {provider} en tant que {email}',
+  'signIn.useAnother': 'Utiliser une autre méthode',
+  'signIn.errors.popupBlocked': 'La fenêtre de connexion a été bloquée. Autorisez les fenêtres pop-up pour ce site et réessayez.',
+  'signIn.errors.popupClosed': 'La fenêtre de connexion a été fermée avant la fin.',
+  'signIn.errors.accessDenied': 'La connexion avec {provider} a été annulée.',
+  'signIn.errors.failed': 'Impossible de vous connecter avec {provider}. Veuillez réessayer.',
+
+  'verifyEmail.sending': 'Envoi d’un code à {email}…',
+  'verifyEmail.sentTo': 'Nous avons envoyé un code à {email}',
+  'verifyEmail.codeLabel': 'Code de vérification',
+  'verifyEmail.digitLabel': 'Chiffre {current} sur {total}',
+  'verifyEmail.verifying': 'Vérification du code…',
+  'verifyEmail.verified': '✓ {email} est vérifiée',
+  'verifyEmail.resend': 'Renvoyer le code',
+  'verifyEmail.resendIn': {
+    one: 'Renvoyer le code dans {count} seconde',
+    other: 'Renvoyer le code dans {count} secondes'
+  },
+  'verifyEmail.errors.invalid': 'Ce code est incorrect. Vérifiez l’e-mail et réessayez.',
+  'verifyEmail.errors.expired': 'Ce code a expiré. Demandez-en un nouveau.',
+  'verifyEmail.errors.tooManyAttempts': 'Trop de codes incorrects. Demandez-en un nouveau.',
+  'verifyEmail.errors.sendFailed': 'Impossible d’envoyer un code. Veuillez réessayer.',
+  'verifyEmail.errors.failed': 'Impossible de vérifier votre code. Veuillez réessayer.',
+
+  'stepper.label': 'Étapes de l’inscription',
+  'stepper.completed': '(terminée)',
+  'stepper.error': '(à vérifier)',
+  'stepper.compact': 'Étape {current} sur {total}',
+
+  'fields.fullName.label': 'Nom complet',
+  'fields.fullName.placeholder': 'Saisissez votre nom complet',
+  'fields.email.label': 'Adresse e-mail',
+  'fields.email.placeholder': 'Saisissez votre adresse e-mail',
+  'fields.avatar.label': 'Photo de profil',
+  'fields.avatar.help': 'Facultatif. JPG, PNG, WebP ou GIF, recadrée en carré.',
+  'fields.avatar.preview': 'Votre photo de profil',
+  'fields.avatar.initials': 'Avatar avec vos initiales, {initials}',
+  'fields.avatar.empty': 'Pas encore de photo de profil',
+  'fields.avatar.dropHint': 'Déposez une photo ici ou choisissez-en une',
+  'fields.avatar.processing': 'Préparation de votre photo…',
+  'fields.avatar.upload': 'Choisir une photo',
+  'fields.avatar.change': 'Changer de photo',
+  'fields.avatar.remove': 'Supprimer',
+  'fields.accountType.label': 'Type de compte',
+  'fields.accountType.personal': 'Personnel',
+  'fields.accountType.business': 'Professionnel',
+  'fields.companyName.label': 'Nom de l’entreprise',
+  'fields.companyName.placeholder': 'Saisissez le nom de votre entreprise',
+  'fields.companySize.label': 'Taille de l’entreprise',
+  'fields.companySize.small': '1 à 10 salariés',
+  'fields.companySize.medium': '11 à 50 salariés',
+  'fields.companySize.large': '51 salariés ou plus',
+  'fields.username.label': 'Nom d’utilisateur',
+  'fields.username.placeholder': 'Choisissez un nom d’utilisateur',
+  'fields.password.label': 'Mot de passe',
+  'fields.password.placeholder': 'Créez un mot de passe sécurisé',
+  'fields.confirmPassword.label': 'Confirmer le mot de passe',
+  'fields.confirmPassword.placeholder': 'Saisissez à nouveau votre mot de passe',
+  'fields.theme.label': 'Choix du thème',
+  'fields.theme.livePreview': '(Aperçu en direct !)',
+  'fields.theme.selected': '✨ Sélectionné et appliqué !',
+  'fields.theme.light': 'Clair',
+  'fields.theme.lightDescription': 'Interface claire et lumineuse',
+  'fields.theme.dark': 'Sombre',
+  'fields.theme.darkDescription': 'Reposant pour les yeux',
+  'fields.theme.system': 'Système',
+  'fields.theme.systemDescription': 'Suit le réglage de votre appareil',
+  'fields.newsletter.label': 'S’abonner à la newsletter',
+  'fields.newsletter.description': 'Recevez par e-mail des nouveautés, des conseils et des offres exclusives. Désinscription possible à tout moment.',
+  'fields.newsletterFrequency.label': 'À quelle fréquence ?',
+  'fields.newsletterFrequency.weekly': 'Chaque semaine',
+  'fields.newsletterFrequency.monthly': 'Chaque mois',
+  'fields.newsletterTopics.label': 'Sujets de la newsletter',
+  'fields.newsletterTopics.product': 'Nouveautés produit',
+  'fields.newsletterTopics.tips': 'Conseils et tutoriels',
+  'fields.newsletterTopics.events': 'Événements et webinaires',
+  'fields.newsletterTopics.offers': 'Offres spéciales',
+  'fields.language.label': 'Langue préférée',
+  'fields.language.help': 'Utilisée pour les e-mails et les notifications',
+  'fields.timeZone.label': 'Fuseau horaire',
+  'fields.timeZone.placeholder': 'Rechercher une ville ou une région',
+  'fields.timeZone.help': 'Les rappels et résumés arrivent à votre heure locale',
+  'fields.notifications.label': 'Notifications',
+  'fields.notifications.category': 'Me prévenir pour',
+  'fields.notifications.cell': 'Notifications {channel} pour {category}',
+  'fields.notifications.email': 'E-mail',
+  'fields.notifications.inApp': 'Dans l’app',
+  'fields.notifications.security': 'Alertes de sécurité',
+  'fields.notifications.securityDescription': 'Connexions et changements de mot de passe',
+  'fields.notifications.activity': 'Activité du compte',
+  'fields.notifications.activityDescription': 'Mentions, commentaires et invitations',
+  'fields.notifications.product': 'Nouveautés du produit',
+  'fields.notifications.productDescription': 'Nouvelles fonctionnalités et améliorations',
+  'fields.interests.label': 'Centres d’intérêt',
+  'fields.interests.design': 'Design',
+  'fields.interests.engineering': 'Ingénierie',
+  'fields.interests.product': 'Produit',
+  'fields.interests.marketing': 'Marketing',
+  'fields.interests.sales': 'Ventes',
+  'fields.interests.data': 'Données',
+  'fields.interests.ai': 'IA',
+  'fields.interests.security': 'Sécurité',
+  'fields.tags.selected': '{count} sélectionné(s)',
+  'fields.tags.selectedOfMax': '{count} sur {max} sélectionné(s)',
+  'fields.acceptTerms.label': "J'ai lu et j'accepte les Conditions d'utilisation",
+  'fields.acceptPrivacy.label': "J'ai lu et j'accepte la Politique de confidentialité",
+  'fields.consent.version': 'Version {version}',
+  'fields.consent.openDocument': 'Ouvrir dans un nouvel onglet',
+  'fields.consent.scrollHint': "Faites défiler le document jusqu'à la fin pour l'accepter",
+
+  'policies.terms.title': "Conditions d'utilisation",
+  'policies.terms.body': 'Ces conditions régissent votre utilisation de Quixess. En créant un compte, vous vous engagez à utiliser le service de manière licite et à protéger vos identifiants de connexion.\n\nVous restez propriétaire du contenu que vous ajoutez. Vous nous autorisez à le stocker et à le traiter uniquement dans la mesure nécessaire au fonctionnement du service.\n\nNous pouvons modifier ces conditions. Dans ce cas, nous vous prévenons à l\'avance et vous demandons à nouveau votre accord lorsque la loi l\'exige.\n\nVous pouvez fermer votre compte à tout moment depuis vos paramètres.',
+  'policies.privacy.title': 'Politique de confidentialité',
+  'policies.privacy.body': 'Nous collectons les informations que vous fournissez lors de l\'inscription, comme votre nom, votre adresse e-mail et vos préférences, pour créer et gérer votre compte.\n\nNous ne vendons pas vos données personnelles. Les e-mails marketing ne sont envoyés qu\'avec votre accord, que vous pouvez retirer à tout moment.\n\nVous pouvez obtenir une copie de vos données, les faire corriger ou les faire supprimer en écrivant à privacy@quixess.example.',
+
+  'field.selectPlaceholder': 'Sélectionnez une option',
+  'field.checking': 'Vérification…',
+  'field.noMatches': 'Aucun résultat',
+  'field.moreMatches': {
+    one: 'Encore {count} résultat. Continuez à taper pour affiner la liste.',
+    other: 'Encore {count} résultats. Continuez à taper pour affiner la liste.'
+  },
+
+  'password.show': 'Afficher le mot de passe',
+  'password.hide': 'Masquer le mot de passe',
+  'password.requirements': 'Exigences du mot de passe',
+  'password.ruleMet': '(respecté)',
+  'password.ruleNotMet': '(non respecté)',
+  'password.strength.0': 'Très faible',
+  'password.strength.1': 'Faible',
+  'password.strength.2': 'Moyen',
+  'password.strength.3': 'Bon',
+  'password.strength.4': 'Excellent',
+  'password.rules.minLength': {
+    one: 'Au moins {count} caractère',
+    other: 'Au moins {count} caractères'
+  },
+  'password.rules.lowercase': 'Une lettre minuscule',
+  'password.rules.uppercase': 'Une lettre majuscule',
+  'password.rules.number': 'Un chiffre',
+  'password.rules.symbol': 'Un symbole',
+  'password.rules.personalInfo': 'Ne contient ni votre nom d’utilisateur ni votre e-mail',
+
+  'validation.required': '{field} est obligatoire',
+  'validation.fullName.required': 'Le nom complet est obligatoire',
+  'validation.fullName.minLength': {
+    one: 'Le nom doit contenir au moins {count} caractère',
+    other: 'Le nom doit contenir au moins {count} caractères'
+  },
+  'validation.email.required': 'L’adresse e-mail est obligatoire',
+  'validation.email.invalid': 'Veuillez saisir une adresse e-mail valide',
+  'validation.email.taken': 'Cette adresse e-mail est déjà enregistrée',
+  'validation.avatar.type': 'Veuillez choisir une image JPG, PNG, WebP ou GIF',
+  'validation.avatar.size': 'Veuillez choisir une image de {size} Mo maximum',
+  'validation.avatar.unreadable': 'Impossible de lire cette image. Veuillez en essayer une autre.',
+  'validation.language.required': 'Veuillez choisir une langue',
+  'validation.timeZone.required': 'Veuillez choisir un fuseau horaire',
+  'validation.timeZone.invalid': 'Veuillez choisir un fuseau horaire dans la liste',
+  'validation.notifications.security': 'Gardez au moins un canal pour les alertes de sécurité',
+  'validation.interests.max': {
+    one: 'Choisissez au plus {count} centre d’intérêt',
+    other: 'Choisissez au plus {count} centres d’intérêt'
+  },
+  'validation.username.required': 'Le nom d’utilisateur est obligatoire',
+  'validation.username.minLength': {
+    one: 'Le nom d’utilisateur doit contenir au moins {count} caractère',
+    other: 'Le nom d’utilisateur doit contenir au moins {count} caractères'
+  },
+  'validation.username.pattern': 'Le nom d’utilisateur ne peut contenir que des lettres, des chiffres et des tirets bas',
+  'validation.username.taken': 'Ce nom d’utilisateur est déjà pris',
+  'validation.password.required': 'Le mot de passe est obligatoire',
+  'validation.password.minLength': {
+    one: 'Le mot de passe doit contenir au moins {count} caractère',
+    other: 'Le mot de passe doit contenir au moins {count} caractères'
+  },
+  'validation.password.lowercase': 'Le mot de passe doit contenir une lettre minuscule',
+  'validation.password.uppercase': 'Le mot de passe doit contenir une lettre majuscule',
+  'validation.password.number': 'Le mot de passe doit contenir un chiffre',
+  'validation.password.symbol': 'Le mot de passe doit contenir un symbole',
+  'validation.password.personalInfo': 'Le mot de passe ne doit contenir ni votre nom d’utilisateur ni votre e-mail',
+  'validation.confirmPassword.required': 'Veuillez confirmer votre mot de passe',
+  'validation.confirmPassword.mismatch': 'Les mots de passe ne correspondent pas',
+  'validation.theme.required': 'Veuillez choisir un thème',
+  'validation.newsletterTopics.required': 'Veuillez choisir au moins un sujet',
+  'validation.emailVerification.required': 'Veuillez vérifier votre adresse e-mail',
+  'validation.emailVerification.changed': 'Votre adresse e-mail a changé. Veuillez vérifier la nouvelle adresse',
+  'validation.acceptTerms.required': "Veuillez accepter les Conditions d'utilisation pour continuer",
+  'validation.acceptPrivacy.required': 'Veuillez accepter la Politique de confidentialité pour continuer',
+  'validation.password.sameAsUsername': 'Le mot de passe doit être différent de votre nom d’utilisateur',
+  'validation.username.sameAsEmail': 'Le nom d’utilisateur doit être différent du début de votre e-mail',
+  'validation.rules.minLength': {
+    one: '{field} doit contenir au moins {count} caractère',
+    other: '{field} doit contenir au moins {count} caractères'
+  },
+  'validation.rules.maxLength': {
+    one: '{field} doit contenir au plus {count} caractère',
+    other: '{field} doit contenir au plus {count} caractères'
+  },
+  'validation.rules.pattern': "Le format de « {field} » n'est pas valide",
+  'validation.rules.oneOf': 'Veuillez choisir une valeur valide pour « {field} »',
+  'validation.rules.equalsField': '« {field} » doit correspondre à « {other} »',
+  'validation.rules.notEqualsField': '« {field} » doit être différent de « {other} »',
+  'validation.rules.notEmailLocalPart': '« {field} » doit être différent du début de votre e-mail'
+};
+
+export default fr;
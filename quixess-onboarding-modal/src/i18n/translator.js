@@ -0,0 +1,60 @@
+/**
+ * TRANSLATOR
+ * Flat message catalogs keyed by id, with `{name}` interpolation and
+ * Intl.PluralRules-based plurals:
+ *
+ *   'steps.summary': { one: '{count} easy step', other: '{count} easy steps' }
+ *   t('steps.summary', { count: 3 })
+ *
+ * A message can be a key, a literal string, or a descriptor `{ key, values }`
+ * (what validators return). Unknown keys render as-is, so plain text from
+ * custom schemas or the server passes straight through.
+ */
+
+const RTL_LANGUAGES = ['ar', 'he', 'fa', 'ur'];
+
+export const getTextDirection = (locale) =>
+  (RTL_LANGUAGES.includes(String(locale).split('-')[0]) ? 'rtl' : 'ltr');
+
+// Message descriptor returned by validators: msg('validation.minLength', { min: 2 })
+export const msg = (key, values) => ({ key, values });
+
+const interpolate = (template, values = {}) =>
+  template.replace(/\{(\w+)\}/g, (match, name) => (name in values ? String(values[name]) : match));
+
+export const createTranslator = (locale, catalog, fallbackCatalog = {}) => {
+  const pluralRules = new Intl.PluralRules(locale);
+  const numberFormat = new Intl.NumberFormat(locale);
+
+  const lookup = (key) => (key in catalog ? catalog[key] : fallbackCatalog[key]);
+
+  const resolve = (entry, values) => {
+    if (entry && typeof entry === 'object') {
+      const count = Number(values.count);
+      const category = pluralRules.select(count);
+      return entry[count === 0 && 'zero' in entry ? 'zero' : category] ?? entry.other;
+    }
+    return entry;
+  };
+
+  const t = (message, values = {}) => {
+    if (message === null || message === undefined || message === '') return '';
+
+    if (typeof message === 'object') return t(message.key, message.values);
+
+    const entry = lookup(message);
+    if (entry === undefined) return interpolate(String(message), values);
+
+    // Values that are themselves message keys (e.g. a field label) are translated too
+    const formatted = Object.fromEntries(Object.entries(values).map(([name, value]) => [
+      name,
+      typeof value === 'number'
+        ? numberFormat.format(value)
+        : typeof value === 'string' && lookup(value) !== undefined ? t(value) : value
+    ]));
+
+    return interpolate(resolve(entry, values), formatted);
+  };
+
+  return t;
+};
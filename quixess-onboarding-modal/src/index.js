@@ -2,16 +2,29 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import VitalsOverlay from './components/VitalsOverlay';
 import reportWebVitals from './reportWebVitals';
+import { createVitalsReporter, publishVital } from './vitals';
+
+const isDevelopment = process.env.NODE_ENV === 'development';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
     <App />
+    {isDevelopment && <VitalsOverlay />}
   </React.StrictMode>
 );
 
-// If you want to start measuring performance in your app, pass a function
-// to log results (for example: reportWebVitals(console.log))
-// or send to an analytics endpoint. Learn more: https://bit.ly/CRA-vitals
-reportWebVitals();
+// Metrics feed the dev overlay and, when REACT_APP_VITALS_URL is set, a
+// collector endpoint (REACT_APP_VITALS_SAMPLE_RATE between 0 and 1, default 1)
+const vitalsUrl = process.env.REACT_APP_VITALS_URL;
+const sampleRate = Number(process.env.REACT_APP_VITALS_SAMPLE_RATE ?? 1);
+const sendVital = vitalsUrl
+  ? createVitalsReporter({ url: vitalsUrl, sampleRate: Number.isNaN(sampleRate) ? 1 : sampleRate })
+  : null;
+
+reportWebVitals((metric) => {
+  publishVital(metric);
+  sendVital?.(metric);
+}, { reportAllChanges: isDevelopment });
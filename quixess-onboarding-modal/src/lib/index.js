@@ -0,0 +1,97 @@
+/**
+ * LIBRARY ENTRY POINT
+ * Public API of the published package (built by rollup.config.mjs). Styles
+ * ship separately as `quixess-onboarding-modal/styles.css` or through the
+ * Tailwind preset; type declarations live in types/index.d.ts.
+ * Anything not exported here is internal and may change between releases.
+ */
+
+// Components
+export { default as OnboardingModal } from '../components/OnboardingModal';
+export { default as OnboardingTrigger } from '../components/OnboardingTrigger';
+export { default as Button } from '../components/Button';
+export {
+  default as StepIndicator, STEP_PANEL_ID, getStepTabId
+} from '../components/StepIndicator';
+export { default as StepSummary } from '../components/StepSummary';
+export { default as StepTransition } from '../components/StepTransition';
+export { ONBOARDING_LAYOUTS } from '../components/onboardingLayouts';
+export { default as FormStep } from '../components/FormStep';
+export { default as SignInStep } from '../components/SignInStep';
+export { default as EmailVerificationStep } from '../components/EmailVerificationStep';
+export { default as OtpInput } from '../components/OtpInput';
+export { default as ResumeDraftBanner } from '../components/ResumeDraftBanner';
+export { default as LocaleSwitcher } from '../components/LocaleSwitcher';
+export { default as ConfirmDialog } from '../components/ConfirmDialog';
+export { default as ToastViewport } from '../components/ToastViewport';
+export {
+  fieldComponents, TextField, PasswordField, SelectField, CheckboxField,
+  CheckboxGroupField, ThemeField, AvatarField, ComboboxField, NotificationMatrixField, TagsField,
+  ConsentField
+} from '../components/fields';
+export { default as FieldError } from '../components/fields/FieldError';
+
+// Hooks
+export { useOnboardingForm } from '../hooks/useOnboardingForm';
+export { useFocusTrap } from '../hooks/useFocusTrap';
+export { useBodyScrollLock } from '../hooks/useBodyScrollLock';
+export { usePrefersReducedMotion } from '../hooks/usePrefersReducedMotion';
+export { useConfirm } from '../hooks/useConfirm';
+export { useToasts } from '../hooks/useToasts';
+
+// Schema
+export {
+  createOnboardingSchema, defaultOnboardingSchema, getActiveSteps,
+  buildInitialValues, buildSubmitPayload
+} from '../schema/onboardingSchema';
+export { getTimeZoneOptions, getDefaultTimeZone } from '../utils/timeZones';
+
+// Validation
+export {
+  validation, isEmptyValue, validateField, validateFields, validateFieldAsync,
+  createAvailabilityValidator, validationTriggers
+} from '../utils/validation';
+export {
+  ruleTypes, defaultValidationRules, createRuleValidator, applyValidationRules, validateWithRules
+} from '../utils/rules';
+export {
+  defaultPasswordPolicy, getPasswordRules, evaluatePassword, getPasswordStrength,
+  createPasswordValidator
+} from '../utils/passwordPolicy';
+
+// Avatars
+export {
+  defaultAvatarOptions, checkAvatarFile, getSquareCrop, cropImageToSquare, getInitials,
+  getInitialsColor, getInitialsColorKey, buildAvatarFallbacks
+} from '../utils/avatar';
+
+// Consent
+export { defaultPolicies, getConsentText, buildConsentRecord } from '../utils/consent';
+
+// Submission, availability checks, email verification, validation rules and drafts
+export { SubmissionError, isAbortError, createFetchSubmitAdapter } from '../api/submitAdapters';
+export { createFetchAvailabilityLookup } from '../api/availability';
+export { EmailVerificationError, createFetchEmailVerifier } from '../api/emailVerification';
+export { createFetchValidationRulesLoader } from '../api/validationRules';
+export {
+  createWebStorageAdapter, createLocalStorageAdapter, createSessionStorageAdapter,
+  createMemoryStorageAdapter, DEFAULT_DRAFT_KEY
+} from '../persistence/draftStorage';
+
+// Identity providers
+export {
+  signInWithPopup, resolveEndpoints, decodeJwtClaims, OidcError, createOidcProvider,
+  createGoogleProvider, createGitHubProvider, createSsoProvider, mapOidcProfile,
+  createMockOidcProvider, createCodeVerifier, createCodeChallenge
+} from '../auth';
+
+// Analytics
+export { createBatchingSink, scrubPii, DEFAULT_PII_KEYS, REDACTED } from '../analytics';
+
+// i18n and theming
+export {
+  I18nProvider, useI18n, builtInCatalogs, localeNames, DEFAULT_LOCALE, msg
+} from '../i18n';
+export {
+  ThemeProvider, useTheme, THEME_PREFERENCES, resolveTheme
+} from '../theme';
@@ -0,0 +1,98 @@
+/**
+ * DRAFT STORAGE
+ * An adapter is anything with the Web Storage shape:
+ *   { getItem(key), setItem(key, value), removeItem(key) }
+ * Methods may return promises, so async stores (IndexedDB, native bridges)
+ * can be plugged in as well.
+ */
+
+// Wrap a Web Storage object; storage can throw (quota, private mode, disabled)
+export const createWebStorageAdapter = (getStorage) => ({
+  getItem: (key) => {
+    try {
+      return getStorage().getItem(key);
+    } catch {
+      return null;
+    }
+  },
+  setItem: (key, value) => {
+    try {
+      getStorage().setItem(key, value);
+    } catch (error) {
+      console.warn(`Could not save "${key}" to storage:`, error);
+    }
+  },
+  removeItem: (key) => {
+    try {
+      getStorage().removeItem(key);
+    } catch {
+      // Nothing to clean up if storage is unavailable
+    }
+  }
+});
+
+export const createLocalStorageAdapter = () => createWebStorageAdapter(() => window.localStorage);
+
+export const createSessionStorageAdapter = () => createWebStorageAdapter(() => window.sessionStorage);
+
+// In-memory adapter, handy for tests and server rendering
+export const createMemoryStorageAdapter = (initial = {}) => {
+  const items = new Map(Object.entries(initial));
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => { items.set(key, String(value)); },
+    removeItem: (key) => { items.delete(key); }
+  };
+};
+
+export const DEFAULT_DRAFT_KEY = 'quixess:onboarding-draft';
+
+const isPlainObject = value =>
+  typeof value === 'object' && value !== null && Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * Versioned draft store on top of an adapter.
+ * Drafts saved under a different schema version, or too damaged to resume
+ * (no answers object), are discarded on load.
+ */
+export const createDraftStore = ({ adapter, key = DEFAULT_DRAFT_KEY, version = 1 }) => ({
+  async load() {
+    const raw = await adapter.getItem(key);
+    if (!raw) return null;
+
+    try {
+      const draft = JSON.parse(raw);
+      if (draft.version !== version || !isPlainObject(draft.formData)) {
+        await adapter.removeItem(key);
+        return null;
+      }
+      return draft;
+    } catch {
+      await adapter.removeItem(key);
+      return null;
+    }
+  },
+
+  async save({ formData, currentStep }) {
+    const draft = { version, savedAt: new Date().toISOString(), currentStep, formData };
+    await adapter.setItem(key, JSON.stringify(draft));
+  },
+
+  async clear() {
+    await adapter.removeItem(key);
+  }
+});
+
+// Values that may be written to storage: passwords and `persist: false` fields are dropped
+export const getPersistableValues = (steps, values) => {
+  const persistable = {};
+
+  steps.forEach((step) => {
+    step.fields.forEach((field) => {
+      if (field.type === 'password' || field.persist === false) return;
+      if (field.name in values) persistable[field.name] = values[field.name];
+    });
+  });
+
+  return persistable;
+};
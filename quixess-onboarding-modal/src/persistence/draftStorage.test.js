@@ -0,0 +1,35 @@
+import { createDraftStore, createMemoryStorageAdapter, DEFAULT_DRAFT_KEY } from './draftStorage';
+
+const storeWith = (draft) => {
+  const adapter = createMemoryStorageAdapter({ [DEFAULT_DRAFT_KEY]: JSON.stringify(draft) });
+  return { adapter, store: createDraftStore({ adapter, version: 7 }) };
+};
+
+describe('createDraftStore', () => {
+  it('loads a draft saved under the same version', async () => {
+    const { store } = storeWith({ version: 7, currentStep: 2, formData: { fullName: 'Ada Lovelace' } });
+
+    await expect(store.load()).resolves.toMatchObject({ currentStep: 2, formData: { fullName: 'Ada Lovelace' } });
+  });
+
+  it('discards a draft saved under another version', async () => {
+    const { adapter, store } = storeWith({ version: 6, currentStep: 1, formData: {} });
+
+    await expect(store.load()).resolves.toBeNull();
+    expect(adapter.getItem(DEFAULT_DRAFT_KEY)).toBeNull();
+  });
+
+  it.each([null, 'Ada', 42, [['fullName', 'Ada']], undefined])('discards a draft whose answers are %p', async (formData) => {
+    const { adapter, store } = storeWith({ version: 7, currentStep: 1, formData });
+
+    await expect(store.load()).resolves.toBeNull();
+    expect(adapter.getItem(DEFAULT_DRAFT_KEY)).toBeNull();
+  });
+
+  it('discards what is not JSON', async () => {
+    const adapter = createMemoryStorageAdapter({ [DEFAULT_DRAFT_KEY]: '{"version":7,' });
+
+    await expect(createDraftStore({ adapter, version: 7 }).load()).resolves.toBeNull();
+    expect(adapter.getItem(DEFAULT_DRAFT_KEY)).toBeNull();
+  });
+});
@@ -1,11 +1,14 @@
-const reportWebVitals = onPerfEntry => {
+// Subscribe `onPerfEntry` to the Core Web Vitals (CLS, INP, LCP) plus FCP and
+// TTFB. The attribution build adds `metric.attribution` (what caused it);
+// `options` are passed through, e.g. { reportAllChanges: true } for live values.
+const reportWebVitals = (onPerfEntry, options) => {
   if (onPerfEntry && onPerfEntry instanceof Function) {
-    import('web-vitals').then(({ getCLS, getFID, getFCP, getLCP, getTTFB }) => {
-      getCLS(onPerfEntry);
-      getFID(onPerfEntry);
-      getFCP(onPerfEntry);
-      getLCP(onPerfEntry);
-      getTTFB(onPerfEntry);
+    import('web-vitals/attribution').then(({ onCLS, onINP, onLCP, onFCP, onTTFB }) => {
+      onCLS(onPerfEntry, options);
+      onINP(onPerfEntry, options);
+      onLCP(onPerfEntry, options);
+      onFCP(onPerfEntry, options);
+      onTTFB(onPerfEntry, options);
     });
   }
 };
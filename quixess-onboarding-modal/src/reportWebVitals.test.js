@@ -0,0 +1,29 @@
+import { waitFor } from '@testing-library/react';
+import reportWebVitals from './reportWebVitals';
+import { onCLS, onFCP, onINP, onLCP, onTTFB } from 'web-vitals/attribution';
+
+jest.mock('web-vitals/attribution', () => ({
+  onCLS: jest.fn(),
+  onINP: jest.fn(),
+  onLCP: jest.fn(),
+  onFCP: jest.fn(),
+  onTTFB: jest.fn()
+}));
+
+describe('reportWebVitals', () => {
+  it('subscribes the handler to every metric with the given options', async () => {
+    const onPerfEntry = () => {};
+    reportWebVitals(onPerfEntry, { reportAllChanges: true });
+
+    await waitFor(() => [onCLS, onINP, onLCP, onFCP, onTTFB].forEach(subscribe =>
+      expect(subscribe).toHaveBeenCalledWith(onPerfEntry, { reportAllChanges: true })
+    ));
+  });
+
+  it('does nothing without a handler', async () => {
+    reportWebVitals(undefined);
+
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(onCLS).not.toHaveBeenCalled();
+  });
+});
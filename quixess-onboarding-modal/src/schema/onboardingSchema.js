@@ -0,0 +1,438 @@
+import { validation, createAvailabilityValidator } from '../utils/validation';
+import { defaultPasswordPolicy, createPasswordValidator } from '../utils/passwordPolicy';
+import { defaultAvatarOptions } from '../utils/avatar';
+import { getTimeZoneOptions, getDefaultTimeZone } from '../utils/timeZones';
+import { defaultPolicies } from '../utils/consent';
+import { defaultValidationRules, applyValidationRules } from '../utils/rules';
+import { msg } from '../i18n/translator';
+import { localeNames, resolveLocale } from '../i18n/I18nProvider';
+import SignInStep from '../components/SignInStep';
+import EmailVerificationStep from '../components/EmailVerificationStep';
+
+/**
+ * ONBOARDING SCHEMA
+ * Declarative description of the onboarding steps and their fields.
+ * Text (titles, labels, placeholders, messages) may be a message key from the
+ * i18n catalogs or literal text, which is rendered as-is.
+ *
+ * schema = {
+ *   version?,                     // bump when fields change so saved drafts are discarded
+ *   steps: [{
+ *     id, title, description,
+ *     heading?,                   // step heading, defaults to title
+ *     component?,                 // optional custom step renderer, given
+ *                                 // { step, data, onChange, onBlur, errors, validating, onNext }
+ *     when?,                      // (values) => boolean; the step is skipped while false
+ *     fields: [{
+ *       name, type, label,        // type: text | email | password | select | combobox | checkbox | checkboxGroup
+ *                                 // | tags | notificationMatrix | theme | avatar | consent
+ *                                 // | hidden (not rendered; set by a custom step)
+ *       when?,                    // (values) => boolean; hidden fields are not validated or submitted
+ *       placeholder?, helpText?, description?,
+ *       required?, requiredMessage?,
+ *       defaultValue?, options?,  // options: [{ value, label, description? }]
+ *       maxSelected?,             // tags: shown next to the count; enforce it with a validator
+ *       channels?, categories?,   // notificationMatrix: columns and rows, as options
+ *       document?,                // consent: the policy shown above the checkbox (see utils/consent)
+ *       consent?,                 // { purpose }: recorded with its wording in `consentRecord` on submit
+ *       validators?,              // [(value, values) => message | null], optionally with
+ *                                 //   `trigger` and `dependsOn` properties (see utils/validation)
+ *       validateOn?,              // 'change' | 'blur' (default) | 'step': when errors first show
+ *       asyncValidators?,         // [(value, { signal, values }) => Promise<message | null>]
+ *       asyncDebounce?,           // ms to wait after typing before async checks (default 400)
+ *       persist?,                 // false keeps the value out of saved drafts (passwords never persist)
+ *       omitFromPayload?,         // true drops the value before submitting (e.g. confirm password)
+ *       passwordPolicy?,          // password fields: rules for the strength meter and checklist
+ *       accept?, maxBytes?, size?, // avatar fields: see utils/avatar
+ *       output?, processImage?
+ *     }]
+ *   }]
+ * }
+ */
+
+// Set once the user has signed in with an identity provider
+const isSignedInWithProvider = values => Boolean(values.authProvider);
+
+// The provider vouches only for the address it returned; an edited email needs a code
+const hasProviderVerifiedEmail = values =>
+  isSignedInWithProvider(values) && Boolean(values.providerEmail) && values.email === values.providerEmail;
+
+const MAX_INTERESTS = 5;
+
+const languageOptions = Object.entries(localeNames).map(([value, label]) => ({ value, label }));
+
+/**
+ * Build the standard Quixess onboarding schema.
+ * Pass `checkAvailability(field, value, { signal })` to enable the
+ * "username taken" / "email registered" checks (see api/availability),
+ * and `passwordPolicy` to override the default password rules.
+ * `identityProviders` (see auth/providers) adds a first "Continue with …"
+ * step; signing in there prefills the profile and skips the password fields.
+ * `emailVerifier` (see api/emailVerification) adds a one-time code step
+ * after Personal Info that must pass before the user can continue; the
+ * provider path skips it while the email is still the one the identity
+ * provider vouched for.
+ * `avatarOptions` (see utils/avatar) tunes the optional profile photo,
+ * e.g. `{ output: 'blob' }` to submit it as a file instead of a data URL.
+ * `policies` overrides the Terms of Service and Privacy Policy shown on the
+ * last step, e.g. `{ terms: { version: '2027-01-01', body: '…', url } }`
+ * (see utils/consent); accepting both is required to finish.
+ * `validationRules` (see utils/rules) adds declarative checks, typically the
+ * JSON rule set loaded from the server (see api/validationRules); defaults to
+ * password ≠ username and username ≠ the email's local part.
+ */
+export const createOnboardingSchema = ({
+  checkAvailability,
+  passwordPolicy = defaultPasswordPolicy,
+  identityProviders = [],
+  emailVerifier,
+  avatarOptions = {},
+  policies = {},
+  validationRules = defaultValidationRules
+} = {}) => applyValidationRules({
+  version: 7,
+  steps: [
+    ...(identityProviders.length > 0 ? [{
+      id: 'signIn',
+      title: 'steps.signIn.title',
+      heading: 'steps.signIn.heading',
+      description: 'steps.signIn.description',
+      component: SignInStep,
+      providers: identityProviders,
+      fields: [
+        // Sent only on the provider path, for the backend to verify; never saved in drafts
+        { name: 'authProvider', type: 'hidden', persist: false, when: isSignedInWithProvider },
+        { name: 'identityToken', type: 'hidden', persist: false, when: isSignedInWithProvider },
+        { name: 'providerEmail', type: 'hidden', persist: false, omitFromPayload: true }
+      ]
+    }] : []),
+    {
+      id: 'personal',
+      title: 'steps.personal.title',
+      heading: 'steps.personal.heading',
+      description: 'steps.personal.description',
+      fields: [
+        {
+          name: 'fullName',
+          type: 'text',
+          label: 'fields.fullName.label',
+          placeholder: 'fields.fullName.placeholder',
+          required: true,
+          validators: [validation.validateFullName]
+        },
+        {
+          name: 'email',
+          type: 'email',
+          label: 'fields.email.label',
+          placeholder: 'fields.email.placeholder',
+          required: true,
+          validators: [validation.validateEmail],
+          asyncValidators: checkAvailability
+            ? [createAvailabilityValidator(checkAvailability, 'email', msg('validation.email.taken'))]
+            : []
+        },
+        {
+          name: 'avatar',
+          type: 'avatar',
+          label: 'fields.avatar.label',
+          helpText: 'fields.avatar.help',
+          ...defaultAvatarOptions,
+          ...avatarOptions,
+          // A Blob can't go into a JSON draft
+          persist: (avatarOptions.output || defaultAvatarOptions.output) !== 'blob'
+        },
+        {
+          name: 'accountType',
+          type: 'select',
+          label: 'fields.accountType.label',
+          required: true,
+          defaultValue: 'personal',
+          options: [
+            { value: 'personal', label: 'fields.accountType.personal' },
+            { value: 'business', label: 'fields.accountType.business' }
+          ]
+        }
+      ]
+    },
+    ...(emailVerifier ? [{
+      id: 'verifyEmail',
+      title: 'steps.verifyEmail.title',
+      heading: 'steps.verifyEmail.heading',
+      description: 'steps.verifyEmail.description',
+      component: EmailVerificationStep,
+      verifier: emailVerifier,
+      when: values => !hasProviderVerifiedEmail(values),
+      fields: [
+        {
+          // The address the code was confirmed for; no longer valid once the email changes
+          name: 'verifiedEmail',
+          type: 'hidden',
+          required: true,
+          requiredMessage: msg('validation.emailVerification.required'),
+          validators: [
+            (value, values) => (value === values.email ? null : msg('validation.emailVerification.changed'))
+          ],
+          persist: false,
+          omitFromPayload: true
+        },
+        { name: 'emailVerificationToken', type: 'hidden', persist: false }
+      ]
+    }] : []),
+    {
+      id: 'company',
+      title: 'steps.company.title',
+      description: 'steps.company.description',
+      when: values => values.accountType === 'business',
+      fields: [
+        {
+          name: 'companyName',
+          type: 'text',
+          label: 'fields.companyName.label',
+          placeholder: 'fields.companyName.placeholder',
+          autoComplete: 'organization',
+          required: true
+        },
+        {
+          name: 'companySize',
+          type: 'select',
+          label: 'fields.companySize.label',
+          required: true,
+          options: [
+            { value: '1-10', label: 'fields.companySize.small' },
+            { value: '11-50', label: 'fields.companySize.medium' },
+            { value: '51+', label: 'fields.companySize.large' }
+          ]
+        }
+      ]
+    },
+    {
+      id: 'account',
+      title: 'steps.account.title',
+      description: 'steps.account.description',
+      fields: [
+        {
+          name: 'username',
+          type: 'text',
+          label: 'fields.username.label',
+          placeholder: 'fields.username.placeholder',
+          required: true,
+          validators: [validation.validateUsername],
+          asyncValidators: checkAvailability
+            ? [createAvailabilityValidator(checkAvailability, 'username', msg('validation.username.taken'))]
+            : []
+        },
+        {
+          name: 'password',
+          type: 'password',
+          label: 'fields.password.label',
+          placeholder: 'fields.password.placeholder',
+          autoComplete: 'new-password',
+          required: true,
+          when: values => !isSignedInWithProvider(values),
+          passwordPolicy,
+          validators: [createPasswordValidator(passwordPolicy)]
+        },
+        {
+          name: 'confirmPassword',
+          type: 'password',
+          label: 'fields.confirmPassword.label',
+          placeholder: 'fields.confirmPassword.placeholder',
+          autoComplete: 'new-password',
+          required: true,
+          when: values => !isSignedInWithProvider(values),
+          requiredMessage: msg('validation.confirmPassword.required'),
+          omitFromPayload: true,
+          validators: [validation.createMatchValidator('password', msg('validation.confirmPassword.mismatch'))]
+        }
+      ]
+    },
+    {
+      id: 'preferences',
+      title: 'steps.preferences.title',
+      description: 'steps.preferences.description',
+      fields: [
+        {
+          name: 'theme',
+          type: 'theme',
+          label: 'fields.theme.label',
+          required: true,
+          requiredMessage: msg('validation.theme.required'),
+          options: [
+            { value: 'light', label: 'fields.theme.light', description: 'fields.theme.lightDescription' },
+            { value: 'dark', label: 'fields.theme.dark', description: 'fields.theme.darkDescription' },
+            { value: 'system', label: 'fields.theme.system', description: 'fields.theme.systemDescription' }
+          ]
+        },
+        {
+          name: 'language',
+          type: 'select',
+          label: 'fields.language.label',
+          helpText: 'fields.language.help',
+          required: true,
+          requiredMessage: msg('validation.language.required'),
+          defaultValue: resolveLocale(typeof navigator !== 'undefined' ? navigator.language : undefined),
+          options: languageOptions
+        },
+        {
+          name: 'timeZone',
+          type: 'combobox',
+          label: 'fields.timeZone.label',
+          placeholder: 'fields.timeZone.placeholder',
+          helpText: 'fields.timeZone.help',
+          required: true,
+          requiredMessage: msg('validation.timeZone.required'),
+          defaultValue: getDefaultTimeZone(),
+          // Built on first use: formatting every zone's offset is slow
+          options: getTimeZoneOptions,
+          validators: [validation.createOneOfValidator(getTimeZoneOptions, msg('validation.timeZone.invalid'))]
+        },
+        {
+          name: 'notifications',
+          type: 'notificationMatrix',
+          label: 'fields.notifications.label',
+          channels: [
+            { value: 'email', label: 'fields.notifications.email' },
+            { value: 'inApp', label: 'fields.notifications.inApp' }
+          ],
+          categories: [
+            { value: 'security', label: 'fields.notifications.security', description: 'fields.notifications.securityDescription' },
+            { value: 'activity', label: 'fields.notifications.activity', description: 'fields.notifications.activityDescription' },
+            { value: 'product', label: 'fields.notifications.product', description: 'fields.notifications.productDescription' }
+          ],
+          defaultValue: { security: ['email', 'inApp'], activity: ['inApp'], product: ['email'] },
+          validators: [
+            validation.createRequiredChannelValidator('security', msg('validation.notifications.security'))
+          ]
+        },
+        {
+          name: 'interests',
+          type: 'tags',
+          label: 'fields.interests.label',
+          maxSelected: MAX_INTERESTS,
+          options: ['design', 'engineering', 'product', 'marketing', 'sales', 'data', 'ai', 'security']
+            .map(value => ({ value, label: `fields.interests.${value}` })),
+          validators: [
+            validation.createMaxSelectedValidator(MAX_INTERESTS, msg('validation.interests.max', { count: MAX_INTERESTS }))
+          ]
+        },
+        {
+          name: 'newsletter',
+          type: 'checkbox',
+          label: 'fields.newsletter.label',
+          description: 'fields.newsletter.description',
+          defaultValue: false,
+          // Marketing opt-in: never pre-ticked, and kept apart from the policies
+          consent: { purpose: 'marketing' }
+        },
+        {
+          name: 'newsletterFrequency',
+          type: 'select',
+          label: 'fields.newsletterFrequency.label',
+          defaultValue: 'weekly',
+          when: values => values.newsletter,
+          options: [
+            { value: 'weekly', label: 'fields.newsletterFrequency.weekly' },
+            { value: 'monthly', label: 'fields.newsletterFrequency.monthly' }
+          ]
+        }
+      ]
+    },
+    {
+      id: 'topics',
+      title: 'steps.topics.title',
+      description: 'steps.topics.description',
+      when: values => values.newsletter,
+      fields: [
+        {
+          name: 'newsletterTopics',
+          type: 'checkboxGroup',
+          label: 'fields.newsletterTopics.label',
+          required: true,
+          requiredMessage: msg('validation.newsletterTopics.required'),
+          options: [
+            { value: 'product', label: 'fields.newsletterTopics.product' },
+            { value: 'tips', label: 'fields.newsletterTopics.tips' },
+            { value: 'events', label: 'fields.newsletterTopics.events' },
+            { value: 'offers', label: 'fields.newsletterTopics.offers' }
+          ]
+        }
+      ]
+    },
+    {
+      id: 'consent',
+      title: 'steps.consent.title',
+      heading: 'steps.consent.heading',
+      description: 'steps.consent.description',
+      // Consent is given in the session that submits, so it is never restored from a draft
+      fields: [
+        {
+          name: 'acceptTerms',
+          type: 'consent',
+          label: 'fields.acceptTerms.label',
+          required: true,
+          requiredMessage: msg('validation.acceptTerms.required'),
+          document: { ...defaultPolicies.terms, ...policies.terms },
+          consent: { purpose: 'terms' },
+          persist: false
+        },
+        {
+          name: 'acceptPrivacy',
+          type: 'consent',
+          label: 'fields.acceptPrivacy.label',
+          required: true,
+          requiredMessage: msg('validation.acceptPrivacy.required'),
+          document: { ...defaultPolicies.privacy, ...policies.privacy },
+          consent: { purpose: 'privacy' },
+          persist: false
+        }
+      ]
+    }
+  ]
+}, validationRules);
+
+export const defaultOnboardingSchema = createOnboardingSchema();
+
+// Empty value used for a field type when the schema gives no defaultValue
+const typeDefaults = { checkbox: false, consent: false, checkboxGroup: [], tags: [], notificationMatrix: {} };
+const getTypeDefault = (type) => (type in typeDefaults ? typeDefaults[type] : '');
+
+// Steps and fields without a `when` condition are always shown
+const isShown = (item, values) => !item.when || !!item.when(values);
+
+/**
+ * The path the user is on: steps whose `when` passes, each with only its
+ * visible fields. Recompute whenever values change.
+ */
+export const getActiveSteps = (steps, values) =>
+  steps
+    .filter(step => isShown(step, values))
+    .map((step) => {
+      const fields = step.fields.filter(field => isShown(field, values));
+      return fields.length === step.fields.length ? step : { ...step, fields };
+    });
+
+// Build the initial form state from every field in the schema
+export const buildInitialValues = (schema) =>
+  schema.steps.reduce((values, step) => {
+    step.fields.forEach((field) => {
+      values[field.name] = field.defaultValue !== undefined
+        ? field.defaultValue
+        : getTypeDefault(field.type);
+    });
+    return values;
+  }, {});
+
+// Values sent to `onSubmit`: everything except fields marked `omitFromPayload`
+// and fields that are hidden on the current path (including whole skipped steps)
+export const buildSubmitPayload = (schema, values) => {
+  const activeFields = new Set(
+    getActiveSteps(schema.steps, values).flatMap(step => step.fields)
+  );
+  const omitted = new Set(
+    schema.steps
+      .flatMap(step => step.fields)
+      .filter(field => field.omitFromPayload || !activeFields.has(field))
+      .map(field => field.name)
+  );
+  return Object.fromEntries(Object.entries(values).filter(([name]) => !omitted.has(name)));
+};
@@ -3,3 +3,14 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+// jest-axe adds `toHaveNoViolations` for automated accessibility checks
+import { toHaveNoViolations } from 'jest-axe';
+import { webcrypto } from 'crypto';
+import { TextDecoder, TextEncoder } from 'util';
+
+expect.extend(toHaveNoViolations);
+
+// jsdom has no Web Crypto or text encoding; the OIDC sign-in (PKCE, ID tokens) needs them
+Object.defineProperty(window, 'crypto', { value: webcrypto });
+window.TextEncoder = TextEncoder;
+window.TextDecoder = TextDecoder;
@@ -0,0 +1 @@
+export { renderOnboarding, validDefaultAnswers } from './renderOnboarding';
@@ -0,0 +1,251 @@
+import { render, screen, within, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import OnboardingModal from '../components/OnboardingModal';
+import { getStepTabId } from '../components/StepIndicator';
+import { defaultOnboardingSchema } from '../schema/onboardingSchema';
+import { I18nProvider, builtInCatalogs, createTranslator, DEFAULT_LOCALE } from '../i18n';
+
+// Answers that pass every step of the default schema, keyed by step id
+export const validDefaultAnswers = {
+  personal: { fullName: 'Ada Lovelace', email: 'ada@example.com' },
+  account: { username: 'countess_ada', password: 'Engine1843', confirmPassword: 'Engine1843' },
+  preferences: { theme: 'dark' },
+  consent: { acceptTerms: true, acceptPrivacy: true }
+};
+
+/**
+ * ONBOARDING TEST HARNESS
+ * Renders OnboardingModal for a schema (open, inside an I18nProvider, in any
+ * `layout`) and drives it the way a user would, through Testing Library and
+ * user-event.
+ * Fields are found by name and filled according to their schema `type`;
+ * custom field components can be driven with the returned `user` instead.
+ * Button labels come from the chosen locale, so the same test runs in any
+ * language. `wrapper` wraps the tree (e.g. in a ThemeProvider); any other
+ * option is passed to OnboardingModal as a prop.
+ *
+ *   const onboarding = renderOnboarding({ schema: mySchema });
+ *   await onboarding.fillStep({ fullName: 'Ada Lovelace' });
+ *   await onboarding.next();
+ *   expect(onboarding.getCurrentStepId()).toBe('account');
+ *
+ * Without `onSubmit`, submissions resolve immediately and their payloads
+ * are collected in `submissions`.
+ */
+export const renderOnboarding = ({
+  schema = defaultOnboardingSchema,
+  locale = DEFAULT_LOCALE,
+  messages,
+  onSubmit,
+  user = userEvent.setup(),
+  wrapper,
+  ...modalProps
+} = {}) => {
+  const submissions = [];
+  const handleSubmit = onSubmit || (async (data) => {
+    submissions.push(data);
+    return { ok: true };
+  });
+
+  const t = createTranslator(
+    locale,
+    { ...builtInCatalogs[locale], ...messages?.[locale] },
+    builtInCatalogs[DEFAULT_LOCALE]
+  );
+  const fieldsByName = Object.fromEntries(
+    schema.steps.flatMap(step => step.fields.map(field => [field.name, field]))
+  );
+
+  const view = render(
+    <I18nProvider locale={locale} messages={messages}>
+      <OnboardingModal defaultOpen schema={schema} onSubmit={handleSubmit} {...modalProps} />
+    </I18nProvider>,
+    { wrapper }
+  );
+
+  // Overlay layouts are dialogs; 'page' and 'inline' render as a labelled region
+  const getDialog = () => screen.queryByRole('dialog')
+    || screen.getByRole('region', { name: t('modal.title') });
+  const getPanel = () => within(getDialog()).getByRole('tabpanel');
+  const getButton = (labelKey) => within(getDialog()).getByRole('button', { name: t(labelKey) });
+
+  const getCurrentStepId = () => {
+    const tab = within(getDialog()).getByRole('tab', { selected: true });
+    return schema.steps.find(step => getStepTabId(step) === tab.id)?.id;
+  };
+
+  // Wait until a navigation or submit has settled, i.e. no step check is in flight
+  const settle = () => waitFor(() => {
+    if (screen.queryByRole('button', { name: t('nav.checking') })) {
+      throw new Error('Step is still validating');
+    }
+  });
+
+  // The input (or radio group) for a field on the current step
+  const getField = (name) => {
+    const field = fieldsByName[name];
+    if (!field) throw new Error(`renderOnboarding: the schema has no field "${name}"`);
+
+    const panel = getPanel();
+    const element = field.type === 'theme'
+      ? panel.querySelector(`[aria-labelledby="${name}-label"]`)
+      : panel.querySelector(`[name="${name}"]`);
+    if (!element) throw new Error(`renderOnboarding: "${name}" is not on the current step`);
+    return element;
+  };
+
+  const fillField = async (name, value) => {
+    const field = fieldsByName[name];
+    const element = getField(name);
+
+    switch (field.type) {
+      case 'checkbox':
+      case 'consent':
+        if (element.checked !== !!value) await user.click(element);
+        break;
+      case 'checkboxGroup':
+        for (const input of getPanel().querySelectorAll(`input[name="${name}"]`)) {
+          if (value.includes(input.value) !== input.checked) await user.click(input);
+        }
+        break;
+      case 'select':
+        await user.selectOptions(element, value);
+        break;
+      case 'combobox': {
+        // Search for the option's label and pick the best match
+        const options = typeof field.options === 'function' ? field.options() : field.options;
+        const option = options.find(candidate => candidate.value === value);
+        await user.clear(element);
+        await user.type(element, option ? t(option.label) : value);
+        await user.keyboard('{Enter}');
+        break;
+      }
+      case 'tags':
+        for (const chip of getPanel().querySelectorAll(`button[name="${name}"]`)) {
+          const isPressed = chip.getAttribute('aria-pressed') === 'true';
+          if (value.includes(chip.value) !== isPressed) await user.click(chip);
+        }
+        break;
+      case 'notificationMatrix':
+        // `value` maps categories to channels, e.g. { security: ['email'] }
+        for (const input of getPanel().querySelectorAll(`input[name="${name}"]`)) {
+          const [category, channel] = input.value.split('.');
+          if (!!value[category]?.includes(channel) !== input.checked) await user.click(input);
+        }
+        break;
+      case 'avatar':
+        // `value` is a File; wait for the crop (field.processImage) to finish
+        if (value) await user.upload(element, value);
+        await waitFor(() => {
+          if (element.disabled) throw new Error('Still processing the image');
+        });
+        break;
+      case 'theme': {
+        const index = field.options.findIndex(option => option.value === value);
+        await user.click(within(element).getAllByRole('radio')[index]);
+        break;
+      }
+      default:
+        await user.clear(element);
+        if (value) await user.type(element, value);
+    }
+  };
+
+  const fillStep = async (values) => {
+    for (const [name, value] of Object.entries(values)) {
+      await fillField(name, value);
+    }
+  };
+
+  const next = async () => {
+    await user.click(getButton('nav.nextLabel'));
+    await settle();
+  };
+
+  const back = () => user.click(getButton('nav.backLabel'));
+
+  const submit = async () => {
+    const label = screen.queryByRole('button', { name: t('submit.retryLabel') })
+      ? 'submit.retryLabel'
+      : 'submit.completeLabel';
+    await user.click(getButton(label));
+    await settle();
+  };
+
+  const close = () => user.click(getButton('modal.close'));
+
+  const selectStep = async (stepId) => {
+    await user.click(document.getElementById(getStepTabId({ id: stepId })));
+    await settle();
+  };
+
+  // Sign in on the sign-in step through a provider's popup (e.g. a mock
+  // provider, see auth/mockOidcProvider) and wait until it has finished
+  const signInWith = async (providerLabel) => {
+    await user.click(within(getDialog()).getByRole('button', {
+      name: t('signIn.continueWith', { provider: providerLabel })
+    }));
+    await waitFor(() => {
+      if (screen.queryByRole('button', { name: t('signIn.waiting', { provider: providerLabel }) })) {
+        throw new Error('Still signing in');
+      }
+    }, { timeout: 5000 });
+    await settle();
+  };
+
+  // Type a one-time code on the email verification step once it has been
+  // sent, then wait until it has been checked (see api/emailVerification)
+  const enterVerificationCode = async (code) => {
+    const panel = getPanel();
+    await within(panel).findByText(t('verifyEmail.sentTo', { email: '' }).trim(), { exact: false });
+    await user.click(within(panel).getByRole('textbox', {
+      name: t('verifyEmail.digitLabel', { current: 1, total: code.length })
+    }));
+    await user.keyboard(code);
+    await waitFor(() => {
+      if (screen.queryByText(t('verifyEmail.verifying'))) throw new Error('Still checking the code');
+    });
+    await settle();
+  };
+
+  // Fill and advance through every step with `answers[stepId]`, then submit.
+  // Throws if a step refuses to advance, naming the step.
+  const completeOnboarding = async (answers = validDefaultAnswers) => {
+    for (let guard = 0; guard < schema.steps.length; guard += 1) {
+      const stepId = getCurrentStepId();
+      await fillStep(answers[stepId] || {});
+
+      if (!within(getDialog()).queryByRole('button', { name: t('nav.nextLabel') })) {
+        await submit();
+        return;
+      }
+
+      await next();
+      if (getCurrentStepId() === stepId) {
+        throw new Error(`renderOnboarding: step "${stepId}" did not validate`);
+      }
+    }
+    throw new Error('renderOnboarding: never reached the last step');
+  };
+
+  return {
+    ...view,
+    user,
+    t,
+    submissions,
+    getDialog,
+    getButton,
+    getCurrentStepId,
+    getField,
+    fillField,
+    fillStep,
+    next,
+    back,
+    submit,
+    close,
+    selectStep,
+    signInWith,
+    enterVerificationCode,
+    completeOnboarding
+  };
+};
@@ -0,0 +1,92 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { createLocalStorageAdapter } from '../persistence/draftStorage';
+
+export const THEME_PREFERENCES = ['light', 'dark', 'system'];
+
+export const DEFAULT_THEME_KEY = 'quixess:theme';
+
+const DARK_SCHEME_QUERY = '(prefers-color-scheme: dark)';
+
+const defaultStorage = createLocalStorageAdapter();
+
+const getDarkSchemeQuery = () =>
+  (typeof window !== 'undefined' && window.matchMedia ? window.matchMedia(DARK_SCHEME_QUERY) : null);
+
+export const isThemePreference = (value) => THEME_PREFERENCES.includes(value);
+
+// 'light' | 'dark' for a preference; 'system' follows the OS setting
+export const resolveTheme = (preference) => {
+  if (preference === 'system') return getDarkSchemeQuery()?.matches ? 'dark' : 'light';
+  return preference === 'dark' ? 'dark' : 'light';
+};
+
+// Without a provider, components render light and nothing is persisted
+const ThemeContext = createContext({
+  preference: 'light',
+  theme: 'light',
+  isDark: false,
+  setPreference: null
+});
+
+/**
+ * THEME PROVIDER
+ * Applies Tailwind's class-based dark mode (the `dark` class plus
+ * `color-scheme`) to the document root and remembers the user's choice.
+ * `storage` is a Web Storage shaped adapter (see persistence/draftStorage);
+ * pass `storage={null}` to keep the choice in memory only.
+ */
+export const ThemeProvider = ({
+  defaultPreference = 'system',
+  storage = defaultStorage,
+  storageKey = DEFAULT_THEME_KEY,
+  children
+}) => {
+  const [preference, setPreferenceState] = useState(defaultPreference);
+  const [systemTheme, setSystemTheme] = useState(() => resolveTheme('system'));
+
+  // Restore the saved choice; adapters may be async
+  useEffect(() => {
+    if (!storage) return undefined;
+
+    let isCurrent = true;
+    Promise.resolve(storage.getItem(storageKey)).then((saved) => {
+      if (isCurrent && isThemePreference(saved)) setPreferenceState(saved);
+    });
+    return () => { isCurrent = false; };
+  }, [storage, storageKey]);
+
+  // Follow OS changes while the preference is 'system'
+  useEffect(() => {
+    const query = getDarkSchemeQuery();
+    if (!query) return undefined;
+
+    const handleChange = () => setSystemTheme(query.matches ? 'dark' : 'light');
+    query.addEventListener('change', handleChange);
+    return () => query.removeEventListener('change', handleChange);
+  }, []);
+
+  const theme = preference === 'system' ? systemTheme : resolveTheme(preference);
+
+  useEffect(() => {
+    const root = document.documentElement;
+    root.classList.toggle('dark', theme === 'dark');
+    root.style.colorScheme = theme;
+  }, [theme]);
+
+  const setPreference = useCallback((next) => {
+    if (!isThemePreference(next)) return;
+
+    setPreferenceState(next);
+    storage?.setItem(storageKey, next);
+  }, [storage, storageKey]);
+
+  const value = useMemo(
+    () => ({ preference, theme, isDark: theme === 'dark', setPreference }),
+    [preference, theme, setPreference]
+  );
+
+  return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
+};
+
+// { preference, theme, isDark, setPreference } for the nearest provider
+export const useTheme = () => useContext(ThemeContext);
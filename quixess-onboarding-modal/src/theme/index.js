@@ -0,0 +1,3 @@
+export {
+  ThemeProvider, useTheme, resolveTheme, isThemePreference, THEME_PREFERENCES, DEFAULT_THEME_KEY
+} from './ThemeProvider';
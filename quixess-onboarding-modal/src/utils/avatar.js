@@ -0,0 +1,130 @@
+import { msg } from '../i18n/translator';
+
+/**
+ * AVATAR IMAGES
+ * File checks, the square crop and the initials fallback behind the avatar
+ * field. `processImage` turns an accepted file into the submitted value: by
+ * default a centered square, resized to `size` pixels on a canvas, as a data
+ * URL (or a Blob with `output: 'blob'`).
+ */
+export const defaultAvatarOptions = {
+  accept: ['image/jpeg', 'image/png', 'image/webp', 'image/gif'],
+  maxBytes: 5 * 1024 * 1024,
+  size: 256,
+  format: 'image/png',
+  quality: 0.92,
+  output: 'dataUrl'
+};
+
+// Message descriptor for a file the field won't take, or null
+export const checkAvatarFile = (file, { accept, maxBytes } = defaultAvatarOptions) => {
+  if (!accept.includes(file.type)) {
+    return msg('validation.avatar.type');
+  }
+  if (file.size > maxBytes) {
+    return msg('validation.avatar.size', { size: Math.round(maxBytes / (1024 * 1024)) });
+  }
+  return null;
+};
+
+// Largest centered square of a width × height image
+export const getSquareCrop = (width, height) => {
+  const size = Math.min(width, height);
+  return { x: Math.round((width - size) / 2), y: Math.round((height - size) / 2), size };
+};
+
+const loadImage = (file) => {
+  if (typeof createImageBitmap === 'function') return createImageBitmap(file);
+
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error(`Could not read ${file.name} as an image`));
+    };
+    image.src = url;
+  });
+};
+
+const canvasToBlob = (canvas, format, quality) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode the avatar'))), format, quality);
+});
+
+// Default `processImage`: center-crop to a square and resize to `size`
+export const cropImageToSquare = async (file, {
+  size = defaultAvatarOptions.size,
+  format = defaultAvatarOptions.format,
+  quality = defaultAvatarOptions.quality,
+  output = defaultAvatarOptions.output
+} = {}) => {
+  const image = await loadImage(file);
+  const crop = getSquareCrop(image.width, image.height);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const context = canvas.getContext('2d');
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(image, crop.x, crop.y, crop.size, crop.size, 0, 0, size, size);
+  image.close?.();
+
+  return output === 'blob' ? canvasToBlob(canvas, format, quality) : canvas.toDataURL(format, quality);
+};
+
+// "Ada Lovelace" -> "AL", "Plato" -> "P"; code points, so emoji and accents stay whole
+export const getInitials = (fullName = '') => {
+  const words = String(fullName).trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return '';
+
+  const first = Array.from(words[0])[0];
+  const last = words.length > 1 ? Array.from(words[words.length - 1])[0] : '';
+  return `${first}${last}`.toLocaleUpperCase();
+};
+
+// Palette key (what the backend gets) -> Tailwind class (what the field renders)
+const initialsColors = {
+  blue: 'bg-blue-500',
+  indigo: 'bg-indigo-500',
+  purple: 'bg-purple-500',
+  pink: 'bg-pink-500',
+  red: 'bg-red-500',
+  orange: 'bg-orange-500',
+  teal: 'bg-teal-600',
+  green: 'bg-green-600'
+};
+const initialsColorKeys = Object.keys(initialsColors);
+
+// Stable palette key for a name, so the same person always gets the same avatar
+export const getInitialsColorKey = (fullName = '') => {
+  let hash = 0;
+  for (const char of String(fullName).trim().toLowerCase()) {
+    hash = (hash * 31 + char.codePointAt(0)) % 1000003;
+  }
+  return initialsColorKeys[hash % initialsColorKeys.length];
+};
+
+export const getInitialsColor = (fullName = '') => initialsColors[getInitialsColorKey(fullName)];
+
+/**
+ * For each avatar field on `steps` left without a photo: `[name]: null` plus
+ * `[name]Fallback: { initials, color }`, the initials avatar the user saw
+ * (`color` is a palette key such as 'indigo'), so the backend can draw the
+ * same one. Merged into the submitted data.
+ */
+export const buildAvatarFallbacks = (steps, values) => Object.fromEntries(
+  steps
+    .flatMap(step => step.fields)
+    .filter(field => field.type === 'avatar' && !values[field.name])
+    .flatMap(field => [
+      [field.name, null],
+      [`${field.name}Fallback`, {
+        initials: getInitials(values.fullName),
+        color: getInitialsColorKey(values.fullName)
+      }]
+    ])
+);
@@ -0,0 +1,62 @@
+import {
+  defaultAvatarOptions, checkAvatarFile, getSquareCrop, getInitials, getInitialsColor,
+  getInitialsColorKey, buildAvatarFallbacks
+} from './avatar';
+import { msg } from '../i18n/translator';
+
+const fileOf = (type, size) => ({ name: 'photo', type, size });
+
+describe('avatar helpers', () => {
+  describe('checkAvatarFile', () => {
+    it('accepts a small image', () => {
+      expect(checkAvatarFile(fileOf('image/png', 1024))).toBeNull();
+    });
+
+    it('rejects other file types', () => {
+      expect(checkAvatarFile(fileOf('application/pdf', 1024))).toEqual(msg('validation.avatar.type'));
+    });
+
+    it('rejects files over the size limit', () => {
+      expect(checkAvatarFile(fileOf('image/jpeg', defaultAvatarOptions.maxBytes + 1)))
+        .toEqual(msg('validation.avatar.size', { size: 5 }));
+    });
+  });
+
+  it('crops the largest centered square', () => {
+    expect(getSquareCrop(400, 300)).toEqual({ x: 50, y: 0, size: 300 });
+    expect(getSquareCrop(300, 401)).toEqual({ x: 0, y: 51, size: 300 });
+  });
+
+  describe('getInitials', () => {
+    it.each([
+      ['Ada Lovelace', 'AL'],
+      ['  grace brewster murray hopper ', 'GH'],
+      ['Plato', 'P'],
+      ['émilie du Châtelet', 'ÉC'],
+      ['', '']
+    ])('turns %p into %p', (fullName, initials) => {
+      expect(getInitials(fullName)).toBe(initials);
+    });
+  });
+
+  it('picks the same color for the same name', () => {
+    expect(getInitialsColor('Ada Lovelace')).toBe(getInitialsColor(' ada lovelace'));
+    expect(getInitialsColor('Ada Lovelace')).toMatch(/^bg-/);
+    expect(getInitialsColor('Ada Lovelace')).toContain(getInitialsColorKey('Ada Lovelace'));
+  });
+
+  describe('buildAvatarFallbacks', () => {
+    const steps = [{ id: 'personal', fields: [{ name: 'fullName', type: 'text' }, { name: 'avatar', type: 'avatar' }] }];
+
+    it('describes the initials avatar when there is no photo', () => {
+      expect(buildAvatarFallbacks(steps, { fullName: 'Ada Lovelace', avatar: '' })).toEqual({
+        avatar: null,
+        avatarFallback: { initials: 'AL', color: getInitialsColorKey('Ada Lovelace') }
+      });
+    });
+
+    it('adds nothing once a photo is chosen', () => {
+      expect(buildAvatarFallbacks(steps, { fullName: 'Ada Lovelace', avatar: 'data:image/jpeg;base64,AA==' })).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * CONSENT
+ * Policy documents shown by `consent` fields, and the record that proves
+ * what the user agreed to. Any field with `consent: { purpose }` (e.g. the
+ * terms checkbox, or the newsletter opt-in) ends up in the record with the
+ * wording exactly as it was shown, in the user's language:
+ *
+ *   {
+ *     recordedAt: '2026-10-19T09:30:00.000Z',
+ *     locale: 'en',
+ *     consents: [{
+ *       purpose: 'terms', field: 'acceptTerms', granted: true,
+ *       text: 'I have read and agree to the Terms of Service',
+ *       document: { id: 'terms', version: '2026-09-01', title: 'Terms of Service' }
+ *     }]
+ *   }
+ */
+
+// A document is { id, version, title, body, url?, requireScroll? }; `body`
+// paragraphs are separated by blank lines. Bump `version` whenever the text changes.
+export const defaultPolicies = {
+  terms: {
+    id: 'terms',
+    version: '2026-09-01',
+    title: 'policies.terms.title',
+    body: 'policies.terms.body',
+    requireScroll: true
+  },
+  privacy: {
+    id: 'privacy',
+    version: '2026-09-01',
+    title: 'policies.privacy.title',
+    body: 'policies.privacy.body',
+    requireScroll: false
+  }
+};
+
+// The agreement as the user read it: the field's label and description line
+export const getConsentText = (field, t) =>
+  [t(field.label), t(field.description)].filter(Boolean).join(' ');
+
+/**
+ * Build the consent record for the fields on the user's path (`steps`, see
+ * getActiveSteps); null when none of them asks for consent. Unticked boxes
+ * are recorded too, as `granted: false`.
+ */
+export const buildConsentRecord = (steps, values, { t, locale, now = new Date() }) => {
+  const fields = steps.flatMap(step => step.fields).filter(field => field.consent);
+  if (fields.length === 0) return null;
+
+  return {
+    recordedAt: now.toISOString(),
+    locale,
+    consents: fields.map(({ document: policy, ...field }) => ({
+      purpose: field.consent.purpose,
+      field: field.name,
+      granted: values[field.name] === true,
+      text: getConsentText(field, t),
+      ...(policy && {
+        document: {
+          id: policy.id,
+          version: policy.version,
+          title: t(policy.title),
+          ...(policy.url && { url: policy.url })
+        }
+      })
+    }))
+  };
+};
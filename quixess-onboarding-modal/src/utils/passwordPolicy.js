@@ -0,0 +1,131 @@
+import { msg } from '../i18n/translator';
+
+/**
+ * PASSWORD POLICY
+ * Configurable rules shared by the password validator, the live checklist
+ * and the strength meter.
+ */
+export const defaultPasswordPolicy = {
+  minLength: 8,
+  requireLowercase: true,
+  requireUppercase: true,
+  requireNumber: true,
+  requireSymbol: false,
+  disallowPersonalInfo: true
+};
+
+const characterClasses = {
+  lowercase: /[a-z]/,
+  uppercase: /[A-Z]/,
+  number: /\d/,
+  symbol: /[^A-Za-z0-9]/
+};
+
+// Parts of the user's own details that must not appear in the password
+const getPersonalTokens = (values = {}) => {
+  const email = String(values.email || '').toLowerCase();
+  const tokens = [String(values.username || ''), email, email.split('@')[0]];
+  return tokens.map(token => token.trim().toLowerCase()).filter(token => token.length >= 3);
+};
+
+// Ordered rule list for a policy: { id, label, message, test(password, values) }
+// `label` and `message` are translatable message descriptors
+export const getPasswordRules = (policy = defaultPasswordPolicy) => {
+  const rules = [
+    {
+      id: 'minLength',
+      label: msg('password.rules.minLength', { count: policy.minLength }),
+      message: msg('validation.password.minLength', { count: policy.minLength }),
+      test: (password) => password.length >= policy.minLength
+    }
+  ];
+
+  if (policy.requireLowercase) {
+    rules.push({
+      id: 'lowercase',
+      label: msg('password.rules.lowercase'),
+      message: msg('validation.password.lowercase'),
+      test: (password) => characterClasses.lowercase.test(password)
+    });
+  }
+  if (policy.requireUppercase) {
+    rules.push({
+      id: 'uppercase',
+      label: msg('password.rules.uppercase'),
+      message: msg('validation.password.uppercase'),
+      test: (password) => characterClasses.uppercase.test(password)
+    });
+  }
+  if (policy.requireNumber) {
+    rules.push({
+      id: 'number',
+      label: msg('password.rules.number'),
+      message: msg('validation.password.number'),
+      test: (password) => characterClasses.number.test(password)
+    });
+  }
+  if (policy.requireSymbol) {
+    rules.push({
+      id: 'symbol',
+      label: msg('password.rules.symbol'),
+      message: msg('validation.password.symbol'),
+      test: (password) => characterClasses.symbol.test(password)
+    });
+  }
+  if (policy.disallowPersonalInfo) {
+    rules.push({
+      id: 'personalInfo',
+      label: msg('password.rules.personalInfo'),
+      message: msg('validation.password.personalInfo'),
+      test: (password, values) => {
+        const lowered = password.toLowerCase();
+        return !getPersonalTokens(values).some(token => lowered.includes(token));
+      }
+    });
+  }
+
+  return rules;
+};
+
+// Checklist state for the UI: [{ id, label, passed }]
+export const evaluatePassword = (password, values, policy = defaultPasswordPolicy) =>
+  getPasswordRules(policy).map(rule => ({
+    id: rule.id,
+    label: rule.label,
+    passed: rule.test(password, values)
+  }));
+
+export const strengthLabels = [0, 1, 2, 3, 4].map(score => `password.strength.${score}`);
+
+/**
+ * Heuristic strength score from 0 (very weak) to 4 (strong), based on length
+ * and character variety. Passwords containing personal details cap at 1.
+ */
+export const getPasswordStrength = (password, values) => {
+  if (!password) return { score: 0, label: strengthLabels[0] };
+
+  const classCount = Object.values(characterClasses).filter(regex => regex.test(password)).length;
+  let points = 0;
+  if (password.length >= 8) points += 1;
+  if (password.length >= 12) points += 1;
+  if (classCount >= 2) points += 1;
+  if (classCount >= 3) points += 1;
+  if (classCount === 4) points += 1;
+
+  const lowered = password.toLowerCase();
+  const hasPersonalInfo = getPersonalTokens(values).some(token => lowered.includes(token));
+
+  const score = Math.min(hasPersonalInfo ? 1 : 4, Math.max(0, points - 1));
+  return { score, label: strengthLabels[score] };
+};
+
+// Validator `(password, values) => message | null` enforcing the policy
+export const createPasswordValidator = (policy = defaultPasswordPolicy) => {
+  const rules = getPasswordRules(policy);
+
+  return (password, values) => {
+    if (!password.trim()) return msg('validation.password.required');
+    const failed = rules.find(rule => !rule.test(password, values));
+    return failed ? failed.message : null;
+  };
+};
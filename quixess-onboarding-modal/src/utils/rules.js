@@ -0,0 +1,224 @@
+import { isEmptyValue } from './validation';
+import { msg } from '../i18n/translator';
+
+/**
+ * VALIDATION RULES
+ * Declarative checks that the server can share with the client as JSON (see
+ * api/validationRules), so both validate against one definition. A rule
+ * names the field it guards and a `type` from `ruleTypes`, with that type's
+ * options, an optional `message` and an optional `trigger`:
+ *
+ *   {
+ *     version: 1,
+ *     rules: [{
+ *       field: 'password', type: 'notEqualsField', other: 'username', ignoreCase: true,
+ *       message: 'validation.password.sameAsUsername', trigger: 'change'
+ *     }]
+ *   }
+ *
+ * `message` is a message key, literal text or `{ key, values }`; without one
+ * the type's default message is used. `trigger` is 'change', 'blur' (the
+ * field's default) or 'step' (see utils/validation). Rules that compare with
+ * another field (`other`) are re-checked when that field changes.
+ * Rules come from outside the bundle, so their options are checked up front:
+ * a rule that can't be used (unknown type, a bad pattern, missing values) is
+ * skipped with a warning rather than breaking the form.
+ */
+
+const toComparable = (value, ignoreCase) =>
+  (ignoreCase && typeof value === 'string' ? value.toLowerCase() : value);
+
+const getEmailLocalPart = email => String(email || '').split('@')[0];
+
+const invalidRule = (rule, problem) =>
+  new TypeError(`Invalid "${rule.type}" validation rule for "${rule.field}": ${problem}`);
+
+const requireLength = (rule) => {
+  if (!Number.isInteger(rule.value) || rule.value < 0) {
+    throw invalidRule(rule, '`value` must be a whole number');
+  }
+  return rule;
+};
+
+const requireOtherField = (rule) => {
+  if (typeof rule.other !== 'string' || !rule.other) throw invalidRule(rule, '`other` must name a field');
+  return rule;
+};
+
+// Each type has `test(value, rule, values) => boolean` and a default
+// `message({ field, other }, rule)`, given the fields' labels. An optional
+// `prepare(rule)` checks the rule's options once, returning the rule to test
+// with (e.g. with its pattern compiled) or throwing a TypeError.
+// Empty values pass every type except `required`, so optional fields can carry rules.
+export const ruleTypes = {
+  required: {
+    checksEmpty: true,
+    test: value => !isEmptyValue(value),
+    message: ({ field }) => msg('validation.required', { field })
+  },
+  minLength: {
+    prepare: requireLength,
+    test: (value, rule) => String(value).length >= rule.value,
+    message: ({ field }, rule) => msg('validation.rules.minLength', { field, count: rule.value })
+  },
+  maxLength: {
+    prepare: requireLength,
+    test: (value, rule) => String(value).length <= rule.value,
+    message: ({ field }, rule) => msg('validation.rules.maxLength', { field, count: rule.value })
+  },
+  pattern: {
+    // 'g' and 'y' are dropped: they would make each test start where the last one stopped
+    prepare: (rule) => {
+      if (typeof rule.pattern !== 'string') throw invalidRule(rule, '`pattern` must be a string');
+      try {
+        return { ...rule, regex: new RegExp(rule.pattern, String(rule.flags ?? '').replace(/[gy]/g, '')) };
+      } catch (error) {
+        throw invalidRule(rule, error.message);
+      }
+    },
+    test: (value, rule) => rule.regex.test(String(value)),
+    message: ({ field }) => msg('validation.rules.pattern', { field })
+  },
+  oneOf: {
+    prepare: (rule) => {
+      if (!Array.isArray(rule.values)) throw invalidRule(rule, '`values` must be a list');
+      return rule;
+    },
+    test: (value, rule) => rule.values.includes(value),
+    message: ({ field }) => msg('validation.rules.oneOf', { field })
+  },
+  equalsField: {
+    prepare: requireOtherField,
+    test: (value, rule, values) =>
+      toComparable(value, rule.ignoreCase) === toComparable(values[rule.other], rule.ignoreCase),
+    message: ({ field, other }) => msg('validation.rules.equalsField', { field, other })
+  },
+  notEqualsField: {
+    prepare: requireOtherField,
+    test: (value, rule, values) =>
+      toComparable(value, rule.ignoreCase) !== toComparable(values[rule.other], rule.ignoreCase),
+    message: ({ field, other }) => msg('validation.rules.notEqualsField', { field, other })
+  },
+  // Email addresses are case-insensitive, so this one always is too
+  notEmailLocalPart: {
+    prepare: requireOtherField,
+    test: (value, rule, values) =>
+      String(value).toLowerCase() !== getEmailLocalPart(values[rule.other]).toLowerCase(),
+    message: ({ field }) => msg('validation.rules.notEmailLocalPart', { field })
+  }
+};
+
+// The built-in rule set, also served by the mock server
+export const defaultValidationRules = {
+  version: 1,
+  rules: [
+    {
+      field: 'password',
+      type: 'notEqualsField',
+      other: 'username',
+      ignoreCase: true,
+      message: 'validation.password.sameAsUsername',
+      trigger: 'change'
+    },
+    {
+      field: 'username',
+      type: 'notEmailLocalPart',
+      other: 'email',
+      message: 'validation.username.sameAsEmail'
+    }
+  ]
+};
+
+// Accepts `{ version, rules }` or a plain array of rules
+const getRuleList = (rules) => {
+  const list = Array.isArray(rules) ? rules : rules?.rules;
+  return Array.isArray(list) ? list : [];
+};
+
+/**
+ * Turn one rule into a field validator carrying the rule's `trigger` and
+ * `dependsOn`. `labels` ({ field, other }) fill in the default messages.
+ * Throws a TypeError for an unknown `type` or options the type can't use.
+ */
+export const createRuleValidator = (rule, { labels = {}, types = ruleTypes } = {}) => {
+  if (!rule || typeof rule !== 'object') throw new TypeError('A validation rule must be an object');
+
+  const type = types[rule.type];
+  if (!type) throw new TypeError(`Unknown validation rule type "${rule.type}"`);
+
+  const prepared = type.prepare ? type.prepare(rule) : rule;
+  const message = rule.message
+    || type.message({ field: labels.field ?? rule.field, other: labels.other ?? rule.other }, prepared);
+
+  const validator = (value, values = {}) => {
+    if (!type.checksEmpty && isEmptyValue(value)) return null;
+    return type.test(value, prepared, values) ? null : message;
+  };
+  validator.trigger = rule.trigger;
+  validator.dependsOn = rule.other ? [rule.other] : [];
+  return validator;
+};
+
+// createRuleValidator, skipping (with a warning) a rule it can't use
+const createValidatorOrWarn = (rule, options) => {
+  try {
+    return createRuleValidator(rule, options);
+  } catch (error) {
+    if (!(error instanceof TypeError)) throw error;
+    console.warn(`Skipping validation rule: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Add rules to a schema: each rule becomes a validator after the field's own.
+ * Returns a new schema. Rules for fields the schema doesn't have, of unknown
+ * types (say, from a newer server) or with invalid options are skipped with
+ * a warning.
+ */
+export const applyValidationRules = (schema, rules, { types = ruleTypes } = {}) => {
+  const fieldsByName = Object.fromEntries(
+    schema.steps.flatMap(step => step.fields.map(field => [field.name, field]))
+  );
+  const validatorsByField = {};
+
+  getRuleList(rules).forEach((rule) => {
+    const field = fieldsByName[rule?.field];
+    if (!field) {
+      console.warn(`Skipping validation rule "${rule?.type}" for "${rule?.field}": unknown field`);
+      return;
+    }
+
+    const labels = { field: field.label, other: fieldsByName[rule.other]?.label };
+    const validator = createValidatorOrWarn(rule, { labels, types });
+    if (!validator) return;
+
+    validatorsByField[rule.field] = [...(validatorsByField[rule.field] || []), validator];
+  });
+
+  if (Object.keys(validatorsByField).length === 0) return schema;
+
+  return {
+    ...schema,
+    steps: schema.steps.map(step => ({
+      ...step,
+      fields: step.fields.map(field => (validatorsByField[field.name]
+        ? { ...field, validators: [...(field.validators || []), ...validatorsByField[field.name]] }
+        : field))
+    }))
+  };
+};
+
+/**
+ * Check submitted values against a rule set, e.g. on the server. Returns an
+ * errors map with the first failing rule's message for each field. Rules it
+ * can't use are skipped with a warning, as in applyValidationRules.
+ */
+export const validateWithRules = (rules, values, { types = ruleTypes } = {}) =>
+  getRuleList(rules).reduce((errors, rule) => {
+    if (errors[rule?.field]) return errors;
+
+    const validator = createValidatorOrWarn(rule, { types });
+    const error = validator && validator(values[rule.field], values);
+    return error ? { ...errors, [rule.field]: error } : errors;
+  }, {});
@@ -0,0 +1,165 @@
+import {
+  ruleTypes, defaultValidationRules, createRuleValidator, applyValidationRules, validateWithRules
+} from './rules';
+import { validateField } from './validation';
+import { createOnboardingSchema } from '../schema/onboardingSchema';
+import { msg } from '../i18n/translator';
+
+const getField = (schema, name) =>
+  schema.steps.flatMap(step => step.fields).find(field => field.name === name);
+
+describe('ruleTypes', () => {
+  it.each([
+    [{ type: 'minLength', value: 3 }, 'abc', 'ab'],
+    [{ type: 'maxLength', value: 3 }, 'abc', 'abcd'],
+    [{ type: 'pattern', pattern: '^[a-z]+$', flags: 'i' }, 'Ada', 'ada1'],
+    [{ type: 'oneOf', values: ['a', 'b'] }, 'a', 'c'],
+    [{ type: 'equalsField', other: 'email' }, 'ada@example.com', 'bob@example.com'],
+    [{ type: 'notEqualsField', other: 'email', ignoreCase: true }, 'bob@example.com', 'ADA@example.com'],
+    [{ type: 'notEmailLocalPart', other: 'email' }, 'lovelace', 'Ada']
+  ])('%p accepts %p and rejects %p', (rule, passing, failing) => {
+    const type = ruleTypes[rule.type];
+    const prepared = type.prepare ? type.prepare(rule) : rule;
+    const values = { email: 'ada@example.com' };
+
+    expect(type.test(passing, prepared, values)).toBe(true);
+    expect(type.test(failing, prepared, values)).toBe(false);
+  });
+});
+
+describe('createRuleValidator', () => {
+  it('uses the type\'s message with the field labels unless the rule has its own', () => {
+    const rule = { field: 'nickname', type: 'minLength', value: 3 };
+
+    expect(createRuleValidator(rule, { labels: { field: 'Nickname' } })('ab'))
+      .toEqual(msg('validation.rules.minLength', { field: 'Nickname', count: 3 }));
+    expect(createRuleValidator({ ...rule, message: 'Too short' })('ab')).toBe('Too short');
+  });
+
+  it('leaves empty values to `required`', () => {
+    expect(createRuleValidator({ field: 'nickname', type: 'minLength', value: 3 })('')).toBeNull();
+    expect(createRuleValidator({ field: 'nickname', type: 'required' })(''))
+      .toEqual(msg('validation.required', { field: 'nickname' }));
+  });
+
+  it('carries the trigger and the field it compares with', () => {
+    const validator = createRuleValidator({ field: 'a', type: 'equalsField', other: 'b', trigger: 'change' });
+
+    expect(validator.trigger).toBe('change');
+    expect(validator.dependsOn).toEqual(['b']);
+  });
+
+  it('throws for an unknown type', () => {
+    expect(() => createRuleValidator({ field: 'a', type: 'palindrome' })).toThrow(TypeError);
+  });
+
+  it.each([
+    ['a pattern that does not compile', { type: 'pattern', pattern: '(' }],
+    ['a pattern that is not text', { type: 'pattern', pattern: 5 }],
+    ['oneOf without values', { type: 'oneOf' }],
+    ['a length that is not a number', { type: 'minLength', value: '3' }],
+    ['a comparison without the other field', { type: 'notEqualsField' }]
+  ])('throws a TypeError for %s', (description, rule) => {
+    expect(() => createRuleValidator({ field: 'a', ...rule })).toThrow(TypeError);
+  });
+
+  it('compiles a pattern once and ignores stateful flags', () => {
+    const RealRegExp = global.RegExp;
+    const spy = jest.spyOn(global, 'RegExp').mockImplementation((...args) => new RealRegExp(...args));
+    try {
+      const validator = createRuleValidator({ field: 'code', type: 'pattern', pattern: '^[a-z]+$', flags: 'gi' });
+
+      expect(validator('Abc')).toBeNull();
+      expect(validator('Abc')).toBeNull();
+      expect(validator('Ab1')).toBeTruthy();
+      expect(spy).toHaveBeenCalledTimes(1);
+    } finally {
+      spy.mockRestore();
+    }
+  });
+});
+
+describe('applyValidationRules', () => {
+  it('adds the default cross-field rules to the onboarding schema', () => {
+    const schema = createOnboardingSchema();
+    const values = { username: 'ada_lovelace', email: 'ada_lovelace@example.com' };
+
+    expect(validateField(getField(schema, 'username'), 'ada_lovelace', values))
+      .toEqual('validation.username.sameAsEmail');
+    expect(getField(schema, 'password').validators.at(-1).dependsOn).toEqual(['username']);
+  });
+
+  it('runs rules after the field\'s own validators', () => {
+    const schema = createOnboardingSchema({
+      validationRules: [{ field: 'username', type: 'maxLength', value: 5, message: 'Five at most' }]
+    });
+
+    expect(validateField(getField(schema, 'username'), 'ab')).toEqual(msg('validation.username.minLength', { count: 3 }));
+    expect(validateField(getField(schema, 'username'), 'abcdef')).toBe('Five at most');
+  });
+
+  it('skips rules for unknown fields or types with a warning', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    try {
+      const schema = { steps: [{ id: 'one', fields: [{ name: 'a', label: 'A' }] }] };
+      const rules = [{ field: 'b', type: 'required' }, { field: 'a', type: 'palindrome' }];
+
+      expect(applyValidationRules(schema, rules)).toBe(schema);
+      expect(warn).toHaveBeenCalledTimes(2);
+    } finally {
+      warn.mockRestore();
+    }
+  });
+
+  it('skips malformed rules from the server and keeps the form working', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    try {
+      const schema = createOnboardingSchema({
+        validationRules: [
+          { field: 'username', type: 'pattern', pattern: '(' },
+          { field: 'username', type: 'oneOf' },
+          null,
+          { field: 'username', type: 'maxLength', value: 5, message: 'Five at most' }
+        ]
+      });
+
+      expect(warn).toHaveBeenCalledTimes(3);
+      expect(validateField(getField(schema, 'username'), 'ada_l')).toBeNull();
+      expect(validateField(getField(schema, 'username'), 'ada_lovelace')).toBe('Five at most');
+    } finally {
+      warn.mockRestore();
+    }
+  });
+});
+
+describe('validateWithRules', () => {
+  it('skips rules it cannot use', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    try {
+      const rules = [{ field: 'code', type: 'pattern', pattern: '[' }, { field: 'code', type: 'required' }];
+
+      expect(validateWithRules(rules, { code: '' })).toEqual({ code: msg('validation.required', { field: 'code' }) });
+      expect(warn).toHaveBeenCalledTimes(1);
+    } finally {
+      warn.mockRestore();
+    }
+  });
+
+  it('reports the first failing rule for each field', () => {
+    const rules = {
+      version: 1,
+      rules: [
+        { field: 'username', type: 'required', message: 'Required' },
+        { field: 'username', type: 'minLength', value: 3 },
+        ...defaultValidationRules.rules
+      ]
+    };
+
+    expect(validateWithRules(rules, { username: '', password: 'x', email: 'ada@example.com' }))
+      .toEqual({ username: 'Required' });
+    expect(validateWithRules(rules, { username: 'ada', password: 'ADA', email: 'ada@example.com' })).toEqual({
+      username: 'validation.username.sameAsEmail',
+      password: 'validation.password.sameAsUsername'
+    });
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * TIME ZONES
+ * Options for the timezone picker: every IANA zone the runtime knows, as
+ * `{ value: 'Europe/Paris', label: 'Europe/Paris', description: 'GMT+2' }`,
+ * with the current UTC offset to help searching ("gmt+2", "paris").
+ */
+
+// Used where Intl.supportedValuesOf is missing (older browsers)
+const fallbackTimeZones = [
+  'UTC', 'America/Los_Angeles', 'America/Denver', 'America/Chicago', 'America/New_York',
+  'America/Sao_Paulo', 'Europe/London', 'Europe/Paris', 'Europe/Berlin', 'Africa/Cairo',
+  'Africa/Johannesburg', 'Asia/Dubai', 'Asia/Kolkata', 'Asia/Shanghai', 'Asia/Tokyo',
+  'Australia/Sydney', 'Pacific/Auckland'
+];
+
+// The browser's zone, e.g. 'Europe/Paris'; UTC when it can't tell
+export const getDefaultTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch {
+    return 'UTC';
+  }
+};
+
+const getUtcOffset = (timeZone, date) => {
+  try {
+    const parts = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'shortOffset' }).formatToParts(date);
+    return parts.find(part => part.type === 'timeZoneName')?.value || '';
+  } catch {
+    return '';
+  }
+};
+
+let cachedOptions = null;
+
+// All zones, plus the browser's own when the runtime leaves it out (e.g. 'UTC')
+export const getTimeZoneOptions = () => {
+  if (cachedOptions) return cachedOptions;
+
+  const zones = typeof Intl.supportedValuesOf === 'function'
+    ? Intl.supportedValuesOf('timeZone')
+    : fallbackTimeZones;
+  const defaultZone = getDefaultTimeZone();
+  const now = new Date();
+
+  cachedOptions = (zones.includes(defaultZone) ? zones : [defaultZone, ...zones]).map(zone => ({
+    value: zone,
+    label: zone.replace(/_/g, ' '),
+    description: getUtcOffset(zone, now)
+  }));
+  return cachedOptions;
+};
@@ -0,0 +1,33 @@
+describe('time zone options', () => {
+  let supportedValuesOf;
+
+  beforeEach(() => {
+    supportedValuesOf = jest.spyOn(Intl, 'supportedValuesOf');
+  });
+  afterEach(() => supportedValuesOf.mockRestore());
+
+  // A fresh module registry, so the memoized list starts empty
+  const load = (path) => {
+    let loaded;
+    jest.isolateModules(() => { loaded = require(path); });
+    return loaded;
+  };
+
+  it('are not built when the schema is created', () => {
+    const { createOnboardingSchema } = load('../schema/onboardingSchema');
+    createOnboardingSchema();
+
+    expect(supportedValuesOf).not.toHaveBeenCalled();
+  });
+
+  it('are built on first use and reused after that', () => {
+    const { getTimeZoneOptions } = load('./timeZones');
+
+    const options = getTimeZoneOptions();
+    expect(options).toEqual(expect.arrayContaining([
+      expect.objectContaining({ value: 'Europe/Paris', label: 'Europe/Paris' })
+    ]));
+    expect(getTimeZoneOptions()).toBe(options);
+    expect(supportedValuesOf).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,146 @@
+import { createPasswordValidator } from './passwordPolicy';
+import { msg } from '../i18n/translator';
+
+const validateDefaultPasswordPolicy = createPasswordValidator();
+
+/**
+ * VALIDATION UTILITIES
+ * Centralized validation logic for all form fields.
+ * Validators return a message key or `msg(key, values)` descriptor, or null;
+ * the UI translates it with the active locale.
+ */
+export const validation = {
+  validateEmail: (email) => {
+    if (!email.trim()) return msg('validation.email.required');
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    return emailRegex.test(email) ? null : msg('validation.email.invalid');
+  },
+
+  validateFullName: (name) => {
+    if (!name.trim()) return msg('validation.fullName.required');
+    if (name.trim().length < 2) return msg('validation.fullName.minLength', { count: 2 });
+    return null;
+  },
+
+  validateUsername: (username) => {
+    if (!username.trim()) return msg('validation.username.required');
+    if (username.length < 3) return msg('validation.username.minLength', { count: 3 });
+    if (!/^[a-zA-Z0-9_]+$/.test(username)) {
+      return msg('validation.username.pattern');
+    }
+    return null;
+  },
+
+  // Enforces the default password policy; build custom ones with createPasswordValidator
+  validatePassword: (password, values = {}) => validateDefaultPasswordPolicy(password, values),
+
+  // Validator factory: value must equal another field (e.g. confirm password)
+  createMatchValidator: (otherField, message) => Object.assign(
+    (value, values = {}) => (value === values[otherField] ? null : message),
+    { dependsOn: [otherField] }
+  ),
+
+  // Validator factory: value must be one of `options` (e.g. a combobox's `field.options`).
+  // A function is called on the first check, so a long list is built only when needed.
+  createOneOfValidator: (options, message) => {
+    let allowed = null;
+    return (value) => {
+      if (!value) return null;
+      if (!allowed) {
+        allowed = new Set((typeof options === 'function' ? options() : options).map(option => option.value));
+      }
+      return allowed.has(value) ? null : message;
+    };
+  },
+
+  // Validator factory: at most `max` entries in a multiple-choice value
+  createMaxSelectedValidator: (max, message) => (value = []) =>
+    value.length <= max ? null : message,
+
+  // Validator factory: a notification category that must keep at least one channel
+  createRequiredChannelValidator: (category, message) => (value = {}) =>
+    value[category]?.length ? null : message,
+
+  validateTheme: (theme) => {
+    if (!theme) return msg('validation.theme.required');
+    return null;
+  }
+};
+
+/**
+ * SCHEMA VALIDATION
+ * Runs the `required` flag and `validators` declared on a schema field.
+ * Each check has a trigger: 'change' (as the user types), 'blur' (once they
+ * leave the field) or 'step' (only when they leave the step). A validator's
+ * own `trigger` property wins over the field's `validateOn` (default 'blur').
+ * A validator may also list the other fields it reads in `dependsOn`, so it
+ * is re-checked when they change.
+ */
+
+export const validationTriggers = ['change', 'blur', 'step'];
+
+// Whether a check with `trigger` runs at `moment`; later moments include earlier triggers
+const runsAt = (trigger, moment) =>
+  validationTriggers.indexOf(trigger) <= validationTriggers.indexOf(moment);
+
+// A value counts as empty when it is blank text, unchecked, an empty list or missing
+export const isEmptyValue = (value) => {
+  if (typeof value === 'string') return !value.trim();
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === 'boolean') return !value;
+  return value === null || value === undefined;
+};
+
+// Validate a single field; returns the first error message (or descriptor) or null.
+// `on` is the moment being checked; the default runs every check.
+export const validateField = (field, value, values = {}, { on = 'step' } = {}) => {
+  const fieldTrigger = field.validateOn || 'blur';
+
+  if (field.required && runsAt(fieldTrigger, on) && isEmptyValue(value)) {
+    return field.requiredMessage || msg('validation.required', { field: field.label });
+  }
+
+  for (const validator of field.validators || []) {
+    if (!runsAt(validator.trigger || fieldTrigger, on)) continue;
+
+    const error = validator(value, values);
+    if (error) return error;
+  }
+
+  return null;
+};
+
+// Validate a list of fields; returns an errors map containing only failures
+export const validateFields = (fields, values) => {
+  const errors = {};
+
+  fields.forEach((field) => {
+    const error = validateField(field, values[field.name], values);
+    if (error) errors[field.name] = error;
+  });
+
+  return errors;
+};
+
+/**
+ * ASYNC VALIDATION
+ * Async validators are `(value, { signal, values }) => Promise<message | null>`.
+ * They only run once the field's synchronous checks pass.
+ */
+
+// Run a field's async validators in order; resolves with the first error or null
+export const validateFieldAsync = async (field, value, context) => {
+  for (const validator of field.asyncValidators || []) {
+    const error = await validator(value, context);
+    if (error) return error;
+  }
+
+  return null;
+};
+
+// Wrap an injectable availability lookup as an async validator
+export const createAvailabilityValidator = (lookup, fieldName, message) =>
+  async (value, { signal } = {}) => {
+    const isAvailable = await lookup(fieldName, value, { signal });
+    return isAvailable ? null : message;
+  };
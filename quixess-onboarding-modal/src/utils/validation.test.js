@@ -0,0 +1,212 @@
+import {
+  validation, isEmptyValue, validateField, validateFields, validateFieldAsync,
+  createAvailabilityValidator
+} from './validation';
+import { msg } from '../i18n/translator';
+
+describe('validation rules', () => {
+  describe('validateEmail', () => {
+    it('requires a value', () => {
+      expect(validation.validateEmail('  ')).toEqual(msg('validation.email.required'));
+    });
+
+    it.each(['ada', 'ada@', 'ada@example', 'ada lovelace@example.com'])('rejects %p', (email) => {
+      expect(validation.validateEmail(email)).toEqual(msg('validation.email.invalid'));
+    });
+
+    it('accepts a well-formed address', () => {
+      expect(validation.validateEmail('ada@example.com')).toBeNull();
+    });
+  });
+
+  describe('validateFullName', () => {
+    it('requires a value', () => {
+      expect(validation.validateFullName('')).toEqual(msg('validation.fullName.required'));
+    });
+
+    it('needs at least two characters after trimming', () => {
+      expect(validation.validateFullName(' A ')).toEqual(msg('validation.fullName.minLength', { count: 2 }));
+      expect(validation.validateFullName('Al')).toBeNull();
+    });
+  });
+
+  describe('validateUsername', () => {
+    it('requires a value', () => {
+      expect(validation.validateUsername(' ')).toEqual(msg('validation.username.required'));
+    });
+
+    it('needs at least three characters', () => {
+      expect(validation.validateUsername('ab')).toEqual(msg('validation.username.minLength', { count: 3 }));
+    });
+
+    it('only allows letters, numbers and underscores', () => {
+      expect(validation.validateUsername('ada-l')).toEqual(msg('validation.username.pattern'));
+      expect(validation.validateUsername('ada_L1')).toBeNull();
+    });
+  });
+
+  describe('validatePassword', () => {
+    it('requires a value', () => {
+      expect(validation.validatePassword('')).toEqual(msg('validation.password.required'));
+    });
+
+    it('reports the first rule of the default policy that fails', () => {
+      expect(validation.validatePassword('Ab1')).toEqual(msg('validation.password.minLength', { count: 8 }));
+      expect(validation.validatePassword('abcdefg1')).toEqual(msg('validation.password.uppercase'));
+      expect(validation.validatePassword('Abcdefgh')).toEqual(msg('validation.password.number'));
+    });
+
+    it('rejects passwords containing the username or email', () => {
+      expect(validation.validatePassword('Countess_ada1', { username: 'countess_ada' }))
+        .toEqual(msg('validation.password.personalInfo'));
+    });
+
+    it('accepts a password that meets the policy', () => {
+      expect(validation.validatePassword('Engine1843', { username: 'countess_ada' })).toBeNull();
+    });
+  });
+
+  describe('createMatchValidator', () => {
+    const matchesPassword = validation.createMatchValidator('password', 'mismatch');
+
+    it('passes when the value equals the other field', () => {
+      expect(matchesPassword('secret', { password: 'secret' })).toBeNull();
+    });
+
+    it('returns the message otherwise', () => {
+      expect(matchesPassword('secret', { password: 'other' })).toBe('mismatch');
+    });
+  });
+
+  describe('createOneOfValidator', () => {
+    const isKnownZone = validation.createOneOfValidator([{ value: 'Europe/Paris' }, { value: 'UTC' }], 'unknown');
+
+    it('accepts a listed value and leaves empty values to `required`', () => {
+      expect(isKnownZone('UTC')).toBeNull();
+      expect(isKnownZone('')).toBeNull();
+    });
+
+    it('rejects anything else', () => {
+      expect(isKnownZone('Mars/Olympus_Mons')).toBe('unknown');
+    });
+
+    it('builds lazy options on the first check, once', () => {
+      const getOptions = jest.fn(() => [{ value: 'UTC' }]);
+      const isListed = validation.createOneOfValidator(getOptions, 'unknown');
+      expect(getOptions).not.toHaveBeenCalled();
+
+      expect(isListed('UTC')).toBeNull();
+      expect(isListed('Europe/Paris')).toBe('unknown');
+      expect(getOptions).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('createMaxSelectedValidator', () => {
+    it('allows up to the limit', () => {
+      const atMostTwo = validation.createMaxSelectedValidator(2, 'too many');
+
+      expect(atMostTwo(['a', 'b'])).toBeNull();
+      expect(atMostTwo(['a', 'b', 'c'])).toBe('too many');
+    });
+  });
+
+  describe('createRequiredChannelValidator', () => {
+    it('needs at least one channel for the category', () => {
+      const keepsSecurity = validation.createRequiredChannelValidator('security', 'needed');
+
+      expect(keepsSecurity({ security: ['email'], product: [] })).toBeNull();
+      expect(keepsSecurity({ security: [], product: ['email'] })).toBe('needed');
+    });
+  });
+
+  describe('validateTheme', () => {
+    it('requires a choice', () => {
+      expect(validation.validateTheme('')).toEqual(msg('validation.theme.required'));
+      expect(validation.validateTheme('dark')).toBeNull();
+    });
+  });
+});
+
+describe('isEmptyValue', () => {
+  it.each([
+    ['', true], ['  ', true], [[], true], [false, true], [null, true], [undefined, true],
+    ['a', false], [['a'], false], [true, false], [0, false]
+  ])('%p is empty: %p', (value, expected) => {
+    expect(isEmptyValue(value)).toBe(expected);
+  });
+});
+
+describe('validateField', () => {
+  const field = { name: 'nickname', label: 'Nickname', required: true };
+
+  it('reports a missing required value with the field label', () => {
+    expect(validateField(field, '')).toEqual(msg('validation.required', { field: 'Nickname' }));
+  });
+
+  it('prefers the field\'s own required message', () => {
+    expect(validateField({ ...field, requiredMessage: 'Pick one' }, '')).toBe('Pick one');
+  });
+
+  it('runs validators in order with all values and stops at the first error', () => {
+    const second = jest.fn(() => 'second');
+    const validators = [(value, values) => (value === values.other ? 'same' : null), second];
+
+    expect(validateField({ ...field, validators }, 'x', { other: 'x' })).toBe('same');
+    expect(second).not.toHaveBeenCalled();
+    expect(validateField({ ...field, validators }, 'x', { other: 'y' })).toBe('second');
+  });
+
+  it('passes an empty optional field without validators', () => {
+    expect(validateField({ name: 'bio', label: 'Bio' }, '')).toBeNull();
+  });
+
+  it('only runs the checks triggered by the moment given in `on`', () => {
+    const onChange = Object.assign(() => 'change', { trigger: 'change' });
+    const onStep = Object.assign(() => 'step', { trigger: 'step' });
+    const blurField = { ...field, validators: [onStep] };
+
+    expect(validateField(blurField, '', {}, { on: 'change' })).toBeNull();
+    expect(validateField(blurField, '', {}, { on: 'blur' })).toEqual(msg('validation.required', { field: 'Nickname' }));
+    expect(validateField(blurField, 'x', {}, { on: 'blur' })).toBeNull();
+    expect(validateField(blurField, 'x')).toBe('step');
+    expect(validateField({ ...field, validators: [onChange] }, 'x', {}, { on: 'change' })).toBe('change');
+    expect(validateField({ ...field, validateOn: 'change' }, '', {}, { on: 'change' })).toBeTruthy();
+  });
+});
+
+describe('validateFields', () => {
+  it('returns only the failures, keyed by field name', () => {
+    const fields = [
+      { name: 'a', label: 'A', required: true },
+      { name: 'b', label: 'B', required: true }
+    ];
+
+    expect(validateFields(fields, { a: 'ok', b: '' })).toEqual({
+      b: msg('validation.required', { field: 'B' })
+    });
+  });
+});
+
+describe('async validation', () => {
+  it('resolves with the first async error', async () => {
+    const field = {
+      asyncValidators: [async () => null, async (value) => `${value} is taken`, async () => 'never']
+    };
+
+    await expect(validateFieldAsync(field, 'ada', {})).resolves.toBe('ada is taken');
+  });
+
+  it('resolves null without async validators', async () => {
+    await expect(validateFieldAsync({}, 'ada', {})).resolves.toBeNull();
+  });
+
+  it('wraps an availability lookup', async () => {
+    const lookup = jest.fn(async (field, value) => value !== 'admin');
+    const validator = createAvailabilityValidator(lookup, 'username', 'taken');
+    const { signal } = new AbortController();
+
+    await expect(validator('admin', { signal })).resolves.toBe('taken');
+    await expect(validator('ada')).resolves.toBeNull();
+    expect(lookup).toHaveBeenCalledWith('username', 'admin', { signal });
+  });
+});
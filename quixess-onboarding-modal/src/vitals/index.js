@@ -0,0 +1,5 @@
+export { createVitalsReporter, serializeMetric } from './vitalsReporter';
+export {
+  publishVital, getVitalsSnapshot, subscribeToVitals,
+  setVitalsContext, getVitalsContext, trackOnboardingStepForVitals
+} from './vitalsStore';
@@ -0,0 +1,40 @@
+import { createBatchingSink } from '../analytics/batchingSink';
+import { getVitalsContext } from './vitalsStore';
+
+// Attribution holds DOM nodes and performance entries; keep the plain values
+const pickSerializable = (attribution = {}) => Object.fromEntries(
+  Object.entries(attribution).filter(([, value]) =>
+    ['string', 'number', 'boolean'].includes(typeof value)
+  )
+);
+
+export const serializeMetric = (metric, context = getVitalsContext()) => ({
+  type: 'web_vital',
+  name: metric.name,
+  value: metric.value,
+  delta: metric.delta,
+  rating: metric.rating,
+  id: metric.id,
+  navigationType: metric.navigationType,
+  page: typeof window !== 'undefined' ? window.location.pathname : null,
+  // The step open when the metric is reported (CLS and INP report late, on page hide)
+  onboardingStep: context.onboardingStep ?? null,
+  attribution: pickSerializable(metric.attribution)
+});
+
+/**
+ * Build a `reportWebVitals` handler that sends metrics to `url` in batches
+ * (beaconed on page hide). Sampling is decided once per page load, so a
+ * sampled visit reports all of its metrics and others report none.
+ */
+export const createVitalsReporter = ({
+  url = '/api/vitals',
+  sampleRate = 1,
+  fetchImpl,
+  sendBeacon
+} = {}) => {
+  if (!(Math.random() < sampleRate)) return () => {};
+
+  const sink = createBatchingSink({ url, batchSize: 10, flushInterval: 10000, fetchImpl, sendBeacon });
+  return (metric) => sink(serializeMetric(metric));
+};
@@ -0,0 +1,141 @@
+import { createVitalsReporter, serializeMetric } from './vitalsReporter';
+import { setVitalsContext, trackOnboardingStepForVitals } from './vitalsStore';
+
+const metric = (name, overrides = {}) => ({
+  name,
+  value: 120,
+  delta: 120,
+  rating: 'good',
+  id: `v5-${name}`,
+  navigationType: 'navigate',
+  ...overrides
+});
+
+const sentMetrics = fetchImpl => fetchImpl.mock.calls.map(([, init]) => JSON.parse(init.body).events);
+
+// jsdom's Blob has no text()
+const readBlob = blob => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsText(blob);
+});
+
+describe('serializeMetric', () => {
+  it('keeps only plain attribution values', () => {
+    const element = document.createElement('img');
+    const serialized = serializeMetric(metric('LCP', {
+      attribution: { target: 'img.hero', timeToFirstByte: 80, lcpEntry: { element }, element }
+    }), { onboardingStep: 'account' });
+
+    expect(serialized).toEqual({
+      type: 'web_vital',
+      name: 'LCP',
+      value: 120,
+      delta: 120,
+      rating: 'good',
+      id: 'v5-LCP',
+      navigationType: 'navigate',
+      page: '/',
+      onboardingStep: 'account',
+      attribution: { target: 'img.hero', timeToFirstByte: 80 }
+    });
+    expect(() => JSON.stringify(serialized)).not.toThrow();
+  });
+});
+
+describe('createVitalsReporter', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => {
+    // Empty whatever a test left queued before the next reporter is created
+    jest.runOnlyPendingTimers();
+    jest.useRealTimers();
+    setVitalsContext({ onboardingStep: null });
+  });
+
+  it('reports nothing from a visit outside the sample', () => {
+    const random = jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    try {
+      const fetchImpl = jest.fn();
+      const report = createVitalsReporter({ sampleRate: 0.5, fetchImpl, sendBeacon: null });
+
+      report(metric('CLS'));
+      jest.advanceTimersByTime(10000);
+      window.dispatchEvent(new Event('pagehide'));
+
+      expect(fetchImpl).not.toHaveBeenCalled();
+    } finally {
+      random.mockRestore();
+    }
+  });
+
+  it('reports every metric from a sampled visit', () => {
+    const random = jest.spyOn(Math, 'random').mockReturnValue(0.49);
+    try {
+      const fetchImpl = jest.fn(async () => ({ ok: true }));
+      const report = createVitalsReporter({ sampleRate: 0.5, fetchImpl, sendBeacon: null });
+
+      report(metric('FCP'));
+      report(metric('LCP'));
+      jest.advanceTimersByTime(10000);
+
+      expect(sentMetrics(fetchImpl)).toEqual([[
+        expect.objectContaining({ name: 'FCP' }),
+        expect.objectContaining({ name: 'LCP' })
+      ]]);
+    } finally {
+      random.mockRestore();
+    }
+  });
+
+  it('sends ten metrics at a time to the vitals endpoint', () => {
+    const fetchImpl = jest.fn(async () => ({ ok: true }));
+    const report = createVitalsReporter({ url: '/collect/vitals', fetchImpl, sendBeacon: null });
+
+    for (let index = 0; index < 9; index += 1) report(metric('INP', { id: `v5-INP-${index}` }));
+    expect(fetchImpl).not.toHaveBeenCalled();
+    report(metric('INP', { id: 'v5-INP-9' }));
+
+    expect(fetchImpl).toHaveBeenCalledWith('/collect/vitals', expect.objectContaining({ method: 'POST' }));
+    expect(sentMetrics(fetchImpl)[0]).toHaveLength(10);
+  });
+
+  it('beacons late metrics when the page is hidden, tagged with the step they happened on', async () => {
+    const fetchImpl = jest.fn();
+    const sendBeacon = jest.fn(() => true);
+    const report = createVitalsReporter({ fetchImpl, sendBeacon });
+
+    trackOnboardingStepForVitals({ type: 'step_viewed', stepId: 'preferences' });
+    report(metric('CLS', { value: 0.02 }));
+    trackOnboardingStepForVitals({ type: 'abandoned', stepId: 'preferences' });
+    report(metric('INP'));
+    window.dispatchEvent(new Event('pagehide'));
+
+    expect(fetchImpl).not.toHaveBeenCalled();
+    expect(sendBeacon).toHaveBeenCalledTimes(1);
+    const [url, body] = sendBeacon.mock.calls[0];
+    expect(url).toBe('/api/vitals');
+    expect(body).toBeInstanceOf(Blob);
+    expect(body.type).toBe('application/json');
+    const { events } = JSON.parse(await readBlob(body));
+    expect(events.map(sent => [sent.name, sent.onboardingStep])).toEqual([
+      ['CLS', 'preferences'], ['INP', null]
+    ]);
+  });
+
+  it('tags each metric with the onboarding step open when it is reported', () => {
+    const fetchImpl = jest.fn(async () => ({ ok: true }));
+    const report = createVitalsReporter({ fetchImpl, sendBeacon: null });
+
+    report(metric('TTFB'));
+    trackOnboardingStepForVitals({ type: 'step_viewed', stepId: 'account' });
+    report(metric('LCP'));
+    trackOnboardingStepForVitals({ type: 'submitted' });
+    report(metric('CLS'));
+    jest.advanceTimersByTime(10000);
+
+    expect(sentMetrics(fetchImpl)[0].map(sent => [sent.name, sent.onboardingStep])).toEqual([
+      ['TTFB', null], ['LCP', 'account'], ['CLS', null]
+    ]);
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * VITALS STORE
+ * The latest value of each metric (for the dev overlay) and the onboarding
+ * context that reported metrics are tagged with. The snapshot is replaced on
+ * every change, so it works with useSyncExternalStore.
+ */
+let snapshot = { metrics: {}, context: { onboardingStep: null } };
+const listeners = new Set();
+
+const update = (next) => {
+  snapshot = { ...snapshot, ...next };
+  listeners.forEach(listener => listener());
+};
+
+export const setVitalsContext = (next) => update({ context: { ...snapshot.context, ...next } });
+
+export const getVitalsContext = () => snapshot.context;
+
+// An OnboardingModal `onEvent` handler that keeps the current step in the context
+export const trackOnboardingStepForVitals = (event) => {
+  if (event.type === 'step_viewed') setVitalsContext({ onboardingStep: event.stepId });
+  if (event.type === 'abandoned' || event.type === 'submitted') setVitalsContext({ onboardingStep: null });
+};
+
+export const publishVital = (metric) => update({ metrics: { ...snapshot.metrics, [metric.name]: metric } });
+
+export const getVitalsSnapshot = () => snapshot;
+
+export const subscribeToVitals = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
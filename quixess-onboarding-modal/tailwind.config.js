@@ -3,23 +3,10 @@ module.exports = {
   content: [
     "./src/**/*.{js,jsx,ts,tsx}",
   ],
+  // Shared with the library build; see tailwind.preset.js
+  presets: [require('./tailwind.preset')],
   theme: {
-    extend: {
-      animation: {
-        'fadeIn': 'fadeIn 0.3s ease-out',
-        'slideIn': 'slideIn 0.4s ease-out',
-      },
-      keyframes: {
-        fadeIn: {
-          '0%': { opacity: '0', transform: 'scale(0.95)' },
-          '100%': { opacity: '1', transform: 'scale(1)' },
-        },
-        slideIn: {
-          '0%': { opacity: '0', transform: 'translateX(20px)' },
-          '100%': { opacity: '1', transform: 'translateX(0)' },
-        }
-      }
-    },
+    extend: {},
   },
   plugins: [],
-}
\ No newline at end of file
+}
@@ -0,0 +1,18 @@
+/**
+ * Tailwind config for the prebuilt library stylesheet (dist/styles.css).
+ * Only the classes the published components use are generated, and
+ * Preflight is off so importing the stylesheet never resets the host page.
+ * @type {import('tailwindcss').Config}
+ */
+module.exports = {
+  content: [
+    "./src/components/**/*.{js,jsx}",
+    "./src/theme/**/*.{js,jsx}",
+    // Class names returned by helpers, e.g. getInitialsColor's avatar colours
+    "./src/utils/**/*.js",
+  ],
+  presets: [require('./tailwind.preset')],
+  corePlugins: {
+    preflight: false,
+  },
+}
@@ -0,0 +1,115 @@
+const plugin = require('tailwindcss/plugin');
+
+/**
+ * QUIXESS TAILWIND PRESET
+ * Dark mode strategy, design tokens, animations and the styles scoped to
+ * `.onboarding-root` (theme fades, reduced motion) used by the onboarding
+ * components. Apps that compile their own Tailwind add it with
+ * `presets: [require('quixess-onboarding-modal/tailwind-preset')]` and list
+ * the package's dist files under `content`; everyone else imports the
+ * prebuilt `quixess-onboarding-modal/styles.css`.
+ */
+
+// Design tokens as RGB channels, so Tailwind's opacity modifiers keep working
+const lightTokens = {
+  '--color-surface': '255 255 255',
+  '--color-surface-muted': '229 231 235',
+  '--color-surface-field': '255 255 255',
+  '--color-content': '17 24 39',
+  '--color-content-secondary': '55 65 81',
+  '--color-content-muted': '75 85 99',
+  '--color-content-subtle': '107 114 128',
+  '--color-line': '209 213 219',
+  '--color-line-subtle': '229 231 235',
+};
+
+const darkTokens = {
+  '--color-surface': '31 41 55',
+  '--color-surface-muted': '55 65 81',
+  '--color-surface-field': '55 65 81',
+  '--color-content': '255 255 255',
+  '--color-content-secondary': '229 231 235',
+  '--color-content-muted': '209 213 219',
+  '--color-content-subtle': '156 163 175',
+  '--color-line': '75 85 99',
+  '--color-line-subtle': '75 85 99',
+};
+
+/** @type {import('tailwindcss').Config} */
+module.exports = {
+  // `.dark` turns dark mode on for a subtree and `.light` back off, so the
+  // onboarding root can preview either theme whatever the page uses
+  darkMode: ['variant', '&:is(.dark *):not(.light *)'],
+  theme: {
+    extend: {
+      // Token colors; values come from the CSS variables above and flip under .dark
+      colors: {
+        surface: {
+          DEFAULT: 'rgb(var(--color-surface) / <alpha-value>)',
+          muted: 'rgb(var(--color-surface-muted) / <alpha-value>)',
+          field: 'rgb(var(--color-surface-field) / <alpha-value>)',
+        },
+        content: {
+          DEFAULT: 'rgb(var(--color-content) / <alpha-value>)',
+          secondary: 'rgb(var(--color-content-secondary) / <alpha-value>)',
+          muted: 'rgb(var(--color-content-muted) / <alpha-value>)',
+          subtle: 'rgb(var(--color-content-subtle) / <alpha-value>)',
+        },
+        line: {
+          DEFAULT: 'rgb(var(--color-line) / <alpha-value>)',
+          subtle: 'rgb(var(--color-line-subtle) / <alpha-value>)',
+        },
+      },
+      animation: {
+        'fadeIn': 'fadeIn 0.3s ease-out',
+        'slideIn': 'slideIn 0.4s ease-out',
+        'stepInFromRight': 'stepInFromRight 0.3s ease-out',
+        'stepInFromLeft': 'stepInFromLeft 0.3s ease-out',
+      },
+      keyframes: {
+        fadeIn: {
+          '0%': { opacity: '0', transform: 'scale(0.95)' },
+          '100%': { opacity: '1', transform: 'scale(1)' },
+        },
+        slideIn: {
+          '0%': { opacity: '0', transform: 'translateX(20px)' },
+          '100%': { opacity: '1', transform: 'translateX(0)' },
+        },
+        // Step changes; StepTransition picks the side from direction and dir
+        stepInFromRight: {
+          '0%': { opacity: '0', transform: 'translateX(2rem)' },
+          '100%': { opacity: '1', transform: 'translateX(0)' },
+        },
+        stepInFromLeft: {
+          '0%': { opacity: '0', transform: 'translateX(-2rem)' },
+          '100%': { opacity: '1', transform: 'translateX(0)' },
+        }
+      }
+    },
+  },
+  plugins: [
+    plugin(({ addBase, addComponents }) => {
+      addBase({
+        ':root': lightTokens,
+        '.dark': darkTokens,
+        '.light': lightTokens,
+      });
+      // Scoped to the component's root so the host page keeps its own motion.
+      // Utilities such as `transition-all` still win over the theme fade.
+      addComponents({
+        '.onboarding-root, .onboarding-root *': {
+          transitionProperty: 'background-color, border-color, color',
+          transitionTimingFunction: 'cubic-bezier(0.4, 0, 0.2, 1)',
+          transitionDuration: '200ms',
+        },
+        '@media (prefers-reduced-motion: reduce)': {
+          '.onboarding-root, .onboarding-root *, .onboarding-root *::before, .onboarding-root *::after': {
+            animationDuration: '0.01ms !important',
+            animationIterationCount: '1 !important',
+            transitionDuration: '0.01ms !important',
+          },
+        },
+      });
+    }),
+  ],
+};
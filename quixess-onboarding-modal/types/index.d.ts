@@ -0,0 +1,914 @@
+/**
+ * Type declarations for the quixess-onboarding-modal library entry
+ * (src/lib/index.js). Keep in sync with the JSDoc in the sources.
+ */
+import type {
+  ButtonHTMLAttributes, ComponentType, ForwardRefExoticComponent, HTMLAttributes, ReactElement,
+  ReactNode, RefAttributes, RefObject
+} from 'react';
+
+// ---------------------------------------------------------------------------
+// Messages
+// ---------------------------------------------------------------------------
+
+/** Values interpolated into a message; `count` also selects the plural form. */
+export type MessageValues = Record<string, string | number | MessageDescriptor>;
+
+export interface MessageDescriptor {
+  key: string;
+  values?: MessageValues;
+}
+
+/** A catalog key, literal text, or a `msg(key, values)` descriptor. */
+export type Message = string | MessageDescriptor;
+
+export type PluralMessage = Partial<Record<'zero' | 'one' | 'two' | 'few' | 'many' | 'other', string>>;
+
+export type MessageCatalog = Record<string, string | PluralMessage>;
+
+export type Translate = (message: Message | null | undefined, values?: MessageValues) => string;
+
+// ---------------------------------------------------------------------------
+// Form data
+// ---------------------------------------------------------------------------
+
+export type FormValues = Record<string, unknown>;
+
+export type ThemePreference = 'light' | 'dark' | 'system';
+
+/** Values collected by the default schema (createOnboardingSchema). */
+export type OnboardingFormData = {
+  fullName: string;
+  email: string;
+  /** Square profile photo: a data URL, or a Blob with `avatarOptions.output: 'blob'`; '' when none, submitted as null. */
+  avatar: string | Blob | null;
+  /** Added on submit when there is no photo: the initials avatar shown instead. */
+  avatarFallback?: AvatarFallback;
+  accountType: 'personal' | 'business';
+  /** Only submitted for business accounts. */
+  companyName?: string;
+  companySize?: '' | '1-10' | '11-50' | '51+';
+  username: string;
+  /** Not submitted after signing in with an identity provider. */
+  password?: string;
+  /** Never submitted (`omitFromPayload`). */
+  confirmPassword?: string;
+  theme: ThemePreference | '';
+  /** A built-in locale code, e.g. 'fr'; defaults to the browser's language. */
+  language: string;
+  /** IANA zone, e.g. 'Europe/Paris'; defaults to the browser's zone. */
+  timeZone: string;
+  /** Channels chosen per category, e.g. { security: ['email', 'inApp'], product: [] }. */
+  notifications: Record<'security' | 'activity' | 'product', Array<'email' | 'inApp'>>;
+  interests: string[];
+  newsletter: boolean;
+  /** Only submitted when `newsletter` is true. */
+  newsletterFrequency?: 'weekly' | 'monthly';
+  newsletterTopics?: Array<'product' | 'tips' | 'events' | 'offers'>;
+  /** Only submitted after signing in with an identity provider. */
+  authProvider?: string;
+  /** ID token (or access token) for the backend to verify. */
+  identityToken?: string;
+  /** The email the identity provider vouched for; never submitted (`omitFromPayload`). */
+  providerEmail?: string;
+  /** The address a one-time code was confirmed for; never submitted (`omitFromPayload`). */
+  verifiedEmail?: string;
+  /** Proof of the verified address from the email verifier, for the backend to check. */
+  emailVerificationToken?: string;
+  /** Required; never restored from a draft. */
+  acceptTerms: boolean;
+  /** Required; never restored from a draft. */
+  acceptPrivacy: boolean;
+  /** Added on submit: what was agreed to, and in which words. */
+  consentRecord?: ConsentRecord;
+};
+
+export type FieldErrors = Record<string, Message | null | undefined>;
+
+// ---------------------------------------------------------------------------
+// Schema
+// ---------------------------------------------------------------------------
+
+/** `hidden` fields are not rendered; a custom step sets them. */
+export type FieldType =
+  | 'text' | 'email' | 'password' | 'select' | 'combobox' | 'checkbox' | 'checkboxGroup' | 'tags'
+  | 'notificationMatrix' | 'theme' | 'avatar' | 'consent' | 'hidden';
+
+export interface FieldOption {
+  value: string;
+  label: Message;
+  description?: Message;
+}
+
+export type ValidationTrigger = 'change' | 'blur' | 'step';
+
+export type Validator<V = FormValues> = ((value: any, values: V) => Message | null) & {
+  /** When errors from this validator show; defaults to the field's `validateOn`. */
+  trigger?: ValidationTrigger;
+  /** Other fields it reads; editing them re-checks this field once touched. */
+  dependsOn?: string[];
+};
+
+export type AsyncValidator<V = FormValues> = (
+  value: any,
+  context: { signal?: AbortSignal; values: V }
+) => Promise<Message | null>;
+
+export interface PasswordPolicy {
+  minLength?: number;
+  requireLowercase?: boolean;
+  requireUppercase?: boolean;
+  requireNumber?: boolean;
+  requireSymbol?: boolean;
+  disallowPersonalInfo?: boolean;
+}
+
+export interface AvatarOptions {
+  /** Accepted MIME types. */
+  accept?: string[];
+  maxBytes?: number;
+  /** Width and height of the cropped image, in pixels. */
+  size?: number;
+  /** Encoding of the cropped image, e.g. 'image/png' or 'image/jpeg'. */
+  format?: string;
+  quality?: number;
+  output?: 'dataUrl' | 'blob';
+  /** Turns an accepted file into the field value; defaults to cropImageToSquare. */
+  processImage?: (
+    file: File,
+    options: Required<Pick<AvatarOptions, 'size' | 'format' | 'quality' | 'output'>>
+  ) => Promise<string | Blob>;
+}
+
+export interface FieldProps<V = FormValues> {
+  field: SchemaField<V>;
+  value: any;
+  values: V;
+  onChange: (value: any) => void;
+  error?: Message | null;
+  isValidating?: boolean;
+}
+
+/** Avatar fields also take AvatarOptions. */
+export interface SchemaField<V = FormValues> extends AvatarOptions {
+  name: string;
+  /** Picks a built-in renderer unless `component` is given. */
+  type: FieldType | (string & {});
+  label: Message;
+  /** The field is hidden, unvalidated and unsubmitted while this returns false. */
+  when?: (values: V) => boolean;
+  placeholder?: Message;
+  helpText?: Message;
+  description?: Message;
+  required?: boolean;
+  requiredMessage?: Message;
+  defaultValue?: unknown;
+  /** `combobox` fields may pass a function, called when the field first renders. */
+  options?: FieldOption[] | (() => FieldOption[]);
+  /** `tags` fields: shown with the selection count; enforce it with createMaxSelectedValidator. */
+  maxSelected?: number;
+  /** `notificationMatrix` fields: the columns. */
+  channels?: FieldOption[];
+  /** `notificationMatrix` fields: the rows. */
+  categories?: FieldOption[];
+  /** `consent` fields: the policy shown above the checkbox. */
+  document?: PolicyDocument;
+  /** Records the field, with its wording, in the submitted `consentRecord`. */
+  consent?: { purpose: string };
+  validators?: Array<Validator<V>>;
+  /** When errors show while filling in the step (default 'blur'); all show on leaving it. */
+  validateOn?: ValidationTrigger;
+  asyncValidators?: Array<AsyncValidator<V>>;
+  /** Milliseconds to wait after typing before async checks (default 400). */
+  asyncDebounce?: number;
+  /** `false` keeps the value out of saved drafts. Passwords never persist. */
+  persist?: boolean;
+  /** `true` drops the value before submitting. */
+  omitFromPayload?: boolean;
+  passwordPolicy?: PasswordPolicy;
+  component?: ComponentType<FieldProps<V>>;
+}
+
+export interface StepComponentProps<V = FormValues> {
+  step: SchemaStep<V>;
+  data: V;
+  onChange: (field: string, value: unknown) => void;
+  /** Call when focus leaves a field, to start showing its 'blur' errors. */
+  onBlur?: (field: string) => void;
+  errors: FieldErrors;
+  validating?: Record<string, boolean>;
+  /** Validates the step and moves on, like the Next button. */
+  onNext?: () => Promise<void>;
+}
+
+export interface SchemaStep<V = FormValues> {
+  id: string;
+  title: Message;
+  heading?: Message;
+  description?: Message;
+  /** The step is skipped while this returns false. */
+  when?: (values: V) => boolean;
+  component?: ComponentType<StepComponentProps<V>>;
+  fields: Array<SchemaField<V>>;
+  /** Sign-in step only: the providers it offers. */
+  providers?: IdentityProvider[];
+}
+
+export interface OnboardingSchema<V = FormValues> {
+  /** Bump when fields change so saved drafts are discarded. */
+  version?: number;
+  steps: Array<SchemaStep<V>>;
+}
+
+export type AvailabilityLookup = (
+  field: string,
+  value: string,
+  options?: { signal?: AbortSignal }
+) => Promise<boolean>;
+
+export interface CreateOnboardingSchemaOptions {
+  checkAvailability?: AvailabilityLookup;
+  passwordPolicy?: PasswordPolicy;
+  /** Adds a first "Continue with …" step; signing in skips the password fields. */
+  identityProviders?: IdentityProvider[];
+  /** Adds a one-time code step after Personal Info that blocks progress until the email is verified. */
+  emailVerifier?: EmailVerifier;
+  /** Options for the optional profile photo on Personal Info. */
+  avatarOptions?: AvatarOptions;
+  /** Overrides for the documents on the consent step, merged over defaultPolicies. */
+  policies?: { terms?: Partial<PolicyDocument>; privacy?: Partial<PolicyDocument> };
+  /** Rules added to the fields' validators, e.g. loaded from the server (default defaultValidationRules). */
+  validationRules?: ValidationRuleSet | ValidationRule[];
+}
+
+export function createOnboardingSchema(options?: CreateOnboardingSchemaOptions): OnboardingSchema<OnboardingFormData>;
+export const defaultOnboardingSchema: OnboardingSchema<OnboardingFormData>;
+export function getActiveSteps<V extends FormValues>(steps: Array<SchemaStep<V>>, values: V): Array<SchemaStep<V>>;
+export function buildInitialValues<V extends FormValues>(schema: OnboardingSchema<V>): V;
+export function buildSubmitPayload<V extends FormValues>(schema: OnboardingSchema<V>, values: V): Partial<V>;
+
+// ---------------------------------------------------------------------------
+// Submission, availability and drafts
+// ---------------------------------------------------------------------------
+
+export type SubmitAdapter<V = FormValues, R = unknown> = (
+  formData: Partial<V>,
+  options: { signal?: AbortSignal }
+) => Promise<R>;
+
+export class SubmissionError extends Error {
+  constructor(message: string, options?: {
+    status?: number | null;
+    fieldErrors?: Record<string, Message> | null;
+    retryable?: boolean;
+  });
+  name: 'SubmissionError';
+  status: number | null;
+  fieldErrors: Record<string, Message> | null;
+  retryable: boolean;
+}
+
+export function isAbortError(error: unknown): boolean;
+
+export function createFetchSubmitAdapter(options?: {
+  url?: string;
+  headers?: Record<string, string>;
+  retries?: number;
+  retryDelay?: number;
+  fetchImpl?: typeof fetch;
+}): SubmitAdapter;
+
+export function createFetchAvailabilityLookup(options?: {
+  url?: string;
+  fetchImpl?: typeof fetch;
+}): AvailabilityLookup;
+
+export type EmailVerificationErrorCode =
+  | 'invalid_code' | 'expired_code' | 'too_many_attempts' | 'rate_limited' | 'failed'
+  | (string & {});
+
+export class EmailVerificationError extends Error {
+  constructor(message: string, options?: { code?: EmailVerificationErrorCode; retryAfter?: number | null });
+  name: 'EmailVerificationError';
+  code: EmailVerificationErrorCode;
+  /** Seconds until another code may be sent (`rate_limited`). */
+  retryAfter: number | null;
+}
+
+export interface EmailVerifier {
+  /** `resendIn` and `expiresIn` are in seconds. */
+  sendCode(email: string, options?: { signal?: AbortSignal }): Promise<{ resendIn?: number; expiresIn?: number }>;
+  verifyCode(email: string, code: string, options?: { signal?: AbortSignal }): Promise<{ token: string }>;
+}
+
+export function createFetchEmailVerifier(options?: {
+  url?: string;
+  fetchImpl?: typeof fetch;
+}): EmailVerifier;
+
+export type ValidationRulesLoader = (options?: { signal?: AbortSignal }) => Promise<ValidationRuleSet>;
+
+export function createFetchValidationRulesLoader(options?: {
+  url?: string;
+  fetchImpl?: typeof fetch;
+}): ValidationRulesLoader;
+
+/** Web Storage shape; methods may return promises. */
+export interface StorageAdapter {
+  getItem(key: string): string | null | Promise<string | null>;
+  setItem(key: string, value: string): void | Promise<void>;
+  removeItem(key: string): void | Promise<void>;
+}
+
+export interface PersistenceOptions {
+  adapter: StorageAdapter;
+  key?: string;
+}
+
+export interface Draft<V = FormValues> {
+  version: number;
+  savedAt: string;
+  currentStep: number;
+  formData: Partial<V>;
+}
+
+export const DEFAULT_DRAFT_KEY: string;
+export function createWebStorageAdapter(getStorage: () => Storage): StorageAdapter;
+export function createLocalStorageAdapter(): StorageAdapter;
+export function createSessionStorageAdapter(): StorageAdapter;
+export function createMemoryStorageAdapter(initial?: Record<string, string>): StorageAdapter;
+
+// ---------------------------------------------------------------------------
+// Identity providers (OIDC / OAuth sign-in)
+// ---------------------------------------------------------------------------
+
+export interface IdentityProfile {
+  fullName: string;
+  email: string;
+}
+
+export interface IdentityProvider {
+  id: string;
+  label: Message;
+  icon: ReactNode;
+  /** Checked against the ID token's `iss`; also the discovery base URL. */
+  issuer: string | null;
+  clientId: string;
+  scope: string;
+  redirectUri: string;
+  authorizationEndpoint?: string;
+  tokenEndpoint?: string;
+  userinfoEndpoint?: string;
+  extraParams: Record<string, string>;
+  mapProfile: (claims: Record<string, any>) => IdentityProfile;
+  fetchImpl: typeof fetch;
+  openWindow: (url: string, target: string, features: string) => Window | null;
+}
+
+export type IdentityProviderOptions = Partial<Omit<IdentityProvider, 'id' | 'clientId'>> & {
+  id: string;
+  clientId: string;
+};
+
+export function createOidcProvider(options: IdentityProviderOptions): IdentityProvider;
+export function createGoogleProvider(options: Omit<IdentityProviderOptions, 'id'> & { id?: string }): IdentityProvider;
+/** GitHub's token endpoint needs a client secret, so `tokenEndpoint` must be your backend. */
+export function createGitHubProvider(
+  options: Omit<IdentityProviderOptions, 'id' | 'tokenEndpoint'> & { id?: string; tokenEndpoint: string }
+): IdentityProvider;
+export function createSsoProvider(
+  options: Omit<IdentityProviderOptions, 'id' | 'issuer'> & { id?: string; issuer: string }
+): IdentityProvider;
+export function mapOidcProfile(claims: Record<string, any>): IdentityProfile;
+
+/** Local stand-in identity server (popup and token endpoint) for demos and tests. */
+export function createMockOidcProvider(options?: Partial<IdentityProviderOptions> & {
+  user?: Record<string, unknown>;
+  latency?: number;
+  outcome?: 'approve' | 'deny' | 'close';
+}): IdentityProvider;
+
+export type OidcErrorCode =
+  | 'popup_blocked' | 'popup_closed' | 'state_mismatch' | 'invalid_token' | 'timeout' | 'failed'
+  | (string & {});
+
+export class OidcError extends Error {
+  constructor(message: string, options?: { code?: OidcErrorCode });
+  name: 'OidcError';
+  code: OidcErrorCode;
+}
+
+export interface SignInResult {
+  providerId: string;
+  profile: IdentityProfile;
+  claims: Record<string, any>;
+  /** Not verified in the browser: the backend must verify it. */
+  identityToken: string;
+}
+
+export function signInWithPopup(provider: IdentityProvider, options?: {
+  signal?: AbortSignal;
+  pollInterval?: number;
+  timeout?: number;
+}): Promise<SignInResult>;
+
+export function resolveEndpoints(provider: IdentityProvider, options?: { signal?: AbortSignal }): Promise<{
+  authorizationEndpoint: string;
+  tokenEndpoint: string;
+  userinfoEndpoint?: string;
+}>;
+export function decodeJwtClaims(token: string): Record<string, any>;
+export function createCodeVerifier(): string;
+export function createCodeChallenge(verifier: string): Promise<string>;
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+export const validation: {
+  validateEmail: Validator;
+  validateFullName: Validator;
+  validateUsername: Validator;
+  validatePassword: Validator;
+  createMatchValidator: (otherField: string, message: Message) => Validator;
+  createOneOfValidator: (
+    options: Array<{ value: string }> | (() => Array<{ value: string }>),
+    message: Message
+  ) => Validator;
+  createMaxSelectedValidator: (max: number, message: Message) => Validator;
+  /** A `notificationMatrix` category that must keep at least one channel. */
+  createRequiredChannelValidator: (category: string, message: Message) => Validator;
+  validateTheme: Validator;
+};
+
+export function isEmptyValue(value: unknown): boolean;
+export const validationTriggers: ValidationTrigger[];
+/** `on` is the moment being checked for: only validators triggered by then run (default 'step', all of them). */
+export function validateField<V extends FormValues>(
+  field: SchemaField<V>,
+  value: unknown,
+  values?: V,
+  options?: { on?: ValidationTrigger }
+): Message | null;
+export function validateFields<V extends FormValues>(fields: Array<SchemaField<V>>, values: V): FieldErrors;
+export function validateFieldAsync<V extends FormValues>(
+  field: SchemaField<V>,
+  value: unknown,
+  context: { signal?: AbortSignal; values: V }
+): Promise<Message | null>;
+export function createAvailabilityValidator(lookup: AvailabilityLookup, fieldName: string, message: Message): AsyncValidator;
+
+/** A declarative check, shareable with the server as JSON; other keys are the type's options. */
+export interface ValidationRule {
+  field: string;
+  type: string;
+  /** The field compared with, for equalsField, notEqualsField and notEmailLocalPart. */
+  other?: string;
+  /** Message key, literal text or descriptor; defaults to the type's message. */
+  message?: Message;
+  trigger?: ValidationTrigger;
+  [option: string]: unknown;
+}
+
+export interface ValidationRuleSet {
+  version: number;
+  rules: ValidationRule[];
+}
+
+export interface ValidationRuleType {
+  /** Whether the rule also runs on empty values (only `required` does by default). */
+  checksEmpty?: boolean;
+  /** Checks the rule's options once; returns the rule to test with, or throws a TypeError. */
+  prepare?: (rule: ValidationRule) => ValidationRule;
+  test: (value: any, rule: ValidationRule, values: FormValues) => boolean;
+  message: (labels: { field?: Message; other?: Message }, rule: ValidationRule) => Message;
+}
+
+export const ruleTypes: Record<
+  'required' | 'minLength' | 'maxLength' | 'pattern' | 'oneOf' | 'equalsField' | 'notEqualsField' | 'notEmailLocalPart',
+  ValidationRuleType
+>;
+export const defaultValidationRules: ValidationRuleSet;
+export function createRuleValidator(
+  rule: ValidationRule,
+  options?: { labels?: { field?: Message; other?: Message }; types?: Record<string, ValidationRuleType> }
+): Validator;
+export function applyValidationRules<S extends OnboardingSchema<any>>(
+  schema: S,
+  rules: ValidationRuleSet | ValidationRule[],
+  options?: { types?: Record<string, ValidationRuleType> }
+): S;
+export function validateWithRules(
+  rules: ValidationRuleSet | ValidationRule[],
+  values: FormValues,
+  options?: { types?: Record<string, ValidationRuleType> }
+): FieldErrors;
+
+export interface PasswordRule {
+  id: string;
+  label: Message;
+  message: Message;
+  test: (password: string, values: FormValues) => boolean;
+}
+
+export const defaultPasswordPolicy: Required<PasswordPolicy>;
+export function getPasswordRules(policy?: PasswordPolicy): PasswordRule[];
+export function evaluatePassword(
+  password: string,
+  values: FormValues,
+  policy?: PasswordPolicy
+): Array<{ id: string; label: Message; passed: boolean }>;
+export function getPasswordStrength(password: string, values: FormValues): { score: 0 | 1 | 2 | 3 | 4; label: string };
+export function createPasswordValidator(policy?: PasswordPolicy): Validator;
+
+export interface PolicyDocument {
+  id: string;
+  /** Bump whenever the text changes; it is stored with each consent. */
+  version: string;
+  title: Message;
+  /** Paragraphs separated by blank lines. */
+  body: Message;
+  /** Full version of the document, linked from the field. */
+  url?: string;
+  /** Keep the checkbox locked until the text has been scrolled to the end. */
+  requireScroll?: boolean;
+}
+
+export interface ConsentEntry {
+  purpose: string;
+  field: string;
+  granted: boolean;
+  /** The label and description exactly as shown, in `locale`. */
+  text: string;
+  document?: { id: string; version: string; title: string; url?: string };
+}
+
+export interface ConsentRecord {
+  /** ISO 8601 time of submission. */
+  recordedAt: string;
+  locale: string;
+  consents: ConsentEntry[];
+}
+
+export const defaultPolicies: { terms: PolicyDocument; privacy: PolicyDocument };
+export function getConsentText(field: Pick<SchemaField, 'label' | 'description'>, t: Translate): string;
+export function buildConsentRecord<V extends FormValues>(
+  steps: Array<SchemaStep<V>>,
+  values: V,
+  options: { t: Translate; locale: string; now?: Date }
+): ConsentRecord | null;
+
+export function getDefaultTimeZone(): string;
+/** Every IANA zone the runtime knows, with its current UTC offset as `description`. */
+export function getTimeZoneOptions(): FieldOption[];
+
+export const defaultAvatarOptions: Required<Omit<AvatarOptions, 'processImage'>>;
+export function checkAvatarFile(file: File, options?: Pick<AvatarOptions, 'accept' | 'maxBytes'>): Message | null;
+export function getSquareCrop(width: number, height: number): { x: number; y: number; size: number };
+export function cropImageToSquare(file: Blob, options?: Omit<AvatarOptions, 'accept' | 'maxBytes' | 'processImage'>): Promise<string | Blob>;
+/** "Ada Lovelace" -> "AL". */
+export function getInitials(fullName?: string): string;
+/** Tailwind background class picked from the name. */
+export function getInitialsColor(fullName?: string): string;
+/** Palette key picked from the name, e.g. 'indigo'; the same pick as getInitialsColor. */
+export function getInitialsColorKey(fullName?: string): string;
+export interface AvatarFallback {
+  initials: string;
+  color: string;
+}
+/** `[name]: null` and `[name]Fallback` for each avatar field on `steps` left without a photo. */
+export function buildAvatarFallbacks<V extends FormValues>(
+  steps: Array<SchemaStep<V>>,
+  values: V
+): Record<string, AvatarFallback | null>;
+
+// ---------------------------------------------------------------------------
+// useOnboardingForm
+// ---------------------------------------------------------------------------
+
+export type StepStatus = 'upcoming' | 'visited' | 'completed' | 'error';
+
+export type SubmitResult<R = unknown> =
+  | { status: 'success'; data: R }
+  | { status: 'failed'; error: SubmissionError | Error; step: number | null }
+  | { status: 'invalid' | 'cancelled' | 'pending' };
+
+export interface UseOnboardingFormOptions<V = FormValues> {
+  onSubmit?: SubmitAdapter<V>;
+  persistence?: PersistenceOptions;
+  /** Prefill on top of the schema defaults; memoize it, a new object resets the baseline. */
+  initialValues?: Partial<V>;
+  /** Most changes kept for undo (default 100). */
+  historyLimit?: number;
+}
+
+export interface OnboardingFormState<V = FormValues> {
+  /** The active path; grows or shrinks as `when` conditions change. */
+  steps: Array<SchemaStep<V>>;
+  formData: V;
+  initialValues: V;
+  errors: FieldErrors;
+  /** 1-based position on the active path. */
+  currentStep: number;
+  stepStatuses: StepStatus[];
+  isSubmitting: boolean;
+  submitError: SubmissionError | Error | null;
+  validating: Record<string, boolean>;
+  isValidatingStep: boolean;
+  isPersistenceEnabled: boolean;
+  /** A saved draft on offer; cleared by resuming, discarding or editing the form. */
+  draft: Draft<V> | null;
+  /** Fields whose value differs from `initialValues`. */
+  dirtyFields: Partial<Record<keyof V & string, true>>;
+  isDirty: boolean;
+  /** Fields the user has left, or whose step was checked; their 'blur' errors show. */
+  touchedFields: Partial<Record<keyof V & string, true>>;
+  canUndo: boolean;
+  canRedo: boolean;
+  updateField: (field: string, value: unknown) => void;
+  touchField: (field: string) => void;
+  /**
+   * Reverts the latest change (a run of typing counts as one) and moves to its
+   * step; returns what was restored.
+   */
+  undo: () => { name: string; value: unknown } | null;
+  redo: () => { name: string; value: unknown } | null;
+  validateStep: (step: number) => boolean;
+  validateStepAsync: (step: number) => Promise<boolean>;
+  goToNextStep: () => Promise<boolean>;
+  /** Keeps the errors of the step being left. */
+  goToPreviousStep: () => void;
+  /** Backward moves always succeed; forward moves validate every step in between. */
+  goToStep: (step: number) => Promise<boolean>;
+  submitForm: () => Promise<SubmitResult>;
+  cancelSubmit: () => void;
+  resetForm: () => void;
+  loadDraft: () => Promise<Draft<V> | null>;
+  resumeDraft: () => void;
+  discardDraft: () => Promise<void>;
+}
+
+export function useOnboardingForm<V extends FormValues = OnboardingFormData>(
+  schema?: OnboardingSchema<V>,
+  options?: UseOnboardingFormOptions<V>
+): OnboardingFormState<V>;
+
+// ---------------------------------------------------------------------------
+// Components
+// ---------------------------------------------------------------------------
+
+export interface ConfirmOptions {
+  title: string;
+  message?: string;
+  confirmLabel?: string;
+  cancelLabel?: string;
+}
+
+export type ToastType = 'info' | 'success' | 'error';
+
+export interface ToastOptions {
+  type?: ToastType;
+  message: string;
+  /** Milliseconds before dismissal; 0 keeps the toast until dismissed. */
+  duration?: number;
+}
+
+export interface Toast {
+  id: number;
+  type: ToastType;
+  message: string;
+}
+
+export interface OnboardingEvent {
+  type: 'opened' | 'step_viewed' | 'step_completed' | 'validation_failed' | 'submitted' | 'submit_failed' | 'abandoned';
+  timestamp: string;
+  sessionId: string | null;
+  [property: string]: unknown;
+}
+
+export interface StepChange {
+  step: number;
+  stepId: string | undefined;
+  totalSteps: number;
+}
+
+export type OnboardingLayout = 'modal' | 'drawer' | 'page' | 'inline';
+
+export interface OnboardingLayoutConfig {
+  /** Rendered in a portal as a modal dialog (focus trap, scroll lock, Escape closes). */
+  isOverlay: boolean;
+  indicator: 'horizontal' | 'vertical';
+  backdrop?: string;
+  panel: string;
+  content: string;
+  stepPanel: string;
+}
+
+export const ONBOARDING_LAYOUTS: Record<OnboardingLayout, OnboardingLayoutConfig>;
+
+export interface OnboardingModalProps<V extends FormValues = OnboardingFormData> {
+  schema?: OnboardingSchema<V>;
+  /** Defaults to 'modal'. */
+  layout?: OnboardingLayout;
+  onSubmit?: SubmitAdapter<V>;
+  persistence?: PersistenceOptions;
+  /** Replaces the built-in confirm dialog. */
+  confirm?: (options: ConfirmOptions) => boolean | Promise<boolean>;
+  /** Replaces the built-in toasts. */
+  notify?: (toast: ToastOptions) => void;
+  /** Receives PII-scrubbed funnel events. */
+  onEvent?: (event: OnboardingEvent) => void;
+  /** Controlled open state; pair with `onOpenChange`. */
+  isOpen?: boolean;
+  /** Defaults to true for the in-place 'page' and 'inline' layouts. */
+  defaultOpen?: boolean;
+  onOpenChange?: (isOpen: boolean) => void;
+  initialValues?: Partial<V>;
+  onComplete?: (response: unknown) => void;
+  onStepChange?: (change: StepChange) => void;
+}
+
+export interface OnboardingModalHandle {
+  open: () => void;
+  /** Asks for confirmation first when unsaved answers would be lost. */
+  close: () => Promise<void>;
+  /** Step number (1-based) or step id; resolves false when validation blocks the jump. */
+  goTo: (step: number | string) => Promise<boolean>;
+  reset: () => void;
+}
+
+export const OnboardingModal: ForwardRefExoticComponent<OnboardingModalProps & RefAttributes<OnboardingModalHandle>>;
+
+export type ButtonVariant = 'primary' | 'secondary' | 'success' | 'secondaryDark';
+
+export interface ButtonProps extends ButtonHTMLAttributes<HTMLButtonElement> {
+  variant?: ButtonVariant;
+  ariaLabel?: string;
+}
+
+export function Button(props: ButtonProps): ReactElement;
+
+export function OnboardingTrigger(props: ButtonProps): ReactElement;
+
+export interface StepIndicatorProps {
+  steps: SchemaStep<any>[];
+  currentStep: number;
+  statuses?: StepStatus[];
+  onSelect?: (step: number) => void;
+  orientation?: 'horizontal' | 'vertical';
+  className?: string;
+}
+
+export const STEP_PANEL_ID: string;
+export function getStepTabId(step: { id: string }): string;
+export function StepIndicator(props: StepIndicatorProps): ReactElement;
+
+/** Compact "Step 2 of 3" header that stands in for the step tabs on small screens. */
+export function StepSummary(props: {
+  steps: SchemaStep<any>[];
+  currentStep: number;
+  className?: string;
+}): ReactElement;
+
+/** Slides a new step in forward or backward and animates the height change; honours reduced motion. */
+export function StepTransition(props: HTMLAttributes<HTMLDivElement> & {
+  /** 1-based step number; a change starts the transition. */
+  index: number;
+  children?: ReactNode;
+}): ReactElement;
+
+export function FormStep(props: StepComponentProps<any>): ReactElement;
+export function SignInStep(props: StepComponentProps<any>): ReactElement;
+export function EmailVerificationStep(props: StepComponentProps<any>): ReactElement;
+
+/** One box per digit, with paste support; uncontrolled, so change its `key` to clear it. */
+export function OtpInput(props: {
+  length?: number;
+  onComplete?: (code: string) => void;
+  disabled?: boolean;
+  invalid?: boolean;
+  autoFocus?: boolean;
+  labelledBy?: string;
+  describedBy?: string;
+}): ReactElement;
+
+export function ResumeDraftBanner(props: {
+  draft: Draft<any>;
+  onResume: () => void;
+  onDiscard: () => void;
+}): ReactElement;
+
+export function LocaleSwitcher(props: { className?: string }): ReactElement | null;
+
+export function ConfirmDialog(props: Required<Omit<ConfirmOptions, 'message'>> & {
+  message?: string;
+  onConfirm: () => void;
+  onCancel: () => void;
+}): ReactElement;
+
+export function ToastViewport(props: { toasts: Toast[]; onDismiss: (id: number) => void }): ReactElement;
+
+export const TextField: ComponentType<FieldProps<any> & { describedBy?: string }>;
+export const PasswordField: ComponentType<FieldProps<any>>;
+export const SelectField: ComponentType<FieldProps<any>>;
+export const CheckboxField: ComponentType<FieldProps<any>>;
+export const CheckboxGroupField: ComponentType<FieldProps<any>>;
+export const ThemeField: ComponentType<FieldProps<any>>;
+export const AvatarField: ComponentType<FieldProps<any>>;
+export const ComboboxField: ComponentType<FieldProps<any>>;
+export const NotificationMatrixField: ComponentType<FieldProps<any>>;
+export const TagsField: ComponentType<FieldProps<any>>;
+export const ConsentField: ComponentType<FieldProps<any>>;
+export const fieldComponents: Record<Exclude<FieldType, 'hidden'>, ComponentType<FieldProps<any>>>;
+export function FieldError(props: { id?: string; className?: string; children?: ReactNode }): ReactElement;
+
+// ---------------------------------------------------------------------------
+// Hooks
+// ---------------------------------------------------------------------------
+
+export function useFocusTrap(
+  containerRef: RefObject<HTMLElement>,
+  isActive: boolean,
+  options?: { initialFocus?: string }
+): void;
+
+export function useBodyScrollLock(isLocked: boolean): void;
+export function usePrefersReducedMotion(): boolean;
+
+export function useConfirm(): {
+  request: (ConfirmOptions & { resolve: (answer: boolean) => void }) | null;
+  confirm: (options: ConfirmOptions) => Promise<boolean>;
+  settle: (answer: boolean) => void;
+};
+
+export function useToasts(options?: { duration?: number }): {
+  toasts: Toast[];
+  notify: (toast: ToastOptions) => number;
+  dismiss: (id: number) => void;
+};
+
+// ---------------------------------------------------------------------------
+// Analytics
+// ---------------------------------------------------------------------------
+
+export interface BatchingSink {
+  (event: OnboardingEvent): void;
+  flush: () => void;
+  dispose: () => void;
+}
+
+export function createBatchingSink(options?: {
+  url?: string;
+  batchSize?: number;
+  flushInterval?: number;
+  fetchImpl?: typeof fetch;
+  sendBeacon?: ((url: string, data: BodyInit) => boolean) | null;
+}): BatchingSink;
+
+export const DEFAULT_PII_KEYS: string[];
+export const REDACTED: string;
+export function scrubPii<T>(input: T, piiKeys?: string[]): T;
+
+// ---------------------------------------------------------------------------
+// i18n and theming
+// ---------------------------------------------------------------------------
+
+export const DEFAULT_LOCALE: string;
+export const builtInCatalogs: Record<'en' | 'fr' | 'de' | 'ar', MessageCatalog>;
+export const localeNames: Record<string, string>;
+export function msg(key: string, values?: MessageValues): MessageDescriptor;
+
+export function I18nProvider(props: {
+  locale?: string;
+  /** Adds or overrides catalogs, e.g. `{ es: {...}, fr: { 'modal.title': '...' } }`. */
+  messages?: Record<string, MessageCatalog>;
+  children?: ReactNode;
+}): ReactElement;
+
+export function useI18n(): {
+  locale: string;
+  dir: 'ltr' | 'rtl';
+  locales: string[];
+  t: Translate;
+  /** null outside an I18nProvider. */
+  setLocale: ((locale: string) => void) | null;
+};
+
+export const THEME_PREFERENCES: ThemePreference[];
+export function resolveTheme(preference: ThemePreference | string): 'light' | 'dark';
+
+export function ThemeProvider(props: {
+  defaultPreference?: ThemePreference;
+  /** Pass null to keep the choice in memory only. */
+  storage?: StorageAdapter | null;
+  storageKey?: string;
+  children?: ReactNode;
+}): ReactElement;
+
+export function useTheme(): {
+  preference: ThemePreference;
+  theme: 'light' | 'dark';
+  isDark: boolean;
+  /** null outside a ThemeProvider. */
+  setPreference: ((preference: ThemePreference) => void) | null;
+};
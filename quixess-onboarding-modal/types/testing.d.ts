@@ -0,0 +1,51 @@
+/**
+ * Type declarations for quixess-onboarding-modal/testing (src/testing).
+ */
+import type { RenderResult } from '@testing-library/react';
+import type { UserEvent } from '@testing-library/user-event';
+import type {
+  FormValues, MessageCatalog, OnboardingFormData, OnboardingModalProps, Translate
+} from './index';
+
+/** Answers that pass every step of the default schema, keyed by step id. */
+export const validDefaultAnswers: Record<'personal' | 'account' | 'preferences', Partial<OnboardingFormData>>;
+
+export interface RenderOnboardingOptions<V extends FormValues = OnboardingFormData> extends OnboardingModalProps<V> {
+  locale?: string;
+  messages?: Record<string, MessageCatalog>;
+  /** Defaults to `userEvent.setup()`. */
+  user?: UserEvent;
+  /** Wraps the rendered tree, e.g. in a ThemeProvider. */
+  wrapper?: React.JSXElementConstructor<{ children: React.ReactNode }>;
+}
+
+export interface OnboardingHarness extends RenderResult {
+  user: UserEvent;
+  /** Translator for the rendered locale. */
+  t: Translate;
+  /** Payloads received by the default submit stub. */
+  submissions: FormValues[];
+  getDialog: () => HTMLElement;
+  /** The dialog's button labelled by the message `labelKey`. */
+  getButton: (labelKey: string) => HTMLElement;
+  getCurrentStepId: () => string | undefined;
+  /** The input (or radio group) for a field on the current step. */
+  getField: (name: string) => HTMLElement;
+  fillField: (name: string, value: unknown) => Promise<void>;
+  fillStep: (values: Record<string, unknown>) => Promise<void>;
+  next: () => Promise<void>;
+  back: () => Promise<void>;
+  submit: () => Promise<void>;
+  close: () => Promise<void>;
+  selectStep: (stepId: string) => Promise<void>;
+  /** Clicks "Continue with {providerLabel}" on the sign-in step and waits for the popup flow. */
+  signInWith: (providerLabel: string) => Promise<void>;
+  /** Types a one-time code on the email verification step once it has been sent, and waits for the check. */
+  enterVerificationCode: (code: string) => Promise<void>;
+  /** Fills and advances through every step, then submits. */
+  completeOnboarding: (answers?: Record<string, Record<string, unknown>>) => Promise<void>;
+}
+
+export function renderOnboarding<V extends FormValues = OnboardingFormData>(
+  options?: RenderOnboardingOptions<V>
+): OnboardingHarness;